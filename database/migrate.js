@@ -99,14 +99,24 @@ async function runMigration() {
 
     const expectedTables = [
       'context_versions',
+      'context_branches',
       'business_state',
       'context_changes',
       'api_sources',
       'sync_history',
+      'metric_snapshots',
       'claude_context_cache',
       'claude_conversations',
+      'claude_conversation_runs',
+      'context_proposals',
+      'context_templates',
       'field_definitions',
-      'user_settings'
+      'user_settings',
+      'api_keys',
+      'workspaces',
+      'workspace_members',
+      'event_subscriptions',
+      'event_deliveries'
     ];
 
     let foundTables = 0;
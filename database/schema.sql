@@ -7,35 +7,99 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pg_trgm"; -- For fuzzy search
 
+-- ============================================================================
+-- UPGRADES
+-- Running this file on a database created from an earlier schema first adds
+-- the columns and checks that schema lacked, so the indexes, functions and
+-- views below can rely on them. On a fresh database the tables don't exist
+-- yet and these statements do nothing.
+-- ============================================================================
+
+ALTER TABLE IF EXISTS context_versions
+  ADD COLUMN IF NOT EXISTS tree_hash VARCHAR(40),
+  ADD COLUMN IF NOT EXISTS branch VARCHAR(100) NOT NULL DEFAULT 'main',
+  ADD COLUMN IF NOT EXISTS merge_parent_version_id UUID REFERENCES context_versions(id),
+  ADD COLUMN IF NOT EXISTS author_id UUID;
+
+ALTER TABLE IF EXISTS context_changes
+  DROP CONSTRAINT IF EXISTS context_changes_change_type_check,
+  ADD CONSTRAINT context_changes_change_type_check
+    CHECK (change_type IN ('create', 'update', 'delete', 'rename'));
+
+ALTER TABLE IF EXISTS api_sources
+  ADD COLUMN IF NOT EXISTS connector VARCHAR(50);
+
+ALTER TABLE IF EXISTS claude_context_cache
+  ADD COLUMN IF NOT EXISTS options_key VARCHAR(255) NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS estimated_tokens INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS budget JSONB,
+  DROP CONSTRAINT IF EXISTS claude_context_cache_format_check,
+  ADD CONSTRAINT claude_context_cache_format_check
+    CHECK (format IN ('markdown', 'json', 'yaml', 'xml', 'plaintext')),
+  DROP CONSTRAINT IF EXISTS unique_cache_per_version_format,
+  DROP CONSTRAINT IF EXISTS unique_cache_per_version_options,
+  ADD CONSTRAINT unique_cache_per_version_options UNIQUE (version_id, format, options_key);
+
+ALTER TABLE IF EXISTS field_definitions
+  ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 50 CHECK (priority BETWEEN 0 AND 100),
+  DROP CONSTRAINT IF EXISTS field_definitions_field_type_check,
+  ADD CONSTRAINT field_definitions_field_type_check
+    CHECK (field_type IN ('text', 'number', 'json', 'array', 'boolean', 'date'));
+
+-- Views whose columns changed are recreated below; current_business_state
+-- also depends on is_current, which is dropped further down
+DROP VIEW IF EXISTS current_business_state;
+DROP VIEW IF EXISTS pending_syncs;
+
 -- ============================================================================
 -- CORE VERSION CONTROL TABLES
 -- ============================================================================
 
 -- Context Versions (Git commits for business state)
-CREATE TABLE context_versions (
+CREATE TABLE IF NOT EXISTS context_versions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id UUID NOT NULL,
-  version_hash VARCHAR(40) NOT NULL UNIQUE,
+  user_id UUID NOT NULL, -- Owning workspace (a personal workspace's id is its user's id)
+  version_hash VARCHAR(40) NOT NULL UNIQUE, -- sha1 over tree_hash, parent hashes and commit metadata
+  tree_hash VARCHAR(40), -- sha1 over the canonicalized business state (NULL for legacy versions)
   commit_message TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  is_current BOOLEAN DEFAULT FALSE,
+  branch VARCHAR(100) NOT NULL DEFAULT 'main', -- Branch the version was committed on
   parent_version_id UUID REFERENCES context_versions(id),
+  merge_parent_version_id UUID REFERENCES context_versions(id), -- Second parent of a merge version
   author VARCHAR(255),
+  author_id UUID, -- Workspace member who made the commit (NULL for system commits)
   tags TEXT[] DEFAULT '{}',
-  metadata JSONB DEFAULT '{}',
+  metadata JSONB DEFAULT '{}'
+);
 
-  -- Indexes for performance
-  CONSTRAINT unique_current_per_user UNIQUE (user_id, is_current) WHERE is_current = true
+CREATE INDEX IF NOT EXISTS idx_context_versions_user_id ON context_versions(user_id);
+CREATE INDEX IF NOT EXISTS idx_context_versions_created_at ON context_versions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_context_versions_hash ON context_versions(version_hash);
+CREATE INDEX IF NOT EXISTS idx_context_versions_branch ON context_versions(user_id, branch);
+CREATE INDEX IF NOT EXISTS idx_context_versions_parent ON context_versions(parent_version_id);
+CREATE INDEX IF NOT EXISTS idx_context_versions_merge_parent ON context_versions(merge_parent_version_id);
+CREATE INDEX IF NOT EXISTS idx_context_versions_tags ON context_versions USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_context_versions_author ON context_versions(user_id, author_id);
+
+-- Branches (Named HEAD pointers, like git refs)
+CREATE TABLE IF NOT EXISTS context_branches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  head_version_id UUID REFERENCES context_versions(id),
+  base_version_id UUID REFERENCES context_versions(id), -- Version the branch was created from
+  is_default BOOLEAN DEFAULT FALSE, -- Checked-out branch, read when no branch is given
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT unique_branch_per_user UNIQUE (user_id, name)
 );
 
-CREATE INDEX idx_context_versions_user_id ON context_versions(user_id);
-CREATE INDEX idx_context_versions_created_at ON context_versions(created_at DESC);
-CREATE INDEX idx_context_versions_hash ON context_versions(version_hash);
-CREATE INDEX idx_context_versions_current ON context_versions(user_id, is_current) WHERE is_current = true;
-CREATE INDEX idx_context_versions_tags ON context_versions USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_context_branches_user_id ON context_branches(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_context_branches_default ON context_branches(user_id) WHERE is_default = true;
 
 -- Business State Fields (Versioned data storage)
-CREATE TABLE business_state (
+CREATE TABLE IF NOT EXISTS business_state (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   version_id UUID NOT NULL REFERENCES context_versions(id) ON DELETE CASCADE,
   field_name VARCHAR(100) NOT NULL,
@@ -48,46 +112,47 @@ CREATE TABLE business_state (
   CONSTRAINT unique_field_per_version UNIQUE (version_id, field_name)
 );
 
-CREATE INDEX idx_business_state_version_id ON business_state(version_id);
-CREATE INDEX idx_business_state_field_name ON business_state(field_name);
-CREATE INDEX idx_business_state_updated_at ON business_state(updated_at DESC);
-CREATE INDEX idx_business_state_source ON business_state(source);
-CREATE INDEX idx_business_state_value ON business_state USING GIN(field_value);
+CREATE INDEX IF NOT EXISTS idx_business_state_version_id ON business_state(version_id);
+CREATE INDEX IF NOT EXISTS idx_business_state_field_name ON business_state(field_name);
+CREATE INDEX IF NOT EXISTS idx_business_state_updated_at ON business_state(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_business_state_source ON business_state(source);
+CREATE INDEX IF NOT EXISTS idx_business_state_value ON business_state USING GIN(field_value);
 
 -- Change Log (Audit trail for all modifications)
-CREATE TABLE context_changes (
+CREATE TABLE IF NOT EXISTS context_changes (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   version_id UUID NOT NULL REFERENCES context_versions(id) ON DELETE CASCADE,
   field_name VARCHAR(100) NOT NULL,
   old_value JSONB,
   new_value JSONB,
-  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('create', 'update', 'delete')),
+  change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('create', 'update', 'delete', 'rename')),
   source VARCHAR(100) NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   metadata JSONB DEFAULT '{}'
 );
 
-CREATE INDEX idx_context_changes_version_id ON context_changes(version_id);
-CREATE INDEX idx_context_changes_field_name ON context_changes(field_name);
-CREATE INDEX idx_context_changes_created_at ON context_changes(created_at DESC);
-CREATE INDEX idx_context_changes_change_type ON context_changes(change_type);
+CREATE INDEX IF NOT EXISTS idx_context_changes_version_id ON context_changes(version_id);
+CREATE INDEX IF NOT EXISTS idx_context_changes_field_name ON context_changes(field_name);
+CREATE INDEX IF NOT EXISTS idx_context_changes_created_at ON context_changes(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_context_changes_change_type ON context_changes(change_type);
 
 -- ============================================================================
 -- API INTEGRATION TABLES
 -- ============================================================================
 
 -- API Sources (External data integration configuration)
-CREATE TABLE api_sources (
+CREATE TABLE IF NOT EXISTS api_sources (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL,
   source_name VARCHAR(100) NOT NULL,
+  connector VARCHAR(50), -- Registered connector that pulls the source (twitter, http); NULL for push-only webhook sources
   api_endpoint TEXT,
-  field_mappings JSONB NOT NULL DEFAULT '{}',
+  field_mappings JSONB NOT NULL DEFAULT '{}', -- Payload path => field name, or { field, transform?, keys?, type? }
   update_frequency INTEGER DEFAULT 3600 CHECK (update_frequency >= 60), -- minimum 1 minute
   last_synced TIMESTAMP WITH TIME ZONE,
   next_sync TIMESTAMP WITH TIME ZONE,
   is_active BOOLEAN DEFAULT TRUE,
-  credentials JSONB DEFAULT '{}', -- Encrypted credentials
+  credentials JSONB DEFAULT '{}', -- Encrypted credentials; webhook_secret signs webhook bodies
   error_count INTEGER DEFAULT 0,
   last_error TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -96,12 +161,12 @@ CREATE TABLE api_sources (
   CONSTRAINT unique_source_per_user UNIQUE (user_id, source_name)
 );
 
-CREATE INDEX idx_api_sources_user_id ON api_sources(user_id);
-CREATE INDEX idx_api_sources_active ON api_sources(is_active) WHERE is_active = true;
-CREATE INDEX idx_api_sources_next_sync ON api_sources(next_sync) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_api_sources_user_id ON api_sources(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_sources_active ON api_sources(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_api_sources_next_sync ON api_sources(next_sync) WHERE is_active = true;
 
 -- Sync History (Track API synchronization results)
-CREATE TABLE sync_history (
+CREATE TABLE IF NOT EXISTS sync_history (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   api_source_id UUID NOT NULL REFERENCES api_sources(id) ON DELETE CASCADE,
   user_id UUID NOT NULL,
@@ -115,36 +180,52 @@ CREATE TABLE sync_history (
   metadata JSONB DEFAULT '{}'
 );
 
-CREATE INDEX idx_sync_history_source_id ON sync_history(api_source_id);
-CREATE INDEX idx_sync_history_user_id ON sync_history(user_id);
-CREATE INDEX idx_sync_history_synced_at ON sync_history(synced_at DESC);
-CREATE INDEX idx_sync_history_success ON sync_history(success);
+CREATE INDEX IF NOT EXISTS idx_sync_history_source_id ON sync_history(api_source_id);
+CREATE INDEX IF NOT EXISTS idx_sync_history_user_id ON sync_history(user_id);
+CREATE INDEX IF NOT EXISTS idx_sync_history_synced_at ON sync_history(synced_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_history_success ON sync_history(success);
+
+-- Metric Snapshots (Every sync's values, whether or not it committed them)
+CREATE TABLE IF NOT EXISTS metric_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  api_source_id UUID REFERENCES api_sources(id) ON DELETE SET NULL,
+  source VARCHAR(50) NOT NULL,
+  metrics JSONB NOT NULL, -- Field name => value
+  version_id UUID REFERENCES context_versions(id), -- Set when the sync also committed
+  captured_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metric_snapshots_user_captured ON metric_snapshots(user_id, captured_at DESC);
 
 -- ============================================================================
 -- CLAUDE INTEGRATION TABLES
 -- ============================================================================
 
 -- Claude Context Cache (Pre-generated context for Claude API)
-CREATE TABLE claude_context_cache (
+CREATE TABLE IF NOT EXISTS claude_context_cache (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL,
   version_id UUID NOT NULL REFERENCES context_versions(id) ON DELETE CASCADE,
-  format VARCHAR(20) NOT NULL CHECK (format IN ('markdown', 'json', 'yaml')),
+  format VARCHAR(20) NOT NULL CHECK (format IN ('markdown', 'json', 'yaml', 'xml', 'plaintext')),
+  options_key VARCHAR(255) NOT NULL DEFAULT '', -- Template and token budget the content was rendered with
   content TEXT NOT NULL,
   fields_included TEXT[] NOT NULL,
+  estimated_tokens INTEGER NOT NULL DEFAULT 0,
+  budget JSONB, -- Fields trimmed or omitted to fit max_tokens
   generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   expires_at TIMESTAMP WITH TIME ZONE,
   access_count INTEGER DEFAULT 0,
 
-  CONSTRAINT unique_cache_per_version_format UNIQUE (version_id, format)
+  CONSTRAINT unique_cache_per_version_options UNIQUE (version_id, format, options_key)
 );
 
-CREATE INDEX idx_claude_cache_user_id ON claude_context_cache(user_id);
-CREATE INDEX idx_claude_cache_version_id ON claude_context_cache(version_id);
-CREATE INDEX idx_claude_cache_expires_at ON claude_context_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_claude_cache_user_id ON claude_context_cache(user_id);
+CREATE INDEX IF NOT EXISTS idx_claude_cache_version_id ON claude_context_cache(version_id);
+CREATE INDEX IF NOT EXISTS idx_claude_cache_expires_at ON claude_context_cache(expires_at);
 
 -- Claude Conversation Tracking (Link conversations to context updates)
-CREATE TABLE claude_conversations (
+CREATE TABLE IF NOT EXISTS claude_conversations (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL,
   conversation_id VARCHAR(255) NOT NULL,
@@ -158,37 +239,92 @@ CREATE TABLE claude_conversations (
   CONSTRAINT unique_conversation UNIQUE (user_id, conversation_id)
 );
 
-CREATE INDEX idx_claude_conversations_user_id ON claude_conversations(user_id);
-CREATE INDEX idx_claude_conversations_started_at ON claude_conversations(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_claude_conversations_user_id ON claude_conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_claude_conversations_started_at ON claude_conversations(started_at DESC);
+
+-- Claude Conversation Runs (Every processing of a conversation, including skipped re-posts)
+CREATE TABLE IF NOT EXISTS claude_conversation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  conversation_id VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'skipped', 'failed')),
+  message_start INTEGER NOT NULL,
+  message_end INTEGER NOT NULL,
+  version_before UUID REFERENCES context_versions(id) ON DELETE SET NULL,
+  version_after UUID REFERENCES context_versions(id) ON DELETE SET NULL,
+  changes_extracted JSONB DEFAULT '[]',
+  changes_rejected JSONB DEFAULT '[]', -- Extraction output that failed validation, with the reasons
+  committed_count INTEGER DEFAULT 0,
+  proposed_count INTEGER DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claude_conversation_runs_conversation ON claude_conversation_runs(user_id, conversation_id, created_at DESC);
+
+-- Context Proposals (Low-confidence changes from conversations, awaiting review)
+CREATE TABLE IF NOT EXISTS context_proposals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  conversation_id VARCHAR(255) NOT NULL,
+  field_name VARCHAR(255) NOT NULL,
+  field_value JSONB NOT NULL,
+  field_type VARCHAR(50) NOT NULL CHECK (field_type IN ('text', 'number', 'json', 'array', 'boolean', 'date')),
+  confidence NUMERIC(4, 3) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  edited BOOLEAN DEFAULT FALSE,
+  version_id UUID REFERENCES context_versions(id) ON DELETE SET NULL,
+  review_note TEXT,
+  reviewed_by VARCHAR(255), -- Workspace member who approved or rejected it
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  reviewed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_context_proposals_user_status ON context_proposals(user_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_context_proposals_conversation ON context_proposals(user_id, conversation_id);
+
+-- Context Templates (Per-user layouts for the Claude prompt)
+CREATE TABLE IF NOT EXISTS context_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT unique_template_name UNIQUE (user_id, name)
+);
 
 -- ============================================================================
 -- UTILITY TABLES
 -- ============================================================================
 
 -- Field Definitions (Schema for business state fields)
-CREATE TABLE field_definitions (
+CREATE TABLE IF NOT EXISTS field_definitions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   field_name VARCHAR(100) NOT NULL UNIQUE,
   display_name VARCHAR(255) NOT NULL,
   description TEXT,
-  field_type VARCHAR(50) NOT NULL,
+  field_type VARCHAR(50) NOT NULL CHECK (field_type IN ('text', 'number', 'json', 'array', 'boolean', 'date')),
   default_source VARCHAR(100),
-  validation_rules JSONB DEFAULT '{}',
+  validation_rules JSONB DEFAULT '{}', -- JSON Schema for field_value, enforced at commit time
   is_system_field BOOLEAN DEFAULT FALSE,
   is_required BOOLEAN DEFAULT FALSE,
   category VARCHAR(100),
+  priority INTEGER NOT NULL DEFAULT 50 CHECK (priority BETWEEN 0 AND 100), -- Higher is kept first under a token budget
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_field_definitions_category ON field_definitions(category);
-CREATE INDEX idx_field_definitions_system ON field_definitions(is_system_field);
+CREATE INDEX IF NOT EXISTS idx_field_definitions_category ON field_definitions(category);
+CREATE INDEX IF NOT EXISTS idx_field_definitions_system ON field_definitions(is_system_field);
 
 -- User Settings (Per-user configuration)
-CREATE TABLE user_settings (
+CREATE TABLE IF NOT EXISTS user_settings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL UNIQUE,
   auto_commit_enabled BOOLEAN DEFAULT FALSE,
-  auto_commit_threshold JSONB DEFAULT '{}',
+  auto_commit_threshold JSONB DEFAULT '{}', -- Field name => change that makes a sync commit, e.g. {"twitter_follower_count": 1000}
   notification_preferences JSONB DEFAULT '{}',
   default_fields TEXT[] DEFAULT '{}',
   timezone VARCHAR(50) DEFAULT 'UTC',
@@ -196,28 +332,118 @@ CREATE TABLE user_settings (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_user_settings_user_id ON user_settings(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_settings_user_id ON user_settings(user_id);
+
+-- API Keys (Per-user credentials; only a hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256, hex
+  scopes TEXT[] NOT NULL CHECK (
+    scopes <@ ARRAY['context:prompt', 'context:read', 'context:write', 'integrations:admin']::TEXT[]
+    AND cardinality(scopes) > 0
+  ),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id, created_at DESC);
+
+-- Workspaces (Shared owners of a business context). Each user also has an
+-- implicit personal workspace whose id is their user id; it has no row here.
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  created_by UUID NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Workspace Members (Who can read or change a workspace's context)
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+  added_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id, created_at);
+
+-- Event Subscriptions (URLs notified when a workspace's context changes)
+CREATE TABLE IF NOT EXISTS event_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL, -- Owning workspace
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL CHECK (cardinality(events) > 0), -- commit, rollback, field_changed:<name>, sync_failed
+  secret TEXT NOT NULL, -- Signs deliveries (HMAC-SHA256)
+  description TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_subscriptions_user_id ON event_subscriptions(user_id, created_at DESC);
+
+-- Event Deliveries (Outbox and delivery log: one row per event per subscription)
+CREATE TABLE IF NOT EXISTS event_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES event_subscriptions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  event VARCHAR(200) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE, -- When a pending delivery is tried next
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_deliveries_subscription ON event_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_event_deliveries_due ON event_deliveries(next_attempt_at) WHERE status = 'pending';
 
 -- ============================================================================
 -- FUNCTIONS & TRIGGERS
 -- ============================================================================
 
--- Function to generate version hash (SHA1-like hash)
-CREATE OR REPLACE FUNCTION generate_version_hash(
-  p_user_id UUID,
-  p_commit_message TEXT,
-  p_timestamp TIMESTAMP WITH TIME ZONE
-) RETURNS VARCHAR(40) AS $$
+-- Version and tree hashes are computed by the application (src/core/hashing.ts)
+-- from the canonicalized state, so they can be recomputed and verified later.
+DROP FUNCTION IF EXISTS generate_version_hash(UUID, TEXT, TIMESTAMP WITH TIME ZONE);
+
+-- Branch HEADs replace the is_current flag. Upgrading a database that still
+-- has it: each user's is_current version becomes the HEAD of their default
+-- 'main' branch, then the flag and the trigger that maintained it go. The
+-- columns commits now write were added under UPGRADES above.
+DROP TRIGGER IF EXISTS trigger_single_current_version ON context_versions;
+DROP FUNCTION IF EXISTS enforce_single_current_version();
+
+DO $$
 BEGIN
-  RETURN encode(
-    digest(
-      p_user_id::TEXT || p_commit_message || p_timestamp::TEXT,
-      'sha1'
-    ),
-    'hex'
-  );
-END;
-$$ LANGUAGE plpgsql;
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'context_versions' AND column_name = 'is_current'
+  ) THEN
+    INSERT INTO context_branches (user_id, name, head_version_id, is_default)
+    SELECT cv.user_id, 'main', cv.id, true
+    FROM context_versions cv
+    WHERE cv.is_current = true
+      AND NOT EXISTS (SELECT 1 FROM context_branches cb WHERE cb.user_id = cv.user_id);
+
+    ALTER TABLE context_versions DROP COLUMN is_current;
+  END IF;
+END $$;
+
+-- Sources are pulled by their connector. Twitter sources created before the
+-- column existed are pulled by the twitter connector; without it they would
+-- drop out of pending_syncs.
+UPDATE api_sources SET connector = 'twitter' WHERE source_name = 'twitter' AND connector IS NULL;
 
 -- Function to get business state at specific timestamp
 CREATE OR REPLACE FUNCTION get_business_state_at(
@@ -231,18 +457,25 @@ CREATE OR REPLACE FUNCTION get_business_state_at(
   updated_at TIMESTAMP WITH TIME ZONE
 ) AS $$
 BEGIN
+  -- Each version stores a full snapshot, so the state at a time is exactly the
+  -- state of the latest version on the checked-out branch at that time
+  -- (fields deleted or renamed before then stay gone)
   RETURN QUERY
-  SELECT DISTINCT ON (bs.field_name)
+  SELECT
     bs.field_name,
     bs.field_value,
     bs.field_type,
     bs.source,
     bs.updated_at
   FROM business_state bs
-  INNER JOIN context_versions cv ON bs.version_id = cv.id
-  WHERE cv.user_id = p_user_id
-    AND cv.created_at <= p_timestamp
-  ORDER BY bs.field_name, cv.created_at DESC;
+  WHERE bs.version_id = (
+    SELECT a.id
+    FROM context_branches b,
+         LATERAL get_version_ancestors(b.head_version_id, p_timestamp, 1) a
+    WHERE b.user_id = p_user_id
+      AND b.is_default = true
+  )
+  ORDER BY bs.field_name;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -285,50 +518,192 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger to update next_sync time when api_sources is updated
-CREATE OR REPLACE FUNCTION update_next_sync()
-RETURNS TRIGGER AS $$
+-- Function to create a version, its state and its change log atomically and
+-- advance its branch. Runs in a single transaction: any failure leaves the
+-- previous HEAD untouched. Rejects the commit if its parent_version_id is no
+-- longer the branch HEAD. Committing to a missing branch creates it.
+-- Errors carry a 'commit_phase:<phase>' hint so callers can report where it failed.
+CREATE OR REPLACE FUNCTION commit_context(
+  p_version JSONB,
+  p_state JSONB,
+  p_changes JSONB
+) RETURNS context_versions AS $$
+DECLARE
+  v_version context_versions;
+  v_user_id UUID := (p_version->>'user_id')::UUID;
+  v_branch VARCHAR(100) := COALESCE(p_version->>'branch', 'main');
+  v_head UUID;
 BEGIN
-  NEW.next_sync = NOW() + (NEW.update_frequency || ' seconds')::INTERVAL;
-  NEW.updated_at = NOW();
-  RETURN NEW;
+  -- Serialize commits per user so the parent check below cannot race
+  PERFORM pg_advisory_xact_lock(hashtext(v_user_id::TEXT));
+
+  SELECT head_version_id INTO v_head
+  FROM context_branches
+  WHERE user_id = v_user_id
+    AND name = v_branch;
+
+  IF v_head IS DISTINCT FROM (p_version->>'parent_version_id')::UUID THEN
+    RAISE EXCEPTION 'HEAD moved while the commit was being prepared (HEAD is %)', v_head
+      USING HINT = 'commit_phase:conflict';
+  END IF;
+
+  BEGIN
+    INSERT INTO context_versions (
+      user_id, version_hash, tree_hash, commit_message, parent_version_id,
+      merge_parent_version_id, author, author_id, tags, branch, created_at
+    ) VALUES (
+      v_user_id,
+      p_version->>'version_hash',
+      p_version->>'tree_hash',
+      p_version->>'commit_message',
+      (p_version->>'parent_version_id')::UUID,
+      (p_version->>'merge_parent_version_id')::UUID,
+      p_version->>'author',
+      (p_version->>'author_id')::UUID,
+      COALESCE(ARRAY(SELECT jsonb_array_elements_text(p_version->'tags')), '{}'),
+      v_branch,
+      COALESCE((p_version->>'created_at')::TIMESTAMP WITH TIME ZONE, NOW())
+    )
+    RETURNING * INTO v_version;
+
+    -- Advance the branch, creating it on first commit (a user's first branch is the default)
+    INSERT INTO context_branches (user_id, name, head_version_id, is_default)
+    VALUES (
+      v_user_id,
+      v_branch,
+      v_version.id,
+      NOT EXISTS (SELECT 1 FROM context_branches WHERE user_id = v_user_id AND is_default = true)
+    )
+    ON CONFLICT (user_id, name) DO UPDATE
+    SET head_version_id = EXCLUDED.head_version_id,
+        updated_at = NOW();
+  EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Failed to create version: %', SQLERRM USING HINT = 'commit_phase:version';
+  END;
+
+  BEGIN
+    INSERT INTO business_state (version_id, field_name, field_value, field_type, source, updated_at, metadata)
+    SELECT
+      v_version.id,
+      s.field_name,
+      s.field_value,
+      s.field_type,
+      s.source,
+      COALESCE(s.updated_at, NOW()),
+      COALESCE(s.metadata, '{}')
+    FROM jsonb_to_recordset(p_state) AS s(
+      field_name VARCHAR(100),
+      field_value JSONB,
+      field_type VARCHAR(50),
+      source VARCHAR(100),
+      updated_at TIMESTAMP WITH TIME ZONE,
+      metadata JSONB
+    );
+  EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Failed to insert state: %', SQLERRM USING HINT = 'commit_phase:state';
+  END;
+
+  BEGIN
+    INSERT INTO context_changes (version_id, field_name, old_value, new_value, change_type, source, created_at, metadata)
+    SELECT
+      v_version.id,
+      c.field_name,
+      c.old_value,
+      c.new_value,
+      c.change_type,
+      c.source,
+      COALESCE(c.created_at, NOW()),
+      COALESCE(c.metadata, '{}')
+    FROM jsonb_to_recordset(p_changes) AS c(
+      field_name VARCHAR(100),
+      old_value JSONB,
+      new_value JSONB,
+      change_type VARCHAR(20),
+      source VARCHAR(100),
+      created_at TIMESTAMP WITH TIME ZONE,
+      metadata JSONB
+    );
+  EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Failed to log changes: %', SQLERRM USING HINT = 'commit_phase:changes';
+  END;
+
+  RETURN v_version;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE TRIGGER trigger_update_next_sync
-  BEFORE INSERT OR UPDATE OF update_frequency ON api_sources
-  FOR EACH ROW
-  EXECUTE FUNCTION update_next_sync();
+-- Function to walk a version's ancestry (git log)
+CREATE OR REPLACE FUNCTION get_version_ancestors(
+  p_version_id UUID,
+  p_before TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL,
+  p_offset INTEGER DEFAULT 0
+) RETURNS SETOF context_versions AS $$
+  WITH RECURSIVE ancestors AS (
+    SELECT cv.*
+    FROM context_versions cv
+    WHERE cv.id = p_version_id
+    UNION
+    SELECT parent.*
+    FROM context_versions parent
+    INNER JOIN ancestors a
+      ON parent.id = a.parent_version_id
+      OR parent.id = a.merge_parent_version_id
+  )
+  SELECT *
+  FROM ancestors
+  WHERE p_before IS NULL OR created_at <= p_before
+  ORDER BY created_at DESC
+  LIMIT p_limit OFFSET p_offset;
+$$ LANGUAGE sql STABLE;
+
+-- Function to check out a branch (make it the user's default)
+CREATE OR REPLACE FUNCTION switch_branch(
+  p_user_id UUID,
+  p_name VARCHAR(100)
+) RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM context_branches WHERE user_id = p_user_id AND name = p_name) THEN
+    RAISE EXCEPTION 'Branch % does not exist', p_name;
+  END IF;
+
+  UPDATE context_branches
+  SET is_default = false, updated_at = NOW()
+  WHERE user_id = p_user_id AND is_default = true AND name != p_name;
+
+  UPDATE context_branches
+  SET is_default = true, updated_at = NOW()
+  WHERE user_id = p_user_id AND name = p_name;
+END;
+$$ LANGUAGE plpgsql;
 
--- Trigger to ensure only one current version per user
-CREATE OR REPLACE FUNCTION enforce_single_current_version()
+-- Trigger to schedule the next sync when a source is created or its
+-- update_frequency changes, unless the update sets next_sync itself
+CREATE OR REPLACE FUNCTION update_next_sync()
 RETURNS TRIGGER AS $$
 BEGIN
-  IF NEW.is_current = true THEN
-    UPDATE context_versions
-    SET is_current = false
-    WHERE user_id = NEW.user_id
-      AND id != NEW.id
-      AND is_current = true;
+  IF TG_OP = 'INSERT' OR NEW.next_sync IS NOT DISTINCT FROM OLD.next_sync THEN
+    NEW.next_sync = NOW() + (NEW.update_frequency || ' seconds')::INTERVAL;
   END IF;
+  NEW.updated_at = NOW();
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE TRIGGER trigger_single_current_version
-  BEFORE INSERT OR UPDATE OF is_current ON context_versions
+DROP TRIGGER IF EXISTS trigger_update_next_sync ON api_sources;
+CREATE TRIGGER trigger_update_next_sync
+  BEFORE INSERT OR UPDATE OF update_frequency ON api_sources
   FOR EACH ROW
-  WHEN (NEW.is_current = true)
-  EXECUTE FUNCTION enforce_single_current_version();
+  EXECUTE FUNCTION update_next_sync();
 
 -- ============================================================================
 -- VIEWS FOR COMMON QUERIES
 -- ============================================================================
 
--- Current business state for all users
+-- Current business state for all users (HEAD of each user's checked-out branch)
 CREATE OR REPLACE VIEW current_business_state AS
 SELECT
   cv.user_id,
+  cb.name as branch,
   cv.id as version_id,
   cv.version_hash,
   cv.commit_message,
@@ -338,9 +713,10 @@ SELECT
   bs.field_type,
   bs.source,
   bs.updated_at
-FROM context_versions cv
+FROM context_branches cb
+INNER JOIN context_versions cv ON cv.id = cb.head_version_id
 INNER JOIN business_state bs ON cv.id = bs.version_id
-WHERE cv.is_current = true;
+WHERE cb.is_default = true;
 
 -- Version history with change counts
 CREATE OR REPLACE VIEW version_history_summary AS
@@ -365,11 +741,13 @@ SELECT
   id,
   user_id,
   source_name,
+  connector,
   next_sync,
   last_synced,
   error_count
 FROM api_sources
 WHERE is_active = true
+  AND connector IS NOT NULL
   AND (next_sync IS NULL OR next_sync <= NOW())
 ORDER BY next_sync ASC NULLS FIRST;
 
@@ -377,17 +755,17 @@ ORDER BY next_sync ASC NULLS FIRST;
 -- SEED DATA FOR FIELD DEFINITIONS
 -- ============================================================================
 
-INSERT INTO field_definitions (field_name, display_name, description, field_type, category, is_system_field) VALUES
-  ('icp', 'Ideal Customer Profile', 'Target customer definition and characteristics', 'json', 'identity', false),
-  ('positioning', 'Market Positioning', 'Core positioning and value proposition', 'json', 'identity', false),
-  ('follower_count', 'Social Media Followers', 'Follower counts across platforms', 'json', 'metrics', false),
-  ('current_deals', 'Active Deals', 'Current sales pipeline and opportunities', 'array', 'business', false),
-  ('current_focus', 'Strategic Focus', 'Current business focus and priorities', 'text', 'strategy', false),
-  ('active_experiments', 'Active Experiments', 'Running experiments and tests', 'array', 'strategy', false),
-  ('recent_pivots', 'Recent Pivots', 'History of strategic pivots', 'array', 'strategy', false),
-  ('content_themes', 'Content Themes', 'Active content and messaging themes', 'array', 'marketing', false),
-  ('messaging_angles', 'Messaging Angles', 'Marketing message variations', 'array', 'marketing', false),
-  ('recent_wins', 'Recent Wins', 'Latest successes and achievements', 'array', 'metrics', false)
+INSERT INTO field_definitions (field_name, display_name, description, field_type, category, priority, is_system_field) VALUES
+  ('icp', 'Ideal Customer Profile', 'Target customer definition and characteristics', 'json', 'identity', 90, false),
+  ('positioning', 'Market Positioning', 'Core positioning and value proposition', 'json', 'identity', 85, false),
+  ('follower_count', 'Social Media Followers', 'Follower counts across platforms', 'json', 'metrics', 40, false),
+  ('current_deals', 'Active Deals', 'Current sales pipeline and opportunities', 'array', 'business', 70, false),
+  ('current_focus', 'Strategic Focus', 'Current business focus and priorities', 'text', 'strategy', 100, false),
+  ('active_experiments', 'Active Experiments', 'Running experiments and tests', 'array', 'strategy', 60, false),
+  ('recent_pivots', 'Recent Pivots', 'History of strategic pivots', 'array', 'strategy', 50, false),
+  ('content_themes', 'Content Themes', 'Active content and messaging themes', 'array', 'marketing', 30, false),
+  ('messaging_angles', 'Messaging Angles', 'Marketing message variations', 'array', 'marketing', 30, false),
+  ('recent_wins', 'Recent Wins', 'Latest successes and achievements', 'array', 'metrics', 65, false)
 ON CONFLICT (field_name) DO NOTHING;
 
 -- ============================================================================
@@ -395,12 +773,22 @@ ON CONFLICT (field_name) DO NOTHING;
 -- ============================================================================
 
 COMMENT ON TABLE context_versions IS 'Git-like commits for business context state';
+COMMENT ON TABLE context_branches IS 'Named branch HEADs; the default branch is the checked-out one';
 COMMENT ON TABLE business_state IS 'Versioned storage of business state fields';
 COMMENT ON TABLE context_changes IS 'Audit trail of all context modifications';
 COMMENT ON TABLE api_sources IS 'External API integration configurations';
 COMMENT ON TABLE sync_history IS 'History of API synchronization operations';
+COMMENT ON TABLE metric_snapshots IS 'Values captured by each sync, committed or not';
 COMMENT ON TABLE claude_context_cache IS 'Pre-generated context for Claude API calls';
+COMMENT ON TABLE api_keys IS 'Hashed per-user API keys and their scopes';
+COMMENT ON TABLE workspaces IS 'Team workspaces that own shared business context';
+COMMENT ON TABLE workspace_members IS 'Workspace membership and each member''s role';
+COMMENT ON TABLE event_subscriptions IS 'Subscriber URLs notified of context events, with their event filters';
+COMMENT ON TABLE event_deliveries IS 'Signed event deliveries: pending retries and the delivery log';
+COMMENT ON TABLE context_templates IS 'User-defined templates for rendering Claude context';
 COMMENT ON TABLE field_definitions IS 'Schema and metadata for business state fields';
 
 COMMENT ON FUNCTION get_business_state_at IS 'Retrieve complete business state at any point in time';
 COMMENT ON FUNCTION calculate_version_diff IS 'Calculate differences between two context versions';
+COMMENT ON FUNCTION get_version_ancestors IS 'Walk the history reachable from a version';
+COMMENT ON FUNCTION commit_context IS 'Atomically create a version with its business state and change log';
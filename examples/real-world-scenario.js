@@ -7,7 +7,8 @@
  */
 
 const API_BASE = 'http://localhost:8787/api'; // Change to your deployment URL
-const USER_ID = 'demo-user-001'; // In production, use actual user UUID
+const API_KEY = process.env.API_KEY; // Needs the context:read and context:write scopes
+const AUTH_HEADERS = { Authorization: `Bearer ${API_KEY}` };
 
 /**
  * Scenario Timeline:
@@ -383,9 +384,8 @@ async function runScenario() {
 async function createCommit({ commit_message, changes, tags = [], author = 'demo' }) {
   const response = await fetch(`${API_BASE}/context/commit`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      user_id: USER_ID,
       commit_message,
       changes,
       tags,
@@ -402,33 +402,36 @@ async function createCommit({ commit_message, changes, tags = [], author = 'demo
 }
 
 async function getCurrentState() {
-  const response = await fetch(`${API_BASE}/context/current?user_id=${USER_ID}`);
+  const response = await fetch(`${API_BASE}/context/current`, { headers: AUTH_HEADERS });
   return response.json();
 }
 
 async function getStateAtTime(timestamp) {
   const response = await fetch(
-    `${API_BASE}/context/at/${encodeURIComponent(timestamp)}?user_id=${USER_ID}`
+    `${API_BASE}/context/at/${encodeURIComponent(timestamp)}`,
+    { headers: AUTH_HEADERS }
   );
   return response.json();
 }
 
 async function getFieldHistory(fieldName) {
   const response = await fetch(
-    `${API_BASE}/context/field/${fieldName}/history?user_id=${USER_ID}`
+    `${API_BASE}/context/field/${fieldName}/history`,
+    { headers: AUTH_HEADERS }
   );
   return response.json();
 }
 
 async function getClaudeContext(format = 'markdown') {
   const response = await fetch(
-    `${API_BASE}/context/claude-prompt?user_id=${USER_ID}&format=${format}`
+    `${API_BASE}/context/claude-prompt?format=${format}`,
+    { headers: AUTH_HEADERS }
   );
   return response.text();
 }
 
 async function getStats() {
-  const response = await fetch(`${API_BASE}/stats?user_id=${USER_ID}`);
+  const response = await fetch(`${API_BASE}/stats`, { headers: AUTH_HEADERS });
   return response.json();
 }
 
@@ -437,6 +440,10 @@ async function getStats() {
 // ============================================================================
 
 if (require.main === module) {
+  if (!API_KEY) {
+    console.error('Set API_KEY to an API key (see "Authentication" in the README)');
+    process.exit(1);
+  }
   runScenario().catch(console.error);
 }
 
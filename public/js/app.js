@@ -5,32 +5,77 @@
 class ContextApp {
   constructor() {
     this.apiUrl = window.location.origin + '/api';
-    this.userId = this.getUserId();
+    this.session = this.loadSession(); // { token, expires_at, user_id } from /api/auth/session
+    this.workspace = localStorage.getItem('context_workspace'); // Selected workspace id; null = personal
+    this.workspaces = [];
     this.currentVersion = null;
+    this.branch = null; // Branch being viewed; null = the checked-out branch
+    this.branches = [];
+    this.fieldTypes = {}; // field_name => field_type from the field definitions
     this.init();
   }
 
   /**
-   * Get or create user ID from localStorage
+   * Session saved by an earlier sign-in, unless it has expired
    */
-  getUserId() {
-    let userId = localStorage.getItem('context_user_id');
-    if (!userId) {
-      userId = this.generateUUID();
-      localStorage.setItem('context_user_id', userId);
+  loadSession() {
+    try {
+      const session = JSON.parse(localStorage.getItem('context_session'));
+      return session && new Date(session.expires_at) > new Date() ? session : null;
+    } catch (error) {
+      return null;
     }
-    return userId;
   }
 
   /**
-   * Generate UUID v4
+   * Exchange an API key for a session token. Only the session is kept;
+   * the key itself is never stored.
    */
-  generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c == 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
+  async signIn() {
+    const key = prompt('Paste an API key to sign in:');
+    if (!key || !key.trim()) return false;
+
+    const response = await fetch(`${this.apiUrl}/auth/session`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key.trim()}` }
     });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`Sign-in failed: ${data.error}`);
+      return false;
+    }
+
+    this.session = { token: data.token, expires_at: data.expires_at, user_id: data.user_id };
+    localStorage.setItem('context_session', JSON.stringify(this.session));
+    return true;
+  }
+
+  /**
+   * Forget the session and ask for a key again
+   */
+  signOut() {
+    this.session = null;
+    localStorage.removeItem('context_session');
+    window.location.reload();
+  }
+
+  /**
+   * Call the API as the signed-in user, on the selected workspace. An
+   * expired or revoked session signs the user out.
+   */
+  async api(path, options = {}) {
+    const headers = { ...(options.headers || {}), Authorization: `Bearer ${this.session ? this.session.token : ''}` };
+    if (this.workspace) {
+      headers['X-Workspace-Id'] = this.workspace;
+    }
+
+    const response = await fetch(`${this.apiUrl}${path}`, { ...options, headers });
+
+    if (response.status === 401) {
+      this.signOut();
+    }
+    return response;
   }
 
   /**
@@ -39,7 +84,53 @@ class ContextApp {
   async init() {
     this.setupEventListeners();
     this.setupNavigation();
+
+    if (!this.session && !(await this.signIn())) {
+      document.getElementById('current-message').textContent =
+        'Sign in with an API key to view your context. Reload the page to try again.';
+      return;
+    }
+    await this.loadWorkspaces();
+    await this.loadBranches();
+    await this.loadFieldDefinitions();
     await this.loadCurrentState();
+    await this.loadProposals();
+  }
+
+  /**
+   * Load field definitions so commits use each field's declared type
+   */
+  async loadFieldDefinitions() {
+    try {
+      const response = await this.api('/fields');
+      const data = await response.json();
+      this.fieldTypes = {};
+      (data.fields || []).forEach(field => {
+        this.fieldTypes[field.field_name] = field.field_type;
+      });
+    } catch (error) {
+      console.error('Failed to load field definitions:', error);
+    }
+  }
+
+  /**
+   * Field type for a value: the defined type if the field has a definition,
+   * otherwise inferred from the value
+   */
+  fieldTypeFor(fieldName, value) {
+    if (this.fieldTypes[fieldName]) return this.fieldTypes[fieldName];
+    if (Array.isArray(value)) return 'array';
+    if (value !== null && typeof value === 'object') return 'json';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    return 'text';
+  }
+
+  /**
+   * Query string fragment selecting the viewed branch
+   */
+  branchQuery(separator = '&') {
+    return this.branch ? `${separator}branch=${encodeURIComponent(this.branch)}` : '';
   }
 
   /**
@@ -51,6 +142,36 @@ class ContextApp {
       this.showCommitModal();
     });
 
+    document.getElementById('sign-out-btn').addEventListener('click', () => {
+      this.signOut();
+    });
+
+    // Workspace picker
+    document.getElementById('workspace-select').addEventListener('change', (e) => {
+      this.selectWorkspace(e.target.value);
+    });
+
+    document.getElementById('new-workspace-btn').addEventListener('click', () => {
+      this.createWorkspace();
+    });
+
+    // Branch picker
+    document.getElementById('branch-select').addEventListener('change', (e) => {
+      this.selectBranch(e.target.value);
+    });
+
+    document.getElementById('new-branch-btn').addEventListener('click', () => {
+      this.createBranch();
+    });
+
+    document.getElementById('switch-branch-btn').addEventListener('click', () => {
+      this.switchBranch();
+    });
+
+    document.getElementById('delete-branch-btn').addEventListener('click', () => {
+      this.deleteBranch();
+    });
+
     // Sync button
     document.getElementById('sync-btn').addEventListener('click', () => {
       this.syncIntegrations();
@@ -93,6 +214,44 @@ class ContextApp {
     document.getElementById('format-select').addEventListener('change', () => {
       this.loadClaudeContext();
     });
+
+    document.getElementById('token-budget').addEventListener('change', () => {
+      this.loadClaudeContext();
+    });
+
+    // Context templates
+    document.getElementById('template-select').addEventListener('change', () => {
+      this.loadClaudeContext();
+      if (document.getElementById('template-editor').classList.contains('active')) {
+        this.openTemplateEditor();
+      }
+    });
+
+    document.getElementById('edit-template-btn').addEventListener('click', () => {
+      const editor = document.getElementById('template-editor');
+      if (editor.classList.contains('active')) {
+        editor.classList.remove('active');
+      } else {
+        this.openTemplateEditor();
+      }
+    });
+
+    document.getElementById('preview-template-btn').addEventListener('click', () => {
+      this.previewTemplate();
+    });
+
+    document.getElementById('save-template-btn').addEventListener('click', () => {
+      this.saveTemplate();
+    });
+
+    document.getElementById('delete-template-btn').addEventListener('click', () => {
+      this.deleteTemplate();
+    });
+
+    // Field series
+    document.getElementById('series-btn').addEventListener('click', () => {
+      this.loadFieldSeries();
+    });
   }
 
   /**
@@ -133,7 +292,11 @@ class ContextApp {
       case 'history':
         await this.loadHistory();
         break;
+      case 'review':
+        await this.loadProposals();
+        break;
       case 'claude':
+        await this.loadTemplates();
         await this.loadClaudeContext();
         break;
       case 'stats':
@@ -142,12 +305,260 @@ class ContextApp {
     }
   }
 
+  /**
+   * Load the user's workspaces into the picker
+   */
+  async loadWorkspaces() {
+    try {
+      const response = await this.api('/workspaces');
+      const data = await response.json();
+      this.workspaces = data.workspaces || [];
+
+      // Fall back to the personal workspace if the user has left the selected one
+      if (this.workspace && !this.workspaces.some(w => w.id === this.workspace)) {
+        this.workspace = null;
+        localStorage.removeItem('context_workspace');
+      }
+
+      this.renderWorkspacePicker();
+
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+    }
+  }
+
+  /**
+   * Render the workspace picker. Viewers can't commit, so the commit
+   * button is hidden for them.
+   */
+  renderWorkspacePicker() {
+    const select = document.getElementById('workspace-select');
+    select.innerHTML = '';
+
+    this.workspaces.forEach(workspace => {
+      const option = document.createElement('option');
+      option.value = workspace.personal ? '' : workspace.id;
+      option.textContent = workspace.personal ? workspace.name : `${workspace.name} (${workspace.role})`;
+      select.appendChild(option);
+    });
+
+    select.value = this.workspace || '';
+
+    const current = this.workspaces.find(w => (w.personal ? '' : w.id) === (this.workspace || ''));
+    document.getElementById('commit-btn').style.display = current && current.role === 'viewer' ? 'none' : '';
+  }
+
+  /**
+   * Switch to another workspace's context
+   */
+  async selectWorkspace(id) {
+    this.workspace = id || null;
+    if (this.workspace) {
+      localStorage.setItem('context_workspace', this.workspace);
+    } else {
+      localStorage.removeItem('context_workspace');
+    }
+
+    this.branch = null;
+    this.renderWorkspacePicker();
+    await this.loadBranches();
+
+    const activeTab = document.querySelector('.nav-item.active');
+    await this.loadTabData(activeTab ? activeTab.dataset.tab : 'current');
+  }
+
+  /**
+   * Create a team workspace and switch to it
+   */
+  async createWorkspace() {
+    const name = prompt('New workspace name (e.g., Acme team):');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await this.api('/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create workspace');
+      }
+
+      await this.loadWorkspaces();
+      await this.selectWorkspace(data.workspace.id);
+
+    } catch (error) {
+      console.error('Failed to create workspace:', error);
+      alert('Failed to create workspace: ' + error.message);
+    }
+  }
+
+  /**
+   * Load branches into the picker
+   */
+  async loadBranches() {
+    try {
+      const response = await this.api('/branches');
+      const data = await response.json();
+      this.branches = data.branches || [];
+
+      // Drop a viewed branch that no longer exists
+      if (this.branch && !this.branches.some(b => b.name === this.branch)) {
+        this.branch = null;
+      }
+
+      this.renderBranchPicker(data.current);
+
+    } catch (error) {
+      console.error('Failed to load branches:', error);
+    }
+  }
+
+  /**
+   * Render the branch picker and its actions
+   */
+  renderBranchPicker(checkedOut) {
+    const select = document.getElementById('branch-select');
+    select.innerHTML = '';
+
+    if (this.branches.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'main';
+      select.appendChild(option);
+    }
+
+    this.branches.forEach(branch => {
+      const option = document.createElement('option');
+      option.value = branch.name;
+      option.textContent = branch.is_current ? `${branch.name} (checked out)` : branch.name;
+      select.appendChild(option);
+    });
+
+    const viewed = this.branch || checkedOut || '';
+    select.value = viewed;
+
+    const isCheckedOut = !this.branch || this.branch === checkedOut;
+    document.getElementById('switch-branch-btn').style.display = isCheckedOut ? 'none' : '';
+    document.getElementById('delete-branch-btn').style.display = isCheckedOut ? 'none' : '';
+  }
+
+  /**
+   * View a branch without checking it out
+   */
+  async selectBranch(name) {
+    const branch = this.branches.find(b => b.name === name);
+    this.branch = branch && !branch.is_current ? name : null;
+
+    const checkedOut = this.branches.find(b => b.is_current);
+    this.renderBranchPicker(checkedOut ? checkedOut.name : null);
+
+    const activeTab = document.querySelector('.nav-item.active');
+    await this.loadTabData(activeTab ? activeTab.dataset.tab : 'current');
+  }
+
+  /**
+   * Create a branch from the viewed branch's HEAD
+   */
+  async createBranch() {
+    const name = prompt('New branch name (e.g., pricing-experiment):');
+    if (!name) return;
+
+    try {
+      const checkedOut = this.branches.find(b => b.is_current);
+      const from = this.branch || (checkedOut ? checkedOut.name : undefined);
+
+      const response = await this.api('/branches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), from })
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to create branch');
+      }
+
+      this.branch = data.branch.name;
+      await this.loadBranches();
+      await this.selectBranch(this.branch);
+
+    } catch (error) {
+      console.error('Failed to create branch:', error);
+      alert('Failed to create branch: ' + error.message);
+    }
+  }
+
+  /**
+   * Check out the viewed branch so Claude prompts read it
+   */
+  async switchBranch() {
+    if (!this.branch) return;
+
+    if (!confirm(`Check out "${this.branch}"? Claude context will be served from this branch.`)) {
+      return;
+    }
+
+    try {
+      const response = await this.api(`/branches/${encodeURIComponent(this.branch)}/switch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to switch branch');
+      }
+
+      this.branch = null;
+      await this.loadBranches();
+      await this.loadCurrentState();
+
+    } catch (error) {
+      console.error('Failed to switch branch:', error);
+      alert('Failed to switch branch: ' + error.message);
+    }
+  }
+
+  /**
+   * Delete the viewed branch
+   */
+  async deleteBranch() {
+    if (!this.branch) return;
+
+    if (!confirm(`Delete branch "${this.branch}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await this.api(
+        `/branches/${encodeURIComponent(this.branch)}`,
+        { method: 'DELETE' }
+      );
+
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to delete branch');
+      }
+
+      this.branch = null;
+      await this.loadBranches();
+      await this.loadCurrentState();
+
+    } catch (error) {
+      console.error('Failed to delete branch:', error);
+      alert('Failed to delete branch: ' + error.message);
+    }
+  }
+
   /**
    * Load current business state
    */
   async loadCurrentState() {
     try {
-      const response = await fetch(`${this.apiUrl}/context/current?user_id=${this.userId}`);
+      const response = await this.api(`/context/current${this.branchQuery('?')}`);
 
       if (response.status === 404) {
         this.showEmptyState();
@@ -231,7 +642,7 @@ class ContextApp {
    */
   async loadHistory() {
     try {
-      const response = await fetch(`${this.apiUrl}/context/history?user_id=${this.userId}&limit=50`);
+      const response = await this.api(`/context/history?limit=50${this.branchQuery()}`);
       const data = await response.json();
 
       const timeline = document.getElementById('version-timeline');
@@ -261,6 +672,15 @@ class ContextApp {
         info.appendChild(hash);
         info.appendChild(date);
 
+        if (version.author) {
+          const author = document.createElement('span');
+          author.className = 'version-author';
+          author.textContent = version.author_id && this.session && version.author_id === this.session.user_id
+            ? `by ${version.author} (you)`
+            : `by ${version.author}${version.author_id ? ` (${version.author_id.slice(0, 8)})` : ''}`;
+          info.appendChild(author);
+        }
+
         if (version.is_current) {
           const badge = document.createElement('span');
           badge.className = 'badge badge-success';
@@ -274,8 +694,29 @@ class ContextApp {
         message.className = 'version-message';
         message.textContent = version.message;
 
+        const actions = document.createElement('div');
+        actions.className = 'version-actions';
+
+        const revertBtn = document.createElement('button');
+        revertBtn.className = 'btn btn-secondary btn-sm';
+        revertBtn.textContent = 'Revert';
+        revertBtn.title = 'Undo the changes this version introduced';
+        revertBtn.addEventListener('click', () => this.revertVersion(version));
+        actions.appendChild(revertBtn);
+
+        // Cherry-picking only makes sense into another branch
+        if (this.branch) {
+          const pickBtn = document.createElement('button');
+          pickBtn.className = 'btn btn-secondary btn-sm';
+          pickBtn.textContent = 'Cherry-pick';
+          pickBtn.title = 'Apply this version\'s changes to the checked-out branch';
+          pickBtn.addEventListener('click', () => this.cherryPickVersion(version));
+          actions.appendChild(pickBtn);
+        }
+
         card.appendChild(header);
         card.appendChild(message);
+        card.appendChild(actions);
         item.appendChild(card);
         timeline.appendChild(item);
       });
@@ -286,6 +727,283 @@ class ContextApp {
     }
   }
 
+  /**
+   * Revert the changes a version introduced on the viewed branch
+   */
+  async revertVersion(version) {
+    if (!confirm(`Revert ${version.hash} "${version.message}"?`)) {
+      return;
+    }
+
+    await this.applyVersionChanges('revert', {
+      version_id: version.id,
+      branch: this.branch || undefined,
+      author: 'web-ui'
+    });
+  }
+
+  /**
+   * Apply a version's changes (all or some fields) to the checked-out branch
+   */
+  async cherryPickVersion(version) {
+    const fields = prompt(
+      `Cherry-pick ${version.hash} "${version.message}" into the checked-out branch.\n` +
+      'Fields to pick (comma-separated, leave blank for all):'
+    );
+    if (fields === null) return;
+
+    await this.applyVersionChanges('cherry-pick', {
+      version_id: version.id,
+      fields: fields.split(',').map(f => f.trim()).filter(Boolean),
+      author: 'web-ui'
+    });
+  }
+
+  /**
+   * POST a revert or cherry-pick, offering to resolve conflicts in its favour
+   */
+  async applyVersionChanges(operation, body) {
+    try {
+      let response = await this.api(`/context/${operation}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      let data = await response.json();
+
+      if (response.status === 409 && data.conflicts && data.conflicts.length > 0) {
+        const fields = data.conflicts
+          .map(conflict => conflict.key ? `${conflict.field_name}.${conflict.key}` : conflict.field_name)
+          .join(', ');
+
+        if (!confirm(`These fields were changed since: ${fields}.\nOverwrite them anyway?`)) {
+          return;
+        }
+
+        response = await this.api(`/context/${operation}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...body,
+            resolutions: data.conflicts.map(conflict => ({
+              field_name: conflict.field_name,
+              key: conflict.key,
+              take: 'theirs'
+            }))
+          })
+        });
+        data = await response.json();
+      }
+
+      if (!data.success) {
+        throw new Error(data.details || data.error || `Failed to ${operation}`);
+      }
+
+      if (data.status === 'up_to_date') {
+        alert('Nothing to apply: the branch already has these changes.');
+        return;
+      }
+
+      await this.loadBranches();
+      await this.loadHistory();
+
+    } catch (error) {
+      console.error(`Failed to ${operation}:`, error);
+      alert(`Failed to ${operation}: ` + error.message);
+    }
+  }
+
+  /**
+   * Load proposals awaiting review and update the sidebar count
+   */
+  async loadProposals() {
+    try {
+      const response = await this.api('/proposals?status=pending');
+      const data = await response.json();
+      const proposals = data.proposals || [];
+
+      const count = document.getElementById('review-count');
+      count.textContent = proposals.length;
+      count.style.display = proposals.length > 0 ? '' : 'none';
+
+      this.renderProposals(proposals);
+
+    } catch (error) {
+      console.error('Failed to load proposals:', error);
+    }
+  }
+
+  /**
+   * Render pending proposals with their review actions
+   */
+  renderProposals(proposals) {
+    const container = document.getElementById('proposal-list');
+    container.innerHTML = '';
+
+    if (proposals.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'subtitle';
+      empty.textContent = 'Nothing to review.';
+      container.appendChild(empty);
+      return;
+    }
+
+    proposals.forEach(proposal => {
+      const card = document.createElement('div');
+      card.className = 'field-card';
+
+      const header = document.createElement('div');
+      header.className = 'field-header';
+
+      const fieldName = document.createElement('div');
+      fieldName.className = 'field-name';
+      fieldName.textContent = this.formatFieldName(proposal.field_name);
+
+      const confidence = document.createElement('div');
+      confidence.className = 'field-source';
+      confidence.textContent = `${Math.round(proposal.confidence * 100)}% confident`;
+
+      header.appendChild(fieldName);
+      header.appendChild(confidence);
+
+      const value = document.createElement('div');
+      value.className = 'field-value';
+      value.textContent = this.formatFieldValue(proposal.field_value);
+
+      const meta = document.createElement('div');
+      meta.className = 'proposal-meta';
+      meta.textContent = `From conversation ${proposal.conversation_id} · ` +
+        `${new Date(proposal.created_at).toLocaleString()}${proposal.edited ? ' · edited' : ''}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'version-actions';
+
+      const approveBtn = document.createElement('button');
+      approveBtn.className = 'btn btn-primary btn-sm';
+      approveBtn.textContent = 'Approve';
+      approveBtn.addEventListener('click', () => this.approveProposal(proposal));
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-secondary btn-sm';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => this.editProposal(proposal));
+
+      const rejectBtn = document.createElement('button');
+      rejectBtn.className = 'btn btn-secondary btn-sm';
+      rejectBtn.textContent = 'Reject';
+      rejectBtn.addEventListener('click', () => this.rejectProposal(proposal));
+
+      actions.appendChild(approveBtn);
+      actions.appendChild(editBtn);
+      actions.appendChild(rejectBtn);
+
+      card.appendChild(header);
+      card.appendChild(value);
+      card.appendChild(meta);
+      card.appendChild(actions);
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Commit a proposal to the viewed branch
+   */
+  async approveProposal(proposal) {
+    try {
+      const response = await this.api(`/proposals/${proposal.id}/approve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ branch: this.branch || undefined })
+      });
+      const data = await response.json();
+
+      if (response.status === 422) {
+        const problems = (data.errors || [])
+          .map(e => `• ${e.field_name}${e.path || ''}: ${e.message}`)
+          .join('\n');
+        alert(`Value rejected - edit it first:\n${problems}`);
+        return;
+      }
+      if (!data.success) {
+        throw new Error(data.details || data.error || 'Failed to approve');
+      }
+
+      await this.loadBranches();
+      await this.loadProposals();
+
+    } catch (error) {
+      console.error('Failed to approve proposal:', error);
+      alert('Failed to approve: ' + error.message);
+    }
+  }
+
+  /**
+   * Replace a proposal's value before approving it
+   */
+  async editProposal(proposal) {
+    const input = prompt(
+      `New value for ${proposal.field_name} (JSON or plain text):`,
+      typeof proposal.field_value === 'string' ? proposal.field_value : JSON.stringify(proposal.field_value)
+    );
+    if (input === null) return;
+
+    let fieldValue = input.trim();
+    try {
+      fieldValue = JSON.parse(fieldValue);
+    } catch (e) {
+      // Keep as string
+    }
+
+    try {
+      const response = await this.api(`/proposals/${proposal.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          field_value: fieldValue,
+          field_type: this.fieldTypeFor(proposal.field_name, fieldValue)
+        })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.details || data.error || 'Failed to edit');
+      }
+
+      await this.loadProposals();
+
+    } catch (error) {
+      console.error('Failed to edit proposal:', error);
+      alert('Failed to edit: ' + error.message);
+    }
+  }
+
+  /**
+   * Dismiss a proposal
+   */
+  async rejectProposal(proposal) {
+    const reason = prompt(`Reject the proposed ${proposal.field_name} change? Reason (optional):`);
+    if (reason === null) return;
+
+    try {
+      const response = await this.api(`/proposals/${proposal.id}/reject`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: reason || undefined })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.details || data.error || 'Failed to reject');
+      }
+
+      await this.loadProposals();
+
+    } catch (error) {
+      console.error('Failed to reject proposal:', error);
+      alert('Failed to reject: ' + error.message);
+    }
+  }
+
   /**
    * Execute temporal query
    */
@@ -299,8 +1017,8 @@ class ContextApp {
     }
 
     try {
-      const response = await fetch(
-        `${this.apiUrl}/context/at/${encodeURIComponent(date)}?user_id=${this.userId}`
+      const response = await this.api(
+        `/context/at/${encodeURIComponent(date)}${this.branchQuery('?')}`
       );
 
       const data = await response.json();
@@ -388,14 +1106,22 @@ class ContextApp {
    */
   async loadClaudeContext() {
     const format = document.getElementById('format-select').value;
+    const budget = document.getElementById('token-budget').value;
+    const template = document.getElementById('template-select').value;
+    const budgetQuery = budget ? `&max_tokens=${budget}` : '';
+    const templateQuery = template ? `&template=${encodeURIComponent(template)}` : '';
 
     try {
-      const response = await fetch(
-        `${this.apiUrl}/context/claude-prompt?user_id=${this.userId}&format=${format}`
+      const response = await this.api(
+        `/context/claude-prompt?format=${format}${this.branchQuery()}${budgetQuery}${templateQuery}`
       );
 
       const content = await response.text();
+      if (!response.ok) {
+        throw new Error(JSON.parse(content).error);
+      }
       document.getElementById('claude-context-code').textContent = content;
+      document.getElementById('context-budget-summary').textContent = this.budgetSummary(response.headers);
 
     } catch (error) {
       console.error('Failed to load Claude context:', error);
@@ -403,6 +1129,175 @@ class ContextApp {
     }
   }
 
+  /**
+   * Describe the size of the loaded context and what the token budget cut
+   */
+  budgetSummary(headers) {
+    const tokens = headers.get('X-Context-Tokens');
+    if (!tokens) return '';
+
+    const parts = [`~${tokens} tokens`];
+    const budget = headers.get('X-Context-Token-Budget');
+    if (budget) {
+      parts[0] += ` of ${budget}`;
+      const trimmed = headers.get('X-Context-Trimmed-Fields');
+      const omitted = headers.get('X-Context-Omitted-Fields');
+      if (trimmed) parts.push(`shortened: ${trimmed.split(',').join(', ')}`);
+      if (omitted) parts.push(`left out: ${omitted.split(',').join(', ')}`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Load the user's context templates into the template picker
+   */
+  async loadTemplates() {
+    try {
+      const response = await this.api('/templates');
+      const data = await response.json();
+      this.templates = data.templates || [];
+      this.defaultTemplate = data.default_template || '';
+
+      const select = document.getElementById('template-select');
+      const selected = select.value;
+      select.innerHTML = '<option value="">Built-in layout</option>';
+      this.templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.name;
+        option.textContent = template.name;
+        select.appendChild(option);
+      });
+      select.value = this.templates.some(t => t.name === selected) ? selected : '';
+
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  }
+
+  /**
+   * Show the template editor with the selected template, or the built-in
+   * layout as a starting point
+   */
+  openTemplateEditor() {
+    const selected = document.getElementById('template-select').value;
+    const template = (this.templates || []).find(t => t.name === selected);
+
+    document.getElementById('template-name').value = template ? template.name : '';
+    document.getElementById('template-body').value = template ? template.body : this.defaultTemplate;
+    document.getElementById('template-editor').classList.add('active');
+  }
+
+  /**
+   * Render the template being edited without saving it
+   */
+  async previewTemplate() {
+    const budget = parseInt(document.getElementById('token-budget').value);
+
+    try {
+      const response = await this.api('/templates/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          body: document.getElementById('template-body').value,
+          branch: this.branch || undefined,
+          max_tokens: budget > 0 ? budget : undefined
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Template error: ${data.error}`);
+        return;
+      }
+
+      document.getElementById('claude-context-code').textContent = data.content;
+      document.getElementById('context-budget-summary').textContent =
+        `Preview · ~${data.estimated_tokens} tokens${data.budget ? ` of ${data.budget.max_tokens}` : ''}`;
+
+    } catch (error) {
+      console.error('Failed to preview template:', error);
+      this.showError('Failed to preview template');
+    }
+  }
+
+  /**
+   * Save the template being edited, creating it if the name is new
+   */
+  async saveTemplate() {
+    const name = document.getElementById('template-name').value.trim();
+    const body = document.getElementById('template-body').value;
+
+    if (!name) {
+      alert('Please name the template');
+      return;
+    }
+
+    const exists = (this.templates || []).some(t => t.name === name);
+
+    try {
+      const response = await this.api(
+        exists ? `/templates/${encodeURIComponent(name)}` : '/templates',
+        {
+          method: exists ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name, body })
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Failed to save template: ${data.error}`);
+        return;
+      }
+
+      await this.loadTemplates();
+      document.getElementById('template-select').value = name;
+      await this.loadClaudeContext();
+
+    } catch (error) {
+      console.error('Failed to save template:', error);
+      this.showError('Failed to save template');
+    }
+  }
+
+  /**
+   * Delete the template being edited
+   */
+  async deleteTemplate() {
+    const name = document.getElementById('template-name').value.trim();
+
+    if (!(this.templates || []).some(t => t.name === name)) {
+      alert('This template has not been saved');
+      return;
+    }
+
+    if (!confirm(`Delete template "${name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await this.api(
+        `/templates/${encodeURIComponent(name)}`,
+        { method: 'DELETE' }
+      );
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(`Failed to delete template: ${data.error}`);
+        return;
+      }
+
+      await this.loadTemplates();
+      this.openTemplateEditor();
+      await this.loadClaudeContext();
+
+    } catch (error) {
+      console.error('Failed to delete template:', error);
+      this.showError('Failed to delete template');
+    }
+  }
+
   /**
    * Copy Claude context to clipboard
    */
@@ -430,7 +1325,7 @@ class ContextApp {
    */
   async loadStats() {
     try {
-      const response = await fetch(`${this.apiUrl}/stats?user_id=${this.userId}`);
+      const response = await this.api('/stats');
       const data = await response.json();
 
       document.getElementById('total-versions').textContent = data.total_versions;
@@ -447,6 +1342,122 @@ class ContextApp {
     }
   }
 
+  /**
+   * Chart a numeric field over time, with its growth and trend
+   */
+  async loadFieldSeries() {
+    const field = document.getElementById('series-field').value.trim();
+    const interval = document.getElementById('series-interval').value;
+    const target = document.getElementById('series-target').value.trim();
+
+    if (!field) {
+      alert('Please enter a field');
+      return;
+    }
+
+    let query = `?interval=${interval}${this.branchQuery()}`;
+    if (target) {
+      query += `&target=${encodeURIComponent(target)}`;
+    }
+
+    try {
+      const response = await this.api(`/analytics/series/${encodeURIComponent(field)}${query}`);
+      const data = await response.json();
+      const container = document.getElementById('series-chart');
+
+      if (!response.ok) {
+        container.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'series-summary';
+        message.textContent = data.error;
+        container.appendChild(message);
+        return;
+      }
+
+      this.renderFieldSeries(data, container);
+
+    } catch (error) {
+      console.error('Failed to load field series:', error);
+      this.showError('Failed to load field series');
+    }
+  }
+
+  /**
+   * Render a field series as an SVG line, with its rolling average dashed
+   */
+  renderFieldSeries(data, container) {
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'series-summary';
+    const parts = [];
+
+    if (data.growth) {
+      const percent = data.growth.percent !== null ? ` (${data.growth.percent}%)` : '';
+      parts.push(`${data.growth.start_value.toLocaleString()} → ${data.growth.end_value.toLocaleString()}${percent}`);
+    }
+    if (data.trend) {
+      parts.push(`trend ${data.trend.slope_per_day.toLocaleString()}/day`);
+
+      if (data.trend.target !== undefined) {
+        parts.push(data.trend.target_reached
+          ? `${data.trend.target.toLocaleString()} reached`
+          : data.trend.target_date
+            ? `${data.trend.target.toLocaleString()} by ${new Date(data.trend.target_date).toLocaleDateString()}`
+            : `${data.trend.target.toLocaleString()} not reached at this trend`);
+      }
+    }
+
+    summary.textContent = `${this.formatFieldName(data.field_name)}${data.path || ''}: ${parts.join(' · ') || 'no numeric values in range'}`;
+    container.appendChild(summary);
+
+    if (data.points.length === 0) return;
+
+    const width = 600;
+    const height = 240;
+    const pad = 40;
+    const times = data.points.map(p => new Date(p.timestamp).getTime());
+    const values = data.points.flatMap(p => [p.value, p.rolling_average]);
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime || 1;
+    const minValue = Math.min(...values);
+    const valueSpan = Math.max(...values) - minValue || 1;
+
+    const x = t => pad + ((t - minTime) / timeSpan) * (width - 2 * pad);
+    const y = v => height - pad - ((v - minValue) / valueSpan) * (height - 2 * pad);
+    const line = key => data.points
+      .map((p, i) => `${x(times[i]).toFixed(1)},${y(p[key]).toFixed(1)}`)
+      .join(' ');
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    [['rolling_average', 'series-average'], ['value', 'series-line']].forEach(([key, className]) => {
+      const polyline = document.createElementNS(ns, 'polyline');
+      polyline.setAttribute('class', className);
+      polyline.setAttribute('points', line(key));
+      svg.appendChild(polyline);
+    });
+
+    [
+      [pad, pad - 8, Math.max(...values).toLocaleString()],
+      [pad, height - pad + 16, minValue.toLocaleString()],
+      [pad, height - 8, new Date(minTime).toLocaleDateString()],
+      [width - pad - 70, height - 8, new Date(minTime + timeSpan).toLocaleDateString()]
+    ].forEach(([left, top, text]) => {
+      const label = document.createElementNS(ns, 'text');
+      label.setAttribute('class', 'series-axis');
+      label.setAttribute('x', left);
+      label.setAttribute('y', top);
+      label.textContent = text;
+      svg.appendChild(label);
+    });
+
+    container.appendChild(svg);
+  }
+
   /**
    * Show commit modal
    */
@@ -509,10 +1520,15 @@ class ContextApp {
           // Keep as string
         }
 
+        const fieldType = this.fieldTypeFor(fieldName, fieldValue);
+        if ((fieldType === 'text' || fieldType === 'date') && typeof fieldValue !== 'string') {
+          fieldValue = inputs[1].value.trim();
+        }
+
         changes.push({
           field_name: fieldName,
           field_value: fieldValue,
-          field_type: typeof fieldValue === 'object' ? 'json' : 'text',
+          field_type: fieldType,
           source: 'manual'
         });
       }
@@ -524,23 +1540,41 @@ class ContextApp {
     }
 
     try {
-      const response = await fetch(`${this.apiUrl}/context/commit`, {
+      const response = await this.api('/context/commit', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          user_id: this.userId,
           commit_message: message,
           changes: changes,
-          author: 'web-ui'
+          author: 'web-ui',
+          branch: this.branch || undefined,
+          expected_parent: this.currentVersion ? this.currentVersion.id : null
         })
       });
 
       const data = await response.json();
 
+      if (response.status === 409) {
+        const head = data.current ? data.current.hash.substring(0, 7) : 'empty';
+        const changed = (data.changes_since_expected || []).map(ch => ch.field_name).join(', ');
+        alert(`Context changed since you loaded it (HEAD is now ${head}${changed ? `, changed: ${changed}` : ''}). Reloading - please review and commit again.`);
+        await this.loadCurrentState();
+        return;
+      }
+
+      if (response.status === 422) {
+        const problems = (data.errors || [])
+          .map(e => `• ${e.field_name}${e.path || ''}: ${e.message}`)
+          .join('\n');
+        alert(`Commit rejected:\n${problems}`);
+        return;
+      }
+
       if (data.success) {
         this.closeModal();
+        await this.loadBranches();
         await this.loadCurrentState();
         alert('Commit created successfully!');
       } else {
@@ -0,0 +1,461 @@
+import app from '../routes';
+import { VersionConflictError } from '../../core/errors';
+import { VersionControlEngine } from '../../core/version-control';
+import { createStorage } from '../../storage';
+import { CommitRequest, Env } from '../../types';
+
+const env = {
+  STORAGE_BACKEND: 'memory',
+  ADMIN_TOKEN: 'test-admin',
+  AUTH_SECRET: 'test-secret',
+  ENVIRONMENT: 'test'
+} as Env;
+
+async function request(
+  path: string,
+  init: { method?: string; token?: string; body?: any; rawBody?: string; headers?: Record<string, string> } = {}
+) {
+  const response = await app.request(path, {
+    method: init.method || 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(init.token ? { Authorization: `Bearer ${init.token}` } : {}),
+      ...init.headers
+    },
+    body: init.rawBody ?? (init.body === undefined ? undefined : JSON.stringify(init.body))
+  }, env);
+  const text = await response.text();
+  const json = response.headers.get('Content-Type')?.includes('application/json');
+  return { status: response.status, headers: response.headers, body: (json ? JSON.parse(text) : text) as any };
+}
+
+// A fresh user and an API key for them; routes share one MemoryStorage
+async function createUser(scopes = ['context:read', 'context:write', 'integrations:admin']) {
+  const userId = crypto.randomUUID();
+  const { body } = await request('/api/auth/keys', {
+    method: 'POST',
+    token: env.ADMIN_TOKEN,
+    body: { user_id: userId, name: 'test', scopes }
+  });
+  return { userId, token: body.key as string };
+}
+
+describe('API routes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authentication', () => {
+    const commit: Omit<CommitRequest, 'user_id'> = {
+      commit_message: 'Set focus',
+      changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }]
+    };
+
+    async function session(token: string, ttl_seconds = 60) {
+      const { body } = await request('/api/auth/session', { method: 'POST', token, body: { ttl_seconds } });
+      return body.token as string;
+    }
+
+    it('accepts a session token until it expires', async () => {
+      const { token } = await createUser();
+      await request('/api/context/commit', { method: 'POST', token, body: commit });
+      const sessionToken = await session(token);
+
+      expect((await request('/api/context/current', { token: sessionToken })).status).toBe(200);
+
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      jest.setSystemTime(Date.now() + 61 * 1000);
+      const expired = await request('/api/context/current', { token: sessionToken });
+      jest.useRealTimers();
+
+      expect(expired.status).toBe(401);
+      expect(expired.body.error).toBe('Session expired');
+    });
+
+    it('rejects a tampered session token with 401', async () => {
+      const { token } = await createUser(['context:read']);
+      const [payload, signature] = (await session(token)).split('.');
+
+      const { status } = await request('/api/context/current', { token: `${payload}.${signature.slice(1)}x` });
+
+      expect(status).toBe(401);
+    });
+
+    it('limits a prompt-only key to the prompt', async () => {
+      const { userId, token } = await createUser(['context:prompt']);
+      await new VersionControlEngine(env, userId).commit({ user_id: userId, ...commit });
+
+      const current = await request('/api/context/current', { token });
+      expect(current.status).toBe(403);
+      expect(current.body.error).toBe('This credential does not have the context:read scope');
+
+      const prompt = await request('/api/context/claude-prompt', { token });
+      expect(prompt.status).toBe(200);
+      expect(prompt.body).toContain('Agencies');
+    });
+
+    it('lets a workspace viewer read but not commit', async () => {
+      const owner = await createUser();
+      const viewer = await createUser();
+      const { body } = await request('/api/workspaces', { method: 'POST', token: owner.token, body: { name: 'Team' } });
+      const workspace = { 'X-Workspace-Id': body.workspace.id };
+      const added = await request(`/api/workspaces/${body.workspace.id}/members/${viewer.userId}`, {
+        method: 'PUT',
+        token: owner.token,
+        body: { role: 'viewer' }
+      });
+      expect(added.status).toBe(200);
+      const ownerCommit = await request('/api/context/commit', { method: 'POST', token: owner.token, headers: workspace, body: commit });
+      expect(ownerCommit.status).toBe(201);
+
+      const viewerCommit = await request('/api/context/commit', {
+        method: 'POST',
+        token: viewer.token,
+        headers: workspace,
+        body: commit
+      });
+      expect(viewerCommit.status).toBe(403);
+      expect(viewerCommit.body.error).toContain('editor');
+
+      expect((await request('/api/context/current', { token: viewer.token, headers: workspace })).status).toBe(200);
+    });
+  });
+
+  describe('GET /api/context/claude-prompt', () => {
+    const commit = (field_value: string) => ({
+      commit_message: 'Set focus',
+      changes: [{ field_name: 'current_focus', field_value, field_type: 'text', source: 'manual' }]
+    });
+
+    it('serves a repeat request from the cache until the next commit', async () => {
+      const { token } = await createUser();
+      await request('/api/context/commit', { method: 'POST', token, body: commit('Agencies') });
+
+      const first = await request('/api/context/claude-prompt', { token });
+      expect(first.status).toBe(200);
+      expect(first.headers.get('X-Context-Cache')).toBe('miss');
+
+      const second = await request('/api/context/claude-prompt', { token });
+      expect(second.headers.get('X-Context-Cache')).toBe('database');
+      expect(second.body).toBe(first.body);
+
+      await request('/api/context/commit', { method: 'POST', token, body: commit('Enterprise') });
+      const third = await request('/api/context/claude-prompt', { token });
+      expect(third.headers.get('X-Context-Cache')).toBe('miss');
+      expect(third.body).toContain('Enterprise');
+    });
+
+    it('answers a matching If-None-Match with 304 and no body', async () => {
+      const { token } = await createUser();
+      await request('/api/context/commit', { method: 'POST', token, body: commit('Agencies') });
+      const { headers } = await request('/api/context/claude-prompt', { token });
+      const etag = headers.get('ETag')!;
+
+      const cached = await request('/api/context/claude-prompt', { token, headers: { 'If-None-Match': etag } });
+      expect(cached.status).toBe(304);
+      expect(cached.body).toBe('');
+      expect(cached.headers.get('ETag')).toBe(etag);
+
+      await request('/api/context/commit', { method: 'POST', token, body: commit('Enterprise') });
+      const changed = await request('/api/context/claude-prompt', { token, headers: { 'If-None-Match': etag } });
+      expect(changed.status).toBe(200);
+      expect(changed.headers.get('ETag')).not.toBe(etag);
+    });
+  });
+
+  describe('malformed JSON bodies', () => {
+    const id = '00000000-0000-4000-8000-000000000001';
+
+    it.each([
+      ['POST', '/api/auth/session'],
+      ['POST', '/api/auth/keys'],
+      ['POST', '/api/workspaces'],
+      ['PATCH', `/api/workspaces/${id}`],
+      ['PUT', `/api/workspaces/${id}/members/${id}`],
+      ['POST', '/api/context/commit'],
+      ['POST', '/api/context/rollback'],
+      ['POST', '/api/context/merge'],
+      ['POST', '/api/context/revert'],
+      ['POST', '/api/context/cherry-pick'],
+      ['POST', '/api/branches'],
+      ['POST', '/api/context/update-from-chat'],
+      ['POST', `/api/proposals/${id}/approve`],
+      ['PATCH', `/api/proposals/${id}`],
+      ['POST', `/api/proposals/${id}/reject`],
+      ['POST', '/api/templates/preview'],
+      ['POST', '/api/templates'],
+      ['PATCH', '/api/templates/weekly'],
+      ['POST', '/api/subscriptions'],
+      ['PATCH', `/api/subscriptions/${id}`],
+      ['POST', '/api/integrations/twitter/sync'],
+      ['PUT', '/api/integrations/sources/crm']
+    ])('are rejected by %s %s with 400', async (method, path) => {
+      const { token } = await createUser();
+
+      const { status, body } = await request(path, { method, token, rawBody: '{"name": "Team",' });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('Body must be a JSON object');
+    });
+
+    it.each([
+      ['POST', '/api/fields'],
+      ['PATCH', '/api/fields/current_focus']
+    ])('are rejected by the operator routes %s %s with 400', async (method, path) => {
+      const { status } = await request(path, { method, token: env.ADMIN_TOKEN, rawBody: 'not json' });
+
+      expect(status).toBe(400);
+    });
+
+    it('are told apart from an empty body where every field is optional', async () => {
+      const { token } = await createUser();
+
+      expect((await request('/api/auth/session', { method: 'POST', token })).status).toBe(201);
+      expect((await request('/api/auth/session', { method: 'POST', token, rawBody: '[]' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/context/commit', () => {
+    it('commits a valid body', async () => {
+      const { token } = await createUser();
+
+      const { status, body } = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: {
+          commit_message: 'Set focus',
+          changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }]
+        }
+      });
+
+      expect(status).toBe(201);
+      expect(body.version.message).toBe('Set focus');
+    });
+
+    it.each([
+      [{ commit_message: 'x', changes: {} }, 'changes must be an array of objects with a field_name'],
+      [{ commit_message: 'x', changes: [{ field_value: 1 }] }, 'changes must be an array of objects with a field_name'],
+      [{ commit_message: 'x', deletes: 'icp' }, 'deletes must be an array of field names'],
+      [{ commit_message: 'x', renames: { from: 'a', to: 'b' } }, 'renames must be an array of { from, to } field names'],
+      [{ commit_message: 'x' }, 'One of changes, deletes or renames is required'],
+      [{ changes: [] }, 'commit_message is required'],
+      [['not', 'an', 'object'], 'Body must be a JSON object']
+    ])('rejects %j with 400', async (commitBody, message) => {
+      const { token } = await createUser();
+
+      const { status, body } = await request('/api/context/commit', { method: 'POST', token, body: commitBody });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe(message);
+    });
+  });
+
+  describe('POST /api/context/rollback', () => {
+    it('rolls back to a version', async () => {
+      const { token } = await createUser();
+      const first = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { commit_message: 'Set focus', changes: [{ field_name: 'current_focus', field_value: 'SMB', field_type: 'text', source: 'manual' }] }
+      });
+      await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { commit_message: 'Refocus', changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }] }
+      });
+
+      const { status, body } = await request('/api/context/rollback', { method: 'POST', token, body: { version_id: first.body.version.id } });
+
+      expect(status).toBe(200);
+      expect(body.version.message).toMatch(/^Rollback to [0-9a-f]{7}: Set focus$/);
+    });
+
+    it('answers an unknown version with 404', async () => {
+      const { token } = await createUser();
+
+      const { status, body } = await request('/api/context/rollback', { method: 'POST', token, body: { version_id: crypto.randomUUID() } });
+
+      expect(status).toBe(404);
+      expect(body.error).toMatch(/^Version .+ not found$/);
+    });
+
+    it('answers a body that is not JSON with 400', async () => {
+      const { token } = await createUser();
+
+      const { status, body } = await request('/api/context/rollback', { method: 'POST', token, rawBody: '{"version_id":' });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('Body must be a JSON object');
+    });
+
+    it('answers a commit that lost a race for HEAD with 409', async () => {
+      const { token } = await createUser();
+      const { body: committed } = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { commit_message: 'Set focus', changes: [{ field_name: 'current_focus', field_value: 'SMB', field_type: 'text', source: 'manual' }] }
+      });
+      const { body: head } = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { commit_message: 'Refocus', changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }] }
+      });
+      // Another writer wins every retry
+      jest.spyOn(createStorage(env), 'commitVersion')
+        .mockRejectedValue(new VersionConflictError('HEAD moved while the commit was being prepared'));
+
+      const { status, body } = await request('/api/context/rollback', { method: 'POST', token, body: { version_id: committed.version.id } });
+
+      expect(status).toBe(409);
+      expect(body).toMatchObject({ error: 'Version conflict', current: { id: head.version.id } });
+    });
+  });
+
+  describe('GET /api/context/diff/:from/:to', () => {
+    it('answers an unknown version with 404', async () => {
+      const { token } = await createUser();
+      const { body: committed } = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { commit_message: 'Set focus', changes: [{ field_name: 'current_focus', field_value: 'SMB', field_type: 'text', source: 'manual' }] }
+      });
+
+      const unknownTo = await request(`/api/context/diff/${committed.version.id}/abcdef1`, { token });
+      expect(unknownTo.status).toBe(404);
+      expect(unknownTo.body.error).toBe('Version abcdef1 not found');
+
+      const unknownFrom = await request(`/api/context/diff/abcdef1/${committed.version.id}`, { token });
+      expect(unknownFrom.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/templates/preview', () => {
+    it('rejects a body longer than a saved template may be', async () => {
+      const { token } = await createUser();
+
+      const { status, body } = await request('/api/templates/preview', {
+        method: 'POST',
+        token,
+        body: { body: '{{values.current_focus}}\n'.repeat(2500) }
+      });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('body must be at most 50000 characters');
+    });
+  });
+
+  describe('field definitions', () => {
+    it('cannot be changed by a workspace, only by the operator', async () => {
+      const tenantA = await createUser();
+      const tenantB = await createUser();
+
+      for (const [method, path, body] of [
+        ['POST', '/api/fields', { field_name: 'arr', display_name: 'ARR', field_type: 'number', is_required: true }],
+        ['PATCH', '/api/fields/icp', { is_required: true }],
+        ['DELETE', '/api/fields/icp', undefined]
+      ] as const) {
+        const { status } = await request(path, { method, token: tenantB.token, body });
+        expect(status).toBe(403);
+      }
+
+      const commit = await request('/api/context/commit', {
+        method: 'POST',
+        token: tenantA.token,
+        body: {
+          commit_message: 'Unaffected',
+          changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }]
+        }
+      });
+      expect(commit.status).toBe(201);
+
+      const created = await request('/api/fields', {
+        method: 'POST',
+        token: env.ADMIN_TOKEN,
+        body: { field_name: 'operator_field', display_name: 'Operator field', field_type: 'text' }
+      });
+      expect(created.status).toBe(201);
+
+      const listed = await request('/api/fields/operator_field', { token: tenantA.token });
+      expect(listed.body.field.display_name).toBe('Operator field');
+
+      expect((await request('/api/fields/operator_field', { method: 'DELETE', token: env.ADMIN_TOKEN })).status).toBe(200);
+    });
+  });
+
+  describe('proposal review', () => {
+    it('records the authenticated member as the reviewer', async () => {
+      const { userId, token } = await createUser();
+      const proposals = await createStorage(env).createProposals(['current_focus', 'team_size'].map(field_name => ({
+        user_id: userId,
+        conversation_id: crypto.randomUUID(),
+        field_name,
+        field_value: field_name === 'team_size' ? 4 : 'Agencies',
+        field_type: field_name === 'team_size' ? 'number' : 'text',
+        confidence: 0.6
+      })));
+
+      const approved = await request(`/api/proposals/${proposals[0].id}/approve`, {
+        method: 'POST',
+        token,
+        body: { reviewer: 'someone-else' }
+      });
+      expect(approved.status).toBe(201);
+      expect(approved.body.proposal.reviewed_by).toBe(userId);
+      const version = await createStorage(env).getVersionById(approved.body.version.id);
+      expect(version?.author_id).toBe(userId);
+
+      const rejected = await request(`/api/proposals/${proposals[1].id}/reject`, {
+        method: 'POST',
+        token,
+        body: { reason: 'Out of date' }
+      });
+      expect(rejected.status).toBe(200);
+      expect(rejected.body.proposal).toMatchObject({ status: 'rejected', reviewed_by: userId });
+    });
+  });
+
+  describe('user_id in request bodies', () => {
+    it('must be the caller\'s on routes that used to take it from the body', async () => {
+      const { userId, token } = await createUser();
+      const commit = {
+        commit_message: 'Set focus',
+        changes: [{ field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' }]
+      };
+
+      const foreign = await request('/api/context/commit', {
+        method: 'POST',
+        token,
+        body: { ...commit, user_id: crypto.randomUUID() }
+      });
+      expect(foreign.status).toBe(403);
+      expect(foreign.body.error).toBe('user_id does not match the authenticated user');
+
+      const own = await request('/api/context/commit', { method: 'POST', token, body: { ...commit, user_id: userId } });
+      expect(own.status).toBe(201);
+    });
+
+    it('is left alone in webhook payloads', async () => {
+      const { userId, token } = await createUser();
+      await createStorage(env).createApiSource({
+        user_id: userId,
+        source_name: 'crm',
+        field_mappings: { '$.deals': { field: 'current_deals', type: 'array' } },
+        update_frequency: 3600,
+        is_active: true
+      });
+
+      const { status, body } = await request('/api/integrations/webhook/crm', {
+        method: 'POST',
+        token,
+        body: { user_id: 'crm-user-42', deals: [{ name: 'Acme', value: 5000 }] }
+      });
+
+      expect(status).toBe(201);
+      expect(body.fields_updated).toEqual(['current_deals']);
+    });
+  });
+});
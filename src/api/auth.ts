@@ -0,0 +1,158 @@
+/**
+ * Authentication Middleware
+ * Resolves the request's bearer credential to a user and scopes, and the
+ * workspace it selects to the user's role there; routes act for that user
+ * and never trust a user_id sent by the client
+ */
+
+import { MiddlewareHandler } from 'hono';
+import { AuthContext, AuthScope, Env, WorkspaceMembership } from '../types';
+import { Authenticator, hasScope } from '../core/auth';
+import { WorkspaceManager, roleAllows, roleForScope } from '../core/workspaces';
+import { AuthError, WorkspaceError } from '../core/errors';
+
+export type AuthVariables = { auth: AuthContext; workspace?: WorkspaceMembership };
+
+// Header selecting the workspace a request acts on
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Require `Authorization: Bearer <API key or session token>`. A user_id in
+ * the query, or in the JSON body of the `userIdInBody` paths, is still
+ * accepted from older clients, but must be the authenticated user's. Other
+ * bodies are left alone: a webhook payload's user_id is the sender's data.
+ */
+export function authenticate(
+  options: { userIdInBody?: string[] } = {}
+): MiddlewareHandler<{ Variables: AuthVariables }> {
+  const bodyPaths = new Set(options.userIdInBody || []);
+
+  return async (c, next) => {
+    const header = c.req.header('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      return c.json({ error: 'Authentication required' }, 401, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    let auth: AuthContext;
+    try {
+      auth = await new Authenticator(c.env as Env).authenticate(match[1]);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return c.json({ error: error.message }, 401, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+      }
+      throw error;
+    }
+
+    // The operator token acts for whichever user a request names
+    if (auth.method !== 'admin') {
+      const claimed = await claimedUserIds(c, bodyPaths.has(c.req.path));
+      if (claimed.some(userId => userId !== auth.user_id)) {
+        return c.json({ error: 'user_id does not match the authenticated user' }, 403);
+      }
+    }
+
+    c.set('auth', auth);
+    return next();
+  };
+}
+
+/**
+ * Resolve the workspace named by the X-Workspace-Id header (or a
+ * workspace_id query parameter) to the user's membership. Requests that
+ * name none act on the user's personal workspace. Paths starting with one
+ * of `except` work across workspaces and skip this.
+ */
+export function selectWorkspace(
+  options: { except?: string[] } = {}
+): MiddlewareHandler<{ Variables: AuthVariables }> {
+  return async (c, next) => {
+    const auth = c.get('auth');
+    const skipped = (options.except || []).some(prefix => c.req.path.startsWith(prefix));
+
+    // The operator token belongs to no workspace; scope checks turn it away
+    if (!skipped && auth.method !== 'admin') {
+      const requested = c.req.header(WORKSPACE_HEADER) || c.req.query('workspace_id');
+      try {
+        c.set('workspace', await new WorkspaceManager(c.env as Env, auth.user_id).resolve(requested));
+      } catch (error) {
+        if (error instanceof WorkspaceError) {
+          return c.json({ error: error.message }, 404);
+        }
+        throw error;
+      }
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Reject credentials without `scope`, and members of the selected workspace
+ * whose role does not allow what the scope does: viewers can read and
+ * render context, editors can change it, and integrations need an admin
+ */
+export function requireScope(scope: AuthScope): MiddlewareHandler<{ Variables: AuthVariables }> {
+  return async (c, next) => {
+    if (!hasScope(c.get('auth').scopes, scope)) {
+      return c.json({ error: `This credential does not have the ${scope} scope` }, 403);
+    }
+
+    const workspace = c.get('workspace');
+    const role = roleForScope(scope);
+    if (workspace && !roleAllows(workspace.role, role)) {
+      return c.json({
+        error: `This needs the ${role} role in workspace ${workspace.name}; your role is ${workspace.role}`
+      }, 403);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Only the operator's ADMIN_TOKEN, for settings every workspace shares.
+ * A workspace admin owns just their own workspace, so they cannot change
+ * what applies to everyone else's.
+ */
+export function requireOperator(): MiddlewareHandler<{ Variables: AuthVariables }> {
+  return async (c, next) => {
+    if (c.get('auth').method !== 'admin') {
+      return c.json({ error: 'This is shared by every workspace; only the operator ADMIN_TOKEN can change it' }, 403);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * The authenticated user the request acts for
+ */
+export function currentUser(c: any): string {
+  return (c.get('auth') as AuthContext).user_id;
+}
+
+/**
+ * The workspace whose context the request reads or changes
+ */
+export function currentWorkspace(c: any): string {
+  return (c.get('workspace') as WorkspaceMembership).id;
+}
+
+// user_id values the client sent. The body is read from a clone so routes
+// can still read the request's own body however they need.
+async function claimedUserIds(c: any, readBody: boolean): Promise<string[]> {
+  const claimed: string[] = c.req.queries('user_id') || [];
+
+  if (readBody && (c.req.header('Content-Type') || '').includes('application/json')) {
+    try {
+      const body = JSON.parse(await c.req.raw.clone().text());
+      if (body && body.user_id !== undefined) claimed.push(String(body.user_id));
+    } catch {
+      // Malformed bodies are the route's to reject
+    }
+  }
+
+  return claimed;
+}
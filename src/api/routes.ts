@@ -6,15 +6,129 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { VersionControlEngine } from '../core/version-control';
-import { TwitterIntegration, WebhookIntegration } from '../integrations/twitter';
-import { ClaudeContextGenerator } from '../integrations/claude';
-import { Env, CommitRequest, RollbackRequest } from '../types';
+import {
+  CommitError,
+  VersionConflictError,
+  BranchError,
+  ValidationError,
+  FieldDefinitionError,
+  ProposalError,
+  ConversationError,
+  ExtractionError,
+  TemplateError,
+  AuthError,
+  WorkspaceError,
+  IntegrationError,
+  SubscriptionError,
+  AnalyticsError
+} from '../core/errors';
+import { FieldDefinitionRegistry } from '../core/field-definitions';
+import { Authenticator, ApiKeyManager, hasScope } from '../core/auth';
+import { WorkspaceManager } from '../core/workspaces';
+import { SubscriptionManager, deliverDueEvents } from '../core/events';
+import { FieldAnalytics } from '../core/analytics';
+import { AuthVariables, authenticate, selectWorkspace, requireScope, requireOperator, currentUser, currentWorkspace } from './auth';
+import { ContextTemplateLibrary, DEFAULT_MARKDOWN_TEMPLATE, MAX_TEMPLATE_LENGTH } from '../core/context-templates';
+import { ReviewQueue } from '../core/proposals';
+import { toJsonPatch } from '../core/diff';
+import { TwitterIntegration, parseThresholds } from '../integrations/twitter';
+import { WebhookIntegration } from '../integrations/webhooks';
+import { ConnectorSync } from '../integrations/connector-sync';
+import { listConnectors } from '../connectors';
+import { ClaudeContextGenerator, CONTEXT_FORMATS } from '../integrations/claude';
+import { ConversationProcessor } from '../integrations/conversations';
+import {
+  Env,
+  CommitRequest,
+  RollbackRequest,
+  MergeRequest,
+  MergeResult,
+  RevertRequest,
+  CherryPickRequest,
+  ContextProposal,
+  ClaudeContext,
+  ApiKey,
+  EventSubscription,
+  SeriesInterval,
+  APISource
+} from '../types';
 
 type Bindings = Env & { [key: string]: any };
-const app = new Hono<{ Bindings: Bindings }>();
+const app = new Hono<{ Bindings: Bindings; Variables: AuthVariables }>();
 
 // Enable CORS
-app.use('/*', cors());
+app.use('/*', cors({
+  origin: '*',
+  exposeHeaders: [
+    'ETag', 'Last-Modified', 'X-Context-Cache', 'X-Context-Version',
+    'X-Context-Tokens', 'X-Context-Token-Budget', 'X-Context-Trimmed-Fields', 'X-Context-Omitted-Fields'
+  ]
+}));
+
+// Every API route acts for the authenticated user. These routes took the
+// user_id from their body before authentication existed.
+app.use('/api/*', authenticate({
+  userIdInBody: [
+    '/api/auth/keys',
+    '/api/context/commit',
+    '/api/context/rollback',
+    '/api/context/merge',
+    '/api/context/revert',
+    '/api/context/cherry-pick',
+    '/api/context/update-from-chat',
+    '/api/integrations/twitter/sync'
+  ]
+}));
+
+// ...on the workspace the request selects, except those that manage
+// credentials and workspaces themselves
+app.use('/api/*', selectWorkspace({ except: ['/api/auth/', '/api/workspaces'] }));
+
+// Send the event deliveries a write queued once its response is ready.
+// Deliveries that fail, or that can't be sent here, are retried by the
+// scheduled handler.
+app.use('/api/*', async (c, next) => {
+  await next();
+
+  const workspace = c.get('workspace');
+  if (!workspace || !['POST', 'PUT', 'PATCH', 'DELETE'].includes(c.req.method)) return;
+
+  const delivery = deliverDueEvents(getEnv(c), { userId: workspace.id })
+    .then(() => undefined, error => console.error('Failed to deliver events:', error));
+  try {
+    c.executionCtx.waitUntil(delivery);
+  } catch {
+    await delivery; // No execution context, e.g. in tests
+  }
+});
+
+// Content-Type for each Claude context format
+const CONTENT_TYPES: Record<ClaudeContext['format'], string> = {
+  markdown: 'text/plain',
+  json: 'application/json',
+  yaml: 'text/plain',
+  xml: 'application/xml',
+  plaintext: 'text/plain'
+};
+
+// Whether the client's copy is current: If-None-Match is compared weakly,
+// as RFC 9110 requires for GET, and If-Modified-Since only applies without it
+function notModified(c: any, etag: string, lastModified: Date): boolean {
+  const ifNoneMatch = c.req.header('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some((tag: string) => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = c.req.header('If-Modified-Since');
+  if (ifModifiedSince) {
+    const since = new Date(ifModifiedSince).getTime();
+    // HTTP dates have whole seconds
+    return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
 
 // Helper to safely get env
 function getEnv(c: any): Env {
@@ -24,6 +138,249 @@ function getEnv(c: any): Env {
   return c.env as Env;
 }
 
+// The request body as a JSON object, or null when it is malformed or not an
+// object. `optional` routes, whose fields all have defaults, accept no body.
+async function jsonBody(c: any, options: { optional?: boolean } = {}): Promise<any> {
+  const text: string = await c.req.text();
+  if (options.optional && text.trim() === '') {
+    return {};
+  }
+
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+// Error body for failed commits, naming the phase that failed when known
+function commitFailure(message: string, error: unknown) {
+  return {
+    error: message,
+    phase: error instanceof CommitError ? error.phase : undefined,
+    details: error instanceof Error ? error.message : 'Unknown error'
+  };
+}
+
+// 409 body for commits whose expected parent is no longer HEAD
+function conflictBody(error: VersionConflictError) {
+  const head = error.currentVersion;
+  return {
+    error: 'Version conflict',
+    details: error.message,
+    expected_parent: error.expectedParent,
+    current: head ? {
+      id: head.id,
+      hash: head.version_hash,
+      message: head.commit_message,
+      created_at: head.created_at,
+      author: head.author,
+      author_id: head.author_id ?? null
+    } : null,
+    changes_since_expected: error.changes ?? null
+  };
+}
+
+// 422 body for commits rejected before anything was written
+function validationBody(error: ValidationError) {
+  return {
+    error: 'Validation failed',
+    details: error.message,
+    errors: error.errors
+  };
+}
+
+// Problem with the shape of a commit body, or null if it can be committed
+function commitBodyError(body: any): string | null {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Body must be a JSON object';
+  }
+  if (typeof body.commit_message !== 'string' || !body.commit_message) {
+    return 'commit_message is required';
+  }
+  if (body.changes === undefined && body.deletes === undefined && body.renames === undefined) {
+    return 'One of changes, deletes or renames is required';
+  }
+  if (body.changes !== undefined && (!Array.isArray(body.changes) ||
+      !body.changes.every((change: any) => change && typeof change === 'object' && typeof change.field_name === 'string'))) {
+    return 'changes must be an array of objects with a field_name';
+  }
+  if (body.deletes !== undefined && (!Array.isArray(body.deletes) ||
+      !body.deletes.every((name: any) => typeof name === 'string'))) {
+    return 'deletes must be an array of field names';
+  }
+  if (body.renames !== undefined && (!Array.isArray(body.renames) ||
+      !body.renames.every((rename: any) => rename && typeof rename.from === 'string' && typeof rename.to === 'string'))) {
+    return 'renames must be an array of { from, to } field names';
+  }
+  return null;
+}
+
+// Response for a merge, revert or cherry-pick: 201 with the new version,
+// 409 with the conflicts still to resolve, 200 when nothing was committed
+function mergeResponse(c: any, result: MergeResult, conflictMessage: string) {
+  const body = {
+    status: result.status,
+    branch: result.branch,
+    base: result.base_version_id,
+    ours: result.ours_version_id,
+    theirs: result.theirs_version_id,
+    auto_merged: result.auto_merged,
+    resolved: result.resolved,
+    conflicts: result.conflicts
+  };
+
+  switch (result.status) {
+    case 'conflicts':
+      return c.json({ ...body, error: conflictMessage }, 409);
+    case 'merged':
+      return c.json({
+        ...body,
+        success: true,
+        version: {
+          id: result.version!.id,
+          hash: result.version!.version_hash,
+          message: result.version!.commit_message,
+          parents: [result.version!.parent_version_id ?? null, result.version!.merge_parent_version_id ?? null]
+            .filter(id => id !== null),
+          created_at: result.version!.created_at
+        }
+      }, 201);
+    default:
+      return c.json({ ...body, success: true });
+  }
+}
+
+// HTTP status for a rejected review queue operation
+function proposalErrorStatus(error: ProposalError): 400 | 404 | 409 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'not_pending':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a rejected field definition operation
+function fieldDefinitionErrorStatus(error: FieldDefinitionError): 400 | 404 | 409 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'exists':
+    case 'protected':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a template that can't be found, saved or parsed
+function templateErrorStatus(error: TemplateError): 400 | 404 | 409 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'exists':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a rejected authentication or API key operation
+function authErrorStatus(error: AuthError): 400 | 401 | 403 | 404 | 503 {
+  switch (error.reason) {
+    case 'unauthenticated':
+      return 401;
+    case 'forbidden':
+      return 403;
+    case 'not_found':
+      return 404;
+    case 'unconfigured':
+      return 503;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a webhook delivery rejected before anything was committed
+function integrationErrorStatus(error: IntegrationError): 400 | 401 | 404 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'unauthorized':
+      return 401;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a rejected event subscription operation
+function subscriptionErrorStatus(error: SubscriptionError): 400 | 404 {
+  return error.reason === 'not_found' ? 404 : 400;
+}
+
+// HTTP status for a field series that can't be built
+function analyticsErrorStatus(error: AnalyticsError): 400 | 404 | 422 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'not_numeric':
+      return 422;
+    default:
+      return 400;
+  }
+}
+
+// HTTP status for a rejected workspace operation
+function workspaceErrorStatus(error: WorkspaceError): 400 | 403 | 404 | 409 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'forbidden':
+      return 403;
+    case 'protected':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// An API key as shown to its owner: never the hash
+function publicApiKey(key: ApiKey) {
+  const { key_hash: _hash, ...rest } = key;
+  return rest;
+}
+
+// A subscription as shown to workspace admins: never the signing secret
+function publicSubscription(subscription: EventSubscription) {
+  const { secret: _secret, ...rest } = subscription;
+  return rest;
+}
+
+// A source as shown to workspace admins: credential names, never their values
+function publicSource(source: APISource) {
+  const { credentials, ...rest } = source;
+  return { ...rest, credentials: Object.keys(credentials || {}) };
+}
+
+// HTTP status for a rejected branch operation
+function branchErrorStatus(error: BranchError): 400 | 404 | 409 {
+  switch (error.reason) {
+    case 'not_found':
+      return 404;
+    case 'exists':
+    case 'protected':
+      return 409;
+    default:
+      return 400;
+  }
+}
+
 // Health check
 app.get('/health', (c) => {
   return c.json({
@@ -34,76 +391,396 @@ app.get('/health', (c) => {
 });
 
 // ============================================================================
-// CORE CONTEXT MANAGEMENT
+// AUTHENTICATION
 // ============================================================================
 
 /**
- * Create a new context version (commit)
- * POST /api/context/commit
+ * The authenticated user and the credential's scopes
+ * GET /api/auth/me
  */
-app.post('/api/context/commit', async (c) => {
+app.get('/api/auth/me', (c) => {
+  const auth = c.get('auth');
+  return c.json({ user_id: auth.user_id, scopes: auth.scopes, method: auth.method });
+});
+
+/**
+ * Exchange an API key (sent as the bearer token) for a session token
+ * POST /api/auth/session
+ * Body: { scopes?, ttl_seconds? }
+ */
+app.post('/api/auth/session', async (c) => {
   try {
-    const request: CommitRequest = await c.req.json();
+    const body = await jsonBody(c, { optional: true });
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { scopes, ttl_seconds } = body;
+
     const env = getEnv(c);
+    const session = await new Authenticator(env).issueSession(c.get('auth'), { scopes, ttlSeconds: ttl_seconds });
 
-    // Validate request
-    if (!request.user_id || !request.commit_message || !request.changes) {
-      return c.json({ error: 'Missing required fields' }, 400);
+    return c.json({ ...session, user_id: currentUser(c) }, 201);
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return c.json({ error: error.message }, authErrorStatus(error));
     }
 
-    const versionControl = new VersionControlEngine(env, request.user_id);
-    const version = await versionControl.commit(request);
+    console.error('Failed to issue session:', error);
+    return c.json({
+      error: 'Failed to issue session',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * List the user's API keys
+ * GET /api/auth/keys
+ */
+app.get('/api/auth/keys', requireScope('integrations:admin'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const keys = await new ApiKeyManager(env, currentUser(c)).list();
 
+    return c.json({ keys: keys.map(publicApiKey) });
+
+  } catch (error) {
+    console.error('Failed to list API keys:', error);
     return c.json({
-      success: true,
-      version: {
-        id: version.id,
-        hash: version.version_hash,
-        message: version.commit_message,
-        created_at: version.created_at
-      }
-    }, 201);
+      error: 'Failed to list API keys',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Create an API key. The key is only ever returned here.
+ * POST /api/auth/keys
+ * Body: { name, scopes?, expires_at? }
+ *
+ * With the operator's ADMIN_TOKEN, creates a key for any user: { user_id, name, scopes? }
+ */
+app.post('/api/auth/keys', async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { user_id, name, scopes, expires_at } = body;
+    const auth = c.get('auth');
+
+    if (auth.method !== 'admin' && !hasScope(auth.scopes, 'integrations:admin')) {
+      return c.json({ error: 'This credential does not have the integrations:admin scope' }, 403);
+    }
+    const userId = auth.method === 'admin' ? user_id : currentUser(c);
+    if (!userId || !UUID_PATTERN.test(userId)) {
+      return c.json({ error: 'user_id must be a UUID' }, 400);
+    }
+
+    const env = getEnv(c);
+    const { apiKey, secret } = await new ApiKeyManager(env, userId).create({ name, scopes, expires_at }, auth);
+
+    return c.json({ success: true, key: secret, api_key: publicApiKey(apiKey) }, 201);
 
   } catch (error) {
-    console.error('Commit failed:', error);
+    if (error instanceof AuthError) {
+      return c.json({ error: error.message }, authErrorStatus(error));
+    }
+
+    console.error('Failed to create API key:', error);
     return c.json({
-      error: 'Failed to create commit',
+      error: 'Failed to create API key',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Get current business state
- * GET /api/context/current?user_id=<uuid>
+ * Revoke an API key
+ * DELETE /api/auth/keys/:id
  */
-app.get('/api/context/current', async (c) => {
+app.delete('/api/auth/keys/:id', requireScope('integrations:admin'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
+    const keyId = c.req.param('id');
+    if (!UUID_PATTERN.test(keyId)) {
+      return c.json({ error: `API key ${keyId} not found` }, 404);
     }
 
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
-    const currentVersion = await versionControl.getCurrentVersion();
+    const apiKey = await new ApiKeyManager(env, currentUser(c)).revoke(keyId);
 
-    if (!currentVersion) {
-      return c.json({
-        message: 'No context versions found. Create your first commit to get started.'
-      }, 404);
+    return c.json({ success: true, api_key: publicApiKey(apiKey) });
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return c.json({ error: error.message }, authErrorStatus(error));
     }
 
-    const state = await versionControl.getVersionState(currentVersion.id);
+    console.error('Failed to revoke API key:', error);
+    return c.json({
+      error: 'Failed to revoke API key',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// WORKSPACES
+// ============================================================================
+
+/**
+ * The user's workspaces: their personal one, then team workspaces they belong to
+ * GET /api/workspaces
+ */
+app.get('/api/workspaces', requireScope('context:prompt'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const workspaces = await new WorkspaceManager(env, currentUser(c)).list();
+
+    return c.json({ workspaces });
+
+  } catch (error) {
+    console.error('Failed to list workspaces:', error);
+    return c.json({
+      error: 'Failed to list workspaces',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Create a team workspace, with the user as its admin
+ * POST /api/workspaces
+ * Body: { name }
+ */
+app.post('/api/workspaces', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { name } = body;
+
+    const env = getEnv(c);
+    const workspace = await new WorkspaceManager(env, currentUser(c)).create({ name });
+
+    return c.json({ success: true, workspace }, 201);
+
+  } catch (error) {
+    if (error instanceof WorkspaceError) {
+      return c.json({ error: error.message }, workspaceErrorStatus(error));
+    }
+
+    console.error('Failed to create workspace:', error);
+    return c.json({
+      error: 'Failed to create workspace',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Rename a team workspace (admins only)
+ * PATCH /api/workspaces/:id
+ * Body: { name }
+ */
+app.patch('/api/workspaces/:id', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { name } = body;
+
+    const env = getEnv(c);
+    const workspace = await new WorkspaceManager(env, currentUser(c)).rename(c.req.param('id'), name);
+
+    return c.json({ success: true, workspace });
+
+  } catch (error) {
+    if (error instanceof WorkspaceError) {
+      return c.json({ error: error.message }, workspaceErrorStatus(error));
+    }
+
+    console.error('Failed to rename workspace:', error);
+    return c.json({
+      error: 'Failed to rename workspace',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * List a workspace's members and their roles
+ * GET /api/workspaces/:id/members
+ */
+app.get('/api/workspaces/:id/members', requireScope('context:read'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const members = await new WorkspaceManager(env, currentUser(c)).listMembers(c.req.param('id'));
+
+    return c.json({ members });
+
+  } catch (error) {
+    if (error instanceof WorkspaceError) {
+      return c.json({ error: error.message }, workspaceErrorStatus(error));
+    }
+
+    console.error('Failed to list workspace members:', error);
+    return c.json({
+      error: 'Failed to list workspace members',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Add a member or change their role (admins only)
+ * PUT /api/workspaces/:id/members/:userId
+ * Body: { role: 'viewer' | 'editor' | 'admin' }
+ */
+app.put('/api/workspaces/:id/members/:userId', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { role } = body;
+
+    const env = getEnv(c);
+    const member = await new WorkspaceManager(env, currentUser(c))
+      .setMember(c.req.param('id'), c.req.param('userId'), role);
+
+    return c.json({ success: true, member });
+
+  } catch (error) {
+    if (error instanceof WorkspaceError) {
+      return c.json({ error: error.message }, workspaceErrorStatus(error));
+    }
+
+    console.error('Failed to save workspace member:', error);
+    return c.json({
+      error: 'Failed to save workspace member',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Remove a member (admins only), or leave the workspace with your own user id
+ * DELETE /api/workspaces/:id/members/:userId
+ */
+app.delete('/api/workspaces/:id/members/:userId', requireScope('context:write'), async (c) => {
+  try {
+    const env = getEnv(c);
+    await new WorkspaceManager(env, currentUser(c)).removeMember(c.req.param('id'), c.req.param('userId'));
+
+    return c.json({ success: true });
+
+  } catch (error) {
+    if (error instanceof WorkspaceError) {
+      return c.json({ error: error.message }, workspaceErrorStatus(error));
+    }
+
+    console.error('Failed to remove workspace member:', error);
+    return c.json({
+      error: 'Failed to remove workspace member',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// CORE CONTEXT MANAGEMENT
+// ============================================================================
+
+/**
+ * Create a new context version (commit)
+ * POST /api/context/commit
+ */
+app.post('/api/context/commit', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    const problem = commitBodyError(body);
+    if (problem) {
+      return c.json({ error: problem }, 400);
+    }
+
+    const request: CommitRequest = {
+      ...body,
+      changes: body.changes || [],
+      user_id: currentWorkspace(c),
+      author_id: currentUser(c)
+    };
+    const env = getEnv(c);
+
+    const versionControl = new VersionControlEngine(env, request.user_id);
+    const version = await versionControl.commit(request);
 
     return c.json({
+      success: true,
       version: {
-        id: currentVersion.id,
-        hash: currentVersion.version_hash,
-        message: currentVersion.commit_message,
+        id: version.id,
+        hash: version.version_hash,
+        message: version.commit_message,
+        branch: version.branch,
+        created_at: version.created_at
+      }
+    }, 201);
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return c.json(conflictBody(error), 409);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
+    console.error('Commit failed:', error);
+    return c.json(commitFailure('Failed to create commit', error), 500);
+  }
+});
+
+/**
+ * Get current business state
+ * GET /api/context/current?branch=<name>
+ */
+app.get('/api/context/current', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const branch = c.req.query('branch');
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const currentVersion = await versionControl.getCurrentVersion(branch);
+
+    if (!currentVersion) {
+      return c.json({
+        message: 'No context versions found. Create your first commit to get started.'
+      }, 404);
+    }
+
+    const state = await versionControl.getVersionState(currentVersion.id);
+
+    return c.json({
+      version: {
+        id: currentVersion.id,
+        hash: currentVersion.version_hash,
+        message: currentVersion.commit_message,
         created_at: currentVersion.created_at,
         author: currentVersion.author,
-        tags: currentVersion.tags
+        author_id: currentVersion.author_id ?? null,
+        tags: currentVersion.tags,
+        branch: currentVersion.branch
       },
       state: Object.entries(state).reduce((acc, [name, field]) => {
         acc[name] = {
@@ -117,407 +794,1589 @@ app.get('/api/context/current', async (c) => {
     });
 
   } catch (error) {
-    console.error('Failed to get current state:', error);
+    console.error('Failed to get current state:', error);
+    return c.json({
+      error: 'Failed to retrieve current state',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Get version history of a branch
+ * GET /api/context/history?branch=<name>&limit=50&offset=0
+ */
+app.get('/api/context/history', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const branch = c.req.query('branch');
+    const limit = parseInt(c.req.query('limit') || '50');
+    const offset = parseInt(c.req.query('offset') || '0');
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const history = await versionControl.getHistory(limit, offset, branch);
+    const head = await versionControl.getCurrentVersion(branch);
+
+    return c.json({
+      total: history.length,
+      limit,
+      offset,
+      branch: head?.branch ?? branch ?? null,
+      versions: history.map(v => ({
+        id: v.id,
+        hash: v.version_hash.substring(0, 7),
+        message: v.commit_message,
+        created_at: v.created_at,
+        author: v.author,
+        author_id: v.author_id ?? null,
+        tags: v.tags,
+        branch: v.branch,
+        merge_parent: v.merge_parent_version_id ?? null,
+        is_current: v.id === head?.id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Failed to get history:', error);
+    return c.json({
+      error: 'Failed to retrieve history',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Rollback to a previous version
+ * POST /api/context/rollback
+ * Body: { version_id, reason?, branch? }
+ */
+app.post('/api/context/rollback', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const request: RollbackRequest = {
+      ...body,
+      user_id: currentWorkspace(c),
+      author_id: currentUser(c)
+    };
+
+    if (!request.version_id) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, request.user_id);
+    const newVersion = await versionControl.rollback(request);
+
+    return c.json({
+      success: true,
+      message: 'Rollback successful',
+      version: {
+        id: newVersion.id,
+        hash: newVersion.version_hash,
+        message: newVersion.commit_message
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return c.json(conflictBody(error), 409);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
+    console.error('Rollback failed:', error);
+    return c.json(commitFailure('Failed to rollback', error), 500);
+  }
+});
+
+/**
+ * Merge a branch or version into a branch
+ * POST /api/context/merge
+ * Body: { source, target?, commit_message?, author?, resolutions?, dry_run? }
+ *
+ * Returns 409 with the remaining conflicts until resolutions cover all of them.
+ * A resolution is { field_name, key?, take: 'ours' | 'theirs' } or { field_name, key?, value }.
+ */
+app.post('/api/context/merge', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const request: MergeRequest = {
+      ...body,
+      user_id: currentWorkspace(c),
+      author_id: currentUser(c)
+    };
+
+    if (!request.source) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, request.user_id);
+    const result = await versionControl.merge(request);
+
+    return mergeResponse(c, result, 'Merge conflicts');
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return c.json(conflictBody(error), 409);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
+    console.error('Merge failed:', error);
+    return c.json(commitFailure('Failed to merge', error), 500);
+  }
+});
+
+/**
+ * Undo the changes a single version introduced
+ * POST /api/context/revert
+ * Body: { version_id, branch?, commit_message?, author?, resolutions?, dry_run? }
+ */
+app.post('/api/context/revert', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const request: RevertRequest = {
+      ...body,
+      user_id: currentWorkspace(c),
+      author_id: currentUser(c)
+    };
+
+    if (!request.version_id) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, request.user_id);
+    const result = await versionControl.revert(request);
+
+    return mergeResponse(c, result, 'Revert conflicts with later changes');
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return c.json(conflictBody(error), 409);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
+    console.error('Revert failed:', error);
+    return c.json(commitFailure('Failed to revert', error), 500);
+  }
+});
+
+/**
+ * Apply the changes a version introduced, optionally only for some fields
+ * POST /api/context/cherry-pick
+ * Body: { version_id, fields?, branch?, commit_message?, author?, resolutions?, dry_run? }
+ */
+app.post('/api/context/cherry-pick', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const request: CherryPickRequest = {
+      ...body,
+      user_id: currentWorkspace(c),
+      author_id: currentUser(c)
+    };
+
+    if (!request.version_id) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, request.user_id);
+    const result = await versionControl.cherryPick(request);
+
+    return mergeResponse(c, result, 'Cherry-pick conflicts with changes on the branch');
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return c.json(conflictBody(error), 409);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
+    console.error('Cherry-pick failed:', error);
+    return c.json(commitFailure('Failed to cherry-pick', error), 500);
+  }
+});
+
+/**
+ * Verify the integrity of a branch's history
+ * GET /api/context/verify?branch=<name>
+ */
+app.get('/api/context/verify', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const branch = c.req.query('branch');
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const report = await versionControl.verify(branch);
+
+    return c.json(report);
+
+  } catch (error) {
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Verification failed:', error);
+    return c.json({
+      error: 'Failed to verify history',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Compare two versions (diff)
+ * GET /api/context/diff/:from/:to?format=json|json-patch
+ *
+ * format=json-patch returns an RFC 6902 patch that turns the `from` state
+ * (as a field name => value object) into the `to` state.
+ */
+app.get('/api/context/diff/:from/:to', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const format = c.req.query('format') || 'json';
+    const versionFrom = c.req.param('from');
+    const versionTo = c.req.param('to');
+
+    if (format !== 'json' && format !== 'json-patch') {
+      return c.json({ error: 'format must be json or json-patch' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const diff = await versionControl.diff(versionFrom, versionTo);
+
+    if (format === 'json-patch') {
+      return c.json(toJsonPatch(diff.changes), 200, {
+        'Content-Type': 'application/json-patch+json'
+      });
+    }
+
+    return c.json({
+      version_from: versionFrom,
+      version_to: versionTo,
+      changes: diff.changes,
+      total_changes: diff.changes.length
+    });
+
+  } catch (error) {
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Diff failed:', error);
+    return c.json({
+      error: 'Failed to calculate diff',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// BRANCHES
+// ============================================================================
+
+/**
+ * List branches
+ * GET /api/branches
+ */
+app.get('/api/branches', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const branches = await versionControl.listBranches();
+
+    const heads = await Promise.all(branches.map(b =>
+      b.head_version_id ? versionControl.resolveVersion(b.head_version_id) : Promise.resolve(null)
+    ));
+
+    return c.json({
+      current: branches.find(b => b.is_default)?.name ?? null,
+      branches: branches.map((b, i) => ({
+        name: b.name,
+        is_current: b.is_default,
+        head: heads[i] ? {
+          id: heads[i]!.id,
+          hash: heads[i]!.version_hash.substring(0, 7),
+          message: heads[i]!.commit_message,
+          created_at: heads[i]!.created_at
+        } : null,
+        created_at: b.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Failed to list branches:', error);
+    return c.json({
+      error: 'Failed to list branches',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Create a branch
+ * POST /api/branches
+ * Body: { name, from?: <branch name, version id or hash> }
+ */
+app.post('/api/branches', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { name, from } = body;
+
+    if (!name) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, currentWorkspace(c));
+    const branch = await versionControl.createBranch(name, from);
+
+    return c.json({
+      success: true,
+      branch: {
+        name: branch.name,
+        head_version_id: branch.head_version_id,
+        created_at: branch.created_at
+      }
+    }, 201);
+
+  } catch (error) {
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Failed to create branch:', error);
+    return c.json({
+      error: 'Failed to create branch',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Delete a branch
+ * DELETE /api/branches/:name
+ */
+app.delete('/api/branches/:name', requireScope('context:write'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const name = c.req.param('name');
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    await versionControl.deleteBranch(name);
+
+    return c.json({ success: true, message: `Branch ${name} deleted` });
+
+  } catch (error) {
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Failed to delete branch:', error);
+    return c.json({
+      error: 'Failed to delete branch',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Switch the checked-out branch (read by default, including by /claude-prompt)
+ * POST /api/branches/:name/switch
+ */
+app.post('/api/branches/:name/switch', requireScope('context:write'), async (c) => {
+  try {
+    const name = c.req.param('name');
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, currentWorkspace(c));
+    const branch = await versionControl.switchBranch(name);
+
+    return c.json({
+      success: true,
+      message: `Switched to branch ${branch.name}`,
+      branch: {
+        name: branch.name,
+        head_version_id: branch.head_version_id
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Failed to switch branch:', error);
+    return c.json({
+      error: 'Failed to switch branch',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// TEMPORAL QUERIES
+// ============================================================================
+
+/**
+ * Get business state at specific date
+ * GET /api/context/at/:date?branch=<name>
+ */
+app.get('/api/context/at/:date', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const branch = c.req.query('branch');
+    const dateParam = c.req.param('date');
+
+    const timestamp = new Date(dateParam);
+    if (isNaN(timestamp.getTime())) {
+      return c.json({ error: 'Invalid date format' }, 400);
+    }
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const state = await versionControl.getStateAtTime(timestamp, branch);
+
+    if (!state) {
+      return c.json({
+        message: 'No context found at this date'
+      }, 404);
+    }
+
+    return c.json({
+      timestamp: timestamp.toISOString(),
+      version: {
+        id: state.version_id,
+        hash: state.version_hash,
+        message: state.commit_message,
+        created_at: state.created_at
+      },
+      state: state.fields
+    });
+
+  } catch (error) {
+    console.error('Temporal query failed:', error);
+    return c.json({
+      error: 'Failed to retrieve historical state',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Get field history
+ * GET /api/context/field/:name/history?start=<date>&end=<date>
+ */
+app.get('/api/context/field/:name/history', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const fieldName = c.req.param('name');
+    const startDate = c.req.query('start');
+    const endDate = c.req.query('end');
+
+    const timeRange = startDate && endDate ? {
+      start: new Date(startDate),
+      end: new Date(endDate)
+    } : undefined;
+
+    const env = getEnv(c);
+    const versionControl = new VersionControlEngine(env, workspaceId);
+    const history = await versionControl.getFieldHistory(fieldName, timeRange);
+
+    return c.json({
+      field_name: fieldName,
+      total_changes: history.length,
+      changes: history.map(h => ({
+        old_value: h.old_value,
+        new_value: h.new_value,
+        change_type: h.change_type,
+        source: h.source,
+        created_at: h.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Field history failed:', error);
+    return c.json({
+      error: 'Failed to retrieve field history',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// CLAUDE INTEGRATION
+// ============================================================================
+
+/**
+ * Get Claude-formatted context
+ * GET /api/context/claude-prompt?format=markdown&branch=<name>&max_tokens=<n>&template=<name>
+ *
+ * format is markdown, json, yaml, xml or plaintext; template renders with one
+ * of the user's saved templates instead.
+ * With max_tokens, long values are shortened and low-priority fields left
+ * out to fit; the X-Context-Trimmed-Fields and X-Context-Omitted-Fields
+ * headers list which.
+ *
+ * Served from the context cache when possible (X-Context-Cache says which
+ * tier). Responses carry an ETag and Last-Modified; a matching
+ * If-None-Match or If-Modified-Since gets 304 Not Modified.
+ */
+app.get('/api/context/claude-prompt', requireScope('context:prompt'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const branch = c.req.query('branch');
+    const format = (c.req.query('format') || 'markdown') as ClaudeContext['format'];
+    const maxTokensParam = c.req.query('max_tokens');
+    const template = c.req.query('template');
+
+    if (!CONTEXT_FORMATS.includes(format)) {
+      return c.json({ error: `format must be one of ${CONTEXT_FORMATS.join(', ')}` }, 400);
+    }
+
+    const maxTokens = maxTokensParam === undefined ? undefined : Number(maxTokensParam);
+    if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+      return c.json({ error: 'max_tokens must be a positive integer' }, 400);
+    }
+
+    const env = getEnv(c);
+    const claudeGen = new ClaudeContextGenerator(env);
+    const context = await claudeGen.serveContext(workspaceId, { format, branch, maxTokens, template });
+
+    const etag = `"${context.etag}"`;
+    const validators: Record<string, string> = {
+      'ETag': etag,
+      'Last-Modified': context.generated_at.toUTCString(),
+      'Cache-Control': 'private, no-cache',
+      'X-Context-Cache': context.cache,
+      'X-Context-Version': context.version_id
+    };
+
+    if (notModified(c, etag, context.generated_at)) {
+      return c.body(null, 304, validators);
+    }
+
+    const headers: Record<string, string> = {
+      ...validators,
+      'Content-Type': template ? 'text/plain' : CONTENT_TYPES[format],
+      'X-Context-Tokens': String(context.estimated_tokens)
+    };
+    if (context.budget) {
+      headers['X-Context-Token-Budget'] = String(context.budget.max_tokens);
+      headers['X-Context-Trimmed-Fields'] = context.budget.trimmed.join(',');
+      headers['X-Context-Omitted-Fields'] = context.budget.omitted.join(',');
+    }
+
+    return c.text(context.content, 200, headers);
+
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Claude context generation failed:', error);
+    return c.json({
+      error: 'Failed to generate Claude context',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Update context from Claude chat
+ * POST /api/context/update-from-chat
+ * Body: { conversation_id, messages }
+ *
+ * Only messages after those processed by earlier posts of the conversation
+ * are analyzed. Changes extracted with confidence >= 0.8 are committed
+ * straight away; the rest are queued as proposals for review (see /api/proposals).
+ */
+app.post('/api/context/update-from-chat', requireScope('context:write'), async (c) => {
+  try {
+    const input = await jsonBody(c);
+    if (!input) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { conversation_id, messages } = input;
+
+    if (!conversation_id || !Array.isArray(messages)) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const processor = new ConversationProcessor(env, currentWorkspace(c));
+    const result = await processor.process(conversation_id, messages, { authorId: currentUser(c) });
+
+    const body = {
+      success: true,
+      run_id: result.run.id,
+      messages_processed: result.run.message_end - result.run.message_start,
+      message_count: result.conversation?.message_count ?? 0,
+      committed_changes: result.committed.length,
+      pending_review: result.proposals.length,
+      proposals: result.proposals,
+      rejected_changes: result.run.changes_rejected
+    };
+
+    if (result.status === 'skipped') {
+      return c.json({ ...body, message: 'No new messages since the conversation was last processed' });
+    }
+    if (result.run.changes_extracted.length === 0) {
+      return c.json({
+        ...body,
+        message: result.run.changes_rejected.length > 0
+          ? 'Every extracted change failed validation; see rejected_changes'
+          : 'No context changes detected in conversation'
+      });
+    }
+
+    return c.json(result.version ? {
+      ...body,
+      version: {
+        id: result.version.id,
+        hash: result.version.version_hash
+      }
+    } : body);
+
+  } catch (error) {
+    if (error instanceof ConversationError) {
+      return c.json({ error: error.message }, 409);
+    }
+    if (error instanceof ExtractionError) {
+      console.error('Extraction failed:', error);
+      return c.json({
+        error: 'Failed to extract changes from conversation',
+        reason: error.reason,
+        details: error.message
+      }, error.reason === 'not_configured' ? 503 : 502);
+    }
+
+    console.error('Chat update failed:', error);
+    return c.json({
+      error: 'Failed to update from chat',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * List processed conversations
+ * GET /api/conversations?limit=50
+ */
+app.get('/api/conversations', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+
+    const env = getEnv(c);
+    const processor = new ConversationProcessor(env, workspaceId);
+    const conversations = await processor.list(parseInt(c.req.query('limit') || '50'));
+
+    return c.json({ conversations });
+
+  } catch (error) {
+    console.error('Failed to list conversations:', error);
+    return c.json({
+      error: 'Failed to list conversations',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * A conversation's processing runs and the versions it produced
+ * GET /api/conversations/:id
+ */
+app.get('/api/conversations/:id', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+
+    const env = getEnv(c);
+    const processor = new ConversationProcessor(env, workspaceId);
+    const history = await processor.history(c.req.param('id'));
+
+    return c.json(history);
+
+  } catch (error) {
+    if (error instanceof ConversationError) {
+      return c.json({ error: error.message }, 404);
+    }
+
+    console.error('Failed to get conversation:', error);
+    return c.json({
+      error: 'Failed to get conversation',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// REVIEW QUEUE
+// ============================================================================
+
+/**
+ * List proposed changes awaiting review
+ * GET /api/proposals?status=pending|approved|rejected&conversation_id=<id>
+ */
+app.get('/api/proposals', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const status = c.req.query('status');
+
+    if (status && !['pending', 'approved', 'rejected'].includes(status)) {
+      return c.json({ error: 'status must be pending, approved or rejected' }, 400);
+    }
+
+    const env = getEnv(c);
+    const reviewQueue = new ReviewQueue(env, workspaceId);
+    const proposals = await reviewQueue.list({
+      status: status as ContextProposal['status'] | undefined,
+      conversationId: c.req.query('conversation_id'),
+      limit: parseInt(c.req.query('limit') || '100')
+    });
+
+    return c.json({ proposals });
+
+  } catch (error) {
+    console.error('Failed to list proposals:', error);
+    return c.json({
+      error: 'Failed to list proposals',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Approve a proposal, committing its value. The caller is recorded as the reviewer.
+ * POST /api/proposals/:id/approve
+ * Body: { commit_message?, branch? }
+ */
+app.post('/api/proposals/:id/approve', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c, { optional: true });
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { commit_message, branch } = body;
+
+    const env = getEnv(c);
+    const reviewQueue = new ReviewQueue(env, currentWorkspace(c));
+    const { proposal, version } = await reviewQueue.approve(c.req.param('id'), {
+      reviewerId: currentUser(c),
+      commit_message,
+      branch
+    });
+
+    return c.json({
+      success: true,
+      proposal,
+      version: {
+        id: version.id,
+        hash: version.version_hash,
+        message: version.commit_message,
+        branch: version.branch,
+        created_at: version.created_at
+      }
+    }, 201);
+
+  } catch (error) {
+    if (error instanceof ProposalError) {
+      return c.json({ error: error.message }, proposalErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Failed to approve proposal:', error);
+    return c.json(commitFailure('Failed to approve proposal', error), 500);
+  }
+});
+
+/**
+ * Edit a pending proposal's value before approving it
+ * PATCH /api/proposals/:id
+ * Body: { field_value, field_type? }
+ */
+app.patch('/api/proposals/:id', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { field_value, field_type } = body;
+
+    if (field_value === undefined) {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+
+    const env = getEnv(c);
+    const reviewQueue = new ReviewQueue(env, currentWorkspace(c));
+    const proposal = await reviewQueue.edit(c.req.param('id'), { field_value, field_type });
+
+    return c.json({ success: true, proposal });
+
+  } catch (error) {
+    if (error instanceof ProposalError) {
+      return c.json({ error: error.message }, proposalErrorStatus(error));
+    }
+
+    console.error('Failed to edit proposal:', error);
+    return c.json({
+      error: 'Failed to edit proposal',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Reject a proposal. The caller is recorded as the reviewer.
+ * POST /api/proposals/:id/reject
+ * Body: { reason? }
+ */
+app.post('/api/proposals/:id/reject', requireScope('context:write'), async (c) => {
+  try {
+    const body = await jsonBody(c, { optional: true });
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { reason } = body;
+
+    const env = getEnv(c);
+    const reviewQueue = new ReviewQueue(env, currentWorkspace(c));
+    const proposal = await reviewQueue.reject(c.req.param('id'), { reviewerId: currentUser(c), reason });
+
+    return c.json({ success: true, proposal });
+
+  } catch (error) {
+    if (error instanceof ProposalError) {
+      return c.json({ error: error.message }, proposalErrorStatus(error));
+    }
+
+    console.error('Failed to reject proposal:', error);
+    return c.json({
+      error: 'Failed to reject proposal',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// FIELD DEFINITIONS
+// ============================================================================
+
+/**
+ * List field definitions
+ * GET /api/fields?category=<name>
+ */
+app.get('/api/fields', requireScope('context:read'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const registry = new FieldDefinitionRegistry(env);
+    const fields = await registry.list(c.req.query('category'));
+
+    return c.json({ fields });
+
+  } catch (error) {
+    console.error('Failed to list field definitions:', error);
+    return c.json({
+      error: 'Failed to list field definitions',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Get a field definition
+ * GET /api/fields/:name
+ */
+app.get('/api/fields/:name', requireScope('context:read'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const registry = new FieldDefinitionRegistry(env);
+    const field = await registry.get(c.req.param('name'));
+
+    return c.json({ field });
+
+  } catch (error) {
+    if (error instanceof FieldDefinitionError) {
+      return c.json({ error: error.message }, fieldDefinitionErrorStatus(error));
+    }
+
+    console.error('Failed to get field definition:', error);
+    return c.json({
+      error: 'Failed to get field definition',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Define a field. Definitions apply to every workspace, so only the
+ * operator can change them.
+ * POST /api/fields
+ * Body: { field_name, display_name, field_type, description?, category?, default_source?,
+ *         validation_rules?: <JSON Schema>, is_required?, is_system_field?, priority? }
+ */
+app.post('/api/fields', requireOperator(), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const env = getEnv(c);
+    const registry = new FieldDefinitionRegistry(env);
+    const field = await registry.create(body);
+
+    return c.json({ success: true, field }, 201);
+
+  } catch (error) {
+    if (error instanceof FieldDefinitionError) {
+      return c.json({ error: error.message, problems: error.problems }, fieldDefinitionErrorStatus(error));
+    }
+
+    console.error('Failed to create field definition:', error);
+    return c.json({
+      error: 'Failed to create field definition',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Update a field definition (only the properties given change; operator only)
+ * PATCH /api/fields/:name
+ */
+app.patch('/api/fields/:name', requireOperator(), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const env = getEnv(c);
+    const registry = new FieldDefinitionRegistry(env);
+    const field = await registry.update(c.req.param('name'), body);
+
+    return c.json({ success: true, field });
+
+  } catch (error) {
+    if (error instanceof FieldDefinitionError) {
+      return c.json({ error: error.message, problems: error.problems }, fieldDefinitionErrorStatus(error));
+    }
+
+    console.error('Failed to update field definition:', error);
+    return c.json({
+      error: 'Failed to update field definition',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Delete a field definition (committed values are kept; operator only)
+ * DELETE /api/fields/:name
+ */
+app.delete('/api/fields/:name', requireOperator(), async (c) => {
+  try {
+    const name = c.req.param('name');
+    const env = getEnv(c);
+    const registry = new FieldDefinitionRegistry(env);
+    await registry.delete(name);
+
+    return c.json({ success: true, message: `Field definition ${name} deleted` });
+
+  } catch (error) {
+    if (error instanceof FieldDefinitionError) {
+      return c.json({ error: error.message }, fieldDefinitionErrorStatus(error));
+    }
+
+    console.error('Failed to delete field definition:', error);
+    return c.json({
+      error: 'Failed to delete field definition',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// ============================================================================
+// CONTEXT TEMPLATES
+// ============================================================================
+
+/**
+ * List the user's context templates, with the built-in Markdown layout to start from
+ * GET /api/templates
+ */
+app.get('/api/templates', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+
+    const env = getEnv(c);
+    const library = new ContextTemplateLibrary(env, workspaceId);
+    const templates = await library.list();
+
+    return c.json({ templates, default_template: DEFAULT_MARKDOWN_TEMPLATE });
+
+  } catch (error) {
+    console.error('Failed to list templates:', error);
+    return c.json({
+      error: 'Failed to list templates',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Render a template against the current context without saving it
+ * POST /api/templates/preview
+ * Body: { body, branch?, max_tokens? }
+ */
+app.post('/api/templates/preview', requireScope('context:read'), async (c) => {
+  try {
+    const input = await jsonBody(c);
+    if (!input) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
+    }
+
+    const { body, branch, max_tokens } = input;
+
+    if (typeof body !== 'string') {
+      return c.json({ error: 'Missing required fields' }, 400);
+    }
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+      return c.json({ error: `body must be at most ${MAX_TEMPLATE_LENGTH} characters` }, 400);
+    }
+    if (max_tokens !== undefined && !(Number.isInteger(max_tokens) && max_tokens > 0)) {
+      return c.json({ error: 'max_tokens must be a positive integer' }, 400);
+    }
+
+    const env = getEnv(c);
+    const claudeGen = new ClaudeContextGenerator(env);
+    const context = await claudeGen.generateContext(currentWorkspace(c), { branch, templateBody: body, maxTokens: max_tokens });
+
+    return c.json({
+      content: context.formatted_content,
+      estimated_tokens: context.estimated_tokens,
+      budget: context.budget
+    });
+
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Failed to preview template:', error);
+    return c.json({
+      error: 'Failed to preview template',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Get a context template
+ * GET /api/templates/:name
+ */
+app.get('/api/templates/:name', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+
+    const env = getEnv(c);
+    const library = new ContextTemplateLibrary(env, workspaceId);
+    const template = await library.get(c.req.param('name'));
+
+    return c.json({ template });
+
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Failed to get template:', error);
     return c.json({
-      error: 'Failed to retrieve current state',
+      error: 'Failed to get template',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Get version history
- * GET /api/context/history?user_id=<uuid>&limit=50&offset=0
+ * Save a context template
+ * POST /api/templates
+ * Body: { name, body, description? }
  */
-app.get('/api/context/history', async (c) => {
+app.post('/api/templates', requireScope('context:write'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    const limit = parseInt(c.req.query('limit') || '50');
-    const offset = parseInt(c.req.query('offset') || '0');
-
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
+    const input = await jsonBody(c);
+    if (!input) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
-    const history = await versionControl.getHistory(limit, offset);
+    const library = new ContextTemplateLibrary(env, currentWorkspace(c));
+    const template = await library.create(input);
 
-    return c.json({
-      total: history.length,
-      limit,
-      offset,
-      versions: history.map(v => ({
-        id: v.id,
-        hash: v.version_hash.substring(0, 7),
-        message: v.commit_message,
-        created_at: v.created_at,
-        author: v.author,
-        tags: v.tags,
-        is_current: v.is_current
-      }))
-    });
+    return c.json({ success: true, template }, 201);
 
   } catch (error) {
-    console.error('Failed to get history:', error);
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Failed to save template:', error);
     return c.json({
-      error: 'Failed to retrieve history',
+      error: 'Failed to save template',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Rollback to a previous version
- * POST /api/context/rollback
+ * Change a context template
+ * PATCH /api/templates/:name
+ * Body: { body?, description? }
  */
-app.post('/api/context/rollback', async (c) => {
+app.patch('/api/templates/:name', requireScope('context:write'), async (c) => {
   try {
-    const request: RollbackRequest = await c.req.json();
-
-    if (!request.user_id || !request.version_id) {
-      return c.json({ error: 'Missing required fields' }, 400);
+    const input = await jsonBody(c);
+    if (!input) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
+    const { body, description } = input;
+
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, request.user_id);
-    const newVersion = await versionControl.rollback(request);
+    const library = new ContextTemplateLibrary(env, currentWorkspace(c));
+    const template = await library.update(c.req.param('name'), { body, description });
 
-    return c.json({
-      success: true,
-      message: 'Rollback successful',
-      version: {
-        id: newVersion.id,
-        hash: newVersion.version_hash,
-        message: newVersion.commit_message
-      }
-    });
+    return c.json({ success: true, template });
 
   } catch (error) {
-    console.error('Rollback failed:', error);
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Failed to update template:', error);
     return c.json({
-      error: 'Failed to rollback',
+      error: 'Failed to update template',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Compare two versions (diff)
- * GET /api/context/diff/:from/:to?user_id=<uuid>
+ * Delete a context template
+ * DELETE /api/templates/:name
  */
-app.get('/api/context/diff/:from/:to', async (c) => {
+app.delete('/api/templates/:name', requireScope('context:write'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    const versionFrom = c.req.param('from');
-    const versionTo = c.req.param('to');
-
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
-    }
+    const workspaceId = currentWorkspace(c);
+    const name = c.req.param('name');
 
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
-    const diff = await versionControl.diff(versionFrom, versionTo);
+    const library = new ContextTemplateLibrary(env, workspaceId);
+    await library.delete(name);
 
-    return c.json({
-      version_from: versionFrom,
-      version_to: versionTo,
-      changes: diff.changes,
-      total_changes: diff.changes.length
-    });
+    return c.json({ success: true, message: `Template ${name} deleted` });
 
   } catch (error) {
-    console.error('Diff failed:', error);
+    if (error instanceof TemplateError) {
+      return c.json({ error: error.message }, templateErrorStatus(error));
+    }
+
+    console.error('Failed to delete template:', error);
     return c.json({
-      error: 'Failed to calculate diff',
+      error: 'Failed to delete template',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 // ============================================================================
-// TEMPORAL QUERIES
+// EVENT SUBSCRIPTIONS
 // ============================================================================
 
 /**
- * Get business state at specific date
- * GET /api/context/at/:date?user_id=<uuid>
+ * List the workspace's event subscriptions
+ * GET /api/subscriptions
  */
-app.get('/api/context/at/:date', async (c) => {
+app.get('/api/subscriptions', requireScope('integrations:admin'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    const dateParam = c.req.param('date');
+    const env = getEnv(c);
+    const subscriptions = await new SubscriptionManager(env, currentWorkspace(c)).list();
 
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
-    }
+    return c.json({ subscriptions: subscriptions.map(publicSubscription) });
 
-    const timestamp = new Date(dateParam);
-    if (isNaN(timestamp.getTime())) {
-      return c.json({ error: 'Invalid date format' }, 400);
+  } catch (error) {
+    console.error('Failed to list subscriptions:', error);
+    return c.json({
+      error: 'Failed to list subscriptions',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Subscribe a URL to the workspace's events. The signing secret is only
+ * ever returned here.
+ * POST /api/subscriptions
+ * Body: { url, events: ('commit' | 'rollback' | 'field_changed:<name>' | 'sync_failed' | 'source_deactivated')[], description? }
+ */
+app.post('/api/subscriptions', requireScope('integrations:admin'), async (c) => {
+  try {
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
-    const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
-    const state = await versionControl.getStateAtTime(timestamp);
+    const { url, events, description } = body;
 
-    if (!state) {
-      return c.json({
-        message: 'No context found at this date'
-      }, 404);
-    }
+    const env = getEnv(c);
+    const { subscription, secret } = await new SubscriptionManager(env, currentWorkspace(c))
+      .create({ url, events, description }, currentUser(c));
 
-    return c.json({
-      timestamp: timestamp.toISOString(),
-      version: {
-        id: state.version_id,
-        hash: state.version_hash,
-        message: state.commit_message,
-        created_at: state.created_at
-      },
-      state: state.fields
-    });
+    return c.json({ success: true, secret, subscription: publicSubscription(subscription) }, 201);
 
   } catch (error) {
-    console.error('Temporal query failed:', error);
+    if (error instanceof SubscriptionError) {
+      return c.json({ error: error.message }, subscriptionErrorStatus(error));
+    }
+
+    console.error('Failed to create subscription:', error);
     return c.json({
-      error: 'Failed to retrieve historical state',
+      error: 'Failed to create subscription',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Get field history
- * GET /api/context/field/:name/history?user_id=<uuid>&start=<date>&end=<date>
+ * Change a subscription, or pause and resume it
+ * PATCH /api/subscriptions/:id
+ * Body: { url?, events?, description?, is_active? }
  */
-app.get('/api/context/field/:name/history', async (c) => {
+app.patch('/api/subscriptions/:id', requireScope('integrations:admin'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    const fieldName = c.req.param('name');
-    const startDate = c.req.query('start');
-    const endDate = c.req.query('end');
-
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
-    const timeRange = startDate && endDate ? {
-      start: new Date(startDate),
-      end: new Date(endDate)
-    } : undefined;
+    const { url, events, description, is_active } = body;
 
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
-    const history = await versionControl.getFieldHistory(fieldName, timeRange);
+    const subscription = await new SubscriptionManager(env, currentWorkspace(c))
+      .update(c.req.param('id'), { url, events, description, is_active });
 
-    return c.json({
-      field_name: fieldName,
-      total_changes: history.length,
-      changes: history.map(h => ({
-        old_value: h.old_value,
-        new_value: h.new_value,
-        change_type: h.change_type,
-        source: h.source,
-        created_at: h.created_at
-      }))
-    });
+    return c.json({ success: true, subscription: publicSubscription(subscription) });
 
   } catch (error) {
-    console.error('Field history failed:', error);
+    if (error instanceof SubscriptionError) {
+      return c.json({ error: error.message }, subscriptionErrorStatus(error));
+    }
+
+    console.error('Failed to update subscription:', error);
     return c.json({
-      error: 'Failed to retrieve field history',
+      error: 'Failed to update subscription',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
-// ============================================================================
-// CLAUDE INTEGRATION
-// ============================================================================
-
 /**
- * Get Claude-formatted context
- * GET /api/context/claude-prompt?user_id=<uuid>&format=markdown
+ * Delete a subscription and its delivery log
+ * DELETE /api/subscriptions/:id
  */
-app.get('/api/context/claude-prompt', async (c) => {
+app.delete('/api/subscriptions/:id', requireScope('integrations:admin'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-    const format = (c.req.query('format') || 'markdown') as 'markdown' | 'json' | 'yaml';
+    const env = getEnv(c);
+    await new SubscriptionManager(env, currentWorkspace(c)).delete(c.req.param('id'));
+
+    return c.json({ success: true });
 
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return c.json({ error: error.message }, subscriptionErrorStatus(error));
     }
 
-    const env = getEnv(c);
-    const claudeGen = new ClaudeContextGenerator(env);
-    const context = await claudeGen.generateContext(userId, { format });
+    console.error('Failed to delete subscription:', error);
+    return c.json({
+      error: 'Failed to delete subscription',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
 
-    return c.text(context.formatted_content, 200, {
-      'Content-Type': format === 'json' ? 'application/json' : 'text/plain'
+/**
+ * A subscription's delivery log, newest first
+ * GET /api/subscriptions/:id/deliveries?status=pending|delivered|failed&limit=50
+ */
+app.get('/api/subscriptions/:id/deliveries', requireScope('integrations:admin'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const deliveries = await new SubscriptionManager(env, currentWorkspace(c)).deliveries(c.req.param('id'), {
+      status: c.req.query('status'),
+      limit: parseInt(c.req.query('limit') || '50')
     });
 
+    return c.json({ deliveries });
+
   } catch (error) {
-    console.error('Claude context generation failed:', error);
+    if (error instanceof SubscriptionError) {
+      return c.json({ error: error.message }, subscriptionErrorStatus(error));
+    }
+
+    console.error('Failed to list deliveries:', error);
     return c.json({
-      error: 'Failed to generate Claude context',
+      error: 'Failed to list deliveries',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
+// ============================================================================
+// API INTEGRATIONS
+// ============================================================================
+
 /**
- * Update context from Claude chat
- * POST /api/context/update-from-chat
+ * Sync Twitter data, connecting the workspace's twitter source first if needed.
+ * Records a metric snapshot, and commits when a metric crossed its threshold.
+ * POST /api/integrations/twitter/sync
+ * Body: { username?, auto_commit_threshold?: number | { [field]: number } }
+ *
+ * Without auto_commit_threshold the workspace's user_settings apply.
  */
-app.post('/api/context/update-from-chat', async (c) => {
+app.post('/api/integrations/twitter/sync', requireScope('integrations:admin'), async (c) => {
   try {
-    const { user_id, conversation_id, messages } = await c.req.json();
-
-    if (!user_id || !messages) {
-      return c.json({ error: 'Missing required fields' }, 400);
+    const body = await jsonBody(c, { optional: true });
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
+    const { username, auto_commit_threshold } = body;
+
     const env = getEnv(c);
-    const claudeGen = new ClaudeContextGenerator(env);
-    const changes = await claudeGen.extractChangesFromConversation(
-      conversation_id,
-      messages,
-      env.CLAUDE_API_KEY
-    );
+    const twitter = new TwitterIntegration(env, currentWorkspace(c));
+    const thresholds = parseThresholds(auto_commit_threshold);
+    const source = await twitter.connect(username);
+    const result = await twitter.syncFollowerData(source, {
+      thresholds,
+      authorId: currentUser(c),
+      trigger: 'manual'
+    });
 
-    if (changes.length === 0) {
-      return c.json({
-        message: 'No context changes detected in conversation'
-      });
+    return c.json(result, result.version_id ? 201 : 200);
+
+  } catch (error) {
+    if (error instanceof IntegrationError) {
+      return c.json({ error: error.message }, integrationErrorStatus(error));
     }
 
-    // Auto-commit high-confidence changes
-    const highConfidenceChanges = changes.filter(ch => ch.confidence >= 0.8);
-
-    if (highConfidenceChanges.length > 0) {
-      const env = getEnv(c);
-      const versionControl = new VersionControlEngine(env, user_id);
-      const version = await versionControl.commit({
-        user_id,
-        commit_message: `Auto-update from Claude conversation ${conversation_id}`,
-        changes: highConfidenceChanges.map(ch => ({
-          field_name: ch.field_name,
-          field_value: ch.field_value,
-          field_type: ch.field_type as any,
-          source: 'claude_chat'
-        })),
-        tags: ['auto-commit', 'claude-chat'],
-        author: 'claude'
-      });
+    console.error('Twitter sync failed:', error);
+    return c.json({
+      error: 'Failed to sync Twitter data',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
 
-      return c.json({
-        success: true,
-        committed_changes: highConfidenceChanges.length,
-        pending_review: changes.length - highConfidenceChanges.length,
-        version: {
-          id: version.id,
-          hash: version.version_hash
-        }
-      });
-    }
+/**
+ * Connectors sources can be pulled with
+ * GET /api/integrations/connectors
+ */
+app.get('/api/integrations/connectors', requireScope('integrations:admin'), (c) => {
+  return c.json({ connectors: listConnectors() });
+});
+
+/**
+ * Health of the workspace's sources: failures in a row, backoff, recent syncs
+ * GET /api/integrations/status
+ */
+app.get('/api/integrations/status', requireScope('integrations:admin'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const sources = await new ConnectorSync(env, currentWorkspace(c)).status();
 
     return c.json({
-      success: true,
-      pending_review: changes.length,
-      changes: changes
+      summary: {
+        total: sources.length,
+        healthy: sources.filter(source => source.health === 'healthy').length,
+        failing: sources.filter(source => source.health === 'failing').length,
+        inactive: sources.filter(source => source.health === 'inactive').length
+      },
+      sources
     });
 
   } catch (error) {
-    console.error('Chat update failed:', error);
+    console.error('Integration status failed:', error);
     return c.json({
-      error: 'Failed to update from chat',
+      error: 'Failed to get integration status',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
-// ============================================================================
-// API INTEGRATIONS
-// ============================================================================
-
 /**
- * Sync Twitter data
- * POST /api/integrations/twitter/sync
+ * Create or update a pulled source, synced by its connector every
+ * update_frequency seconds
+ * PUT /api/integrations/sources/:name
+ * Body: { connector?, api_endpoint?, field_mappings?, update_frequency?, credentials?, is_active? }
+ *
+ * connector is required when creating the source.
  */
-app.post('/api/integrations/twitter/sync', async (c) => {
+app.put('/api/integrations/sources/:name', requireScope('integrations:admin'), async (c) => {
   try {
-    const { user_id, username, auto_commit_threshold } = await c.req.json();
-
-    if (!user_id || !username) {
-      return c.json({ error: 'Missing required fields' }, 400);
+    const body = await jsonBody(c);
+    if (!body) {
+      return c.json({ error: 'Body must be a JSON object' }, 400);
     }
 
     const env = getEnv(c);
-    const twitter = new TwitterIntegration(env);
-    const result = await twitter.syncFollowerData(username);
+    const sources = new ConnectorSync(env, currentWorkspace(c));
+    const source = await sources.configure(c.req.param('name'), {
+      connector: body.connector,
+      api_endpoint: body.api_endpoint,
+      field_mappings: body.field_mappings,
+      update_frequency: body.update_frequency,
+      credentials: body.credentials,
+      is_active: body.is_active
+    });
 
-    // Auto-commit if threshold is met
-    if (result.success && auto_commit_threshold) {
-      const env = getEnv(c);
-      const versionControl = new VersionControlEngine(env, user_id);
-      const currentVersion = await versionControl.getCurrentVersion();
+    return c.json({ source: publicSource(source) });
 
-      if (currentVersion) {
-        // This would normally get the new count from the sync result
-        // For now, we'll skip the auto-commit logic
-        // const currentState = await versionControl.getVersionState(currentVersion.id);
-      }
+  } catch (error) {
+    if (error instanceof IntegrationError) {
+      return c.json({ error: error.message }, integrationErrorStatus(error));
     }
 
-    return c.json(result);
+    console.error('Source configuration failed:', error);
+    return c.json({
+      error: 'Failed to configure source',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+/**
+ * Sync a pulled source now
+ * POST /api/integrations/sources/:name/sync
+ */
+app.post('/api/integrations/sources/:name/sync', requireScope('integrations:admin'), async (c) => {
+  try {
+    const env = getEnv(c);
+    const sources = new ConnectorSync(env, currentWorkspace(c));
+    const result = await sources.sync(c.req.param('name'), {
+      trigger: 'manual',
+      authorId: currentUser(c)
+    });
+
+    return c.json(result, result.version_id ? 201 : 200);
 
   } catch (error) {
-    console.error('Twitter sync failed:', error);
+    if (error instanceof IntegrationError) {
+      return c.json({ error: error.message }, integrationErrorStatus(error));
+    }
+
+    console.error('Source sync failed:', error);
     return c.json({
-      error: 'Failed to sync Twitter data',
+      error: 'Failed to sync source',
       details: error instanceof Error ? error.message : 'Unknown error'
     }, 500);
   }
 });
 
 /**
- * Webhook handler for external integrations
+ * Webhook handler for external integrations: maps the payload with the
+ * source's field_mappings and commits the fields that changed
  * POST /api/integrations/webhook/:source
+ * Headers: X-Webhook-Signature (HMAC-SHA256 of the raw body, hex), required
+ * when the source has a webhook secret
  */
-app.post('/api/integrations/webhook/:source', async (c) => {
+app.post('/api/integrations/webhook/:source', requireScope('context:write'), async (c) => {
   try {
-    const source = c.req.param('source');
-    const payload = await c.req.json();
-    const signature = c.req.header('X-Webhook-Signature');
-
-    // Validate webhook signature if provided
-    if (signature) {
-      const webhook = new WebhookIntegration();
-      const env = getEnv(c);
-      const secret = (env as any)[`WEBHOOK_SECRET_${source.toUpperCase()}`] as string | undefined;
+    // Read as text: the signature covers the body exactly as sent
+    const rawBody = await c.req.text();
 
-      if (secret) {
-        const isValid = webhook.validateSignature(
-          JSON.stringify(payload),
-          signature,
-          secret
-        );
-
-        if (!isValid) {
-          return c.json({ error: 'Invalid webhook signature' }, 401);
-        }
-      }
-    }
+    const env = getEnv(c);
+    const webhook = new WebhookIntegration(env, currentWorkspace(c));
+    const result = await webhook.receive(c.req.param('source'), rawBody, {
+      signature: c.req.header('X-Webhook-Signature'),
+      authorId: currentUser(c)
+    });
 
     return c.json({
       success: true,
-      message: `Webhook from ${source} received`,
-      payload_size: JSON.stringify(payload).length
-    });
+      status: result.status,
+      fields_updated: result.fields_updated,
+      unmatched: result.unmatched,
+      version: result.version ? {
+        id: result.version.id,
+        hash: result.version.version_hash,
+        message: result.version.commit_message,
+        branch: result.version.branch,
+        created_at: result.version.created_at
+      } : null
+    }, result.version ? 201 : 200);
 
   } catch (error) {
+    if (error instanceof IntegrationError) {
+      return c.json({ error: error.message }, integrationErrorStatus(error));
+    }
+    if (error instanceof ValidationError) {
+      return c.json(validationBody(error), 422);
+    }
+
     console.error('Webhook processing failed:', error);
     return c.json({
       error: 'Failed to process webhook',
@@ -526,20 +2385,20 @@ app.post('/api/integrations/webhook/:source', async (c) => {
   }
 });
 
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+
 /**
  * Get statistics
- * GET /api/stats?user_id=<uuid>
+ * GET /api/stats
  */
-app.get('/api/stats', async (c) => {
+app.get('/api/stats', requireScope('context:read'), async (c) => {
   try {
-    const userId = c.req.query('user_id');
-
-    if (!userId) {
-      return c.json({ error: 'user_id is required' }, 400);
-    }
+    const workspaceId = currentWorkspace(c);
 
     const env = getEnv(c);
-    const versionControl = new VersionControlEngine(env, userId);
+    const versionControl = new VersionControlEngine(env, workspaceId);
     const stats = await versionControl.getStats();
 
     return c.json(stats);
@@ -553,4 +2412,61 @@ app.get('/api/stats', async (c) => {
   }
 });
 
+/**
+ * A numeric field over time, rebuilt from the versions that changed it.
+ * `field` may reach into the value (follower_count.total). `interval`
+ * buckets it by day, week or month; `target` projects when the trend gets
+ * there.
+ * GET /api/analytics/series/:field?branch=&start=&end=&interval=&window=&target=
+ */
+app.get('/api/analytics/series/:field', requireScope('context:read'), async (c) => {
+  try {
+    const workspaceId = currentWorkspace(c);
+    const query = c.req.query();
+
+    const dates: { start?: Date; end?: Date } = {};
+    for (const key of ['start', 'end'] as const) {
+      if (query[key] === undefined) continue;
+      dates[key] = new Date(query[key]);
+      if (isNaN(dates[key]!.getTime())) {
+        return c.json({ error: `Invalid ${key} date` }, 400);
+      }
+    }
+
+    const numbers: { window?: number; target?: number } = {};
+    for (const key of ['window', 'target'] as const) {
+      if (query[key] === undefined) continue;
+      numbers[key] = Number(query[key]);
+      if (query[key].trim() === '' || isNaN(numbers[key]!)) {
+        return c.json({ error: `${key} must be a number` }, 400);
+      }
+    }
+
+    const env = getEnv(c);
+    const analytics = new FieldAnalytics(env, workspaceId);
+    const series = await analytics.series(c.req.param('field'), {
+      branch: query.branch,
+      interval: query.interval as SeriesInterval | undefined,
+      ...dates,
+      ...numbers
+    });
+
+    return c.json(series);
+
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return c.json({ error: error.message }, analyticsErrorStatus(error));
+    }
+    if (error instanceof BranchError) {
+      return c.json({ error: error.message }, branchErrorStatus(error));
+    }
+
+    console.error('Field series failed:', error);
+    return c.json({
+      error: 'Failed to build field series',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
 export default app;
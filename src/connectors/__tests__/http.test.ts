@@ -0,0 +1,189 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { HttpConnector } from '../http';
+import { ConnectorSync } from '../../integrations/connector-sync';
+import { ValidationError } from '../../core/errors';
+import { MemoryStorage } from '../../storage';
+import { APISource, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'development' } as Env;
+
+const DEALS = {
+  deals: [
+    { id: 1, name: 'Acme', stage: 'proposal', value: 5000 },
+    { id: 2, name: 'Globex', stage: 'won', value: '2500' }
+  ]
+};
+
+const MAPPINGS = {
+  '$.deals': { field: 'current_deals', transform: 'pick' as const, keys: ['name', 'stage'] },
+  '$.deals[*].value': { field: 'pipeline_value', transform: 'sum' as const },
+  '$.owner.name': 'deal_owner'
+};
+
+// A local API: each path answers with a fixed status and body
+const ROUTES: Record<string, { status: number; body: string; headers?: Record<string, string> }> = {
+  '/deals': { status: 200, body: JSON.stringify(DEALS) },
+  '/bad-values': { status: 200, body: JSON.stringify({ deals: [{ name: 'Acme', value: 'lots' }] }) },
+  '/not-json': { status: 200, body: '<html>Maintenance</html>' },
+  '/error': { status: 503, body: 'Service unavailable' },
+  '/moved': { status: 302, body: '', headers: { Location: '/deals' } }
+};
+
+describe('HttpConnector', () => {
+  let server: http.Server;
+  let baseUrl: string;
+  let requests: http.IncomingHttpHeaders[];
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      requests.push(request.headers);
+      const route = ROUTES[request.url || ''] || { status: 404, body: 'Not found' };
+      response.writeHead(route.status, route.headers);
+      response.end(route.body);
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function source(path: string, overrides: Partial<APISource> = {}): APISource {
+    return {
+      id: 'source-1',
+      user_id: USER,
+      source_name: 'crm',
+      connector: 'http',
+      api_endpoint: `${baseUrl}${path}`,
+      field_mappings: MAPPINGS,
+      update_frequency: 3600,
+      is_active: true,
+      ...overrides
+    };
+  }
+
+  describe('sync', () => {
+    it('pulls the endpoint and maps the response', async () => {
+      const output = await new HttpConnector(env, new MemoryStorage()).sync(source('/deals'), {});
+
+      expect(output.changes).toEqual([
+        expect.objectContaining({
+          field_name: 'current_deals',
+          field_value: [{ name: 'Acme', stage: 'proposal' }, { name: 'Globex', stage: 'won' }],
+          field_type: 'array',
+          source: 'api_crm'
+        }),
+        expect.objectContaining({ field_name: 'pipeline_value', field_value: 7500, field_type: 'number' })
+      ]);
+      expect(output.unmatched).toEqual(['$.owner.name']);
+      expect(requests[0].accept).toBe('application/json');
+    });
+
+    it('sends a bearer token and an API key', async () => {
+      const connector = new HttpConnector(env, new MemoryStorage());
+
+      await connector.sync(source('/deals'), { bearer_token: 'secret-token' });
+      await connector.sync(source('/deals'), { api_key: 'key-1', api_key_header: 'X-CRM-Key' });
+
+      expect(requests[0].authorization).toBe('Bearer secret-token');
+      expect(requests[1]['x-crm-key']).toBe('key-1');
+      expect(requests[1].authorization).toBeUndefined();
+    });
+
+    it.each([
+      ['a non-2xx status', '/error', 'HTTP 503 from'],
+      ['a redirect', '/moved', 'HTTP 302 from'],
+      ['a body that is not JSON', '/not-json', 'is not JSON']
+    ])('fails on %s', async (_label, path, message) => {
+      await expect(new HttpConnector(env, new MemoryStorage()).sync(source(path), {}))
+        .rejects.toThrow(message);
+    });
+
+    it('fails when a mapping cannot be applied to the response', async () => {
+      const error = await new HttpConnector(env, new MemoryStorage()).sync(source('/bad-values'), {}).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual([{ field_name: 'pipeline_value', message: '$.deals[*].value: Expected a number, got string "lots"' }]);
+    });
+
+    it('refuses plain HTTP outside development', async () => {
+      const connector = new HttpConnector({ ...env, ENVIRONMENT: 'production' }, new MemoryStorage());
+
+      await expect(connector.sync(source('/deals'), {})).rejects.toThrow('api_endpoint must use https');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('through ConnectorSync', () => {
+    let storage: MemoryStorage;
+    let sync: ConnectorSync;
+
+    beforeEach(() => {
+      storage = new MemoryStorage();
+      sync = new ConnectorSync(env, USER, storage);
+    });
+
+    it('commits the mapped fields, then only what changed', async () => {
+      await sync.configure('crm', {
+        connector: 'http',
+        api_endpoint: `${baseUrl}/deals`,
+        field_mappings: MAPPINGS,
+        credentials: { bearer_token: 'secret-token' }
+      });
+
+      const first = await sync.sync('crm', { trigger: 'manual', authorId: 'member-1' });
+      expect(first).toMatchObject({ success: true, fields_updated: ['current_deals', 'pipeline_value'], changes_count: 2 });
+      expect(storage.tables.context_versions[0]).toMatchObject({
+        id: first.version_id,
+        author: 'sync:crm',
+        author_id: 'member-1',
+        tags: ['sync', 'crm']
+      });
+      expect(requests[0].authorization).toBe('Bearer secret-token');
+
+      const second = await sync.sync('crm', { trigger: 'manual' });
+      expect(second).toMatchObject({ success: true, fields_updated: [], changes_count: 0, version_id: null });
+      expect(storage.tables.context_versions).toHaveLength(1);
+
+      expect(storage.tables.sync_history.map(row => row.success)).toEqual([true, true]);
+      expect(storage.tables.sync_history[0].metadata).toMatchObject({ connector: 'http', unmatched: ['$.owner.name'] });
+    });
+
+    it.each([
+      ['/error', 'HTTP 503 from'],
+      ['/not-json', 'is not JSON'],
+      ['/bad-values', 'Invalid commit: pipeline_value']
+    ])('logs a failed pull of %s without committing', async (path, message) => {
+      await sync.configure('crm', { connector: 'http', api_endpoint: `${baseUrl}${path}`, field_mappings: MAPPINGS });
+
+      const result = await sync.sync('crm', { trigger: 'scheduled' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(message);
+      expect(storage.tables.context_versions).toHaveLength(0);
+      expect(storage.tables.sync_history).toEqual([expect.objectContaining({ success: false, error_message: result.error })]);
+
+      const [status] = await sync.status();
+      expect(status).toMatchObject({ health: 'failing', error_count: 1, last_error: result.error });
+    });
+
+    it('rejects a source its connector cannot sync', async () => {
+      await expect(sync.configure('crm', { connector: 'http', api_endpoint: `${baseUrl}/deals`, field_mappings: {} }))
+        .rejects.toThrow('field_mappings must map at least one response path to a field');
+      expect(storage.tables.api_sources).toHaveLength(0);
+    });
+  });
+});
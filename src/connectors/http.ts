@@ -0,0 +1,140 @@
+/**
+ * HTTP Connector
+ * Pulls JSON from a source's api_endpoint (a CRM's deals endpoint, say) and
+ * maps it to fields with the source's field_mappings, the same mappings
+ * webhook sources use. Fields are committed with source 'api_crm'.
+ *
+ * Credentials: `bearer_token` is sent as `Authorization: Bearer`, and
+ * `api_key` in the `api_key_header` header (X-API-Key by default).
+ */
+
+import { Env, APISource } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { IntegrationError, ValidationError } from '../core/errors';
+import { applyFieldMappings, selectPath } from '../integrations/field-mapping';
+import { Connector, ConnectorConfig, ConnectorOutput } from './types';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export class HttpConnector implements Connector {
+  readonly name = 'http';
+  readonly source = 'api_crm' as const;
+  private env: Env;
+  private storage: ContextStorage;
+
+  constructor(env: Env, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+  }
+
+  /**
+   * The endpoint must be an HTTPS URL (plain HTTP only in development), and
+   * there must be at least one mapping
+   */
+  validate(config: ConnectorConfig): string[] {
+    const problems: string[] = [];
+    const allowHttp = this.env.ENVIRONMENT === 'development';
+
+    let endpoint: URL | null = null;
+    try {
+      endpoint = new URL(config.api_endpoint || '');
+    } catch {
+      problems.push('api_endpoint must be an absolute URL');
+    }
+    if (endpoint && endpoint.protocol !== 'https:' && !(allowHttp && endpoint.protocol === 'http:')) {
+      problems.push(allowHttp ? 'api_endpoint must use http or https' : 'api_endpoint must use https');
+    }
+    if (endpoint && (endpoint.username || endpoint.password)) {
+      problems.push('api_endpoint must not contain credentials; use credentials.bearer_token or api_key');
+    }
+
+    const mappings = config.field_mappings;
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings) || Object.keys(mappings).length === 0) {
+      problems.push('field_mappings must map at least one response path to a field');
+      return problems;
+    }
+
+    for (const [path, target] of Object.entries(mappings)) {
+      const field = typeof target === 'string' ? target : target?.field;
+      if (typeof field !== 'string' || !field) {
+        problems.push(`${path}: mapping needs a field name`);
+      }
+      try {
+        selectPath({}, path);
+      } catch (error) {
+        problems.push(error instanceof Error ? error.message : `Invalid path ${path}`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * GET the endpoint and map the JSON response. Redirects are not followed.
+   */
+  async sync(source: APISource, credentials: Record<string, string>): Promise<ConnectorOutput> {
+    const problems = this.validate(source);
+    if (problems.length > 0) {
+      throw new IntegrationError('invalid', `${source.source_name} is not configured: ${problems.join('; ')}`);
+    }
+
+    const payload = await this.fetchJson(source.api_endpoint!, credentials);
+    const mapped = applyFieldMappings(payload, source.field_mappings, {
+      source: this.source,
+      definitions: await this.storage.listFieldDefinitions(),
+      metadata: { connector: this.name, source_name: source.source_name }
+    });
+    if (mapped.errors.length > 0) {
+      throw new ValidationError(mapped.errors);
+    }
+
+    return {
+      changes: mapped.changes,
+      unmatched: mapped.unmatched,
+      metadata: { endpoint: source.api_endpoint }
+    };
+  }
+
+  private async fetchJson(endpoint: string, credentials: Record<string, string>): Promise<any> {
+    const headers: Record<string, string> = {
+      'Accept': 'application/json',
+      'User-Agent': 'context-version-control'
+    };
+    if (credentials.bearer_token) {
+      headers['Authorization'] = `Bearer ${credentials.bearer_token}`;
+    }
+    if (credentials.api_key) {
+      headers[credentials.api_key_header || 'X-API-Key'] = credentials.api_key;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(endpoint, {
+        headers,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${endpoint}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new Error(`Response from ${endpoint} is not JSON`);
+      }
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`No response from ${endpoint} within ${REQUEST_TIMEOUT_MS / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Connectors
+ * Registry of what can pull an API source. A source's `connector` column
+ * names its connector; sources without one only receive webhooks.
+ */
+
+import { Env } from '../types';
+import { ContextStorage } from '../storage';
+import { Connector } from './types';
+import { HttpConnector } from './http';
+import { TwitterConnector } from './twitter';
+
+export * from './types';
+export { HttpConnector } from './http';
+export { TwitterConnector } from './twitter';
+
+export type ConnectorFactory = (env: Env, userId: string, storage?: ContextStorage) => Connector;
+
+const connectors = new Map<string, { description: string; create: ConnectorFactory }>([
+  ['http', {
+    description: 'GET JSON from api_endpoint and map it with field_mappings',
+    create: (env, _userId, storage) => new HttpConnector(env, storage)
+  }],
+  ['twitter', {
+    description: 'Profile and metrics of credentials.username, committed past auto-commit thresholds',
+    create: (env, userId, storage) => new TwitterConnector(env, userId, storage)
+  }]
+]);
+
+/**
+ * Make a connector available to sources under `name`, replacing any
+ * connector already registered with it
+ */
+export function registerConnector(name: string, description: string, create: ConnectorFactory): void {
+  connectors.set(name, { description, create });
+}
+
+/**
+ * The connector registered as `name`, or null
+ */
+export function createConnector(
+  name: string,
+  env: Env,
+  userId: string,
+  storage?: ContextStorage
+): Connector | null {
+  const connector = connectors.get(name);
+  return connector ? connector.create(env, userId, storage) : null;
+}
+
+export function listConnectors(): { name: string; description: string }[] {
+  return [...connectors.entries()].map(([name, { description }]) => ({ name, description }));
+}
@@ -0,0 +1,46 @@
+/**
+ * Twitter Connector
+ * The workspace's twitter source, synced by TwitterIntegration: every sync
+ * records a metric snapshot and commits only past the auto-commit thresholds
+ */
+
+import { Env, APISource, SyncResult } from '../types';
+import { ContextStorage } from '../storage';
+import { TwitterIntegration, USERNAME_PATTERN } from '../integrations/twitter';
+import { Connector, ConnectorConfig, ConnectorOutput, ConnectorRunOptions } from './types';
+
+export class TwitterConnector implements Connector {
+  readonly name = 'twitter';
+  readonly source = 'api_twitter' as const;
+  private twitter: TwitterIntegration;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.twitter = new TwitterIntegration(env, userId, storage);
+  }
+
+  validate(config: ConnectorConfig): string[] {
+    const username = config.credentials?.username;
+    return typeof username === 'string' && USERNAME_PATTERN.test(username)
+      ? []
+      : ['credentials.username must be a Twitter handle (letters, digits and _, at most 15)'];
+  }
+
+  async sync(_source: APISource, credentials: Record<string, string>): Promise<ConnectorOutput> {
+    const fields = await this.twitter.fetchFields(credentials.username);
+
+    return {
+      changes: Object.entries(fields).map(([name, field]) => ({
+        field_name: name,
+        field_value: field.value,
+        field_type: field.type,
+        source: this.source,
+        metadata: { username: credentials.username }
+      })),
+      metadata: { username: credentials.username }
+    };
+  }
+
+  async run(source: APISource, options: ConnectorRunOptions): Promise<SyncResult> {
+    return this.twitter.syncFollowerData(source, options);
+  }
+}
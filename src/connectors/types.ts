@@ -0,0 +1,49 @@
+/**
+ * Connector Interface
+ * What scheduled and manual syncs need from something that pulls an API
+ * source's data into context fields
+ */
+
+import { APISource, BusinessStateField, CommitRequest, SyncResult } from '../types';
+
+/**
+ * Values read from a source. Only the fields whose value changed are
+ * committed.
+ */
+export interface ConnectorOutput {
+  changes: CommitRequest['changes'];
+  unmatched?: string[]; // Mapped paths with no value in the response
+  metadata?: Record<string, any>; // Kept in the sync_history row
+}
+
+/**
+ * The parts of an api_sources row a connector is configured by
+ */
+export type ConnectorConfig = Pick<APISource, 'api_endpoint' | 'field_mappings' | 'credentials'>;
+
+export interface ConnectorRunOptions {
+  trigger: 'scheduled' | 'manual';
+  authorId?: string;
+}
+
+export interface Connector {
+  readonly name: string;
+  readonly source: BusinessStateField['source']; // Recorded on the fields it produces
+
+  /**
+   * Problems with a source's configuration; [] when it can be synced
+   */
+  validate(config: ConnectorConfig): string[];
+
+  /**
+   * The source's current field values. Throws when the source can't be read
+   * or its data can't be mapped.
+   */
+  sync(source: APISource, credentials: Record<string, string>): Promise<ConnectorOutput>;
+
+  /**
+   * Connectors that decide for themselves what to commit (Twitter's
+   * auto-commit thresholds) run the whole sync, logging it with recordSync
+   */
+  run?(source: APISource, options: ConnectorRunOptions): Promise<SyncResult>;
+}
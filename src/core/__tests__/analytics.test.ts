@@ -0,0 +1,127 @@
+import { FieldAnalytics } from '../analytics';
+import { VersionControlEngine } from '../version-control';
+import { MemoryStorage } from '../../storage';
+import { CommitRequest, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+describe('FieldAnalytics.series', () => {
+  let storage: MemoryStorage;
+  let engine: VersionControlEngine;
+  let analytics: FieldAnalytics;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'setTimeout', 'setInterval'] });
+    storage = new MemoryStorage();
+    engine = new VersionControlEngine(env, USER, storage);
+    analytics = new FieldAnalytics(env, USER, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  // Commit at a given time
+  async function commitAt(time: string, request: Partial<Pick<CommitRequest, 'changes' | 'renames'>>) {
+    jest.setSystemTime(new Date(time));
+    return engine.commit({ user_id: USER, commit_message: `At ${time}`, changes: [], ...request });
+  }
+
+  function setNumber(field_name: string, field_value: number): CommitRequest['changes'] {
+    return [{ field_name, field_value, field_type: 'number', source: 'manual' }];
+  }
+
+  it('follows a renamed field back to its earlier name', async () => {
+    await commitAt('2025-01-01T00:00:00Z', { changes: setNumber('mrr', 1000) });
+    await commitAt('2025-01-10T00:00:00Z', { changes: setNumber('mrr', 1500) });
+    await commitAt('2025-01-15T00:00:00Z', { renames: [{ from: 'mrr', to: 'monthly_revenue' }] });
+    await commitAt('2025-01-20T00:00:00Z', { changes: setNumber('monthly_revenue', 2000) });
+
+    const series = await analytics.series('monthly_revenue', { end: new Date('2025-01-21T00:00:00Z') });
+
+    expect(series.points.map(point => [point.timestamp.substring(0, 10), point.value])).toEqual([
+      ['2025-01-01', 1000],
+      ['2025-01-10', 1500],
+      ['2025-01-15', 1500],
+      ['2025-01-20', 2000]
+    ]);
+    expect(series.growth).toMatchObject({ start_value: 1000, end_value: 2000, absolute: 1000, percent: 100 });
+  });
+
+  it('puts a Sunday night and a Monday morning in different weeks', async () => {
+    await commitAt('2025-03-02T23:00:00Z', { changes: setNumber('signups', 10) }); // Sunday
+    await commitAt('2025-03-03T01:00:00Z', { changes: setNumber('signups', 20) }); // Monday
+
+    const series = await analytics.series('signups', { interval: 'week', end: new Date('2025-03-10T12:00:00Z') });
+
+    expect(series.points.map(point => [point.timestamp, point.value, point.change])).toEqual([
+      ['2025-02-24T00:00:00.000Z', 10, null],
+      ['2025-03-03T00:00:00.000Z', 20, 10],
+      ['2025-03-10T00:00:00.000Z', 20, 0]
+    ]);
+  });
+
+  it('takes the value at the end of each month, carrying it through quiet months', async () => {
+    await commitAt('2025-01-31T23:59:59Z', { changes: setNumber('customers', 5) });
+    await commitAt('2025-02-01T00:00:00Z', { changes: setNumber('customers', 7) });
+    await commitAt('2025-02-20T00:00:00Z', { changes: setNumber('customers', 9) });
+
+    const series = await analytics.series('customers', { interval: 'month', end: new Date('2025-04-15T00:00:00Z') });
+
+    expect(series.points.map(point => [point.timestamp.substring(0, 7), point.value])).toEqual([
+      ['2025-01', 5],
+      ['2025-02', 9],
+      ['2025-03', 9],
+      ['2025-04', 9]
+    ]);
+  });
+
+  describe('trend', () => {
+    beforeEach(async () => {
+      // 10 a day
+      await commitAt('2025-05-01T00:00:00Z', { changes: setNumber('followers', 100) });
+      await commitAt('2025-05-02T00:00:00Z', { changes: setNumber('followers', 110) });
+      await commitAt('2025-05-03T00:00:00Z', { changes: setNumber('followers', 120) });
+    });
+
+    const end = new Date('2025-05-03T00:00:00Z');
+
+    it('projects when the latest value reaches the target', async () => {
+      const { trend } = await analytics.series('followers', { end, target: 150 });
+
+      expect(trend).toEqual({
+        slope_per_day: 10,
+        r_squared: 1,
+        target: 150,
+        target_reached: false,
+        target_date: '2025-05-06T00:00:00.000Z',
+        days_to_target: 3
+      });
+    });
+
+    it('reports a target already passed as reached', async () => {
+      const { trend } = await analytics.series('followers', { end, target: 115 });
+
+      expect(trend).toMatchObject({ target_reached: true, target_date: null, days_to_target: null });
+    });
+
+    it('treats the target of a falling trend as a floor', async () => {
+      await commitAt('2025-05-04T00:00:00Z', { changes: setNumber('followers', 90) });
+      const options = { end: new Date('2025-05-04T00:00:00Z') };
+
+      const below = await analytics.series('followers', { ...options, target: 80 });
+      expect(below.trend).toMatchObject({
+        slope_per_day: -2,
+        target_reached: false,
+        target_date: '2025-05-09T00:00:00.000Z',
+        days_to_target: 5
+      });
+
+      const above = await analytics.series('followers', { ...options, target: 100 });
+      expect(above.trend).toMatchObject({ target_reached: true, target_date: null, days_to_target: null });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import * as crypto from 'node:crypto';
+import { ApiKeyManager, Authenticator, SESSION_TTL_SECONDS, hasScope } from '../auth';
+import { AuthError } from '../errors';
+import { MemoryStorage } from '../../storage';
+import { AuthContext, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test', AUTH_SECRET: 'test-secret', ADMIN_TOKEN: 'test-admin' } as Env;
+const ADMIN: AuthContext = { user_id: '', scopes: [], method: 'admin' };
+
+describe('Authenticator', () => {
+  let storage: MemoryStorage;
+  let authenticator: Authenticator;
+  let keys: ApiKeyManager;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    authenticator = new Authenticator(env, storage);
+    keys = new ApiKeyManager(env, USER, storage);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('API keys', () => {
+    it('are stored only as a SHA-256 hash', async () => {
+      const { apiKey, secret } = await keys.create({ name: 'cli', scopes: ['context:read'] }, ADMIN);
+
+      expect(secret).toMatch(/^cvk_/);
+      expect(apiKey.key_hash).toBe(crypto.createHash('sha256').update(secret).digest('hex'));
+      expect(JSON.stringify(storage.tables.api_keys)).not.toContain(secret);
+      expect(await authenticator.authenticate(secret)).toEqual({
+        user_id: USER,
+        scopes: ['context:read'],
+        method: 'api_key',
+        key_id: apiKey.id
+      });
+    });
+
+    it('cannot grant scopes the grantor lacks', async () => {
+      const grantor: AuthContext = { user_id: USER, scopes: ['context:read'], method: 'api_key', key_id: 'k' };
+
+      await expect(keys.create({ name: 'wider', scopes: ['context:write'] }, grantor))
+        .rejects.toThrow('Cannot grant scopes you do not have: context:write');
+      await expect(keys.create({ name: 'prompt', scopes: ['context:prompt'] }, grantor)).resolves.toBeDefined();
+      await expect(keys.create({ name: 'typo', scopes: ['context:admin' as any] }, ADMIN)).rejects.toThrow('Unknown scopes');
+    });
+
+    it('stop working when revoked or expired', async () => {
+      const { apiKey, secret } = await keys.create({ name: 'cli' }, ADMIN);
+      await keys.revoke(apiKey.id);
+      await expect(authenticator.authenticate(secret)).rejects.toThrow('Invalid or revoked API key');
+
+      const expiring = await keys.create({ name: 'soon', expires_at: new Date(Date.now() + 1000) }, ADMIN);
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      jest.setSystemTime(Date.now() + 2000);
+      await expect(authenticator.authenticate(expiring.secret)).rejects.toThrow('Invalid or revoked API key');
+    });
+
+    it('let context:read stand in for context:prompt, not the other way round', () => {
+      expect(hasScope(['context:read'], 'context:prompt')).toBe(true);
+      expect(hasScope(['context:prompt'], 'context:read')).toBe(false);
+    });
+  });
+
+  describe('sessions', () => {
+    it('carry the scopes they were narrowed to', async () => {
+      const { secret } = await keys.create({ name: 'dashboard' }, ADMIN);
+      const { token, scopes } = await authenticator.issueSession(await authenticator.authenticate(secret), {
+        scopes: ['context:read']
+      });
+
+      expect(scopes).toEqual(['context:read']);
+      expect(await authenticator.authenticate(token)).toMatchObject({ scopes: ['context:read'], method: 'session' });
+
+      await expect(authenticator.issueSession(await authenticator.authenticate(secret), { scopes: ['integrations:admin'] }))
+        .rejects.toThrow('The API key does not have integrations:admin');
+    });
+
+    it('reject a tampered or expired token', async () => {
+      const { secret } = await keys.create({ name: 'dashboard' }, ADMIN);
+      const { token } = await authenticator.issueSession(await authenticator.authenticate(secret), { ttlSeconds: 60 });
+
+      // Widen the scopes in the payload, keeping the old signature
+      const [body, signature] = token.split('.');
+      const payload = JSON.parse(Buffer.from(body.slice(4), 'base64url').toString());
+      const forged = 'cvs_' + Buffer.from(JSON.stringify({ ...payload, scp: ['integrations:admin'] })).toString('base64url');
+      await expect(authenticator.authenticate(`${forged}.${signature}`)).rejects.toThrow('Invalid session token');
+
+      const otherSecret = new Authenticator({ ...env, AUTH_SECRET: 'other-secret' }, storage);
+      await expect(otherSecret.authenticate(token)).rejects.toThrow('Invalid session token');
+
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      jest.setSystemTime(Date.now() + 61 * 1000);
+      await expect(authenticator.authenticate(token)).rejects.toThrow('Session expired');
+    });
+
+    it('stop working when their key is revoked', async () => {
+      const { apiKey, secret } = await keys.create({ name: 'dashboard' }, ADMIN);
+      const { token } = await authenticator.issueSession(await authenticator.authenticate(secret));
+
+      expect(await authenticator.authenticate(token)).toMatchObject({ user_id: USER, method: 'session', key_id: apiKey.id });
+
+      await keys.revoke(apiKey.id);
+
+      await expect(authenticator.authenticate(token)).rejects.toThrow('revoked or expired');
+    });
+
+    it('expire no later than their key', async () => {
+      const keyExpiry = new Date(Date.now() + 60 * 60 * 1000);
+      const { secret } = await keys.create({ name: 'short-lived', expires_at: keyExpiry }, ADMIN);
+
+      const session = await authenticator.issueSession(await authenticator.authenticate(secret));
+
+      expect(session.expires_at.getTime()).toBe(Math.floor(keyExpiry.getTime() / 1000) * 1000);
+      expect(session.expires_at.getTime()).toBeLessThan(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      jest.setSystemTime(keyExpiry.getTime() + 1000);
+
+      const error = await authenticator.authenticate(session.token).catch(e => e);
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.reason).toBe('unauthenticated');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { EventPublisher, MAX_DELIVERY_ATTEMPTS, SubscriptionManager, deliverDueEvents, matchesEvent, signPayload } from '../events';
+import { VersionControlEngine } from '../version-control';
+import { MemoryStorage } from '../../storage';
+import { Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'development' } as Env;
+const MINUTE = 60 * 1000;
+
+interface Received {
+  path: string;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+describe('event delivery', () => {
+  let server: http.Server;
+  let baseUrl: string;
+  let received: Received[];
+  let storage: MemoryStorage;
+  let subscriptions: SubscriptionManager;
+
+  beforeAll(async () => {
+    // /ok accepts every delivery, /down answers 503
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push({ path: request.url || '', headers: request.headers, body });
+        response.writeHead(request.url === '/ok' ? 204 : 503);
+        response.end(request.url === '/ok' ? undefined : 'Down for maintenance');
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    received = [];
+    storage = new MemoryStorage();
+    subscriptions = new SubscriptionManager(env, USER, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function commitFocus() {
+    await new VersionControlEngine(env, USER, storage).commit({
+      user_id: USER,
+      commit_message: 'Set focus and MRR',
+      changes: [
+        { field_name: 'current_focus', field_value: 'Agencies', field_type: 'text', source: 'manual' },
+        { field_name: 'mrr', field_value: 1500, field_type: 'number', source: 'manual' }
+      ]
+    });
+  }
+
+  // Make every pending delivery due now
+  function makeDue() {
+    for (const delivery of storage.tables.event_deliveries) {
+      if (delivery.status === 'pending') delivery.next_attempt_at = new Date(Date.now() - 1);
+    }
+  }
+
+  it('matches field_changed:* against any field change only', () => {
+    expect(matchesEvent(['field_changed:*'], 'field_changed:mrr')).toBe(true);
+    expect(matchesEvent(['field_changed:*'], 'commit')).toBe(false);
+    expect(matchesEvent(['field_changed:mrr'], 'field_changed:current_focus')).toBe(false);
+  });
+
+  it('queues only the events each subscription filters for', async () => {
+    const everyField = await subscriptions.create({ url: `${baseUrl}/ok`, events: ['field_changed:*'] }, USER);
+    const commits = await subscriptions.create({ url: `${baseUrl}/ok`, events: ['commit'] }, USER);
+    const mrr = await subscriptions.create({ url: `${baseUrl}/ok`, events: ['field_changed:mrr'] }, USER);
+
+    await commitFocus();
+
+    const queued = (subscriptionId: string) => storage.tables.event_deliveries
+      .filter(delivery => delivery.subscription_id === subscriptionId)
+      .map(delivery => delivery.event);
+    expect(queued(everyField.subscription.id)).toEqual(['field_changed:current_focus', 'field_changed:mrr']);
+    expect(queued(commits.subscription.id)).toEqual(['commit']);
+    expect(queued(mrr.subscription.id)).toEqual(['field_changed:mrr']);
+  });
+
+  it('signs each delivery with the subscription secret', async () => {
+    const { secret } = await subscriptions.create({ url: `${baseUrl}/ok`, events: ['commit'] }, USER);
+    await commitFocus();
+
+    expect(await deliverDueEvents(env, { userId: USER }, storage)).toEqual({ delivered: 1, retrying: 0, failed: 0 });
+
+    const [request] = received;
+    const delivery = storage.tables.event_deliveries[0];
+    expect(request.headers['x-webhook-signature']).toBe(signPayload(request.body, secret));
+    expect(request.headers).toMatchObject({ 'x-webhook-event': 'commit', 'x-webhook-delivery': delivery.id });
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'commit', workspace_id: USER, data: { version: { message: 'Set focus and MRR' } } });
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, response_status: 204, next_attempt_at: null });
+  });
+
+  it('retries with backoff, then gives up after MAX_DELIVERY_ATTEMPTS', async () => {
+    await subscriptions.create({ url: `${baseUrl}/down`, events: ['commit'] }, USER);
+    await commitFocus();
+    const delivery = storage.tables.event_deliveries[0];
+
+    for (let attempt = 1; attempt < MAX_DELIVERY_ATTEMPTS; attempt++) {
+      const before = Date.now();
+      expect(await deliverDueEvents(env, { userId: USER }, storage)).toEqual({ delivered: 0, retrying: 1, failed: 0 });
+      const after = Date.now();
+
+      const delay = MINUTE * 4 ** (attempt - 1);
+      const nextAttempt = new Date(delivery.next_attempt_at!).getTime();
+      expect(nextAttempt).toBeGreaterThanOrEqual(before + delay);
+      expect(nextAttempt).toBeLessThanOrEqual(after + delay);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: attempt, response_status: 503, last_error: 'HTTP 503: Down for maintenance' });
+
+      // Not due again until the backoff has passed
+      expect(await deliverDueEvents(env, { userId: USER }, storage)).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+      makeDue();
+    }
+
+    expect(await deliverDueEvents(env, { userId: USER }, storage)).toEqual({ delivered: 0, retrying: 0, failed: 1 });
+    expect(delivery).toMatchObject({ status: 'failed', attempts: MAX_DELIVERY_ATTEMPTS, next_attempt_at: null });
+    expect(received).toHaveLength(MAX_DELIVERY_ATTEMPTS);
+  });
+
+  it('sends a delivery once when two dispatchers race for it', async () => {
+    await subscriptions.create({ url: `${baseUrl}/ok`, events: ['commit'] }, USER);
+    await commitFocus();
+
+    // Both list the delivery as due; only the first claims the attempt
+    const [first, second] = await Promise.all([
+      deliverDueEvents(env, { userId: USER }, storage),
+      deliverDueEvents(env, { userId: USER }, storage)
+    ]);
+
+    expect(first).toEqual({ delivered: 1, retrying: 0, failed: 0 });
+    expect(second).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+    expect(received).toHaveLength(1);
+    expect(storage.tables.event_deliveries[0].attempts).toBe(1);
+  });
+
+  it('fails the deliveries of a paused subscription without sending them', async () => {
+    const { subscription } = await subscriptions.create({ url: `${baseUrl}/ok`, events: ['sync_failed'] }, USER);
+    await new EventPublisher(env, USER, storage).publish('sync_failed', { source: 'crm' });
+    await subscriptions.update(subscription.id, { is_active: false });
+
+    expect(await deliverDueEvents(env, { userId: USER }, storage)).toEqual({ delivered: 0, retrying: 0, failed: 1 });
+    expect(storage.tables.event_deliveries[0]).toMatchObject({ status: 'failed', attempts: 0, last_error: 'Subscription is paused' });
+    expect(received).toHaveLength(0);
+  });
+});
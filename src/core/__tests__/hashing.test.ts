@@ -0,0 +1,123 @@
+import { canonicalJson, hashTree, hashVersion } from '../hashing';
+import { VersionControlEngine } from '../version-control';
+import { MemoryStorage } from '../../storage';
+import { CommitRequest, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+const PRICING = { tier: 'pro', limits: { seats: 5, projects: 20 } };
+
+describe('hashTree', () => {
+  const fields = [
+    { field_name: 'mrr', field_type: 'number' as const, field_value: 1500, source: 'manual' as const },
+    { field_name: 'pricing', field_type: 'json' as const, field_value: PRICING, source: 'api_crm' as const }
+  ];
+
+  it('hashes identical states the same regardless of row and key order', () => {
+    const reordered = [
+      { ...fields[1], field_value: { limits: { projects: 20, seats: 5 }, tier: 'pro' } },
+      fields[0]
+    ];
+
+    expect(hashTree(reordered)).toBe(hashTree(fields));
+    expect(hashTree(fields)).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  it('changes with any value, type or source', () => {
+    const base = hashTree(fields);
+
+    expect(hashTree([{ ...fields[0], field_value: 1501 }, fields[1]])).not.toBe(base);
+    expect(hashTree([{ ...fields[0], field_type: 'text', field_value: '1500' }, fields[1]])).not.toBe(base);
+    expect(hashTree([{ ...fields[0], source: 'claude_chat' }, fields[1]])).not.toBe(base);
+    expect(hashTree([fields[0]])).not.toBe(base);
+  });
+
+  it('sorts keys at every level of canonical JSON and drops undefined', () => {
+    expect(canonicalJson({ b: [{ d: 1, c: undefined, a: null }], a: 'x' })).toBe('{"a":"x","b":[{"a":null,"d":1}]}');
+  });
+});
+
+describe('hashVersion', () => {
+  const input = {
+    tree_hash: 'a'.repeat(40),
+    parent_hashes: ['b'.repeat(40)],
+    user_id: USER,
+    author: 'system',
+    created_at: new Date('2025-03-01T00:00:00Z'),
+    commit_message: 'Set focus'
+  };
+
+  it('depends on the parents, metadata and tree', () => {
+    const base = hashVersion(input);
+
+    expect(hashVersion({ ...input })).toBe(base);
+    expect(hashVersion({ ...input, parent_hashes: [] })).not.toBe(base);
+    expect(hashVersion({ ...input, commit_message: 'Set focus!' })).not.toBe(base);
+    expect(hashVersion({ ...input, created_at: new Date('2025-03-01T00:00:01Z') })).not.toBe(base);
+  });
+
+  it('leaves an unset author_id out, so older hashes still verify', () => {
+    expect(hashVersion({ ...input, author_id: null })).toBe(hashVersion(input));
+    expect(hashVersion({ ...input, author_id: 'member-1' })).not.toBe(hashVersion(input));
+  });
+});
+
+describe('VersionControlEngine.verify', () => {
+  let storage: MemoryStorage;
+  let engine: VersionControlEngine;
+
+  function change(field_name: string, field_value: any): CommitRequest['changes'][number] {
+    return { field_name, field_value, field_type: typeof field_value === 'number' ? 'number' : 'json', source: 'manual' };
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    engine = new VersionControlEngine(env, USER, storage);
+    await engine.commit({ user_id: USER, commit_message: 'Initial context', changes: [change('mrr', 1000), change('pricing', PRICING)] });
+    await engine.commit({ user_id: USER, commit_message: 'Grow', changes: [change('mrr', 1500)] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports an untouched history as valid', async () => {
+    const report = await engine.verify();
+
+    expect(report).toMatchObject({ branch: 'main', versions_checked: 2, legacy_versions: 0, valid: true, problems: [] });
+  });
+
+  it('gives a version with the same state as its parent the same tree hash', async () => {
+    const [first, second] = storage.tables.context_versions;
+    const back = await engine.commit({ user_id: USER, commit_message: 'Back', changes: [change('mrr', 1000)] });
+
+    expect(back.tree_hash).toBe(first.tree_hash);
+    expect(back.tree_hash).not.toBe(second.tree_hash);
+  });
+
+  it('reports a business_state row edited after commit as state_altered', async () => {
+    const [first] = storage.tables.context_versions;
+    const row = storage.tables.business_state.find(field => field.version_id === first.id && field.field_name === 'pricing')!;
+    row.field_value = { ...PRICING, tier: 'enterprise' };
+
+    const report = await engine.verify();
+
+    expect(report.valid).toBe(false);
+    expect(report.problems).toEqual([expect.objectContaining({
+      version_id: first.id,
+      problem: 'state_altered',
+      expected: first.tree_hash
+    })]);
+  });
+
+  it('reports edited version metadata as a hash mismatch', async () => {
+    const [, second] = storage.tables.context_versions;
+    second.commit_message = 'Rewritten';
+
+    const report = await engine.verify();
+
+    expect(report.problems).toEqual([expect.objectContaining({ version_id: second.id, problem: 'hash_mismatch' })]);
+  });
+});
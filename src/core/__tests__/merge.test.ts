@@ -0,0 +1,204 @@
+import { VersionControlEngine } from '../version-control';
+import { mergeStates } from '../merge';
+import { MemoryStorage } from '../../storage';
+import { BusinessStateField, CommitRequest, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+function change(field_name: string, field_value: any): CommitRequest['changes'][number] {
+  return {
+    field_name,
+    field_value,
+    field_type: typeof field_value === 'number' ? 'number' : typeof field_value === 'object' ? 'json' : 'text',
+    source: 'manual'
+  };
+}
+
+function field(field_name: string, field_value: any): BusinessStateField {
+  return { ...change(field_name, field_value), id: field_name, version_id: 'v', updated_at: new Date() };
+}
+
+describe('mergeStates', () => {
+  it('takes the side that changed and keeps fields neither side touched', () => {
+    const base = { focus: field('focus', 'SMB'), mrr: field('mrr', 1000) };
+    const ours = { focus: field('focus', 'SMB'), mrr: field('mrr', 1500) };
+    const theirs = { focus: field('focus', 'Agencies'), mrr: field('mrr', 1000), themes: field('themes', 'AI') };
+
+    const merged = mergeStates(base, ours, theirs);
+
+    expect(merged.conflicts).toEqual([]);
+    expect(merged.auto_merged).toEqual(['focus', 'themes']);
+    expect(Object.fromEntries(merged.state.map(f => [f.field_name, f.field_value])))
+      .toEqual({ focus: 'Agencies', mrr: 1500, themes: 'AI' });
+  });
+
+  it('does not conflict when both sides made the same change', () => {
+    const merged = mergeStates({ mrr: field('mrr', 1) }, { mrr: field('mrr', 2) }, { mrr: field('mrr', 2) });
+
+    expect(merged.conflicts).toEqual([]);
+    expect(merged.state[0].field_value).toBe(2);
+  });
+
+  it('follows a deletion on one side', () => {
+    const merged = mergeStates({ legacy: field('legacy', 'x') }, { legacy: field('legacy', 'x') }, {});
+
+    expect(merged.state).toEqual([]);
+    expect(merged.auto_merged).toEqual(['legacy']);
+  });
+});
+
+describe('VersionControlEngine.merge', () => {
+  let storage: MemoryStorage;
+  let engine: VersionControlEngine;
+
+  // main and feature both start from a commit with these fields
+  async function diverge(base: CommitRequest['changes'], main: CommitRequest['changes'], feature: CommitRequest['changes']) {
+    await engine.commit({ user_id: USER, commit_message: 'Base', changes: base });
+    await engine.createBranch('feature');
+    const theirs = await engine.commit({ user_id: USER, commit_message: 'Feature work', changes: feature, branch: 'feature' });
+    const ours = await engine.commit({ user_id: USER, commit_message: 'Main work', changes: main });
+    return { ours, theirs };
+  }
+
+  async function headState() {
+    const head = await engine.getCurrentVersion('main');
+    const state = await engine.getVersionState(head!.id);
+    return Object.fromEntries(Object.values(state).map(f => [f.field_name, f.field_value]));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    engine = new VersionControlEngine(env, USER, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('merges fields changed on different sides and records both parents', async () => {
+    const { ours, theirs } = await diverge(
+      [change('current_focus', 'SMB'), change('mrr', 1000)],
+      [change('mrr', 1500)],
+      [change('current_focus', 'Agencies')]
+    );
+
+    const result = await engine.merge({ user_id: USER, source: 'feature', author_id: 'member-1' });
+
+    expect(result).toMatchObject({
+      status: 'merged',
+      branch: 'main',
+      ours_version_id: ours.id,
+      theirs_version_id: theirs.id,
+      auto_merged: ['current_focus'],
+      conflicts: []
+    });
+    expect(result.version).toMatchObject({
+      parent_version_id: ours.id,
+      merge_parent_version_id: theirs.id,
+      commit_message: 'Merge feature into main',
+      author_id: 'member-1',
+      tags: ['merge']
+    });
+    expect(await headState()).toEqual({ current_focus: 'Agencies', mrr: 1500 });
+  });
+
+  it('reports fields changed on both sides as conflicts without committing', async () => {
+    const { ours } = await diverge([change('mrr', 1000)], [change('mrr', 1500)], [change('mrr', 1200)]);
+
+    const result = await engine.merge({ user_id: USER, source: 'feature' });
+
+    expect(result.status).toBe('conflicts');
+    expect(result.conflicts).toEqual([{ field_name: 'mrr', base: 1000, ours: 1500, theirs: 1200 }]);
+    expect(result.version).toBeUndefined();
+    expect((await engine.getCurrentVersion('main'))!.id).toBe(ours.id);
+  });
+
+  it('commits once resolutions settle every conflict', async () => {
+    await diverge(
+      [change('mrr', 1000), change('current_focus', 'SMB')],
+      [change('mrr', 1500), change('current_focus', 'Enterprise')],
+      [change('mrr', 1200), change('current_focus', 'Agencies')]
+    );
+
+    const partial = await engine.merge({ user_id: USER, source: 'feature', resolutions: [{ field_name: 'mrr', take: 'theirs' }] });
+    expect(partial.status).toBe('conflicts');
+    expect(partial.conflicts.map(conflict => conflict.field_name)).toEqual(['current_focus']);
+
+    const result = await engine.merge({
+      user_id: USER,
+      source: 'feature',
+      resolutions: [
+        { field_name: 'mrr', take: 'theirs' },
+        { field_name: 'current_focus', value: 'Agencies and enterprise' }
+      ]
+    });
+
+    expect(result.status).toBe('merged');
+    expect(result.resolved).toEqual(['current_focus', 'mrr']);
+    expect(await headState()).toEqual({ current_focus: 'Agencies and enterprise', mrr: 1200 });
+  });
+
+  it('merges json fields key by key', async () => {
+    const pricing = { tier: 'pro', price: 49, seats: 5 };
+    await diverge(
+      [change('pricing', pricing)],
+      [change('pricing', { ...pricing, price: 59 })],
+      [change('pricing', { tier: 'pro', price: 49, trial_days: 14 })]
+    );
+
+    const result = await engine.merge({ user_id: USER, source: 'feature' });
+
+    expect(result.status).toBe('merged');
+    expect(result.auto_merged).toEqual(['pricing']);
+    expect((await headState()).pricing).toEqual({ tier: 'pro', price: 59, trial_days: 14 });
+  });
+
+  it('reports and resolves a conflict on a single json key', async () => {
+    const pricing = { tier: 'pro', price: 49 };
+    await diverge(
+      [change('pricing', pricing)],
+      [change('pricing', { ...pricing, price: 59, seats: 5 })],
+      [change('pricing', { ...pricing, price: 39 })]
+    );
+
+    const conflicted = await engine.merge({ user_id: USER, source: 'feature' });
+    expect(conflicted.conflicts).toEqual([{ field_name: 'pricing', key: 'price', base: 49, ours: 59, theirs: 39 }]);
+
+    const result = await engine.merge({
+      user_id: USER,
+      source: 'feature',
+      resolutions: [{ field_name: 'pricing', key: 'price', take: 'theirs' }]
+    });
+
+    expect(result.resolved).toEqual(['pricing']);
+    expect((await headState()).pricing).toEqual({ tier: 'pro', price: 39, seats: 5 });
+  });
+
+  it('reports the outcome of a dry run without committing', async () => {
+    const { ours } = await diverge([change('mrr', 1000), change('current_focus', 'SMB')], [change('mrr', 1500)], [change('current_focus', 'Agencies')]);
+
+    const result = await engine.merge({ user_id: USER, source: 'feature', dry_run: true });
+
+    expect(result).toMatchObject({ status: 'clean', auto_merged: ['current_focus'] });
+    expect(result.version).toBeUndefined();
+    expect((await engine.getCurrentVersion('main'))!.id).toBe(ours.id);
+  });
+
+  it('is up to date when the source is already merged', async () => {
+    await diverge([change('mrr', 1000)], [change('mrr', 1500)], [change('current_focus', 'Agencies')]);
+    await engine.merge({ user_id: USER, source: 'feature' });
+
+    const again = await engine.merge({ user_id: USER, source: 'feature' });
+
+    expect(again.status).toBe('up_to_date');
+    expect(storage.tables.context_versions).toHaveLength(4);
+  });
+
+  it('rejects an unknown source', async () => {
+    await engine.commit({ user_id: USER, commit_message: 'Base', changes: [change('mrr', 1)] });
+
+    await expect(engine.merge({ user_id: USER, source: 'nope' })).rejects.toThrow('No branch or version named nope');
+  });
+});
@@ -0,0 +1,175 @@
+import { compileTemplate } from '../template-engine';
+import { DEFAULT_MARKDOWN_TEMPLATE } from '../context-templates';
+import { TemplateError } from '../errors';
+
+function render(source: string, data: Record<string, any> = {}): string {
+  return compileTemplate(source).render(data);
+}
+
+function syntaxError(source: string): TemplateError {
+  try {
+    compileTemplate(source);
+  } catch (error) {
+    return error as TemplateError;
+  }
+  throw new Error('Expected the template not to compile');
+}
+
+describe('compileTemplate', () => {
+  describe('values', () => {
+    it('looks up dotted paths and renders missing values as nothing', () => {
+      expect(render('{{version.hash}}|{{version.missing}}|{{nothing.at.all}}', { version: { hash: 'abc' } }))
+        .toBe('abc||');
+    });
+
+    it('passes values through filters with arguments', () => {
+      const data = { hash: 'abcdef123456', name: 'current_focus', tags: ['a', 'b', 'c'], text: 'Agencies and studios' };
+
+      expect(render('{{hash | short}} {{hash | short:3}}', data)).toBe('abcdef1 abc');
+      expect(render('{{name | title}} {{name | upper}}', data)).toBe('Current Focus CURRENT_FOCUS');
+      expect(render('{{tags | limit:2 | join:" / "}} ({{tags | count}})', data)).toBe('a / b (3)');
+      expect(render('{{text | truncate:8}}', data)).toBe('Agencies…');
+      expect(render('{{missing | default:"n/a"}}', data)).toBe('n/a');
+      expect(render('{{when | date}}', { when: '2025-03-01T12:00:00Z' })).toBe('2025-03-01');
+    });
+
+    it('formats arrays as bullets and objects as JSON code blocks', () => {
+      expect(render('{{value | format}}', { value: ['Acme', 'Globex'] })).toBe('- Acme\n- Globex');
+      expect(render('{{value | format}}', { value: { tier: 'pro' } })).toBe('```json\n{\n  "tier": "pro"\n}\n```');
+      expect(render('{{value}}', { value: { tier: 'pro' } })).toBe('{"tier":"pro"}');
+    });
+
+    it('drops comments', () => {
+      expect(render('a{{! not shown }}b')).toBe('ab');
+    });
+  });
+
+  describe('blocks', () => {
+    it('loops over arrays with the loop variables', () => {
+      const template = '{{#each items}}{{@index}}:{{this}}{{#if @first}}(first){{/if}}{{#unless @last}}, {{/unless}}{{/each}}';
+
+      expect(render(template, { items: ['a', 'b', 'c'] })).toBe('0:a(first), 1:b, 2:c');
+    });
+
+    it('loops over object entries with @key', () => {
+      expect(render('{{#each mrr}}{{@key}}={{this}};{{/each}}', { mrr: { jan: 1, feb: 2 } })).toBe('jan=1;feb=2;');
+    });
+
+    it('looks names up in the loop item, then in outer scopes', () => {
+      const data = { label: 'Field', fields: [{ name: 'mrr' }, { name: 'focus', label: 'Own' }] };
+
+      expect(render('{{#each fields}}{{label}}:{{name}} {{/each}}', data)).toBe('Field:mrr Own:focus ');
+    });
+
+    it('renders else for empty loops and false conditions', () => {
+      expect(render('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+      expect(render('{{#if value}}yes{{else}}no{{/if}}', { value: {} })).toBe('no');
+      expect(render('{{#if value}}yes{{else}}no{{/if}}', { value: 0 })).toBe('no');
+      expect(render('{{#if value}}yes{{else}}no{{/if}}', { value: ['x'] })).toBe('yes');
+    });
+
+    it('leaves no blank line for block tags alone on a line', () => {
+      const template = 'Fields:\n{{#each fields}}\n  - {{this}}\n{{/each}}\nDone';
+
+      expect(render(template, { fields: ['mrr', 'focus'] })).toBe('Fields:\n  - mrr\n  - focus\nDone');
+      expect(render('a {{#if x}}\nb\n{{/if}}', { x: true })).toBe('a \nb\n');
+    });
+  });
+
+  describe('syntax errors', () => {
+    it.each([
+      ['{{#each items}}\n{{/if}}', 'Line 2: {{/if}} closes {{#each}} from line 1'],
+      ['text\n\n{{#if ready}}', 'Line 3: {{#if}} is never closed'],
+      ['{{/each}}', 'Line 1: {{/each}} has no matching {{#each}}'],
+      ['one\n{{else}}', 'Line 2: {{else}} must be inside {{#if}}, {{#unless}} or {{#each}}'],
+      ['{{#with thing}}{{/with}}', 'Line 1: Unknown block {{#with thing}}; use #each, #if or #unless'],
+      ['{{ }}', 'Line 1: Empty tag {{}}'],
+      ['{{#if}}{{/if}}', 'Line 1: {{#if}} needs a value'],
+      ['{{value | shout}}', 'Line 1: Unknown filter "shout"'],
+      ['{{value | short 3}}', 'Line 1: Filter arguments are written short:arg, in {{value | short 3}}'],
+      ['{{two words}}', 'Line 1: Invalid value "twowords" in {{two words}}']
+    ])('rejects %j', (source, message) => {
+      const error = syntaxError(source);
+
+      expect(error).toBeInstanceOf(TemplateError);
+      expect(error.reason).toBe('invalid');
+      expect(error.message).toContain(message);
+    });
+
+    it('counts lines across text, tags and dropped block lines', () => {
+      const lines = Array.from({ length: 200 }, (_, i) => `Line {{values.f${i}}}`);
+      const source = ['{{#each fields}}', ...lines, '{{/each}}', '', '{{#if x}}', '{{/each}}'].join('\n');
+
+      expect(syntaxError(source).message).toBe('Line 205: {{/each}} closes {{#if}} from line 204');
+    });
+  });
+});
+
+describe('DEFAULT_MARKDOWN_TEMPLATE', () => {
+  const createdAt = new Date('2025-03-01T09:30:00Z');
+
+  it('renders each category as a section of fields', () => {
+    const output = render(DEFAULT_MARKDOWN_TEMPLATE, {
+      version: { hash: 'abcdef1234567890', message: 'Refocus on agencies', created_at: createdAt },
+      categories: [
+        {
+          key: 'strategy',
+          name: 'Strategy & Focus',
+          fields: [
+            { display_name: 'Current Focus', value: 'Agencies' },
+            { display_name: 'Recent Wins', value: ['Acme', 'Globex'] }
+          ]
+        },
+        {
+          key: 'metrics',
+          name: 'Metrics & Growth',
+          fields: [{ display_name: 'Pricing', value: { tier: 'pro' } }]
+        }
+      ]
+    });
+
+    expect(output).toBe([
+      '# Business Context',
+      '',
+      `**Last Updated:** ${createdAt.toLocaleString()}`,
+      '**Version:** abcdef1',
+      '**Message:** Refocus on agencies',
+      '',
+      '---',
+      '',
+      '## Strategy & Focus',
+      '',
+      '### Current Focus',
+      '',
+      'Agencies',
+      '',
+      '### Recent Wins',
+      '',
+      '- Acme',
+      '- Globex',
+      '',
+      '## Metrics & Growth',
+      '',
+      '### Pricing',
+      '',
+      '```json',
+      '{',
+      '  "tier": "pro"',
+      '}',
+      '```',
+      '',
+      '---',
+      '',
+      '*This context is dynamically generated and version-controlled. It represents the current business state and will be automatically updated as changes occur.*'
+    ].join('\n'));
+  });
+
+  it('renders the header and footer alone without fields', () => {
+    const output = render(DEFAULT_MARKDOWN_TEMPLATE, {
+      version: { hash: 'abcdef1234567890', message: 'Empty', created_at: createdAt },
+      categories: []
+    });
+
+    expect(output).toContain('**Message:** Empty\n\n---\n\n---\n\n*This context');
+  });
+});
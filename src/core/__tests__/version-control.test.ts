@@ -0,0 +1,272 @@
+import { VersionControlEngine } from '../version-control';
+import { BranchError, ValidationError, VersionConflictError } from '../errors';
+import { MemoryStorage } from '../../storage';
+import { CommitRequest, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+function change(field_name: string, field_value: any): CommitRequest['changes'][number] {
+  return {
+    field_name,
+    field_value,
+    field_type: typeof field_value === 'number' ? 'number' : 'text',
+    source: 'manual'
+  };
+}
+
+describe('VersionControlEngine', () => {
+  let storage: MemoryStorage;
+  let engine: VersionControlEngine;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    engine = new VersionControlEngine(env, USER, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('commit', () => {
+    it('chains versions and carries untouched fields forward', async () => {
+      const first = await engine.commit({
+        user_id: USER,
+        commit_message: 'Initial context',
+        changes: [change('current_focus', 'SMB outbound'), change('mrr', 1000)]
+      });
+      const second = await engine.commit({
+        user_id: USER,
+        commit_message: 'Raise MRR',
+        changes: [change('mrr', 1500)],
+        author_id: 'member-1'
+      });
+
+      expect(first.branch).toBe('main');
+      expect(first.version_hash).toMatch(/^[0-9a-f]{40}$/);
+      expect(second.parent_version_id).toBe(first.id);
+      expect(second.author_id).toBe('member-1');
+      expect((await engine.getCurrentVersion())?.id).toBe(second.id);
+
+      const state = await engine.getVersionState(second.id);
+      expect(state.current_focus.field_value).toBe('SMB outbound');
+      expect(state.mrr.field_value).toBe(1500);
+
+      const changes = await storage.listChanges([second.id]);
+      expect(changes).toEqual([expect.objectContaining({
+        field_name: 'mrr',
+        old_value: 1000,
+        new_value: 1500,
+        change_type: 'update'
+      })]);
+    });
+
+    it('applies renames and deletes', async () => {
+      await engine.commit({
+        user_id: USER,
+        commit_message: 'Initial context',
+        changes: [change('focus', 'SMB'), change('legacy', 'x')]
+      });
+      const version = await engine.commit({
+        user_id: USER,
+        commit_message: 'Tidy fields',
+        changes: [],
+        renames: [{ from: 'focus', to: 'current_focus' }],
+        deletes: ['legacy']
+      });
+
+      expect(Object.keys(await engine.getVersionState(version.id))).toEqual(['current_focus']);
+    });
+
+    it('rejects a commit whose expected parent is no longer HEAD', async () => {
+      const first = await engine.commit({ user_id: USER, commit_message: 'One', changes: [change('mrr', 1)] });
+      await engine.commit({ user_id: USER, commit_message: 'Two', changes: [change('mrr', 2)] });
+
+      const error = await engine.commit({
+        user_id: USER,
+        commit_message: 'Stale',
+        changes: [change('mrr', 3)],
+        expected_parent: first.id
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(VersionConflictError);
+      expect(error.changes).toEqual([expect.objectContaining({ field_name: 'mrr', old_value: 1, new_value: 2 })]);
+    });
+
+    it('validates written fields against their definitions', async () => {
+      const error = await engine.commit({
+        user_id: USER,
+        commit_message: 'Wrong type',
+        changes: [{ ...change('current_focus', 42), field_type: 'number' }]
+      }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors[0].field_name).toBe('current_focus');
+      expect(storage.tables.context_versions).toHaveLength(0);
+    });
+  });
+
+  describe('rollback', () => {
+    it('restores the target state exactly, dropping fields added since', async () => {
+      const target = await engine.commit({ user_id: USER, commit_message: 'Initial context', changes: [change('mrr', 1000)] });
+      await engine.commit({ user_id: USER, commit_message: 'Grow', changes: [change('mrr', 1500), change('team_size', 4)] });
+
+      const version = await engine.rollback({ user_id: USER, version_id: target.id, reason: 'Bad numbers' });
+
+      expect(version.commit_message).toBe(`Rollback to ${target.version_hash.substring(0, 7)}: Bad numbers`);
+      expect(version.tags).toEqual(['rollback']);
+      const state = await engine.getVersionState(version.id);
+      expect(Object.keys(state)).toEqual(['mrr']);
+      expect(state.mrr.field_value).toBe(1000);
+    });
+
+    it('rejects an unknown version as not found', async () => {
+      const error = await engine.rollback({ user_id: USER, version_id: 'abcdef1' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(BranchError);
+      expect(error).toMatchObject({ reason: 'not_found', message: 'Version abcdef1 not found' });
+    });
+  });
+
+  describe('revert', () => {
+    it('undoes one version and keeps later unrelated changes', async () => {
+      await engine.commit({ user_id: USER, commit_message: 'Initial context', changes: [change('current_focus', 'SMB'), change('mrr', 1000)] });
+      const target = await engine.commit({ user_id: USER, commit_message: 'Pivot', changes: [change('current_focus', 'Agencies')] });
+      await engine.commit({ user_id: USER, commit_message: 'Grow', changes: [change('mrr', 1500)] });
+
+      const result = await engine.revert({ user_id: USER, version_id: target.version_hash.substring(0, 7) });
+
+      expect(result.status).toBe('merged');
+      expect(result.version).toMatchObject({ tags: ['revert'], commit_message: `Revert ${target.version_hash.substring(0, 7)}: Pivot` });
+      const state = await engine.getVersionState(result.version!.id);
+      expect(state.current_focus.field_value).toBe('SMB');
+      expect(state.mrr.field_value).toBe(1500);
+
+      const changes = await storage.listChanges([result.version!.id]);
+      expect(changes).toEqual([expect.objectContaining({ field_name: 'current_focus', metadata: { reverted_from: target.id } })]);
+    });
+
+    it('conflicts when a later version changed the same field', async () => {
+      await engine.commit({ user_id: USER, commit_message: 'Initial context', changes: [change('mrr', 1000)] });
+      const target = await engine.commit({ user_id: USER, commit_message: 'Raise', changes: [change('mrr', 1500)] });
+      const head = await engine.commit({ user_id: USER, commit_message: 'Raise again', changes: [change('mrr', 2000)] });
+
+      const result = await engine.revert({ user_id: USER, version_id: target.id });
+
+      expect(result.status).toBe('conflicts');
+      expect(result.conflicts).toEqual([{ field_name: 'mrr', base: 1500, ours: 2000, theirs: 1000 }]);
+      expect((await engine.getCurrentVersion())!.id).toBe(head.id);
+
+      const resolved = await engine.revert({ user_id: USER, version_id: target.id, resolutions: [{ field_name: 'mrr', take: 'theirs' }] });
+      expect((await engine.getVersionState(resolved.version!.id)).mrr.field_value).toBe(1000);
+    });
+
+    it('restores a field with its original source and metadata', async () => {
+      await engine.commit({
+        user_id: USER,
+        commit_message: 'Synced',
+        changes: [{ ...change('twitter_follower_count', 1200), source: 'api_twitter', metadata: { username: 'acme' } }]
+      });
+      const target = await engine.commit({ user_id: USER, commit_message: 'Drop it', changes: [], deletes: ['twitter_follower_count'] });
+
+      const result = await engine.revert({ user_id: USER, version_id: target.id });
+
+      expect((await engine.getVersionState(result.version!.id)).twitter_follower_count).toMatchObject({
+        field_value: 1200,
+        source: 'api_twitter',
+        metadata: { username: 'acme' }
+      });
+    });
+  });
+
+  describe('cherryPick', () => {
+    it('applies only the chosen fields of another branch\'s version', async () => {
+      await engine.commit({ user_id: USER, commit_message: 'Initial context', changes: [change('current_focus', 'SMB'), change('mrr', 1000)] });
+      await engine.createBranch('experiment');
+      const target = await engine.commit({
+        user_id: USER,
+        commit_message: 'Try agencies',
+        branch: 'experiment',
+        changes: [
+          { ...change('current_focus', 'Agencies'), metadata: { note: 'from call' } },
+          change('mrr', 5000)
+        ]
+      });
+
+      const result = await engine.cherryPick({ user_id: USER, version_id: target.id, fields: ['current_focus'] });
+
+      expect(result.status).toBe('merged');
+      expect(result.version).toMatchObject({ branch: 'main', tags: ['cherry-pick'] });
+      expect(result.version!.commit_message).toBe(`Cherry-pick ${target.version_hash.substring(0, 7)} (current_focus): Try agencies`);
+
+      const state = await engine.getVersionState(result.version!.id);
+      expect(state.current_focus).toMatchObject({ field_value: 'Agencies', source: 'manual', metadata: { note: 'from call' } });
+      expect(state.mrr.field_value).toBe(1000);
+
+      const changes = await storage.listChanges([result.version!.id]);
+      expect(changes).toEqual([expect.objectContaining({ field_name: 'current_focus', metadata: { cherry_picked_from: target.id } })]);
+    });
+
+    it('is up to date when the change is already on the branch', async () => {
+      const version = await engine.commit({ user_id: USER, commit_message: 'Set', changes: [change('mrr', 1000)] });
+
+      const result = await engine.cherryPick({ user_id: USER, version_id: version.id });
+
+      expect(result.status).toBe('up_to_date');
+      expect(storage.tables.context_versions).toHaveLength(1);
+    });
+  });
+
+  describe('getStateAtTime', () => {
+    it('returns the version in effect at the timestamp', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'setTimeout', 'setInterval'] });
+
+      jest.setSystemTime(new Date('2025-03-01T00:00:00Z'));
+      const first = await engine.commit({ user_id: USER, commit_message: 'March', changes: [change('mrr', 1000)] });
+      jest.setSystemTime(new Date('2025-04-01T00:00:00Z'));
+      await engine.commit({ user_id: USER, commit_message: 'April', changes: [change('mrr', 2000)] });
+
+      const state = await engine.getStateAtTime(new Date('2025-03-15T00:00:00Z'));
+      expect(state?.version_id).toBe(first.id);
+      expect(state?.fields.mrr.value).toBe(1000);
+
+      expect(await engine.getStateAtTime(new Date('2025-02-01T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('diff', () => {
+    it('diffs two versions by id or hash, pairing renames', async () => {
+      const from = await engine.commit({
+        user_id: USER,
+        commit_message: 'Initial context',
+        changes: [change('focus', 'SMB'), change('mrr', 1000)]
+      });
+      const to = await engine.commit({
+        user_id: USER,
+        commit_message: 'Rename and grow',
+        changes: [change('mrr', 1200)],
+        renames: [{ from: 'focus', to: 'current_focus' }]
+      });
+
+      const diff = await engine.diff(from.version_hash.substring(0, 7), to.id);
+      const byField = Object.fromEntries(diff.changes.map(row => [row.field_name, row]));
+
+      expect(diff.changes).toHaveLength(2);
+      expect(byField.mrr).toMatchObject({ old_value: 1000, new_value: 1200, change_type: 'modified' });
+      expect(byField.current_focus).toMatchObject({ old_field_name: 'focus', change_type: 'renamed' });
+    });
+
+    it('does not diff another user\'s versions', async () => {
+      const other = await new VersionControlEngine(env, 'user-2', storage)
+        .commit({ user_id: 'user-2', commit_message: 'Theirs', changes: [change('mrr', 1)] });
+      const mine = await engine.commit({ user_id: USER, commit_message: 'Mine', changes: [change('mrr', 2)] });
+
+      const error = await engine.diff(other.id, mine.id).catch(e => e);
+
+      expect(error).toBeInstanceOf(BranchError);
+      expect(error).toMatchObject({ reason: 'not_found', message: `Version ${other.id} not found` });
+    });
+  });
+});
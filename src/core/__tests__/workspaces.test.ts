@@ -0,0 +1,56 @@
+import { WorkspaceManager, roleAllows, roleForScope } from '../workspaces';
+import { WorkspaceError } from '../errors';
+import { MemoryStorage } from '../../storage';
+import { Env } from '../../types';
+
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+const ADMIN = '00000000-0000-4000-8000-000000000001';
+const MEMBER = '00000000-0000-4000-8000-000000000002';
+
+describe('WorkspaceManager', () => {
+  let storage: MemoryStorage;
+  let admin: WorkspaceManager;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    admin = new WorkspaceManager(env, ADMIN, storage);
+  });
+
+  it('maps scopes to the role they need', () => {
+    expect(roleForScope('context:read')).toBe('viewer');
+    expect(roleForScope('context:write')).toBe('editor');
+    expect(roleForScope('integrations:admin')).toBe('admin');
+    expect(roleAllows('editor', 'viewer')).toBe(true);
+    expect(roleAllows('viewer', 'editor')).toBe(false);
+  });
+
+  it('lets only admins manage members', async () => {
+    const workspace = await admin.create({ name: 'Team' });
+    await admin.setMember(workspace.id, MEMBER, 'editor');
+
+    const member = new WorkspaceManager(env, MEMBER, storage);
+    expect(await member.resolve(workspace.id)).toMatchObject({ role: 'editor', personal: false });
+
+    const error = await member.setMember(workspace.id, MEMBER, 'admin').catch(e => e);
+    expect(error).toBeInstanceOf(WorkspaceError);
+    expect(error.reason).toBe('forbidden');
+  });
+
+  it('keeps at least one admin', async () => {
+    const workspace = await admin.create({ name: 'Team' });
+
+    await expect(admin.setMember(workspace.id, ADMIN, 'viewer')).rejects.toThrow('A workspace must keep at least one admin');
+    await expect(admin.removeMember(workspace.id, ADMIN)).rejects.toThrow('A workspace must keep at least one admin');
+
+    await admin.setMember(workspace.id, MEMBER, 'admin');
+    await admin.removeMember(workspace.id, ADMIN);
+
+    expect((await storage.listWorkspaceMembers(workspace.id)).map(m => [m.user_id, m.role])).toEqual([[MEMBER, 'admin']]);
+  });
+
+  it('reports workspaces the user is not in as not found', async () => {
+    const workspace = await admin.create({ name: 'Team' });
+
+    await expect(new WorkspaceManager(env, MEMBER, storage).resolve(workspace.id)).rejects.toThrow(`Workspace ${workspace.id} not found`);
+  });
+});
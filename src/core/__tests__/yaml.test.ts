@@ -0,0 +1,86 @@
+import * as yaml from 'js-yaml';
+import { toYaml } from '../yaml';
+
+function roundTrip(value: any): any {
+  return yaml.safeLoad(toYaml(value));
+}
+
+describe('toYaml', () => {
+  it.each([
+    ['plain text', 'Agencies'],
+    ['an empty string', ''],
+    ['a document end marker', '...'],
+    ['a document start marker', '---'],
+    ['a marker followed by text', '... and more'],
+    ['quotes', 'She said "ship it" and it\'s done'],
+    ['a colon and a comment marker', 'Focus: agencies #1'],
+    ['reserved words', 'no'],
+    ['null-like text', 'null'],
+    ['number-like text', '0x1F'],
+    ['a timestamp-like string', '2025-01-01'],
+    ['indicator characters', '- not a list'],
+    ['surrounding whitespace', '  padded  '],
+    ['tabs', 'a\tb'],
+    ['line separators', 'a\u2028b\u2029c'],
+    ['control characters', 'bell\u0007 and del\u007f'],
+    ['a byte order mark', '\ufefftext']
+  ])('round-trips a string with %s', (_label, value) => {
+    expect(roundTrip(value)).toBe(value);
+  });
+
+  it.each([
+    ['without a trailing newline', 'line one\nline two'],
+    ['with a trailing newline', 'line one\nline two\n'],
+    ['with trailing blank lines', 'line one\n\n\n'],
+    ['with blank lines inside', 'one\n\nthree'],
+    ['starting with spaces', '  indented\nsecond'],
+    ['with carriage returns', 'one\r\ntwo'],
+    ['containing markers', 'intro\n---\n...\nend']
+  ])('round-trips a multi-line string %s', (_label, value) => {
+    expect(roundTrip(value)).toBe(value);
+    expect(roundTrip({ note: value })).toEqual({ note: value });
+    expect(roundTrip([value])).toEqual([value]);
+  });
+
+  it.each([
+    ['numbers', [0, -1, 3.25, 1e21]],
+    ['booleans and null', [true, false, null]],
+    ['special numbers', [Infinity, -Infinity]]
+  ])('round-trips %s', (_label, value) => {
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  it('writes NaN as .nan', () => {
+    expect(roundTrip(NaN)).toBeNaN();
+  });
+
+  it('round-trips nested objects and arrays', () => {
+    const value = {
+      icp: { size: '10-50', regions: ['US', 'EU'], budget: { min: 1000, max: null } },
+      current_deals: [
+        { name: 'Acme', stage: 'proposal', tags: ['inbound', 'q3'], notes: 'Call back\nafter launch' },
+        [],
+        {},
+        [['nested'], { deep: [{ deeper: true }] }]
+      ],
+      'key: with colon': 1,
+      'yes': 'key that is a reserved word',
+      '': 'empty key',
+      empty_list: [],
+      empty_map: {}
+    };
+
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  it('writes dates as ISO strings', () => {
+    const date = new Date('2025-06-01T12:30:00.000Z');
+    expect(roundTrip({ at: date })).toEqual({ at: date.toISOString() });
+  });
+
+  it('emits block style', () => {
+    expect(toYaml({ focus: 'Agencies', themes: ['AI', 'ops'], note: 'a\nb' })).toBe(
+      'focus: Agencies\nthemes:\n  - AI\n  - ops\nnote: |-\n  a\n  b\n'
+    );
+  });
+});
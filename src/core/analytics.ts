@@ -0,0 +1,344 @@
+/**
+ * Field Analytics
+ * Time series of numeric fields, rebuilt from the versions that changed them.
+ * Every value a field has held is in the change log, so growth, rolling
+ * averages and trends come from history rather than separate snapshots.
+ */
+
+import { Env, ContextVersion, FieldSeries, SeriesInterval, SeriesPoint, SeriesTrend } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { VersionControlEngine } from './version-control';
+import { AnalyticsError } from './errors';
+import { selectPath } from '../integrations/field-mapping';
+
+export const SERIES_INTERVALS: SeriesInterval[] = ['version', 'day', 'week', 'month'];
+
+const DEFAULT_WINDOW = 7;
+const MAX_WINDOW = 365;
+
+// Buckets per series; a wider interval covers a longer range
+const MAX_BUCKETS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NUMERIC_STRING = /^\s*-?\d+(\.\d+)?\s*$/;
+
+// The field's value at one version; null when it was deleted or not a number
+interface Entry {
+  time: number;
+  version_id: string;
+  value: number | null;
+}
+
+export interface SeriesOptions {
+  branch?: string;
+  start?: Date;
+  end?: Date;
+  interval?: SeriesInterval;
+  window?: number;
+  target?: number;
+}
+
+/**
+ * Split `follower_count.total` into the field and a path into its value
+ */
+export function parseFieldPath(expression: string): { field_name: string; path: string | null } {
+  const split = expression.search(/[.[]/);
+  const fieldName = split === -1 ? expression : expression.slice(0, split);
+  const path = split === -1 ? null : expression.slice(split);
+
+  if (!fieldName) {
+    throw new AnalyticsError('invalid', `Invalid field ${expression}`);
+  }
+
+  if (path) {
+    try {
+      selectPath({}, path);
+    } catch (error) {
+      throw new AnalyticsError('invalid', `Invalid path ${path} in ${expression}`);
+    }
+  }
+
+  return { field_name: fieldName, path };
+}
+
+function toNumber(value: any): number | null {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && NUMERIC_STRING.test(value)) return Number(value);
+  return null;
+}
+
+// Start of the UTC day, ISO week (Monday) or month containing `time`
+function bucketStart(time: number, interval: SeriesInterval): number {
+  const date = new Date(time);
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  switch (interval) {
+    case 'week':
+      return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    case 'month':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    default:
+      return day;
+  }
+}
+
+function nextBucket(start: number, interval: SeriesInterval): number {
+  const date = new Date(start);
+
+  switch (interval) {
+    case 'week':
+      return start + 7 * DAY_MS;
+    case 'month':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    default:
+      return start + DAY_MS;
+  }
+}
+
+function round(value: number): number {
+  return Math.round(value * 10000) / 10000;
+}
+
+export class FieldAnalytics {
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+  }
+
+  /**
+   * A numeric field (or a number inside it, e.g. `follower_count.total`)
+   * over time on a branch. Per version by default, or the value in effect
+   * at the end of each day, week or month.
+   */
+  async series(expression: string, options: SeriesOptions = {}): Promise<FieldSeries> {
+    const { field_name, path } = parseFieldPath(expression);
+    const interval = options.interval || 'version';
+    const window = options.window ?? DEFAULT_WINDOW;
+
+    if (!SERIES_INTERVALS.includes(interval)) {
+      throw new AnalyticsError('invalid', `interval must be one of ${SERIES_INTERVALS.join(', ')}`);
+    }
+    if (!Number.isInteger(window) || window < 1 || window > MAX_WINDOW) {
+      throw new AnalyticsError('invalid', `window must be an integer from 1 to ${MAX_WINDOW}`);
+    }
+    if (options.target !== undefined && !Number.isFinite(options.target)) {
+      throw new AnalyticsError('invalid', 'target must be a number');
+    }
+    if (options.start && options.end && options.start > options.end) {
+      throw new AnalyticsError('invalid', 'start must be before end');
+    }
+
+    const branch = await this.engine.resolveBranchName(options.branch);
+    const end = options.end ? options.end.getTime() : Date.now();
+    const entries = await this.history(field_name, path, branch, end);
+
+    if (entries.length === 0) {
+      throw new AnalyticsError('not_found', `Field ${field_name} has no history on ${branch}`);
+    }
+    if (entries.every(entry => entry.value === null)) {
+      throw new AnalyticsError('not_numeric', `${expression} has never held a number`);
+    }
+
+    const start = options.start?.getTime();
+    const opening = start === undefined
+      ? undefined
+      : entries.filter(entry => entry.time < start).pop();
+    const inRange = entries.filter(entry => start === undefined || entry.time >= start);
+
+    const points = interval === 'version'
+      ? this.versionPoints(inRange, window)
+      : this.bucketPoints(inRange, opening?.value ?? null, interval, start ?? inRange[0]?.time, end, window);
+
+    const numeric = inRange.filter(entry => entry.value !== null);
+    const first = opening?.value ?? numeric[0]?.value ?? null;
+    const from = opening?.value != null ? start! : numeric[0]?.time;
+    const last = entries[entries.length - 1].value;
+    const days = from !== undefined ? (end - from) / DAY_MS : 0;
+
+    return {
+      field_name,
+      path,
+      branch,
+      interval,
+      window,
+      start: start !== undefined ? new Date(start).toISOString() : null,
+      end: new Date(end).toISOString(),
+      points,
+      growth: first !== null && last !== null ? {
+        start_value: first,
+        end_value: last,
+        absolute: round(last - first),
+        percent: first !== 0 ? round(((last - first) / Math.abs(first)) * 100) : null,
+        per_day: days > 0 ? round((last - first) / days) : null
+      } : null,
+      trend: this.trend(numeric as { time: number; value: number }[], options.target),
+      skipped: inRange.length - numeric.length
+    };
+  }
+
+  /**
+   * The field's value at every version on the branch's first-parent line
+   * that changed it, oldest first. Merges record what they brought in, so
+   * following first parents gives the values the branch actually had.
+   * Renames are followed back to the field's earlier name.
+   */
+  private async history(
+    fieldName: string,
+    path: string | null,
+    branch: string,
+    end: number
+  ): Promise<Entry[]> {
+    const head = await this.engine.getCurrentVersion(branch);
+    if (!head) return [];
+
+    const ancestors = await this.storage.listAncestors(head.id);
+    const byId = new Map(ancestors.map(v => [v.id, v]));
+    const line: ContextVersion[] = [];
+
+    for (let version = byId.get(head.id); version; version = byId.get(version.parent_version_id || '')) {
+      line.push(version);
+    }
+
+    const changes = await this.storage.listChanges(line.map(v => v.id));
+    const byVersion = new Map<string, typeof changes>();
+    for (const change of changes) {
+      byVersion.set(change.version_id, [...(byVersion.get(change.version_id) || []), change]);
+    }
+
+    const entries: Entry[] = [];
+    let name = fieldName;
+
+    for (const version of line) {
+      const change = (byVersion.get(version.id) || []).find(c => c.field_name === name);
+      if (!change) continue;
+
+      // Versions after the range still matter for renames
+      const time = new Date(version.created_at).getTime();
+      if (time <= end) {
+        const value = change.change_type === 'delete'
+          ? null
+          : path ? selectPath(change.new_value, path) : { found: true, value: change.new_value };
+
+        entries.push({ time, version_id: version.id, value: value && value.found ? toNumber(value.value) : null });
+      }
+
+      if (change.change_type === 'rename' && change.metadata?.renamed_from) {
+        name = change.metadata.renamed_from;
+      }
+    }
+
+    return entries.reverse();
+  }
+
+  private versionPoints(entries: Entry[], window: number): SeriesPoint[] {
+    const points = entries
+      .filter(entry => entry.value !== null)
+      .map(entry => ({ timestamp: new Date(entry.time).toISOString(), value: entry.value!, version_id: entry.version_id }));
+
+    return this.withChanges(points, window);
+  }
+
+  /**
+   * The value in effect at the end of each bucket from `from` to `end`.
+   * Buckets before the field first had a number, or after it was deleted,
+   * are left out.
+   */
+  private bucketPoints(
+    entries: Entry[],
+    opening: number | null,
+    interval: SeriesInterval,
+    from: number | undefined,
+    end: number,
+    window: number
+  ): SeriesPoint[] {
+    if (from === undefined) return [];
+
+    const points: { timestamp: string; value: number }[] = [];
+    let value = opening;
+    let next = 0;
+    let buckets = 0;
+
+    for (let bucket = bucketStart(from, interval); bucket <= end; bucket = nextBucket(bucket, interval)) {
+      if (++buckets > MAX_BUCKETS) {
+        throw new AnalyticsError('invalid', `More than ${MAX_BUCKETS} buckets; narrow the range or use a wider interval`);
+      }
+
+      const bucketEnd = nextBucket(bucket, interval);
+      while (next < entries.length && entries[next].time < bucketEnd) {
+        value = entries[next++].value;
+      }
+
+      if (value !== null) {
+        points.push({ timestamp: new Date(bucket).toISOString(), value });
+      }
+    }
+
+    return this.withChanges(points, window);
+  }
+
+  private withChanges<T extends { timestamp: string; value: number }>(
+    points: T[],
+    window: number
+  ): (T & Pick<SeriesPoint, 'change' | 'change_percent' | 'rolling_average'>)[] {
+    return points.map((point, i) => {
+      const previous = i > 0 ? points[i - 1].value : null;
+      const recent = points.slice(Math.max(0, i - window + 1), i + 1);
+
+      return {
+        ...point,
+        change: previous !== null ? round(point.value - previous) : null,
+        change_percent: previous ? round(((point.value - previous) / Math.abs(previous)) * 100) : null,
+        rolling_average: round(recent.reduce((sum, p) => sum + p.value, 0) / recent.length)
+      };
+    });
+  }
+
+  /**
+   * Least-squares fit of value against time. With a target, projects when
+   * the latest value reaches it at the trend's rate.
+   */
+  private trend(points: { time: number; value: number }[], target?: number): SeriesTrend | null {
+    if (points.length < 2 || points[0].time === points[points.length - 1].time) return null;
+
+    const origin = points[0].time;
+    const xs = points.map(p => (p.time - origin) / DAY_MS);
+    const ys = points.map(p => p.value);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+    let sxx = 0, sxy = 0, syy = 0;
+    xs.forEach((x, i) => {
+      sxx += (x - meanX) ** 2;
+      sxy += (x - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) ** 2;
+    });
+
+    const slope = sxy / sxx;
+    const trend: SeriesTrend = {
+      slope_per_day: round(slope),
+      r_squared: syy === 0 ? 1 : round((sxy * sxy) / (sxx * syy))
+    };
+
+    if (target === undefined) return trend;
+
+    const latest = points[points.length - 1];
+    const remaining = target - latest.value;
+    trend.target = target;
+    trend.target_reached = remaining === 0 || (slope > 0 && remaining < 0) || (slope < 0 && remaining > 0);
+
+    if (trend.target_reached || slope === 0 || Math.sign(remaining) !== Math.sign(slope)) {
+      trend.target_date = null;
+      trend.days_to_target = null;
+    } else {
+      const days = remaining / slope;
+      trend.target_date = new Date(latest.time + days * DAY_MS).toISOString();
+      trend.days_to_target = round(days);
+    }
+
+    return trend;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Authentication
+ * Per-user API keys, stored only as SHA-256 hashes, and short-lived session
+ * tokens signed with AUTH_SECRET that a key can be exchanged for, so the
+ * dashboard never has to keep the key itself
+ */
+
+import * as crypto from 'node:crypto';
+import { Env, ApiKey, AuthContext, AuthScope } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { AuthError } from './errors';
+
+export const AUTH_SCOPES: AuthScope[] = ['context:prompt', 'context:read', 'context:write', 'integrations:admin'];
+
+// Scopes of a key created without any
+export const DEFAULT_KEY_SCOPES: AuthScope[] = ['context:read', 'context:write'];
+
+// Default and longest lifetime of a session token
+export const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+const API_KEY_PREFIX = 'cvk_';
+const SESSION_TOKEN_PREFIX = 'cvs_';
+const MAX_KEY_NAME_LENGTH = 100;
+
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+interface SessionPayload {
+  sub: string; // user id
+  scp: AuthScope[];
+  kid: string; // API key the session was issued from
+  iat: number; // seconds since the epoch
+  exp: number;
+}
+
+/**
+ * Whether scopes grant `required`; context:read includes context:prompt
+ */
+export function hasScope(scopes: AuthScope[], required: AuthScope): boolean {
+  return scopes.includes(required) || (required === 'context:prompt' && scopes.includes('context:read'));
+}
+
+export class Authenticator {
+  private env: Env;
+  private storage: ContextStorage;
+
+  constructor(env: Env, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+  }
+
+  /**
+   * Resolve a bearer credential: an API key, a session token, or the
+   * operator's ADMIN_TOKEN
+   */
+  async authenticate(credential: string): Promise<AuthContext> {
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      return this.authenticateKey(credential);
+    }
+    if (credential.startsWith(SESSION_TOKEN_PREFIX)) {
+      return this.authenticateSession(credential);
+    }
+    if (this.env.ADMIN_TOKEN && safeEqual(credential, this.env.ADMIN_TOKEN)) {
+      return { user_id: '', scopes: [], method: 'admin' };
+    }
+
+    throw new AuthError('unauthenticated', 'Invalid credentials');
+  }
+
+  /**
+   * Exchange an API key for a session token with the key's scopes, or
+   * fewer. The session expires no later than the key does.
+   */
+  async issueSession(
+    auth: AuthContext,
+    options: { scopes?: AuthScope[]; ttlSeconds?: number } = {}
+  ): Promise<{ token: string; expires_at: Date; scopes: AuthScope[] }> {
+    if (auth.method !== 'api_key' || !auth.key_id) {
+      throw new AuthError('forbidden', 'Sessions can only be issued for an API key');
+    }
+    if (!this.env.AUTH_SECRET) {
+      throw new AuthError('unconfigured', 'AUTH_SECRET is not configured');
+    }
+
+    const scopes = options.scopes ?? auth.scopes;
+    checkScopes(scopes);
+    const missing = scopes.filter(scope => !hasScope(auth.scopes, scope));
+    if (missing.length > 0) {
+      throw new AuthError('forbidden', `The API key does not have ${missing.join(', ')}`);
+    }
+
+    const ttl = options.ttlSeconds ?? SESSION_TTL_SECONDS;
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > SESSION_TTL_SECONDS) {
+      throw new AuthError('invalid', `ttl_seconds must be an integer between 1 and ${SESSION_TTL_SECONDS}`);
+    }
+
+    const apiKey = await this.storage.getApiKey(auth.key_id);
+    if (!isActive(apiKey)) {
+      throw new AuthError('unauthenticated', 'Invalid or revoked API key');
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    let expiresAt = issuedAt + ttl;
+    if (apiKey.expires_at) {
+      expiresAt = Math.min(expiresAt, Math.floor(new Date(apiKey.expires_at).getTime() / 1000));
+    }
+    const payload: SessionPayload = { sub: auth.user_id, scp: scopes, kid: auth.key_id, iat: issuedAt, exp: expiresAt };
+    const body = SESSION_TOKEN_PREFIX + Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      token: `${body}.${this.sign(body)}`,
+      expires_at: new Date(payload.exp * 1000),
+      scopes
+    };
+  }
+
+  private async authenticateKey(key: string): Promise<AuthContext> {
+    const apiKey = await this.storage.getApiKeyByHash(hashApiKey(key));
+
+    if (!isActive(apiKey)) {
+      throw new AuthError('unauthenticated', 'Invalid or revoked API key');
+    }
+
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+      await this.storage.touchApiKey(apiKey.id).catch(error => console.error('Failed to record API key use:', error));
+    }
+
+    return { user_id: apiKey.user_id, scopes: apiKey.scopes, method: 'api_key', key_id: apiKey.id };
+  }
+
+  // A session is only as good as the key it came from: revoking or expiring
+  // the key ends its sessions too
+  private async authenticateSession(token: string): Promise<AuthContext> {
+    const separator = token.lastIndexOf('.');
+    if (!this.env.AUTH_SECRET || separator < 0) {
+      throw new AuthError('unauthenticated', 'Invalid session token');
+    }
+
+    const body = token.slice(0, separator);
+    if (!safeEqual(token.slice(separator + 1), this.sign(body))) {
+      throw new AuthError('unauthenticated', 'Invalid session token');
+    }
+
+    let payload: SessionPayload;
+    try {
+      payload = JSON.parse(Buffer.from(body.slice(SESSION_TOKEN_PREFIX.length), 'base64url').toString());
+    } catch {
+      throw new AuthError('unauthenticated', 'Invalid session token');
+    }
+    if (payload.exp * 1000 <= Date.now()) {
+      throw new AuthError('unauthenticated', 'Session expired');
+    }
+    if (!isActive(await this.storage.getApiKey(payload.kid))) {
+      throw new AuthError('unauthenticated', 'The API key this session came from is revoked or expired');
+    }
+
+    return { user_id: payload.sub, scopes: payload.scp, method: 'session', key_id: payload.kid };
+  }
+
+  private sign(body: string): string {
+    return crypto.createHmac('sha256', this.env.AUTH_SECRET!).update(body).digest('base64url');
+  }
+}
+
+export class ApiKeyManager {
+  private storage: ContextStorage;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.userId = userId;
+  }
+
+  /**
+   * The user's keys, newest first, including revoked ones
+   */
+  async list(): Promise<ApiKey[]> {
+    return this.storage.listApiKeys(this.userId);
+  }
+
+  /**
+   * Create a key. Its secret is returned only here. A caller can only grant
+   * scopes it has itself, unless it is the operator.
+   */
+  async create(
+    input: { name?: string; scopes?: AuthScope[]; expires_at?: string | Date | null },
+    grantor: AuthContext
+  ): Promise<{ apiKey: ApiKey; secret: string }> {
+    if (!input.name || typeof input.name !== 'string' || input.name.length > MAX_KEY_NAME_LENGTH) {
+      throw new AuthError('invalid', `name is required (at most ${MAX_KEY_NAME_LENGTH} characters)`);
+    }
+
+    const scopes = input.scopes ?? DEFAULT_KEY_SCOPES;
+    checkScopes(scopes);
+    if (grantor.method !== 'admin') {
+      const missing = scopes.filter(scope => !hasScope(grantor.scopes, scope));
+      if (missing.length > 0) {
+        throw new AuthError('forbidden', `Cannot grant scopes you do not have: ${missing.join(', ')}`);
+      }
+    }
+
+    let expiresAt: Date | null = null;
+    if (input.expires_at) {
+      expiresAt = new Date(input.expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new AuthError('invalid', 'expires_at must be a date in the future');
+      }
+    }
+
+    const secret = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const apiKey = await this.storage.createApiKey({
+      user_id: this.userId,
+      name: input.name,
+      key_prefix: secret.slice(0, API_KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(secret),
+      scopes: [...new Set(scopes)],
+      expires_at: expiresAt
+    });
+
+    return { apiKey, secret };
+  }
+
+  /**
+   * Revoke one of the user's keys. It stops working immediately.
+   */
+  async revoke(keyId: string): Promise<ApiKey> {
+    const apiKey = await this.storage.revokeApiKey(this.userId, keyId);
+    if (!apiKey) {
+      throw new AuthError('not_found', `API key ${keyId} not found`);
+    }
+    return apiKey;
+  }
+}
+
+function checkScopes(scopes: unknown): asserts scopes is AuthScope[] {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AuthError('invalid', 'scopes must be a non-empty array');
+  }
+  const unknown = scopes.filter(scope => !AUTH_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new AuthError('invalid', `Unknown scopes: ${unknown.join(', ')}. Use ${AUTH_SCOPES.join(', ')}`);
+  }
+}
+
+function isActive(apiKey: ApiKey | null): apiKey is ApiKey {
+  return !!apiKey && !apiKey.revoked_at && !(apiKey.expires_at && new Date(apiKey.expires_at) <= new Date());
+}
+
+function hashApiKey(key: string): string {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function safeEqual(a: string, b: string): boolean {
+  const digest = (value: string) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
@@ -0,0 +1,200 @@
+/**
+ * Context Cache
+ * Rendered Claude contexts, kept in claude_context_cache by version and
+ * rendering options. When the CONTEXT_CACHE KV namespace is bound it is a
+ * faster tier in front of the table, keyed by user and branch so that a hit
+ * needs no database read at all.
+ *
+ * KV entries are never deleted: invalidating writes a new generation id,
+ * which is part of every key, so older entries are simply never read again
+ * and expire on their own.
+ */
+
+import { Env, ClaudeContext } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+
+// Entries of either tier are served for at most this long
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Generation shared by every user, bumped when field definitions change
+const GLOBAL_GENERATION_KEY = 'context-gen:*';
+
+export interface CachedRender {
+  version_id: string;
+  format: ClaudeContext['format'];
+  content: string;
+  fields_included: string[];
+  estimated_tokens: number;
+  budget?: ClaudeContext['budget'];
+  generated_at: Date;
+}
+
+export interface RenderOptions {
+  format: ClaudeContext['format'];
+  template?: string;
+  maxTokens?: number;
+}
+
+/**
+ * The rendering options other than format, as stored in options_key
+ */
+export function contextOptionsKey(options: RenderOptions): string {
+  const parts: string[] = [];
+  if (options.template) parts.push(`template=${options.template}`);
+  if (options.maxTokens !== undefined) parts.push(`max_tokens=${options.maxTokens}`);
+  return parts.join('&');
+}
+
+export class ContextCache {
+  private storage: ContextStorage;
+  private kv?: KVNamespace;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.kv = env.CONTEXT_CACHE;
+    this.userId = userId;
+  }
+
+  /**
+   * KV key for a request, or null without a KV namespace. Read it before
+   * HEAD is: content rendered from an older HEAD must never be written
+   * under the generation a later commit created.
+   */
+  async kvKey(branch: string | undefined, options: RenderOptions): Promise<string | null> {
+    if (!this.kv) return null;
+
+    try {
+      const [userGeneration, globalGeneration] = await Promise.all([
+        this.kv.get(generationKey(this.userId)),
+        this.kv.get(GLOBAL_GENERATION_KEY)
+      ]);
+
+      return [
+        'context',
+        this.userId,
+        userGeneration || '0',
+        globalGeneration || '0',
+        encodeURIComponent(branch || ''),
+        options.format,
+        contextOptionsKey(options)
+      ].join(':');
+    } catch (error) {
+      console.error('Failed to read context cache generation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cached render under a key from kvKey
+   */
+  async getFromKv(key: string): Promise<CachedRender | null> {
+    if (!this.kv) return null;
+
+    try {
+      const entry = await this.kv.get<CachedRender>(key, 'json');
+      return entry ? { ...entry, generated_at: new Date(entry.generated_at) } : null;
+    } catch (error) {
+      console.error('Failed to read context cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a render under a key from kvKey
+   */
+  async putInKv(key: string, render: CachedRender): Promise<void> {
+    if (!this.kv) return;
+
+    try {
+      await this.kv.put(key, JSON.stringify(render), { expirationTtl: CACHE_TTL_SECONDS });
+    } catch (error) {
+      console.error('Failed to write context cache:', error);
+    }
+  }
+
+  /**
+   * Cached render of a version, counting the hit
+   */
+  async getFromDatabase(versionId: string, options: RenderOptions): Promise<CachedRender | null> {
+    const entry = await this.storage
+      .getCachedContext(versionId, options.format, contextOptionsKey(options))
+      .catch(() => null);
+
+    if (!entry) return null;
+
+    await this.storage.incrementCacheAccess(entry.id).catch(() => undefined);
+
+    return {
+      version_id: entry.version_id,
+      format: entry.format,
+      content: entry.content,
+      fields_included: entry.fields_included,
+      estimated_tokens: entry.estimated_tokens,
+      budget: entry.budget ?? undefined,
+      generated_at: new Date(entry.generated_at)
+    };
+  }
+
+  /**
+   * Cache a render of a version
+   */
+  async putInDatabase(render: CachedRender, options: RenderOptions): Promise<void> {
+    const expiresAt = new Date(render.generated_at.getTime() + CACHE_TTL_SECONDS * 1000);
+
+    try {
+      await this.storage.upsertCachedContext({
+        user_id: this.userId,
+        version_id: render.version_id,
+        format: render.format,
+        options_key: contextOptionsKey(options),
+        content: render.content,
+        fields_included: render.fields_included,
+        estimated_tokens: render.estimated_tokens,
+        budget: render.budget ?? null,
+        generated_at: render.generated_at,
+        expires_at: expiresAt,
+        access_count: 0
+      });
+    } catch (error) {
+      console.error('Failed to cache context:', error);
+    }
+  }
+
+  /**
+   * Drop everything cached for the user: after a commit, a branch switch or
+   * delete, or a template change
+   */
+  async invalidate(): Promise<void> {
+    await clearCache(this.storage, this.kv, this.userId);
+  }
+}
+
+/**
+ * Drop every user's cached contexts, e.g. after field definitions change
+ */
+export async function invalidateAllContexts(env: Env, storage?: ContextStorage): Promise<void> {
+  await clearCache(storage || createStorage(env), env.CONTEXT_CACHE);
+}
+
+// A missed invalidation only serves stale renders until CACHE_TTL_SECONDS,
+// so errors are printed instead of failing the commit or field change
+async function clearCache(storage: ContextStorage, kv: KVNamespace | undefined, userId?: string): Promise<void> {
+  try {
+    await storage.deleteCachedContexts(userId);
+  } catch (error) {
+    console.error('Failed to clear context cache:', error);
+  }
+
+  if (!kv) return;
+
+  try {
+    await kv.put(userId ? generationKey(userId) : GLOBAL_GENERATION_KEY, crypto.randomUUID());
+  } catch (error) {
+    console.error('Failed to invalidate context cache:', error);
+  }
+}
+
+function generationKey(userId: string): string {
+  return `context-gen:${userId}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Context Templates
+ * Per-user layouts for the Claude prompt, written in the template language
+ * of ./template-engine and rendered with the fields grouped by category
+ */
+
+import { Env, ContextTemplate } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { TemplateError } from './errors';
+import { compileTemplate } from './template-engine';
+import { ContextCache } from './context-cache';
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+export const MAX_TEMPLATE_LENGTH = 50000;
+
+/**
+ * The built-in Markdown layout, and a starting point for user templates.
+ * Templates are rendered with:
+ *   version     { id, hash, message, author, created_at }
+ *   generated_at
+ *   categories  [{ key, name, fields }] in display order
+ *   fields      [{ name, display_name, description, type, category, priority, value }]
+ *   values      field values by field name, e.g. {{values.current_focus}}
+ */
+export const DEFAULT_MARKDOWN_TEMPLATE = `# Business Context
+
+**Last Updated:** {{version.created_at | datetime}}
+**Version:** {{version.hash | short}}
+**Message:** {{version.message}}
+
+---
+
+{{#each categories}}
+## {{name}}
+
+{{#each fields}}
+### {{display_name}}
+
+{{value | format}}
+
+{{/each}}
+{{/each}}
+---
+
+*This context is dynamically generated and version-controlled. It represents the current business state and will be automatically updated as changes occur.*`;
+
+export class ContextTemplateLibrary {
+  private storage: ContextStorage;
+  private userId: string;
+  private cache: ContextCache;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.userId = userId;
+    this.cache = new ContextCache(env, userId, this.storage);
+  }
+
+  /**
+   * The user's templates, by name
+   */
+  async list(): Promise<ContextTemplate[]> {
+    return this.storage.listTemplates(this.userId);
+  }
+
+  /**
+   * Get one of the user's templates by name
+   */
+  async get(name: string): Promise<ContextTemplate> {
+    const template = await this.storage.getTemplate(this.userId, name);
+    if (!template) {
+      throw new TemplateError('not_found', `Template ${name} not found`);
+    }
+    return template;
+  }
+
+  /**
+   * Save a new template. The body is parsed first so a broken template is
+   * never stored.
+   */
+  async create(input: { name?: string; description?: string | null; body?: string }): Promise<ContextTemplate> {
+    if (!input.name || !TEMPLATE_NAME_PATTERN.test(input.name)) {
+      throw new TemplateError('invalid', 'name must be letters, digits, hyphens and underscores (at most 100)');
+    }
+    checkBody(input.body);
+
+    const template = await this.storage.createTemplate({
+      user_id: this.userId,
+      name: input.name,
+      description: input.description ?? null,
+      body: input.body!
+    });
+    if (!template) {
+      throw new TemplateError('exists', `Template ${input.name} already exists`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Change a template's body or description
+   */
+  async update(name: string, input: { description?: string | null; body?: string }): Promise<ContextTemplate> {
+    if (input.body !== undefined) {
+      checkBody(input.body);
+    }
+
+    const patch: { description?: string | null; body?: string } = {};
+    if (input.body !== undefined) patch.body = input.body;
+    if (input.description !== undefined) patch.description = input.description;
+
+    const template = await this.storage.updateTemplate(this.userId, name, patch);
+    if (!template) {
+      throw new TemplateError('not_found', `Template ${name} not found`);
+    }
+
+    // Contexts rendered with the old body are cached under the template's name
+    await this.cache.invalidate();
+    return template;
+  }
+
+  /**
+   * Remove a template
+   */
+  async delete(name: string): Promise<void> {
+    await this.get(name);
+    await this.storage.deleteTemplate(this.userId, name);
+    await this.cache.invalidate();
+  }
+}
+
+function checkBody(body: unknown): void {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new TemplateError('invalid', 'body is required');
+  }
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    throw new TemplateError('invalid', `body must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  compileTemplate(body);
+}
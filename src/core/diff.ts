@@ -0,0 +1,321 @@
+/**
+ * Version Diff
+ * Differences between two versions: field-level, with renames recognised,
+ * and path-level inside json and array values
+ */
+
+import { ContextDiff, ValueChange, JsonPatchOperation } from '../types';
+import { ContextStorage } from '../storage';
+import { valuesEqual } from './merge';
+import { canonicalJson } from './hashing';
+
+type DiffRow = ContextDiff['changes'][number];
+
+// Arrays longer than this (old x new items) are replaced whole instead of matched item by item
+const MAX_ARRAY_MATCH_CELLS = 250000;
+
+/**
+ * Diff two versions. A field renamed on the way from one version to the
+ * other is reported once as `renamed` instead of as `removed` plus `added`.
+ * Modified json and array fields carry path-level `details`.
+ */
+export async function calculateDiff(
+  storage: ContextStorage,
+  versionFromId: string,
+  versionToId: string
+): Promise<DiffRow[]> {
+  const rows = withDetails(await storage.calculateVersionDiff(versionFromId, versionToId));
+
+  const removed = new Map(rows.filter(r => r.change_type === 'removed').map(r => [r.field_name, r]));
+  const added = rows.filter(r => r.change_type === 'added');
+  if (removed.size === 0 || added.length === 0) {
+    return rows;
+  }
+
+  const renames = await findRenames(storage, versionFromId, versionToId);
+  const paired = new Set<DiffRow>();
+  const renamedRows: DiffRow[] = [];
+
+  for (const row of added) {
+    const oldName = renames.get(row.field_name);
+    const oldRow = oldName ? removed.get(oldName) : undefined;
+    if (!oldRow) continue;
+
+    paired.add(row);
+    paired.add(oldRow);
+    const details = diffValues(oldRow.old_value, row.new_value, '', row.field_name);
+    renamedRows.push({
+      field_name: row.field_name,
+      old_field_name: oldName,
+      old_value: oldRow.old_value,
+      new_value: row.new_value,
+      change_type: 'renamed',
+      ...(details.length > 0 ? { details } : {})
+    });
+  }
+
+  return [...rows.filter(r => !paired.has(r)), ...renamedRows];
+}
+
+/**
+ * Map of field name in `to` => field name in `from`, following the rename
+ * records between the two versions (in either direction)
+ */
+async function findRenames(
+  storage: ContextStorage,
+  versionFromId: string,
+  versionToId: string
+): Promise<Map<string, string>> {
+  const [fromAncestors, toAncestors] = await Promise.all([
+    storage.listAncestors(versionFromId),
+    storage.listAncestors(versionToId)
+  ]);
+
+  const fromIds = new Set(fromAncestors.map(v => v.id));
+  const toIds = new Set(toAncestors.map(v => v.id));
+  const forwardIds = toAncestors.filter(v => !fromIds.has(v.id)).map(v => v.id);
+  const backwardIds = fromAncestors.filter(v => !toIds.has(v.id)).map(v => v.id);
+
+  const changes = forwardIds.length + backwardIds.length > 0
+    ? await storage.listChanges([...forwardIds, ...backwardIds])
+    : [];
+
+  const byTime = (a: { created_at: Date }, b: { created_at: Date }) =>
+    new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
+  const renames = changes.filter(c => c.change_type === 'rename' && c.metadata?.renamed_from);
+  const backward = new Set(backwardIds);
+
+  // Current name => name in `from`; undo renames made only on the `from` side
+  // (newest first), then replay the ones made on the way to `to` (oldest first)
+  const origins = new Map<string, string>();
+  const rename = (oldName: string, newName: string) => {
+    origins.set(newName, origins.get(oldName) ?? oldName);
+    origins.delete(oldName);
+  };
+
+  renames
+    .filter(c => backward.has(c.version_id))
+    .sort(byTime)
+    .reverse()
+    .forEach(c => rename(c.field_name, c.metadata!.renamed_from));
+
+  renames
+    .filter(c => !backward.has(c.version_id))
+    .sort(byTime)
+    .forEach(c => rename(c.metadata!.renamed_from, c.field_name));
+
+  return origins;
+}
+
+/**
+ * Attach path-level details to modified rows whose old and new values are
+ * both objects or both arrays
+ */
+function withDetails(rows: DiffRow[]): DiffRow[] {
+  return rows.map(row => {
+    if (row.change_type !== 'modified') return row;
+
+    const details = diffValues(row.old_value, row.new_value, '', row.field_name);
+    return details.length > 0 ? { ...row, details } : row;
+  });
+}
+
+/**
+ * Path-level changes between two JSON values. Array items are matched by
+ * `id` when they have one and by value otherwise, so inserting or removing
+ * one item does not show every later item as changed. Applied in order, the
+ * changes form a JSON Patch relative to `pointer`. Returns nothing unless both
+ * values are objects or both are arrays.
+ */
+export function diffValues(oldValue: any, newValue: any, pointer: string, displayPath: string): ValueChange[] {
+  if (valuesEqual(oldValue, newValue)) return [];
+
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    return diffObjects(oldValue, newValue, pointer, displayPath);
+  }
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    return diffArrays(oldValue, newValue, pointer, displayPath);
+  }
+
+  return [];
+}
+
+/**
+ * diffValues(), falling back to replacing the value at `pointer`
+ */
+function diffOrReplace(oldValue: any, newValue: any, pointer: string, displayPath: string): ValueChange[] {
+  if (valuesEqual(oldValue, newValue)) return [];
+
+  const changes = diffValues(oldValue, newValue, pointer, displayPath);
+  return changes.length > 0
+    ? changes
+    : [{ op: 'replace', path: pointer, display_path: displayPath, old_value: oldValue, new_value: newValue }];
+}
+
+function diffObjects(
+  oldValue: Record<string, any>,
+  newValue: Record<string, any>,
+  pointer: string,
+  displayPath: string
+): ValueChange[] {
+  const changes: ValueChange[] = [];
+  const keyPath = (key: string) => (displayPath ? `${displayPath}.${key}` : key);
+
+  for (const key of Object.keys(oldValue)) {
+    if (!(key in newValue)) {
+      changes.push({
+        op: 'remove',
+        path: `${pointer}/${escapePointer(key)}`,
+        display_path: keyPath(key),
+        old_value: oldValue[key]
+      });
+    }
+  }
+
+  for (const key of Object.keys(newValue)) {
+    const path = `${pointer}/${escapePointer(key)}`;
+
+    if (key in oldValue) {
+      changes.push(...diffOrReplace(oldValue[key], newValue[key], path, keyPath(key)));
+    } else {
+      changes.push({ op: 'add', path, display_path: keyPath(key), new_value: newValue[key] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Array diff over the longest common subsequence of item keys. Operations
+ * are ordered so their indices stay valid: removals from the end first, then
+ * changes inside kept items (at their position once removals are done), then
+ * insertions at their final positions from the start.
+ */
+function diffArrays(oldValue: any[], newValue: any[], pointer: string, displayPath: string): ValueChange[] {
+  if (oldValue.length * newValue.length > MAX_ARRAY_MATCH_CELLS) {
+    return [{ op: 'replace', path: pointer, display_path: displayPath, old_value: oldValue, new_value: newValue }];
+  }
+
+  const pairs = longestCommonSubsequence(oldValue.map(itemKey), newValue.map(itemKey));
+  const keptOld = new Set(pairs.map(([i]) => i));
+  const keptNew = new Set(pairs.map(([, j]) => j));
+  const itemPath = (item: any, index: number) => `${displayPath}[${hasId(item) ? `id=${item.id}` : index}]`;
+  const changes: ValueChange[] = [];
+
+  for (let i = oldValue.length - 1; i >= 0; i--) {
+    if (!keptOld.has(i)) {
+      changes.push({
+        op: 'remove',
+        path: `${pointer}/${i}`,
+        display_path: itemPath(oldValue[i], i),
+        old_value: oldValue[i]
+      });
+    }
+  }
+
+  pairs.forEach(([i, j], position) => {
+    changes.push(...diffOrReplace(oldValue[i], newValue[j], `${pointer}/${position}`, itemPath(newValue[j], j)));
+  });
+
+  newValue.forEach((item, j) => {
+    if (!keptNew.has(j)) {
+      changes.push({ op: 'add', path: `${pointer}/${j}`, display_path: itemPath(item, j), new_value: item });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Items with an id are the same item across versions even if other keys changed
+ */
+function itemKey(item: any): string {
+  return hasId(item) ? `id:${canonicalJson(item.id)}` : `value:${canonicalJson(item)}`;
+}
+
+function hasId(item: any): boolean {
+  return isPlainObject(item) && item.id !== undefined && item.id !== null;
+}
+
+function isPlainObject(value: any): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Index pairs [old, new] of a longest common subsequence of two key lists
+ */
+function longestCommonSubsequence(a: string[], b: string[]): [number, number][] {
+  const lengths: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs: [number, number][] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Express a version diff as an RFC 6902 JSON Patch over the field name => value map
+ */
+export function toJsonPatch(changes: DiffRow[]): JsonPatchOperation[] {
+  const operations: JsonPatchOperation[] = [];
+
+  for (const change of changes) {
+    const path = `/${escapePointer(change.field_name)}`;
+
+    switch (change.change_type) {
+      case 'added':
+        operations.push({ op: 'add', path, value: change.new_value });
+        break;
+      case 'removed':
+        operations.push({ op: 'remove', path });
+        break;
+      case 'renamed':
+        operations.push({ op: 'move', from: `/${escapePointer(change.old_field_name!)}`, path });
+        operations.push(...detailOperations(change, path));
+        break;
+      default:
+        operations.push(...(change.details
+          ? detailOperations(change, path)
+          : [{ op: 'replace' as const, path, value: change.new_value }]));
+    }
+  }
+
+  return operations;
+}
+
+function detailOperations(change: DiffRow, fieldPath: string): JsonPatchOperation[] {
+  if (!change.details) {
+    return valuesEqual(change.old_value, change.new_value)
+      ? []
+      : [{ op: 'replace', path: fieldPath, value: change.new_value }];
+  }
+
+  return change.details.map(detail => detail.op === 'remove'
+    ? { op: 'remove' as const, path: fieldPath + detail.path }
+    : { op: detail.op, path: fieldPath + detail.path, value: detail.new_value });
+}
+
+/**
+ * Escape a JSON Pointer reference token (RFC 6901)
+ */
+function escapePointer(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
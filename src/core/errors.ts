@@ -0,0 +1,219 @@
+/**
+ * Error types surfaced by the version control engine
+ */
+
+import { ContextVersion, ContextDiff } from '../types';
+
+/**
+ * Phases of a commit, in the order they run inside the commit transaction
+ */
+export type CommitPhase = 'prepare' | 'version' | 'state' | 'changes';
+
+/**
+ * A commit failed; nothing was written and HEAD still points at the previous version
+ */
+export class CommitError extends Error {
+  readonly phase: CommitPhase;
+
+  constructor(phase: CommitPhase, message: string) {
+    super(message);
+    this.name = 'CommitError';
+    this.phase = phase;
+  }
+}
+
+/**
+ * A problem with one field of a commit
+ */
+export interface FieldError {
+  field_name: string;
+  path?: string; // JSON Pointer into the field value, for validation_rules failures
+  message: string;
+}
+
+/**
+ * A commit was rejected before anything was written because some of its
+ * operations are invalid
+ */
+export class ValidationError extends Error {
+  readonly errors: FieldError[];
+
+  constructor(errors: FieldError[]) {
+    super(`Invalid commit: ${errors.map(e => `${e.field_name}${e.path || ''}: ${e.message}`).join('; ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A branch operation was rejected
+ */
+export class BranchError extends Error {
+  readonly reason: 'not_found' | 'exists' | 'invalid_name' | 'protected';
+
+  constructor(reason: BranchError['reason'], message: string) {
+    super(message);
+    this.name = 'BranchError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A field definition operation was rejected
+ */
+export class FieldDefinitionError extends Error {
+  readonly reason: 'not_found' | 'exists' | 'invalid' | 'protected';
+  readonly problems: string[];
+
+  constructor(reason: FieldDefinitionError['reason'], message: string, problems: string[] = []) {
+    super(problems.length > 0 ? `${message}: ${problems.join('; ')}` : message);
+    this.name = 'FieldDefinitionError';
+    this.reason = reason;
+    this.problems = problems;
+  }
+}
+
+/**
+ * A review queue operation was rejected
+ */
+export class ProposalError extends Error {
+  readonly reason: 'not_found' | 'not_pending' | 'invalid';
+
+  constructor(reason: ProposalError['reason'], message: string) {
+    super(message);
+    this.name = 'ProposalError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A conversation could not be processed
+ */
+export class ConversationError extends Error {
+  readonly reason: 'not_found' | 'in_progress';
+
+  constructor(reason: ConversationError['reason'], message: string) {
+    super(message);
+    this.name = 'ConversationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Changes could not be extracted from a conversation. Distinct from finding
+ * no changes, which is a normal (empty) result.
+ */
+export class ExtractionError extends Error {
+  readonly reason: 'not_configured' | 'unavailable' | 'invalid_output';
+
+  constructor(reason: ExtractionError['reason'], message: string) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A context template could not be found, saved or parsed
+ */
+export class TemplateError extends Error {
+  readonly reason: 'not_found' | 'exists' | 'invalid';
+
+  constructor(reason: TemplateError['reason'], message: string) {
+    super(message);
+    this.name = 'TemplateError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A request could not be authenticated, or its credential lacks a scope
+ */
+export class AuthError extends Error {
+  readonly reason: 'unauthenticated' | 'forbidden' | 'not_found' | 'invalid' | 'unconfigured';
+
+  constructor(reason: AuthError['reason'], message: string) {
+    super(message);
+    this.name = 'AuthError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A workspace operation was rejected, or the caller's role does not allow it
+ */
+export class WorkspaceError extends Error {
+  readonly reason: 'not_found' | 'forbidden' | 'invalid' | 'protected';
+
+  constructor(reason: WorkspaceError['reason'], message: string) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * An integration request was rejected before anything was committed
+ */
+export class IntegrationError extends Error {
+  readonly reason: 'not_found' | 'unauthorized' | 'invalid';
+
+  constructor(reason: IntegrationError['reason'], message: string) {
+    super(message);
+    this.name = 'IntegrationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * An event subscription that doesn't exist or can't be saved
+ */
+export class SubscriptionError extends Error {
+  readonly reason: 'not_found' | 'invalid';
+
+  constructor(reason: SubscriptionError['reason'], message: string) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * A field series could not be built: the field has no history, never held a
+ * number, or the query is invalid
+ */
+export class AnalyticsError extends Error {
+  readonly reason: 'not_found' | 'not_numeric' | 'invalid';
+
+  constructor(reason: AnalyticsError['reason'], message: string) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * HEAD is not the parent the commit was built on.
+ * Storage backends throw it bare when HEAD moves mid-commit; the engine
+ * fills in the current HEAD and what changed since the expected parent.
+ */
+export class VersionConflictError extends Error {
+  readonly expectedParent?: string | null;
+  readonly currentVersion?: ContextVersion | null;
+  readonly changes?: ContextDiff['changes'];
+
+  constructor(
+    message: string,
+    details: {
+      expectedParent?: string | null;
+      currentVersion?: ContextVersion | null;
+      changes?: ContextDiff['changes'];
+    } = {}
+  ) {
+    super(message);
+    this.name = 'VersionConflictError';
+    this.expectedParent = details.expectedParent;
+    this.currentVersion = details.currentVersion;
+    this.changes = details.changes;
+  }
+}
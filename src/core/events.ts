@@ -0,0 +1,417 @@
+/**
+ * Event Subscriptions
+ * Tell other tools when a workspace's context changes. Events are queued as
+ * event_deliveries rows by the request that caused them, then POSTed to each
+ * subscriber whose filters match, signed with the subscription's secret.
+ * Failed deliveries are retried with exponential backoff until
+ * MAX_DELIVERY_ATTEMPTS; every attempt is recorded on the delivery.
+ */
+
+import * as crypto from 'node:crypto';
+import {
+  Env,
+  ContextEvent,
+  ContextEventType,
+  ContextVersion,
+  EventDelivery,
+  EventSubscription
+} from '../types';
+import { ContextStorage, CommitInput, NewEventDelivery, createStorage } from '../storage';
+import { SubscriptionError } from './errors';
+
+export const EVENT_TYPES = ['commit', 'rollback', 'field_changed:<name>', 'sync_failed', 'source_deactivated'];
+
+// First attempt plus retries
+export const MAX_DELIVERY_ATTEMPTS = 6;
+
+// Wait before retry n is RETRY_BASE_DELAY_MS * 4^(n - 1): 1m, 4m, 16m, 64m, 256m
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// A claimed delivery is due again after this long if its attempt never finishes
+const CLAIM_TTL_MS = 2 * 60 * 1000;
+
+// Deliveries sent per dispatch
+const DELIVERY_BATCH_SIZE = 25;
+
+const SECRET_PREFIX = 'whsec_';
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_EVENT_FILTERS = 50;
+
+const EVENT_FILTER_PATTERN = /^(commit|rollback|sync_failed|source_deactivated|field_changed:(\*|[a-z][a-z0-9_]{0,99}))$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a subscription's filters include an event; `field_changed:*`
+ * matches a change to any field
+ */
+export function matchesEvent(filters: string[], event: ContextEventType): boolean {
+  return filters.some(filter =>
+    filter === event || (filter === 'field_changed:*' && event.startsWith('field_changed:')));
+}
+
+/**
+ * X-Webhook-Signature for a body: `sha256=` and the hex HMAC-SHA256 of the
+ * body, the scheme WebhookIntegration.validateSignature checks
+ */
+export function signPayload(body: string, secret: string): string {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+export class SubscriptionManager {
+  private env: Env;
+  private storage: ContextStorage;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+    this.userId = userId;
+  }
+
+  /**
+   * The workspace's subscriptions, newest first
+   */
+  async list(): Promise<EventSubscription[]> {
+    return this.storage.listSubscriptions(this.userId);
+  }
+
+  /**
+   * Subscribe a URL to events. The signing secret is only returned here.
+   */
+  async create(
+    input: { url?: string; events?: string[]; description?: string | null },
+    createdBy: string
+  ): Promise<{ subscription: EventSubscription; secret: string }> {
+    const secret = SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const subscription = await this.storage.createSubscription({
+      user_id: this.userId,
+      url: this.checkUrl(input.url),
+      events: checkEvents(input.events),
+      secret,
+      description: checkDescription(input.description),
+      is_active: true,
+      created_by: createdBy
+    });
+
+    return { subscription, secret };
+  }
+
+  /**
+   * Change a subscription's URL, filters or description, or pause and resume it
+   */
+  async update(
+    subscriptionId: string,
+    input: { url?: string; events?: string[]; description?: string | null; is_active?: boolean }
+  ): Promise<EventSubscription> {
+    const patch: Partial<Pick<EventSubscription, 'url' | 'events' | 'description' | 'is_active'>> = {};
+
+    if (input.url !== undefined) patch.url = this.checkUrl(input.url);
+    if (input.events !== undefined) patch.events = checkEvents(input.events);
+    if (input.description !== undefined) patch.description = checkDescription(input.description);
+    if (input.is_active !== undefined) {
+      if (typeof input.is_active !== 'boolean') {
+        throw new SubscriptionError('invalid', 'is_active must be a boolean');
+      }
+      patch.is_active = input.is_active;
+    }
+
+    await this.get(subscriptionId);
+    const subscription = await this.storage.updateSubscription(this.userId, subscriptionId, patch);
+    if (!subscription) {
+      throw new SubscriptionError('not_found', `Subscription ${subscriptionId} not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   */
+  async delete(subscriptionId: string): Promise<void> {
+    await this.get(subscriptionId);
+    await this.storage.deleteSubscription(this.userId, subscriptionId);
+  }
+
+  /**
+   * A subscription's deliveries, newest first
+   */
+  async deliveries(
+    subscriptionId: string,
+    options: { status?: string; limit?: number } = {}
+  ): Promise<EventDelivery[]> {
+    const statuses: EventDelivery['status'][] = ['pending', 'delivered', 'failed'];
+    if (options.status !== undefined && !statuses.includes(options.status as EventDelivery['status'])) {
+      throw new SubscriptionError('invalid', `status must be one of ${statuses.join(', ')}`);
+    }
+
+    await this.get(subscriptionId);
+    return this.storage.listDeliveries(subscriptionId, {
+      status: options.status as EventDelivery['status'] | undefined,
+      limit: options.limit
+    });
+  }
+
+  private async get(subscriptionId: string): Promise<EventSubscription> {
+    const subscription = UUID_PATTERN.test(subscriptionId)
+      ? await this.storage.getSubscription(this.userId, subscriptionId)
+      : null;
+    if (!subscription) {
+      throw new SubscriptionError('not_found', `Subscription ${subscriptionId} not found`);
+    }
+    return subscription;
+  }
+
+  // Deliveries go over HTTPS; plain HTTP is only allowed in development
+  private checkUrl(url: unknown): string {
+    let parsed: URL;
+    try {
+      parsed = new URL(typeof url === 'string' ? url : '');
+    } catch {
+      throw new SubscriptionError('invalid', 'url must be an absolute URL');
+    }
+
+    const allowHttp = this.env.ENVIRONMENT === 'development';
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      throw new SubscriptionError('invalid', allowHttp ? 'url must use http or https' : 'url must use https');
+    }
+    if (parsed.username || parsed.password) {
+      throw new SubscriptionError('invalid', 'url must not contain credentials');
+    }
+    return parsed.toString();
+  }
+}
+
+export class EventPublisher {
+  private storage: ContextStorage;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.userId = userId;
+  }
+
+  /**
+   * Queue `rollback` for a rollback version and `commit` for any other, plus
+   * `field_changed:<name>` for each field it changed
+   */
+  async publishVersion(version: ContextVersion, changes: CommitInput['changes']): Promise<void> {
+    const summary = {
+      id: version.id,
+      hash: version.version_hash,
+      message: version.commit_message,
+      branch: version.branch,
+      author: version.author,
+      author_id: version.author_id ?? null,
+      tags: version.tags || [],
+      parents: [version.parent_version_id ?? null, version.merge_parent_version_id ?? null]
+        .filter(id => id !== null),
+      created_at: version.created_at
+    };
+    const fieldChanges = changes.map(change => ({
+      field_name: change.field_name,
+      change_type: change.change_type,
+      old_value: change.old_value,
+      new_value: change.new_value,
+      source: change.source,
+      ...(change.change_type === 'rename' ? { renamed_from: change.metadata?.renamed_from } : {})
+    }));
+
+    await this.publishAll([
+      {
+        event: version.tags?.includes('rollback') ? 'rollback' : 'commit',
+        data: { version: summary, changes: fieldChanges }
+      },
+      ...fieldChanges.map(change => ({
+        event: `field_changed:${change.field_name}` as ContextEventType,
+        data: { version: summary, change }
+      }))
+    ]);
+  }
+
+  /**
+   * Queue an event for every active subscription whose filters match it
+   */
+  async publish(event: ContextEventType, data: Record<string, any>): Promise<void> {
+    await this.publishAll([{ event, data }]);
+  }
+
+  // Errors are printed, not thrown. Subscribers missing an event beats
+  // answering a commit or sync that went through with an error, which a
+  // client would retry and apply twice.
+  private async publishAll(events: { event: ContextEventType; data: Record<string, any> }[]): Promise<void> {
+    try {
+      const subscriptions = (await this.storage.listSubscriptions(this.userId))
+        .filter(subscription => subscription.is_active);
+      if (subscriptions.length === 0) return;
+
+      const now = new Date();
+      const deliveries: NewEventDelivery[] = [];
+
+      for (const { event, data } of events) {
+        const payload: ContextEvent = {
+          id: crypto.randomUUID(),
+          event,
+          workspace_id: this.userId,
+          created_at: now.toISOString(),
+          data
+        };
+
+        for (const subscription of subscriptions) {
+          if (!matchesEvent(subscription.events, event)) continue;
+          deliveries.push({
+            subscription_id: subscription.id,
+            user_id: this.userId,
+            event,
+            payload,
+            status: 'pending',
+            next_attempt_at: now
+          });
+        }
+      }
+
+      await this.storage.insertDeliveries(deliveries);
+    } catch (error) {
+      console.error('Failed to queue events:', error);
+    }
+  }
+}
+
+/**
+ * Send the deliveries that are due, of one workspace or of every workspace.
+ * Each subscriber's deliveries go out in the order they were queued;
+ * different subscribers are sent to in parallel.
+ */
+export async function deliverDueEvents(
+  env: Env,
+  options: { userId?: string; limit?: number } = {},
+  storage?: ContextStorage
+): Promise<{ delivered: number; retrying: number; failed: number }> {
+  const store = storage || createStorage(env);
+  const due = await store.getDueDeliveries(options.limit ?? DELIVERY_BATCH_SIZE, options.userId);
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+
+  const bySubscription = new Map<string, EventDelivery[]>();
+  for (const delivery of due) {
+    bySubscription.set(delivery.subscription_id, [...(bySubscription.get(delivery.subscription_id) || []), delivery]);
+  }
+
+  await Promise.all([...bySubscription.values()].map(async deliveries => {
+    const subscription = await store.getSubscription(deliveries[0].user_id, deliveries[0].subscription_id);
+
+    for (const delivery of deliveries) {
+      const outcome = await attemptDelivery(store, delivery, subscription);
+      if (outcome) counts[outcome]++;
+    }
+  }));
+
+  return counts;
+}
+
+// Null when another dispatcher claimed the attempt first
+async function attemptDelivery(
+  storage: ContextStorage,
+  delivery: EventDelivery,
+  subscription: EventSubscription | null
+): Promise<'delivered' | 'retrying' | 'failed' | null> {
+  if (!subscription || !subscription.is_active) {
+    const updated = await storage.updateDelivery(delivery.id, delivery.attempts, {
+      status: 'failed',
+      next_attempt_at: null,
+      last_error: 'Subscription is paused'
+    });
+    return updated ? 'failed' : null;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const claimed = await storage.updateDelivery(delivery.id, delivery.attempts, {
+    attempts: attempt,
+    next_attempt_at: new Date(Date.now() + CLAIM_TTL_MS)
+  });
+  if (!claimed) return null;
+
+  const result = await send(subscription, delivery);
+
+  if (result.error === null) {
+    await storage.updateDelivery(delivery.id, attempt, {
+      status: 'delivered',
+      next_attempt_at: null,
+      response_status: result.status,
+      last_error: null,
+      delivered_at: new Date()
+    });
+    return 'delivered';
+  }
+
+  const exhausted = attempt >= MAX_DELIVERY_ATTEMPTS;
+  await storage.updateDelivery(delivery.id, attempt, {
+    status: exhausted ? 'failed' : 'pending',
+    next_attempt_at: exhausted ? null : new Date(Date.now() + RETRY_BASE_DELAY_MS * 4 ** (attempt - 1)),
+    response_status: result.status,
+    last_error: result.error
+  });
+  return exhausted ? 'failed' : 'retrying';
+}
+
+// Any 2xx response is a successful delivery; redirects are not followed
+async function send(
+  subscription: EventSubscription,
+  delivery: EventDelivery
+): Promise<{ status: number | null; error: string | null }> {
+  const body = JSON.stringify(delivery.payload);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'context-version-control',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signPayload(body, subscription.secret)
+      },
+      body,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+
+    if (response.ok) {
+      return { status: response.status, error: null };
+    }
+
+    const text = (await response.text().catch(() => '')).slice(0, 200);
+    return { status: response.status, error: `HTTP ${response.status}${text ? `: ${text}` : ''}` };
+
+  } catch (error) {
+    return {
+      status: null,
+      error: controller.signal.aborted
+        ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+        : error instanceof Error ? error.message : 'Unknown error'
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function checkEvents(events: unknown): string[] {
+  if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENT_FILTERS) {
+    throw new SubscriptionError('invalid', `events must be a non-empty array (at most ${MAX_EVENT_FILTERS})`);
+  }
+  const unknown = events.filter(event => typeof event !== 'string' || !EVENT_FILTER_PATTERN.test(event));
+  if (unknown.length > 0) {
+    throw new SubscriptionError('invalid', `Unknown events: ${unknown.join(', ')}. Use ${EVENT_TYPES.join(', ')}`);
+  }
+  return [...new Set(events as string[])];
+}
+
+function checkDescription(description: unknown): string | null {
+  if (description === undefined || description === null || description === '') return null;
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new SubscriptionError('invalid', `description must be text (at most ${MAX_DESCRIPTION_LENGTH} characters)`);
+  }
+  return description;
+}
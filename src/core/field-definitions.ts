@@ -0,0 +1,161 @@
+/**
+ * Field Definitions
+ * The schema of business state fields: type, JSON Schema validation rules,
+ * whether a field is required, and how it is presented
+ */
+
+import { Env, FieldDefinition } from '../types';
+import { ContextStorage, NewFieldDefinition, createStorage } from '../storage';
+import { FieldDefinitionError } from './errors';
+import { FIELD_TYPES, checkSchema } from './validation';
+import { invalidateAllContexts } from './context-cache';
+
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,99}$/;
+
+// Fields a client may set; id and created_at are assigned by storage
+const EDITABLE_FIELDS: (keyof NewFieldDefinition)[] = [
+  'display_name',
+  'description',
+  'field_type',
+  'default_source',
+  'validation_rules',
+  'is_system_field',
+  'is_required',
+  'category',
+  'priority'
+];
+
+export const DEFAULT_FIELD_PRIORITY = 50;
+
+export class FieldDefinitionRegistry {
+  private env: Env;
+  private storage: ContextStorage;
+
+  constructor(env: Env, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+  }
+
+  /**
+   * All field definitions, optionally only one category
+   */
+  async list(category?: string): Promise<FieldDefinition[]> {
+    return this.storage.listFieldDefinitions(category);
+  }
+
+  /**
+   * Get a field definition by field name
+   */
+  async get(fieldName: string): Promise<FieldDefinition> {
+    const definition = await this.storage.getFieldDefinition(fieldName);
+    if (!definition) {
+      throw new FieldDefinitionError('not_found', `No field definition for ${fieldName}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Define a new field. Commits are validated against it from then on.
+   */
+  async create(input: Partial<FieldDefinition>): Promise<FieldDefinition> {
+    const problems: string[] = [];
+
+    if (!input.field_name || !FIELD_NAME_PATTERN.test(input.field_name)) {
+      problems.push('field_name must be lowercase letters, digits and underscores, starting with a letter');
+    }
+    if (!input.display_name) {
+      problems.push('display_name is required');
+    }
+    if (!input.field_type) {
+      problems.push('field_type is required');
+    }
+    problems.push(...this.checkDefinition(input));
+
+    if (problems.length > 0) {
+      throw new FieldDefinitionError('invalid', 'Invalid field definition', problems);
+    }
+
+    if (await this.storage.getFieldDefinition(input.field_name!)) {
+      throw new FieldDefinitionError('exists', `Field ${input.field_name} is already defined`);
+    }
+
+    const definition = await this.storage.createFieldDefinition({
+      field_name: input.field_name!,
+      display_name: input.display_name!,
+      description: input.description ?? null,
+      field_type: input.field_type!,
+      default_source: input.default_source ?? null,
+      validation_rules: input.validation_rules || {},
+      is_system_field: input.is_system_field ?? false,
+      is_required: input.is_required ?? false,
+      category: input.category ?? null,
+      priority: input.priority ?? DEFAULT_FIELD_PRIORITY
+    });
+
+    // Every user's context is rendered with the definitions
+    await invalidateAllContexts(this.env, this.storage);
+    return definition;
+  }
+
+  /**
+   * Change a field definition. The field name cannot change; values already
+   * committed are not re-checked, only the commits that follow.
+   */
+  async update(fieldName: string, input: Partial<FieldDefinition>): Promise<FieldDefinition> {
+    await this.get(fieldName);
+
+    if (input.field_name !== undefined && input.field_name !== fieldName) {
+      throw new FieldDefinitionError('invalid', 'Invalid field definition', ['field_name cannot be changed']);
+    }
+    if (input.display_name !== undefined && !input.display_name) {
+      throw new FieldDefinitionError('invalid', 'Invalid field definition', ['display_name cannot be empty']);
+    }
+
+    const problems = this.checkDefinition(input);
+    if (problems.length > 0) {
+      throw new FieldDefinitionError('invalid', 'Invalid field definition', problems);
+    }
+
+    const patch: Partial<NewFieldDefinition> = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (input[key] !== undefined) {
+        (patch as any)[key] = input[key];
+      }
+    }
+
+    const definition = await this.storage.updateFieldDefinition(fieldName, patch);
+    await invalidateAllContexts(this.env, this.storage);
+    return definition;
+  }
+
+  /**
+   * Remove a field definition. Committed values of the field are kept but no
+   * longer validated. System fields cannot be removed.
+   */
+  async delete(fieldName: string): Promise<void> {
+    const definition = await this.get(fieldName);
+
+    if (definition.is_system_field) {
+      throw new FieldDefinitionError('protected', `Cannot delete system field ${fieldName}`);
+    }
+
+    await this.storage.deleteFieldDefinition(fieldName);
+    await invalidateAllContexts(this.env, this.storage);
+  }
+
+  private checkDefinition(input: Partial<FieldDefinition>): string[] {
+    const problems: string[] = [];
+
+    if (input.field_type !== undefined && !FIELD_TYPES.includes(input.field_type)) {
+      problems.push(`field_type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (input.validation_rules !== undefined) {
+      problems.push(...checkSchema(input.validation_rules, 'validation_rules'));
+    }
+    if (input.priority !== undefined && !(Number.isInteger(input.priority) && input.priority >= 0 && input.priority <= 100)) {
+      problems.push('priority must be an integer from 0 to 100');
+    }
+
+    return problems;
+  }
+}
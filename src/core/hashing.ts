@@ -0,0 +1,81 @@
+/**
+ * Content-Addressed Hashing
+ * Git-like hashes: a tree hash over the canonicalized field set, and a
+ * version hash over the tree, the parent hashes and the commit metadata
+ */
+
+import * as crypto from 'node:crypto';
+import { BusinessStateField } from '../types';
+
+type HashedField = Pick<BusinessStateField, 'field_name' | 'field_type' | 'field_value' | 'source'>;
+
+export interface VersionHashInput {
+  tree_hash: string;
+  parent_hashes: string[]; // First parent, then the merge parent
+  user_id: string;
+  author: string;
+  author_id?: string | null; // Left out of the hash when unset, so older hashes still verify
+  created_at: Date;
+  commit_message: string;
+}
+
+/**
+ * Hash of a complete business state. Depends only on each field's name,
+ * type, value and source, never on row order, object key order or timestamps.
+ */
+export function hashTree(fields: HashedField[]): string {
+  const entries = [...fields]
+    .sort((a, b) => (a.field_name < b.field_name ? -1 : a.field_name > b.field_name ? 1 : 0))
+    .map(field => ({
+      name: field.field_name,
+      type: field.field_type,
+      source: field.source,
+      value: field.field_value
+    }));
+
+  return sha1(`tree\n${canonicalJson(entries)}`);
+}
+
+/**
+ * Hash of a version, chaining it to its parents like a git commit object
+ */
+export function hashVersion(input: VersionHashInput): string {
+  const lines = [
+    `tree ${input.tree_hash}`,
+    ...input.parent_hashes.map(hash => `parent ${hash}`),
+    `user ${input.user_id}`,
+    `author ${input.author} ${new Date(input.created_at).toISOString()}`,
+    ...(input.author_id ? [`author-id ${input.author_id}`] : []),
+    '',
+    input.commit_message
+  ];
+
+  return sha1(lines.join('\n'));
+}
+
+/**
+ * JSON with object keys sorted at every level, so equal JSONB values serialize identically
+ */
+export function canonicalJson(value: any): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Hash of arbitrary content, e.g. for an HTTP ETag
+ */
+export function hashContent(content: string): string {
+  return sha1(content);
+}
+
+function sha1(content: string): string {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
@@ -0,0 +1,211 @@
+/**
+ * Three-Way Merge
+ * Combines two business states against their common ancestor, field by field
+ * (and key by key for json fields)
+ */
+
+import { BusinessStateField, MergeConflict, MergeResolution } from '../types';
+import { CommitInput } from '../storage';
+
+type MergedField = CommitInput['state'][number];
+
+export interface StateMergeResult {
+  state: MergedField[];
+  conflicts: MergeConflict[]; // Conflicts left after applying resolutions
+  auto_merged: string[]; // Fields taken from their side without conflict
+  resolved: string[]; // Fields settled by a resolution
+}
+
+/**
+ * Merge `theirs` into `ours`. A field changed on one side only takes that
+ * side's version; a field changed on both sides conflicts unless both made
+ * the same change, or both are json objects whose edits touch different keys.
+ * With `fields`, changes on their side to any other field are ignored.
+ */
+export function mergeStates(
+  base: Record<string, BusinessStateField>,
+  ours: Record<string, BusinessStateField>,
+  theirs: Record<string, BusinessStateField>,
+  options: { resolutions?: MergeResolution[]; fields?: string[]; timestamp?: Date } = {}
+): StateMergeResult {
+  const resolutions = options.resolutions || [];
+  const timestamp = options.timestamp || new Date();
+  const result: StateMergeResult = { state: [], conflicts: [], auto_merged: [], resolved: [] };
+  const fieldNames = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+
+  for (const name of [...fieldNames].sort()) {
+    const b = base[name];
+    const o = ours[name];
+    const t = theirs[name];
+
+    if (options.fields && options.fields.length > 0 && !options.fields.includes(name)) {
+      keep(result, o);
+      continue;
+    }
+
+    if (sameField(o, t) || sameField(b, t)) {
+      keep(result, o);
+      continue;
+    }
+
+    if (sameField(b, o)) {
+      keep(result, t);
+      result.auto_merged.push(name);
+      continue;
+    }
+
+    if (isJsonObject(o) && isJsonObject(t)) {
+      mergeJsonField(result, name, b, o, t, resolutions, timestamp);
+      continue;
+    }
+
+    const resolution = findResolution(resolutions, name);
+    if (!resolution) {
+      result.conflicts.push({
+        field_name: name,
+        base: b ? b.field_value : null,
+        ours: o ? o.field_value : null,
+        theirs: t ? t.field_value : null
+      });
+      continue;
+    }
+
+    result.resolved.push(name);
+    if (resolution.value !== undefined) {
+      result.state.push({
+        field_name: name,
+        field_value: resolution.value,
+        field_type: resolution.field_type || (o || t)!.field_type,
+        source: 'manual',
+        updated_at: timestamp
+      });
+    } else {
+      keep(result, resolution.take === 'theirs' ? t : o);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merge a json field changed on both sides, one top-level key at a time
+ */
+function mergeJsonField(
+  result: StateMergeResult,
+  name: string,
+  b: BusinessStateField | undefined,
+  o: BusinessStateField,
+  t: BusinessStateField,
+  resolutions: MergeResolution[],
+  timestamp: Date
+): void {
+  const baseValue: Record<string, any> = isJsonObject(b) ? b!.field_value : {};
+  const merged: Record<string, any> = {};
+  const keys = new Set([...Object.keys(o.field_value), ...Object.keys(t.field_value)]);
+  let conflicted = false;
+  let resolved = false;
+
+  for (const key of keys) {
+    const bv = baseValue[key];
+    const ov = o.field_value[key];
+    const tv = t.field_value[key];
+    let value: any;
+
+    if (valuesEqual(ov, tv) || valuesEqual(bv, tv)) {
+      value = ov;
+    } else if (valuesEqual(bv, ov)) {
+      value = tv;
+    } else {
+      const resolution = findResolution(resolutions, name, key);
+      if (!resolution) {
+        result.conflicts.push({
+          field_name: name,
+          key,
+          base: bv === undefined ? null : bv,
+          ours: ov === undefined ? null : ov,
+          theirs: tv === undefined ? null : tv
+        });
+        conflicted = true;
+        continue;
+      }
+
+      resolved = true;
+      value = resolution.value !== undefined
+        ? resolution.value
+        : resolution.take === 'theirs' ? tv : ov;
+    }
+
+    // undefined = the key was removed on the winning side
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  if (conflicted) return;
+
+  (resolved ? result.resolved : result.auto_merged).push(name);
+  result.state.push({
+    field_name: name,
+    field_value: merged,
+    field_type: 'json',
+    source: new Date(t.updated_at) > new Date(o.updated_at) ? t.source : o.source,
+    updated_at: timestamp
+  });
+}
+
+/**
+ * Add a field to the merged state; an absent field stays absent
+ */
+function keep(result: StateMergeResult, field: BusinessStateField | undefined): void {
+  if (!field) return;
+
+  result.state.push({
+    field_name: field.field_name,
+    field_value: field.field_value,
+    field_type: field.field_type,
+    source: field.source,
+    updated_at: field.updated_at,
+    metadata: field.metadata
+  });
+}
+
+function findResolution(
+  resolutions: MergeResolution[],
+  fieldName: string,
+  key?: string
+): MergeResolution | undefined {
+  return resolutions.find(r => r.field_name === fieldName && (r.key ?? undefined) === key);
+}
+
+/**
+ * Same presence, type and value
+ */
+function sameField(a: BusinessStateField | undefined, b: BusinessStateField | undefined): boolean {
+  if (!a || !b) return !a && !b;
+  return a.field_type === b.field_type && valuesEqual(a.field_value, b.field_value);
+}
+
+function isJsonObject(field: BusinessStateField | undefined): boolean {
+  return !!field
+    && field.field_type === 'json'
+    && typeof field.field_value === 'object'
+    && field.field_value !== null
+    && !Array.isArray(field.field_value);
+}
+
+/**
+ * JSON equality: object key order is irrelevant, array order is not
+ */
+export function valuesEqual(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && valuesEqual(a[key], b[key]));
+}
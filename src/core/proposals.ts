@@ -0,0 +1,156 @@
+/**
+ * Review Queue
+ * Changes extracted from Claude conversations with too little confidence to
+ * commit automatically, kept until someone approves, edits or rejects them
+ */
+
+import { Env, ContextProposal, ContextVersion, BusinessStateField, ExtractedChange } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { ProposalError } from './errors';
+import { VersionControlEngine } from './version-control';
+import { FIELD_TYPES } from './validation';
+
+export class ReviewQueue {
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+    this.userId = userId;
+  }
+
+  /**
+   * Queue changes from a conversation for review
+   */
+  async propose(conversationId: string, changes: ExtractedChange[]): Promise<ContextProposal[]> {
+    if (changes.length === 0) return [];
+
+    return this.storage.createProposals(changes.map(change => ({
+      user_id: this.userId,
+      conversation_id: conversationId,
+      field_name: change.field_name,
+      field_value: change.field_value,
+      field_type: change.field_type as BusinessStateField['field_type'],
+      confidence: change.confidence
+    })));
+  }
+
+  /**
+   * Proposals, newest first (pending ones unless another status is given)
+   */
+  async list(options: { status?: ContextProposal['status']; conversationId?: string; limit?: number } = {}): Promise<ContextProposal[]> {
+    return this.storage.listProposals(this.userId, { status: 'pending', ...options });
+  }
+
+  /**
+   * Get one of the user's proposals
+   */
+  async get(proposalId: string): Promise<ContextProposal> {
+    const proposal = await this.storage.getProposal(proposalId);
+    if (!proposal || proposal.user_id !== this.userId) {
+      throw new ProposalError('not_found', `Proposal ${proposalId} not found`);
+    }
+    return proposal;
+  }
+
+  /**
+   * Commit a pending proposal as a normal commit by `reviewerId`, the member
+   * approving it. The proposal is claimed first so it can only be applied
+   * once, and released again if the commit fails (for example because the
+   * value fails validation).
+   */
+  async approve(
+    proposalId: string,
+    options: { reviewerId: string; commit_message?: string; branch?: string }
+  ): Promise<{ proposal: ContextProposal; version: ContextVersion }> {
+    const proposal = await this.get(proposalId);
+
+    const claimed = await this.storage.updateProposal(proposal.id, 'pending', {
+      status: 'approved',
+      reviewed_by: options.reviewerId,
+      reviewed_at: new Date()
+    });
+    if (!claimed) {
+      throw new ProposalError('not_pending', `Proposal ${proposalId} was already ${proposal.status}`);
+    }
+
+    let version: ContextVersion;
+    try {
+      version = await this.engine.commit({
+        user_id: this.userId,
+        commit_message: options.commit_message ||
+          `Update ${proposal.field_name} from Claude conversation ${proposal.conversation_id} (reviewed)`,
+        changes: [{
+          field_name: proposal.field_name,
+          field_value: proposal.field_value,
+          field_type: proposal.field_type,
+          source: 'claude_chat',
+          metadata: {
+            proposal_id: proposal.id,
+            conversation_id: proposal.conversation_id,
+            confidence: proposal.confidence,
+            edited: proposal.edited
+          }
+        }],
+        tags: ['claude-chat', 'reviewed'],
+        author: 'reviewer',
+        author_id: options.reviewerId,
+        branch: options.branch
+      });
+    } catch (error) {
+      await this.storage.updateProposal(proposal.id, 'approved', {
+        status: 'pending',
+        reviewed_by: null,
+        reviewed_at: null
+      });
+      throw error;
+    }
+
+    const approved = await this.storage.updateProposal(proposal.id, 'approved', { version_id: version.id });
+    return { proposal: approved || { ...claimed, version_id: version.id }, version };
+  }
+
+  /**
+   * Change the value (and optionally type) of a pending proposal before approving it
+   */
+  async edit(
+    proposalId: string,
+    edit: { field_value: any; field_type?: BusinessStateField['field_type'] }
+  ): Promise<ContextProposal> {
+    if (edit.field_type !== undefined && !FIELD_TYPES.includes(edit.field_type)) {
+      throw new ProposalError('invalid', `field_type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+
+    const proposal = await this.get(proposalId);
+    const updated = await this.storage.updateProposal(proposal.id, 'pending', {
+      field_value: edit.field_value,
+      field_type: edit.field_type || proposal.field_type,
+      edited: true
+    });
+    if (!updated) {
+      throw new ProposalError('not_pending', `Proposal ${proposalId} was already ${proposal.status}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Dismiss a pending proposal without committing it, as `reviewerId`
+   */
+  async reject(proposalId: string, options: { reviewerId: string; reason?: string }): Promise<ContextProposal> {
+    const proposal = await this.get(proposalId);
+    const rejected = await this.storage.updateProposal(proposal.id, 'pending', {
+      status: 'rejected',
+      review_note: options.reason ?? null,
+      reviewed_by: options.reviewerId,
+      reviewed_at: new Date()
+    });
+    if (!rejected) {
+      throw new ProposalError('not_pending', `Proposal ${proposalId} was already ${proposal.status}`);
+    }
+
+    return rejected;
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * Template Engine
+ * A small Mustache/Handlebars-like language for rendering Claude context:
+ *
+ *   {{path.to.value | filter | filter:arg}}   value, passed through filters
+ *   {{#each items}}...{{else}}...{{/each}}    loop (arrays or object entries)
+ *   {{#if value}}...{{else}}...{{/if}}        conditional (empty arrays,
+ *   {{#unless value}}...{{/unless}}           objects and strings are false)
+ *   {{! comment }}
+ *
+ * Names are looked up in the innermost loop item first, then outward. Inside
+ * a loop, `this` is the item and @index, @first, @last and @key describe it.
+ * Block tags alone on a line don't leave a blank line behind. Output is not
+ * HTML-escaped.
+ */
+
+import { TemplateError } from './errors';
+
+interface Filter {
+  name: string;
+  args: (string | number)[];
+}
+
+interface Expression {
+  path: string;
+  filters: Filter[];
+}
+
+type TemplateNode =
+  | { type: 'text'; text: string }
+  | { type: 'value'; expression: Expression }
+  | { type: 'each'; expression: Expression; body: TemplateNode[]; otherwise: TemplateNode[] }
+  | { type: 'if'; expression: Expression; negate: boolean; body: TemplateNode[]; otherwise: TemplateNode[] };
+
+export interface CompiledTemplate {
+  render(data: Record<string, any>): string;
+}
+
+type FilterFn = (value: any, ...args: any[]) => any;
+
+const FILTERS: Record<string, FilterFn> = {
+  // Markdown: arrays as bullet lists, objects as JSON code blocks
+  format: value => formatMarkdownValue(value),
+  json: value => JSON.stringify(value, null, 2),
+  inline: value => (typeof value === 'string' ? value : JSON.stringify(value)),
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  title: value => toText(value)
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' '),
+  truncate: (value, length = 100) => {
+    const text = toText(value);
+    return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+  },
+  short: (value, length = 7) => toText(value).substring(0, length),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+  limit: (value, count = 5) => (Array.isArray(value) ? value.slice(0, count) : value),
+  count: value => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    if (typeof value === 'object' && value !== null) return Object.keys(value).length;
+    return 0;
+  },
+  default: (value, fallback = '') => (isTruthy(value) ? value : fallback),
+  date: value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? toText(value) : date.toISOString().substring(0, 10);
+  },
+  datetime: value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? toText(value) : date.toLocaleString();
+  }
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+/**
+ * Parse a template. Syntax errors and unknown filters are reported here, with
+ * the line they occur on, so a broken template is rejected when it is saved.
+ */
+export function compileTemplate(source: string): CompiledTemplate {
+  const nodes = parse(source);
+  return {
+    render: data => renderNodes(nodes, [data])
+  };
+}
+
+/**
+ * Render a field value as Markdown
+ */
+export function formatMarkdownValue(value: any): string {
+  if (typeof value === 'object' && value !== null) {
+    if (Array.isArray(value)) {
+      return value.map(item => `- ${formatMarkdownValue(item)}`).join('\n');
+    } else {
+      return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+    }
+  }
+  return String(value);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+interface Tag {
+  kind: 'value' | 'open' | 'else' | 'close' | 'comment';
+  block?: 'each' | 'if' | 'unless';
+  expression?: Expression;
+  line: number;
+}
+
+type Token = { text: string } | Tag;
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+function parse(source: string): TemplateNode[] {
+  const root: TemplateNode[] = [];
+  const stack: { tag: Tag; node: Extract<TemplateNode, { body: TemplateNode[] }>; inElse: boolean }[] = [];
+  const target = () => {
+    const open = stack[stack.length - 1];
+    if (!open) return root;
+    return open.inElse ? open.node.otherwise : open.node.body;
+  };
+
+  for (const token of tokenize(source)) {
+    if ('text' in token) {
+      if (token.text) target().push({ type: 'text', text: token.text });
+      continue;
+    }
+
+    switch (token.kind) {
+      case 'comment':
+        break;
+      case 'value':
+        target().push({ type: 'value', expression: token.expression! });
+        break;
+      case 'open': {
+        const node = token.block === 'each'
+          ? { type: 'each' as const, expression: token.expression!, body: [], otherwise: [] }
+          : { type: 'if' as const, expression: token.expression!, negate: token.block === 'unless', body: [], otherwise: [] };
+        target().push(node);
+        stack.push({ tag: token, node, inElse: false });
+        break;
+      }
+      case 'else': {
+        const open = stack[stack.length - 1];
+        if (!open || open.inElse) {
+          throw syntaxError(token.line, '{{else}} must be inside {{#if}}, {{#unless}} or {{#each}}');
+        }
+        open.inElse = true;
+        break;
+      }
+      case 'close': {
+        const open = stack.pop();
+        if (!open) {
+          throw syntaxError(token.line, `{{/${token.block}}} has no matching {{#${token.block}}}`);
+        }
+        if (open.tag.block !== token.block) {
+          throw syntaxError(token.line, `{{/${token.block}}} closes {{#${open.tag.block}}} from line ${open.tag.line}`);
+        }
+        break;
+      }
+    }
+  }
+
+  const unclosed = stack.pop();
+  if (unclosed) {
+    throw syntaxError(unclosed.tag.line, `{{#${unclosed.tag.block}}} is never closed`);
+  }
+
+  return root;
+}
+
+/**
+ * Split a template into text and tags, dropping the line of any block tag
+ * that stands alone on it
+ */
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let cursor = 0;
+  let match: RegExpExecArray | null;
+
+  // Line of the current tag, counted on from the previous tag
+  let line = 1;
+  let counted = 0;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    for (; counted < match.index; counted++) {
+      if (source.charCodeAt(counted) === 10) line++;
+    }
+    const tag = parseTag(match[1], line);
+    let before = source.slice(cursor, match.index);
+    let end = match.index + match[0].length;
+
+    if (tag.kind !== 'value') {
+      const lineStart = before.lastIndexOf('\n') + 1;
+      const lineEnd = source.indexOf('\n', end);
+      const leading = before.slice(lineStart);
+      const trailing = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+      const startsLine = lineStart > 0 || cursor === 0 || source[cursor - 1] === '\n';
+
+      if (startsLine && /^[ \t]*$/.test(leading) && /^[ \t]*\r?$/.test(trailing)) {
+        before = before.slice(0, lineStart);
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    tokens.push({ text: before }, tag);
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  tokens.push({ text: source.slice(cursor) });
+  return tokens;
+}
+
+function parseTag(content: string, line: number): Tag {
+  if (content.startsWith('!')) {
+    return { kind: 'comment', line };
+  }
+  if (content === 'else') {
+    return { kind: 'else', line };
+  }
+
+  const block = /^([#/])(each|if|unless)\b\s*([\s\S]*)$/.exec(content);
+  if (block) {
+    const [, sigil, name, rest] = block;
+    if (sigil === '/') {
+      if (rest) throw syntaxError(line, `{{/${name}}} takes no arguments`);
+      return { kind: 'close', block: name as Tag['block'], line };
+    }
+    if (!rest) throw syntaxError(line, `{{#${name}}} needs a value`);
+    return { kind: 'open', block: name as Tag['block'], expression: parseExpression(rest, line), line };
+  }
+
+  if (/^[#/]/.test(content)) {
+    throw syntaxError(line, `Unknown block {{${content}}}; use #each, #if or #unless`);
+  }
+  if (!content) {
+    throw syntaxError(line, 'Empty tag {{}}');
+  }
+
+  return { kind: 'value', expression: parseExpression(content, line), line };
+}
+
+const EXPRESSION_TOKEN = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[|:]|[^\s|:]+/g;
+const PATH_PATTERN = /^(?:this|\.|@(?:index|first|last|key)|[A-Za-z_][\w-]*(?:\.[\w-]+)*)$/;
+
+function parseExpression(content: string, line: number): Expression {
+  const parts = content.match(EXPRESSION_TOKEN) || [];
+  const segments: string[][] = [[]];
+  parts.forEach(part => {
+    if (part === '|') segments.push([]);
+    else segments[segments.length - 1].push(part);
+  });
+
+  const [head, ...filterSegments] = segments;
+  if (head.length !== 1 || !PATH_PATTERN.test(head[0])) {
+    throw syntaxError(line, `Invalid value "${head.join('')}" in {{${content}}}`);
+  }
+
+  const filters = filterSegments.map(segment => {
+    const [name, ...rest] = segment;
+    if (!name || !(name in FILTERS)) {
+      throw syntaxError(line, `Unknown filter "${name || ''}"; available: ${TEMPLATE_FILTERS.join(', ')}`);
+    }
+
+    const args: (string | number)[] = [];
+    for (let i = 0; i < rest.length; i += 2) {
+      if (rest[i] !== ':' || rest[i + 1] === undefined || rest[i + 1] === ':') {
+        throw syntaxError(line, `Filter arguments are written ${name}:arg, in {{${content}}}`);
+      }
+      args.push(parseArgument(rest[i + 1]));
+    }
+    return { name, args };
+  });
+
+  return { path: head[0], filters };
+}
+
+function parseArgument(raw: string): string | number {
+  if (/^["']/.test(raw)) {
+    return raw.slice(1, -1).replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char));
+  }
+  const number = Number(raw);
+  return isNaN(number) ? raw : number;
+}
+
+function syntaxError(line: number, message: string): TemplateError {
+  return new TemplateError('invalid', `Line ${line}: ${message}`);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+interface LoopFrame {
+  '@loop': true;
+  this: any;
+  '@index': number;
+  '@first': boolean;
+  '@last': boolean;
+  '@key'?: string;
+}
+
+function renderNodes(nodes: TemplateNode[], scopes: any[]): string {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.text;
+        break;
+      case 'value': {
+        const value = evaluate(node.expression, scopes);
+        output += value === undefined || value === null ? '' : toText(value);
+        break;
+      }
+      case 'if': {
+        const truthy = isTruthy(evaluate(node.expression, scopes));
+        output += renderNodes(truthy !== node.negate ? node.body : node.otherwise, scopes);
+        break;
+      }
+      case 'each': {
+        const value = evaluate(node.expression, scopes);
+        const entries: [string | undefined, any][] = Array.isArray(value)
+          ? value.map(item => [undefined, item])
+          : typeof value === 'object' && value !== null
+            ? Object.entries(value)
+            : [];
+
+        if (entries.length === 0) {
+          output += renderNodes(node.otherwise, scopes);
+          break;
+        }
+
+        entries.forEach(([key, item], index) => {
+          const frame: LoopFrame = {
+            '@loop': true,
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === entries.length - 1,
+            '@key': key
+          };
+          output += renderNodes(node.body, [...scopes, frame]);
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+function evaluate(expression: Expression, scopes: any[]): any {
+  return expression.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, ...filter.args),
+    lookup(expression.path, scopes)
+  );
+}
+
+function lookup(path: string, scopes: any[]): any {
+  const innermost = scopes[scopes.length - 1];
+
+  if (path === 'this' || path === '.') {
+    return innermost?.['@loop'] ? innermost.this : innermost;
+  }
+  if (path.startsWith('@')) {
+    return innermost?.['@loop'] ? innermost[path] : undefined;
+  }
+
+  const [first, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i]?.['@loop'] ? scopes[i].this : scopes[i];
+    if (typeof scope === 'object' && scope !== null && first in scope) {
+      return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scope[first]);
+    }
+  }
+
+  return undefined;
+}
+
+function isTruthy(value: any): boolean {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object' && value !== null) return Object.keys(value).length > 0;
+  return !!value;
+}
+
+function toText(value: any): string {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,64 @@
+/**
+ * Token Budget
+ * Estimates prompt size and shortens field values so a generated context
+ * fits a token budget
+ */
+
+/**
+ * How far a value is shortened: arrays and objects keep at most maxItems
+ * entries and text keeps at most maxChars characters, at every depth
+ */
+export interface CondenseLevel {
+  maxItems: number;
+  maxChars: number;
+}
+
+// Tried in order; each keeps less of a value than the one before
+export const CONDENSE_LEVELS: CondenseLevel[] = [
+  { maxItems: 10, maxChars: 400 },
+  { maxItems: 5, maxChars: 200 },
+  { maxItems: 3, maxChars: 100 },
+  { maxItems: 1, maxChars: 40 }
+];
+
+/**
+ * Rough token count for text sent to Claude. Averages about four characters
+ * per token for English prose, and counts punctuation-heavy text (JSON,
+ * Markdown markup) a little higher so budgets err on the small side.
+ */
+export function estimateTokens(text: string): number {
+  if (!text) return 0;
+
+  const symbols = (text.match(/[^\w\s]/g) || []).length;
+  return Math.ceil((text.length - symbols) / 4 + symbols / 2);
+}
+
+/**
+ * A shortened copy of a value. Dropped array items and object keys are
+ * replaced by a marker saying how many were left out, so the reader knows
+ * the value is incomplete.
+ */
+export function condenseValue(value: any, level: CondenseLevel): any {
+  if (typeof value === 'string') {
+    return value.length > level.maxChars ? `${value.slice(0, level.maxChars).trimEnd()}…` : value;
+  }
+
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, level.maxItems).map(item => condenseValue(item, level));
+    return value.length > level.maxItems ? [...kept, `… ${value.length - level.maxItems} more`] : kept;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const entries = Object.entries(value);
+    const kept: Record<string, any> = {};
+    entries.slice(0, level.maxItems).forEach(([key, item]) => {
+      kept[key] = condenseValue(item, level);
+    });
+    if (entries.length > level.maxItems) {
+      kept['…'] = `${entries.length - level.maxItems} more`;
+    }
+    return kept;
+  }
+
+  return value;
+}
@@ -0,0 +1,293 @@
+/**
+ * Field Validation
+ * Checks committed values against their declared field_type and the
+ * field_definitions schema, whose validation_rules are JSON Schema
+ */
+
+import { BusinessStateField, FieldDefinition } from '../types';
+import { FieldError } from './errors';
+import { valuesEqual } from './merge';
+
+export const FIELD_TYPES: BusinessStateField['field_type'][] = ['text', 'number', 'json', 'array', 'boolean', 'date'];
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+type FieldValue = Pick<BusinessStateField, 'field_name' | 'field_value' | 'field_type'>;
+
+/**
+ * Everything wrong with one field value: a value that doesn't match its
+ * field_type, a field_type other than the definition's, or a value that
+ * violates the definition's validation_rules
+ */
+export function validateField(field: FieldValue, definition?: FieldDefinition): FieldError[] {
+  const error = (message: string, path?: string): FieldError =>
+    path ? { field_name: field.field_name, path, message } : { field_name: field.field_name, message };
+
+  if (!FIELD_TYPES.includes(field.field_type)) {
+    return [error(`Unknown field_type ${field.field_type}`)];
+  }
+
+  const typeError = checkFieldType(field.field_value, field.field_type);
+  if (typeError) {
+    return [error(typeError)];
+  }
+
+  if (!definition) {
+    return [];
+  }
+
+  if (definition.field_type !== field.field_type) {
+    return [error(`Expected field_type ${definition.field_type}, got ${field.field_type}`)];
+  }
+
+  return validateSchema(field.field_value, definition.validation_rules || {})
+    .map(problem => error(problem.message, problem.path || undefined));
+}
+
+function checkFieldType(value: any, fieldType: BusinessStateField['field_type']): string | null {
+  switch (fieldType) {
+    case 'text':
+      return typeof value === 'string' ? null : `Expected text, got ${describe(value)}`;
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? null : `Expected a number, got ${describe(value)}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `Expected a boolean, got ${describe(value)}`;
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value))
+        ? null
+        : `Expected an ISO 8601 date, got ${describe(value)}`;
+    case 'array':
+      return Array.isArray(value) ? null : `Expected an array, got ${describe(value)}`;
+    case 'json':
+      return typeof value === 'object' && value !== null ? null : `Expected a JSON object or array, got ${describe(value)}`;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the commonly used subset:
+ * type, enum, const, properties, required, additionalProperties,
+ * min/maxProperties, items, min/maxItems, uniqueItems, min/maxLength,
+ * pattern, format (date, date-time, email, uri), minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, allOf, anyOf, oneOf and not.
+ * Paths are JSON Pointers into the value.
+ */
+export function validateSchema(
+  value: any,
+  schema: Record<string, any> | boolean,
+  path: string = ''
+): { path: string; message: string }[] {
+  if (schema === true) return [];
+  if (schema === false) return [{ path, message: 'No value is allowed here' }];
+
+  const problems: { path: string; message: string }[] = [];
+  const fail = (message: string, at: string = path) => problems.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`Expected ${types.join(' or ')}, got ${describe(value)}`);
+      return problems;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((option: any) => valuesEqual(option, value))) {
+    fail(`Must be one of ${schema.enum.map((option: any) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !valuesEqual(schema.const, value)) {
+    fail(`Must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`Must match pattern ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && !matchesFormat(value, schema.format)) {
+      fail(`Must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`Must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`Must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`Must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`Must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail(`Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`Must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`Must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => valuesEqual(other, item)) !== i)) {
+      fail('Items must be unique');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${path}/${i}`)));
+    }
+  }
+
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    const properties: Record<string, any> = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        fail(`Missing required property ${key}`, `${path}/${escapePointer(key)}`);
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`Must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail(`Must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const key of keys) {
+      const keyPath = `${path}/${escapePointer(key)}`;
+
+      if (key in properties) {
+        problems.push(...validateSchema(value[key], properties[key], keyPath));
+      } else if (schema.additionalProperties === false) {
+        fail(`Unexpected property ${key}`, keyPath);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(value[key], schema.additionalProperties, keyPath));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    problems.push(...validateSchema(value, subschema, path));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((subschema: any) => validateSchema(value, subschema, path).length === 0)) {
+    fail('Must match at least one of the allowed schemas');
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema: any) => validateSchema(value, subschema, path).length === 0).length;
+    if (matches !== 1) {
+      fail(`Must match exactly one of the allowed schemas (matched ${matches})`);
+    }
+  }
+
+  if (schema.not !== undefined && validateSchema(value, schema.not, path).length === 0) {
+    fail('Must not match the excluded schema');
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with validation_rules themselves, so a bad schema is rejected when
+ * it is saved rather than failing every later commit
+ */
+export function checkSchema(schema: any, path: string = ''): string[] {
+  if (typeof schema === 'boolean') return [];
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return [`${path || 'validation_rules'} must be an object`];
+  }
+
+  const problems: string[] = [];
+  const at = (keyword: string) => `${path}/${keyword}`;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!SCHEMA_TYPES.includes(type)) problems.push(`${at('type')}: unknown type ${type}`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch {
+      problems.push(`${at('pattern')}: invalid regular expression`);
+    }
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    problems.push(`${at('enum')}: must be an array`);
+  }
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    problems.push(`${at('required')}: must be an array`);
+  }
+
+  for (const [key, subschema] of Object.entries(schema.properties || {})) {
+    problems.push(...checkSchema(subschema, `${at('properties')}/${key}`));
+  }
+  for (const keyword of ['items', 'additionalProperties', 'not']) {
+    if (schema[keyword] !== undefined) problems.push(...checkSchema(schema[keyword], at(keyword)));
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    (schema[keyword] || []).forEach((subschema: any, i: number) =>
+      problems.push(...checkSchema(subschema, `${at(keyword)}/${i}`)));
+  }
+
+  return problems;
+}
+
+function matchesType(value: any, type: string): boolean {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return false;
+  }
+}
+
+function matchesFormat(value: string, format: string): boolean {
+  switch (format) {
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    case 'date-time':
+      return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value));
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    case 'uri':
+      return /^[a-z][a-z0-9+.-]*:\S+$/i.test(value);
+    default:
+      return true; // Unknown formats are annotations only, as in JSON Schema
+  }
+}
+
+function describe(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'object' ? 'object' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function escapePointer(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
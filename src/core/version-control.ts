@@ -3,170 +3,477 @@
  * Git-like versioning system for business context
  */
 
-import { createClient, SupabaseClient } from '@supabase/supabase-js';
-import * as crypto from 'node:crypto';
 import {
   ContextVersion,
+  ContextBranch,
   BusinessStateField,
   ContextChange,
   CommitRequest,
   RollbackRequest,
+  MergeRequest,
+  MergeResolution,
+  MergeResult,
+  RevertRequest,
+  CherryPickRequest,
+  IntegrityReport,
+  FieldDefinition,
   BusinessState,
   ContextDiff,
   Env
 } from '../types';
+import { ContextStorage, CommitInput, createStorage } from '../storage';
+import { CommitError, VersionConflictError, BranchError, ValidationError, FieldError } from './errors';
+import { mergeStates, valuesEqual } from './merge';
+import { hashTree, hashVersion } from './hashing';
+import { calculateDiff } from './diff';
+import { validateField } from './validation';
+import { ContextCache } from './context-cache';
+import { EventPublisher } from './events';
+
+// Branch a user's first commit lands on
+export const DEFAULT_BRANCH = 'main';
+
+const BRANCH_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\/-]{0,99}$/;
+
+// Unconditional commits re-read HEAD and retry this many times if another writer wins the race
+const MAX_COMMIT_ATTEMPTS = 3;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 export class VersionControlEngine {
-  private supabase: SupabaseClient;
+  private env: Env;
+  private storage: ContextStorage;
   private userId: string;
 
-  constructor(env: Env, userId: string) {
-    this.supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
     this.userId = userId;
   }
 
   /**
    * Create a new context version (like git commit)
-   * This is the core operation that captures business state changes
+   * This is the core operation that captures business state changes.
+   *
+   * With `expected_parent` set the commit only succeeds if HEAD is still that
+   * version; otherwise a VersionConflictError describes the current HEAD.
+   * Without it the commit is unconditional and is rebuilt on the new HEAD
+   * when another writer commits first.
+   *
+   * With `replaceState` the changes are the complete new state: every field
+   * they do not mention is deleted.
    */
-  async commit(request: CommitRequest): Promise<ContextVersion> {
+  async commit(request: CommitRequest, options: { replaceState?: boolean } = {}): Promise<ContextVersion> {
+    const conditional = request.expected_parent !== undefined;
+    const maxAttempts = conditional ? 1 : MAX_COMMIT_ATTEMPTS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.commitOnce(request, options.replaceState);
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) throw error;
+
+        if (attempt < maxAttempts) {
+          console.log(`HEAD moved during commit, retrying (${attempt}/${maxAttempts - 1})`);
+          continue;
+        }
+
+        throw await this.describeConflict(request.expected_parent, request.branch);
+      }
+    }
+  }
+
+  /**
+   * Single commit attempt against the HEAD read at the start
+   */
+  private async commitOnce(request: CommitRequest, replaceState = false): Promise<ContextVersion> {
     const startTime = Date.now();
 
     try {
-      // 1. Get current version to set as parent
-      const currentVersion = await this.getCurrentVersion();
+      // 1. Read the branch HEAD and its state (parent of the new version)
+      const branch = await this.resolveBranchName(request.branch);
+      let currentVersion: ContextVersion | null;
+      let previousState: Record<string, BusinessStateField>;
+
+      try {
+        currentVersion = await this.getCurrentVersion(branch);
+        previousState = currentVersion
+          ? await this.getVersionState(currentVersion.id)
+          : {};
+      } catch (error) {
+        throw new CommitError('prepare', error instanceof Error ? error.message : 'Unknown error');
+      }
+
+      if (request.expected_parent !== undefined && !this.isVersion(currentVersion, request.expected_parent)) {
+        throw new VersionConflictError('HEAD is not the expected parent');
+      }
 
-      // 2. Generate version hash
       const timestamp = new Date();
-      const versionHash = this.generateVersionHash(
-        request.user_id,
-        request.commit_message,
-        timestamp
-      );
-
-      // 3. Create new version record
-      const { data: newVersion, error: versionError } = await this.supabase
-        .from('context_versions')
-        .insert({
+      const author = request.author || 'system';
+
+      // 2-3. Apply renames, deletes and changes to the parent state, building the audit trail
+      const operations = replaceState
+        ? {
+          ...request,
+          deletes: Object.keys(previousState)
+            .filter(name => !request.changes.some(change => change.field_name === name))
+        }
+        : request;
+      const { state: stateRecords, changes: changeRecords } =
+        this.applyOperations(operations, previousState, timestamp);
+
+      await this.validateState(stateRecords, {
+        written: [...request.changes.map(change => change.field_name), ...(request.renames || []).map(r => r.to)],
+        removed: [...(operations.deletes || []), ...(request.renames || []).map(r => r.from)]
+      });
+
+      // 4. Hash the content, chained to the parent (like a git commit)
+      const treeHash = hashTree(stateRecords);
+      const versionHash = hashVersion({
+        tree_hash: treeHash,
+        parent_hashes: currentVersion ? [currentVersion.version_hash] : [],
+        user_id: request.user_id,
+        author,
+        author_id: request.author_id,
+        created_at: timestamp,
+        commit_message: request.commit_message
+      });
+
+      // 5. Write version, state and changes in a single transaction
+      const newVersion = await this.storage.commitVersion({
+        version: {
           user_id: request.user_id,
           version_hash: versionHash,
+          tree_hash: treeHash,
           commit_message: request.commit_message,
           parent_version_id: currentVersion?.id,
-          author: request.author || 'system',
+          author,
+          author_id: request.author_id ?? null,
           tags: request.tags || [],
-          is_current: true
-        })
-        .select()
-        .single();
+          branch,
+          created_at: timestamp
+        },
+        state: stateRecords,
+        changes: changeRecords
+      });
+      await this.invalidateContext(request.user_id);
+      await this.publishVersion(newVersion, changeRecords);
 
-      if (versionError) throw new Error(`Failed to create version: ${versionError.message}`);
+      console.log(`✓ Commit ${versionHash.substring(0, 7)} on ${branch} created in ${Date.now() - startTime}ms`);
+      console.log(`  Changes: ${changeRecords.length} fields updated`);
+      console.log(`  Message: "${request.commit_message}"`);
 
-      // 4. Get previous state for change detection
-      const previousState = currentVersion
-        ? await this.getVersionState(currentVersion.id)
-        : {};
+      return newVersion;
 
-      // 5. Insert new business state fields
-      const stateRecords = request.changes.map(change => ({
-        version_id: newVersion.id,
-        field_name: change.field_name,
-        field_value: change.field_value,
-        field_type: change.field_type,
-        source: change.source,
-        updated_at: timestamp
-      }));
-
-      // Copy unchanged fields from previous version
-      if (currentVersion) {
-        const { data: previousFields } = await this.supabase
-          .from('business_state')
-          .select('*')
-          .eq('version_id', currentVersion.id);
-
-        const changedFieldNames = new Set(request.changes.map(c => c.field_name));
-        const unchangedFields = (previousFields || [])
-          .filter(field => !changedFieldNames.has(field.field_name))
-          .map(field => ({
-            version_id: newVersion.id,
-            field_name: field.field_name,
-            field_value: field.field_value,
-            field_type: field.field_type,
-            source: field.source,
-            updated_at: field.updated_at
-          }));
-
-        stateRecords.push(...unchangedFields);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError) && !(error instanceof ValidationError)) {
+        console.error('Commit failed:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the new business state and its audit trail from the parent state.
+   * Renames run first, then deletes, then changes; every field not touched
+   * is copied forward unchanged. Throws ValidationError if an operation
+   * refers to a field that does not exist or collides with another one.
+   */
+  private applyOperations(
+    request: CommitRequest,
+    previousState: Record<string, BusinessStateField>,
+    timestamp: Date
+  ): { state: CommitInput['state']; changes: CommitInput['changes'] } {
+    const state = new Map<string, CommitInput['state'][number]>(
+      Object.values(previousState).map(field => [field.field_name, {
+        field_name: field.field_name,
+        field_value: field.field_value,
+        field_type: field.field_type,
+        source: field.source,
+        updated_at: field.updated_at,
+        metadata: field.metadata
+      }])
+    );
+    const changes: CommitInput['changes'] = [];
+    const errors: FieldError[] = [];
+
+    for (const { from, to } of request.renames || []) {
+      const field = state.get(from);
+
+      if (!field) {
+        errors.push({ field_name: from, message: 'Cannot rename a field that does not exist' });
+      } else if (state.has(to)) {
+        errors.push({ field_name: to, message: `Cannot rename ${from}: field already exists` });
+      } else {
+        state.delete(from);
+        state.set(to, { ...field, field_name: to, updated_at: timestamp });
+        changes.push({
+          field_name: to,
+          old_value: field.field_value,
+          new_value: field.field_value,
+          change_type: 'rename',
+          source: field.source,
+          created_at: timestamp,
+          metadata: { renamed_from: from }
+        });
       }
+    }
 
-      const { error: stateError } = await this.supabase
-        .from('business_state')
-        .insert(stateRecords);
+    for (const fieldName of request.deletes || []) {
+      const field = state.get(fieldName);
+
+      if (!field) {
+        errors.push({ field_name: fieldName, message: 'Cannot delete a field that does not exist' });
+      } else if (request.changes.some(change => change.field_name === fieldName)) {
+        errors.push({ field_name: fieldName, message: 'Field is both deleted and changed' });
+      } else {
+        state.delete(fieldName);
+        changes.push({
+          field_name: fieldName,
+          old_value: field.field_value,
+          new_value: null,
+          change_type: 'delete',
+          source: field.source,
+          created_at: timestamp
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
 
-      if (stateError) throw new Error(`Failed to insert state: ${stateError.message}`);
+    for (const change of request.changes) {
+      const previous = state.get(change.field_name);
 
-      // 6. Log changes for audit trail
-      const changeRecords: Partial<ContextChange>[] = request.changes.map(change => ({
-        version_id: newVersion.id,
+      state.set(change.field_name, {
         field_name: change.field_name,
-        old_value: previousState[change.field_name]?.field_value || null,
+        field_value: change.field_value,
+        field_type: change.field_type,
+        source: change.source,
+        updated_at: timestamp,
+        metadata: change.metadata
+      });
+      changes.push({
+        field_name: change.field_name,
+        old_value: previous ? previous.field_value : null,
         new_value: change.field_value,
-        change_type: previousState[change.field_name] ? 'update' : 'create',
+        change_type: previous ? 'update' : 'create',
         source: change.source,
         created_at: timestamp
-      }));
+      });
+    }
+
+    return { state: [...state.values()], changes };
+  }
+
+  /**
+   * Check a state about to be committed against the field definitions.
+   * Only `written` fields are checked against their type and validation
+   * rules, so a stricter rule does not block commits that leave an older
+   * value alone; required fields must be present whatever the commit touched.
+   */
+  private async validateState(
+    state: CommitInput['state'],
+    touched: { written: string[]; removed: string[] }
+  ): Promise<void> {
+    let definitions: FieldDefinition[];
+    try {
+      definitions = await this.storage.listFieldDefinitions();
+    } catch (error) {
+      throw new CommitError('prepare', error instanceof Error ? error.message : 'Unknown error');
+    }
 
-      if (changeRecords.length > 0) {
-        const { error: changesError } = await this.supabase
-          .from('context_changes')
-          .insert(changeRecords);
+    const byName = new Map(definitions.map(definition => [definition.field_name, definition]));
+    const present = new Set(state.map(field => field.field_name));
+    const written = new Set(touched.written);
+    const errors: FieldError[] = [];
 
-        if (changesError) throw new Error(`Failed to log changes: ${changesError.message}`);
+    for (const field of state) {
+      if (written.has(field.field_name)) {
+        errors.push(...validateField(field, byName.get(field.field_name)));
       }
+    }
 
-      console.log(`✓ Commit ${versionHash.substring(0, 7)} created in ${Date.now() - startTime}ms`);
-      console.log(`  Changes: ${changeRecords.length} fields updated`);
-      console.log(`  Message: "${request.commit_message}"`);
+    for (const definition of definitions) {
+      if (definition.is_required && !present.has(definition.field_name)) {
+        errors.push({
+          field_name: definition.field_name,
+          message: touched.removed.includes(definition.field_name)
+            ? 'Required field cannot be deleted or renamed'
+            : 'Required field is missing'
+        });
+      }
+    }
 
-      return newVersion as ContextVersion;
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
 
-    } catch (error) {
-      console.error('Commit failed:', error);
-      throw error;
+  /**
+   * Whether a version matches an id or (prefix of a) hash; null matches "no version"
+   */
+  private isVersion(version: ContextVersion | null, ref: string | null | undefined): boolean {
+    if (!ref) return version === null;
+    if (!version) return false;
+    return version.id === ref || version.version_hash.startsWith(ref.toLowerCase());
+  }
+
+  /**
+   * Build a conflict error with the current HEAD and what changed since the expected parent
+   */
+  private async describeConflict(
+    expectedParent: string | null | undefined,
+    branch?: string
+  ): Promise<VersionConflictError> {
+    const currentVersion = await this.getCurrentVersion(branch);
+    let changes: ContextDiff['changes'] | undefined;
+
+    if (expectedParent && currentVersion) {
+      const expectedVersion = await this.resolveVersion(expectedParent);
+      if (expectedVersion) {
+        changes = (await this.diff(expectedVersion.id, currentVersion.id)).changes;
+      }
+    }
+
+    return new VersionConflictError(
+      `Context has changed: HEAD is ${currentVersion ? currentVersion.version_hash.substring(0, 7) : 'empty'}, ` +
+      `expected ${expectedParent ? expectedParent.substring(0, 7) : 'empty'}`,
+      { expectedParent: expectedParent ?? null, currentVersion, changes }
+    );
+  }
+
+  /**
+   * Drop the user's cached Claude contexts once HEAD or the checked-out branch moved
+   */
+  private async invalidateContext(userId: string): Promise<void> {
+    await new ContextCache(this.env, userId, this.storage).invalidate();
+  }
+
+  /**
+   * Queue the new version's events for the workspace's subscribers
+   */
+  private async publishVersion(version: ContextVersion, changes: CommitInput['changes']): Promise<void> {
+    await new EventPublisher(this.env, version.user_id, this.storage).publishVersion(version, changes);
+  }
+
+  /**
+   * Look up one of this user's versions by id or hash (prefix)
+   */
+  async resolveVersion(ref: string): Promise<ContextVersion | null> {
+    if (UUID_PATTERN.test(ref)) {
+      const version = await this.getVersionById(ref);
+      return version && version.user_id === this.userId ? version : null;
+    }
+
+    return this.storage.findVersionByHash(this.userId, ref);
+  }
+
+  /**
+   * Get the current (HEAD) version of a branch (default: the checked-out branch)
+   */
+  async getCurrentVersion(branch?: string): Promise<ContextVersion | null> {
+    return this.storage.getCurrentVersion(this.userId, branch);
+  }
+
+  /**
+   * Name of the branch an operation applies to. A named branch must exist,
+   * unless the user has no branches yet (the first commit creates it).
+   */
+  async resolveBranchName(branch?: string): Promise<string> {
+    if (!branch) {
+      const defaultBranch = await this.storage.getBranch(this.userId);
+      return defaultBranch ? defaultBranch.name : DEFAULT_BRANCH;
+    }
+
+    if (!(await this.storage.getBranch(this.userId, branch))) {
+      const branches = await this.storage.listBranches(this.userId);
+      if (branches.length > 0) {
+        throw new BranchError('not_found', `Branch ${branch} does not exist`);
+      }
+    }
+
+    return branch;
+  }
+
+  /**
+   * List branches (like git branch)
+   */
+  async listBranches(): Promise<ContextBranch[]> {
+    return this.storage.listBranches(this.userId);
+  }
+
+  /**
+   * Create a branch from a version (id or hash) or another branch's HEAD.
+   * Defaults to the HEAD of the checked-out branch.
+   */
+  async createBranch(name: string, from?: string): Promise<ContextBranch> {
+    if (!BRANCH_NAME_PATTERN.test(name)) {
+      throw new BranchError('invalid_name', `Invalid branch name: ${name}`);
+    }
+
+    if (await this.storage.getBranch(this.userId, name)) {
+      throw new BranchError('exists', `Branch ${name} already exists`);
+    }
+
+    let base: ContextVersion | null;
+    if (!from) {
+      base = await this.getCurrentVersion();
+    } else if (await this.storage.getBranch(this.userId, from)) {
+      base = await this.getCurrentVersion(from);
+    } else {
+      base = await this.resolveVersion(from);
+      if (!base) {
+        throw new BranchError('not_found', `No branch or version named ${from}`);
+      }
+    }
+
+    return this.storage.createBranch(this.userId, name, base?.id ?? null);
+  }
+
+  /**
+   * Delete a branch. Its versions stay reachable from other branches that contain them.
+   */
+  async deleteBranch(name: string): Promise<void> {
+    const branch = await this.storage.getBranch(this.userId, name);
+
+    if (!branch) {
+      throw new BranchError('not_found', `Branch ${name} does not exist`);
     }
+    if (branch.is_default) {
+      throw new BranchError('protected', `Cannot delete the checked-out branch ${name}; switch to another branch first`);
+    }
+
+    await this.storage.deleteBranch(this.userId, name);
+    await this.invalidateContext(this.userId);
   }
 
   /**
-   * Get the current (HEAD) version for a user
+   * Check out a branch: it becomes the default for reads and commits,
+   * including the context served to Claude
    */
-  async getCurrentVersion(): Promise<ContextVersion | null> {
-    const { data, error } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('user_id', this.userId)
-      .eq('is_current', true)
-      .single();
+  async switchBranch(name: string): Promise<ContextBranch> {
+    const branch = await this.storage.getBranch(this.userId, name);
 
-    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-      throw new Error(`Failed to get current version: ${error.message}`);
+    if (!branch) {
+      throw new BranchError('not_found', `Branch ${name} does not exist`);
     }
 
-    return data as ContextVersion | null;
+    await this.storage.setDefaultBranch(this.userId, name);
+    await this.invalidateContext(this.userId);
+    return { ...branch, is_default: true };
   }
 
   /**
    * Get complete business state for a specific version
    */
   async getVersionState(versionId: string): Promise<Record<string, BusinessStateField>> {
-    const { data, error } = await this.supabase
-      .from('business_state')
-      .select('*')
-      .eq('version_id', versionId);
-
-    if (error) throw new Error(`Failed to get version state: ${error.message}`);
+    const fields = await this.storage.getVersionState(versionId);
 
     const state: Record<string, BusinessStateField> = {};
-    (data || []).forEach(field => {
-      state[field.field_name] = field as BusinessStateField;
+    fields.forEach(field => {
+      state[field.field_name] = field;
     });
 
     return state;
@@ -175,20 +482,12 @@ export class VersionControlEngine {
   /**
    * Get business state at a specific point in time (temporal query)
    */
-  async getStateAtTime(timestamp: Date): Promise<BusinessState | null> {
-    // Find the most recent version before the timestamp
-    const { data: version, error: versionError } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('user_id', this.userId)
-      .lte('created_at', timestamp.toISOString())
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+  async getStateAtTime(timestamp: Date, branch?: string): Promise<BusinessState | null> {
+    const head = await this.getCurrentVersion(branch);
+    if (!head) return null;
 
-    if (versionError && versionError.code !== 'PGRST116') {
-      throw new Error(`Failed to find version at time: ${versionError.message}`);
-    }
+    // Find the most recent version on the branch before the timestamp
+    const [version] = await this.storage.listAncestors(head.id, { before: timestamp, limit: 1 });
 
     if (!version) return null;
 
@@ -213,19 +512,13 @@ export class VersionControlEngine {
   }
 
   /**
-   * Get version history for a user
+   * Get version history of a branch (like git log)
    */
-  async getHistory(limit: number = 50, offset: number = 0): Promise<ContextVersion[]> {
-    const { data, error } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('user_id', this.userId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+  async getHistory(limit: number = 50, offset: number = 0, branch?: string): Promise<ContextVersion[]> {
+    const head = await this.getCurrentVersion(branch);
+    if (!head) return [];
 
-    if (error) throw new Error(`Failed to get history: ${error.message}`);
-
-    return (data || []) as ContextVersion[];
+    return this.storage.listAncestors(head.id, { limit, offset });
   }
 
   /**
@@ -235,77 +528,51 @@ export class VersionControlEngine {
     fieldName: string,
     timeRange?: { start: Date; end: Date }
   ): Promise<ContextChange[]> {
-    let query = this.supabase
-      .from('context_changes')
-      .select(`
-        *,
-        context_versions!inner(user_id, created_at, commit_message)
-      `)
-      .eq('context_versions.user_id', this.userId)
-      .eq('field_name', fieldName)
-      .order('created_at', { ascending: false });
-
-    if (timeRange) {
-      query = query
-        .gte('created_at', timeRange.start.toISOString())
-        .lte('created_at', timeRange.end.toISOString());
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw new Error(`Failed to get field history: ${error.message}`);
-
-    return (data || []) as ContextChange[];
+    return this.storage.getFieldChanges(this.userId, fieldName, timeRange);
   }
 
   /**
    * Calculate diff between two versions
    */
   async diff(versionFromId: string, versionToId: string): Promise<ContextDiff> {
-    const { data, error } = await this.supabase
-      .rpc('calculate_version_diff', {
-        p_version_from: versionFromId,
-        p_version_to: versionToId
-      });
-
-    if (error) throw new Error(`Failed to calculate diff: ${error.message}`);
+    // Only the user's own versions can be compared
+    const [from, to] = await Promise.all([this.resolveVersion(versionFromId), this.resolveVersion(versionToId)]);
+    if (!from || !to) {
+      throw new BranchError('not_found', `Version ${from ? versionToId : versionFromId} not found`);
+    }
 
-    // Validate versions exist (unused but kept for validation)
-    await this.getVersionById(versionFromId);
-    await this.getVersionById(versionToId);
+    const changes = await calculateDiff(this.storage, from.id, to.id);
 
     return {
       version_from: versionFromId,
       version_to: versionToId,
-      changes: (data || []).map((row: any) => ({
-        field_name: row.field_name,
-        old_value: row.old_value,
-        new_value: row.new_value,
-        change_type: row.change_type
-      })),
+      changes,
       timestamp: new Date()
     };
   }
 
   /**
-   * Rollback to a previous version
+   * Rollback to a previous version. The new version's state is an exact copy
+   * of the target's, sources and metadata included: fields added since then
+   * are deleted.
    */
   async rollback(request: RollbackRequest): Promise<ContextVersion> {
     // Get the target version
-    const targetVersion = await this.getVersionById(request.version_id);
+    const targetVersion = await this.resolveVersion(request.version_id);
     if (!targetVersion) {
-      throw new Error(`Version ${request.version_id} not found`);
+      throw new BranchError('not_found', `Version ${request.version_id} not found`);
     }
 
     // Get the state from target version
-    const targetState = await this.getVersionState(request.version_id);
+    const targetState = await this.getVersionState(targetVersion.id);
 
     // Create a new commit with the rolled-back state
     const changes = Object.values(targetState).map(field => ({
       field_name: field.field_name,
       field_value: field.field_value,
       field_type: field.field_type,
-      source: 'manual' as const
+      source: field.source,
+      metadata: field.metadata
     }));
 
     const rollbackMessage = `Rollback to ${targetVersion.version_hash.substring(0, 7)}: ${
@@ -317,66 +584,402 @@ export class VersionControlEngine {
       commit_message: rollbackMessage,
       changes,
       tags: ['rollback'],
-      author: 'system'
+      author: 'system',
+      author_id: request.author_id,
+      branch: request.branch
+    }, { replaceState: true });
+  }
+
+  /**
+   * Merge a branch or version into a branch (like git merge --no-ff).
+   * Fields changed on one side since the common ancestor merge automatically;
+   * fields changed on both sides are returned as conflicts until
+   * `resolutions` settles every one of them. The merge version records the
+   * target HEAD as its parent and the merged version as its merge parent.
+   */
+  async merge(request: MergeRequest): Promise<MergeResult> {
+    const branch = await this.resolveBranchName(request.target);
+    const ours = await this.getCurrentVersion(branch);
+    const theirs = (await this.storage.getBranch(this.userId, request.source))
+      ? await this.getCurrentVersion(request.source)
+      : await this.resolveVersion(request.source);
+
+    if (!theirs) {
+      throw new BranchError('not_found', `No branch or version named ${request.source}`);
+    }
+
+    const base = await this.findMergeBase(ours, theirs);
+    const result = this.emptyResult(branch, base?.id ?? null, ours, theirs.id);
+
+    // Everything in theirs is already in ours
+    if (base && base.id === theirs.id) {
+      return result;
+    }
+
+    const noState: Record<string, BusinessStateField> = {};
+    const [baseState, ourState, theirState] = await Promise.all([
+      base ? this.getVersionState(base.id) : noState,
+      ours ? this.getVersionState(ours.id) : noState,
+      this.getVersionState(theirs.id)
+    ]);
+
+    return this.commitThreeWay(result, {
+      user_id: request.user_id,
+      ours,
+      states: { base: baseState, ours: ourState, theirs: theirState },
+      resolutions: request.resolutions,
+      dry_run: request.dry_run,
+      commit_message: request.commit_message || `Merge ${request.source} into ${branch}`,
+      author: request.author,
+      author_id: request.author_id,
+      tags: ['merge'],
+      merge_parent: theirs
     });
   }
 
   /**
-   * Tag a version (like git tag)
+   * Undo the changes one version introduced, on top of the branch HEAD (like
+   * git revert). Later changes to the same fields are kept unless they
+   * conflict; restored fields get back their original source and metadata.
    */
-  async tagVersion(versionId: string, tags: string[]): Promise<void> {
-    const { error } = await this.supabase
-      .from('context_versions')
-      .update({ tags })
-      .eq('id', versionId);
+  async revert(request: RevertRequest): Promise<MergeResult> {
+    const branch = await this.resolveBranchName(request.branch);
+    const target = await this.resolveVersion(request.version_id);
+
+    if (!target) {
+      throw new BranchError('not_found', `Version ${request.version_id} not found`);
+    }
+
+    const ours = await this.getCurrentVersion(branch);
+    const noState: Record<string, BusinessStateField> = {};
+
+    // Three-way merge of the target's parent into HEAD, using the target as the base
+    const [targetState, ourState, parentState] = await Promise.all([
+      this.getVersionState(target.id),
+      ours ? this.getVersionState(ours.id) : noState,
+      target.parent_version_id ? this.getVersionState(target.parent_version_id) : noState
+    ]);
 
-    if (error) throw new Error(`Failed to tag version: ${error.message}`);
+    const hash = target.version_hash.substring(0, 7);
+
+    return this.commitThreeWay(this.emptyResult(branch, target.id, ours, target.parent_version_id ?? null), {
+      user_id: request.user_id,
+      ours,
+      states: { base: targetState, ours: ourState, theirs: parentState },
+      resolutions: request.resolutions,
+      dry_run: request.dry_run,
+      commit_message: request.commit_message || `Revert ${hash}: ${target.commit_message}`,
+      author: request.author,
+      author_id: request.author_id,
+      tags: ['revert'],
+      change_metadata: { reverted_from: target.id }
+    });
   }
 
   /**
-   * Get version by ID
+   * Apply the changes one version introduced (optionally only some fields)
+   * on top of the branch HEAD (like git cherry-pick). Picked fields keep the
+   * source and metadata they had in that version.
    */
-  private async getVersionById(versionId: string): Promise<ContextVersion | null> {
-    const { data, error } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('id', versionId)
-      .single();
+  async cherryPick(request: CherryPickRequest): Promise<MergeResult> {
+    const branch = await this.resolveBranchName(request.branch);
+    const target = await this.resolveVersion(request.version_id);
 
-    if (error && error.code !== 'PGRST116') {
-      throw new Error(`Failed to get version: ${error.message}`);
+    if (!target) {
+      throw new BranchError('not_found', `Version ${request.version_id} not found`);
     }
 
-    return data as ContextVersion | null;
+    const ours = await this.getCurrentVersion(branch);
+    const noState: Record<string, BusinessStateField> = {};
+
+    // Three-way merge of the target into HEAD, using the target's parent as the base
+    const [parentState, ourState, targetState] = await Promise.all([
+      target.parent_version_id ? this.getVersionState(target.parent_version_id) : noState,
+      ours ? this.getVersionState(ours.id) : noState,
+      this.getVersionState(target.id)
+    ]);
+
+    const hash = target.version_hash.substring(0, 7);
+    const picked = request.fields && request.fields.length > 0 ? ` (${request.fields.join(', ')})` : '';
+
+    return this.commitThreeWay(this.emptyResult(branch, target.parent_version_id ?? null, ours, target.id), {
+      user_id: request.user_id,
+      ours,
+      states: { base: parentState, ours: ourState, theirs: targetState },
+      fields: request.fields,
+      resolutions: request.resolutions,
+      dry_run: request.dry_run,
+      commit_message: request.commit_message || `Cherry-pick ${hash}${picked}: ${target.commit_message}`,
+      author: request.author,
+      author_id: request.author_id,
+      tags: ['cherry-pick'],
+      change_metadata: { cherry_picked_from: target.id }
+    });
+  }
+
+  private emptyResult(
+    branch: string,
+    baseId: string | null,
+    ours: ContextVersion | null,
+    theirsId: string | null
+  ): MergeResult {
+    return {
+      status: 'up_to_date',
+      branch,
+      base_version_id: baseId,
+      ours_version_id: ours?.id ?? null,
+      theirs_version_id: theirsId,
+      auto_merged: [],
+      resolved: [],
+      conflicts: []
+    };
   }
 
   /**
-   * Generate a hash for a version (like git SHA)
+   * Three-way merge `theirs` into the branch HEAD (`ours`) against `base` and
+   * commit the result on top of HEAD. Shared by merge, revert and cherry-pick.
+   * Returns without committing when there are unresolved conflicts, on a dry
+   * run, or when the result would not change anything.
    */
-  private generateVersionHash(
-    userId: string,
-    commitMessage: string,
-    timestamp: Date
-  ): string {
-    const content = `${userId}${commitMessage}${timestamp.toISOString()}${Math.random()}`;
-    return crypto.createHash('sha1').update(content).digest('hex');
+  private async commitThreeWay(
+    result: MergeResult,
+    params: {
+      user_id: string;
+      ours: ContextVersion | null;
+      states: Record<'base' | 'ours' | 'theirs', Record<string, BusinessStateField>>;
+      fields?: string[];
+      resolutions?: MergeResolution[];
+      dry_run?: boolean;
+      commit_message: string;
+      author?: string;
+      author_id?: string;
+      tags: string[];
+      merge_parent?: ContextVersion; // Recorded as the second parent (merges only)
+      change_metadata?: Record<string, any>;
+    }
+  ): Promise<MergeResult> {
+    const { ours, states } = params;
+    const timestamp = new Date();
+    const merged = mergeStates(states.base, states.ours, states.theirs, {
+      resolutions: params.resolutions,
+      fields: params.fields,
+      timestamp
+    });
+
+    result.auto_merged = merged.auto_merged;
+    result.resolved = merged.resolved;
+    result.conflicts = merged.conflicts;
+
+    if (merged.conflicts.length > 0) {
+      return { ...result, status: 'conflicts' };
+    }
+
+    // Audit trail: the merged state relative to the branch HEAD
+    const mergedNames = new Set(merged.state.map(field => field.field_name));
+    const changeRecords: CommitInput['changes'] = [
+      ...merged.state
+        .filter(field => {
+          const previous = states.ours[field.field_name];
+          return !previous
+            || previous.field_type !== field.field_type
+            || previous.source !== field.source
+            || !valuesEqual(previous.field_value, field.field_value);
+        })
+        .map(field => ({
+          field_name: field.field_name,
+          old_value: states.ours[field.field_name]?.field_value ?? null,
+          new_value: field.field_value,
+          change_type: states.ours[field.field_name] ? 'update' as const : 'create' as const,
+          source: field.source,
+          created_at: timestamp,
+          metadata: params.change_metadata
+        })),
+      ...Object.values(states.ours)
+        .filter(field => !mergedNames.has(field.field_name))
+        .map(field => ({
+          field_name: field.field_name,
+          old_value: field.field_value,
+          new_value: null,
+          change_type: 'delete' as const,
+          source: field.source,
+          created_at: timestamp,
+          metadata: params.change_metadata
+        }))
+    ];
+
+    // A merge records its second parent even when HEAD already had every change
+    if (changeRecords.length === 0 && !params.merge_parent) {
+      return { ...result, status: 'up_to_date' };
+    }
+
+    await this.validateState(merged.state, {
+      written: changeRecords.filter(change => change.change_type !== 'delete').map(change => change.field_name),
+      removed: changeRecords.filter(change => change.change_type === 'delete').map(change => change.field_name)
+    });
+    if (params.dry_run) {
+      return { ...result, status: 'clean' };
+    }
+
+    const author = params.author || 'system';
+    const treeHash = hashTree(merged.state);
+    const parentHashes = [ours?.version_hash, params.merge_parent?.version_hash]
+      .filter((hash): hash is string => !!hash);
+
+    try {
+      result.version = await this.storage.commitVersion({
+        version: {
+          user_id: params.user_id,
+          version_hash: hashVersion({
+            tree_hash: treeHash,
+            parent_hashes: parentHashes,
+            user_id: params.user_id,
+            author,
+            author_id: params.author_id,
+            created_at: timestamp,
+            commit_message: params.commit_message
+          }),
+          tree_hash: treeHash,
+          commit_message: params.commit_message,
+          parent_version_id: ours?.id,
+          merge_parent_version_id: params.merge_parent?.id,
+          author,
+          author_id: params.author_id ?? null,
+          tags: params.tags,
+          branch: result.branch,
+          created_at: timestamp
+        },
+        state: merged.state,
+        changes: changeRecords
+      });
+      await this.invalidateContext(params.user_id);
+      await this.publishVersion(result.version, changeRecords);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        throw await this.describeConflict(ours?.id ?? null, result.branch);
+      }
+      throw error;
+    }
+
+    console.log(`✓ ${params.tags[0]} ${result.version.version_hash.substring(0, 7)} on ${result.branch}: ` +
+      `${changeRecords.length} fields changed, ${merged.resolved.length} conflicts resolved`);
+
+    return { ...result, status: 'merged' };
   }
 
   /**
-   * Search versions by commit message or tags
+   * Most recent version reachable from both sides (like git merge-base)
    */
-  async searchVersions(query: string, limit: number = 20): Promise<ContextVersion[]> {
-    const { data, error } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('user_id', this.userId)
-      .or(`commit_message.ilike.%${query}%,tags.cs.{${query}}`)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+  private async findMergeBase(
+    ours: ContextVersion | null,
+    theirs: ContextVersion
+  ): Promise<ContextVersion | null> {
+    if (!ours) return null;
 
-    if (error) throw new Error(`Failed to search versions: ${error.message}`);
+    const ourAncestors = new Set((await this.storage.listAncestors(ours.id)).map(v => v.id));
+    const theirAncestors = await this.storage.listAncestors(theirs.id);
 
-    return (data || []) as ContextVersion[];
+    return theirAncestors.find(v => ourAncestors.has(v.id)) || null;
+  }
+
+  /**
+   * Recompute the hashes of every version reachable from a branch HEAD (like
+   * git fsck). Reports versions whose stored state no longer matches their
+   * tree hash, and versions whose hash no longer matches their content,
+   * metadata or parents.
+   */
+  async verify(branch?: string): Promise<IntegrityReport> {
+    const branchName = await this.resolveBranchName(branch);
+    const head = await this.getCurrentVersion(branchName);
+    const versions = head ? await this.storage.listAncestors(head.id) : [];
+    const byId = new Map(versions.map(v => [v.id, v]));
+
+    const report: IntegrityReport = {
+      branch: branchName,
+      head_version_id: head?.id ?? null,
+      versions_checked: 0,
+      legacy_versions: 0,
+      valid: true,
+      problems: []
+    };
+
+    for (const version of versions) {
+      if (!version.tree_hash) {
+        report.legacy_versions++;
+        continue;
+      }
+
+      report.versions_checked++;
+
+      const treeHash = hashTree(await this.storage.getVersionState(version.id));
+      if (treeHash !== version.tree_hash) {
+        report.problems.push({
+          version_id: version.id,
+          version_hash: version.version_hash,
+          problem: 'state_altered',
+          expected: version.tree_hash,
+          details: `Stored state hashes to ${treeHash.substring(0, 7)}, ` +
+            `but the version recorded tree ${version.tree_hash.substring(0, 7)}`
+        });
+      }
+
+      const parentIds = [version.parent_version_id, version.merge_parent_version_id]
+        .filter((id): id is string => !!id);
+      const parents = parentIds.map(id => byId.get(id));
+
+      if (parents.some(parent => !parent)) {
+        report.problems.push({
+          version_id: version.id,
+          version_hash: version.version_hash,
+          problem: 'missing_parent',
+          details: `Parent version ${parentIds.find(id => !byId.has(id))} no longer exists`
+        });
+        continue;
+      }
+
+      const versionHash = hashVersion({
+        tree_hash: version.tree_hash,
+        parent_hashes: parents.map(parent => parent!.version_hash),
+        user_id: version.user_id,
+        author: version.author || 'system',
+        author_id: version.author_id,
+        created_at: version.created_at,
+        commit_message: version.commit_message
+      });
+
+      if (versionHash !== version.version_hash) {
+        report.problems.push({
+          version_id: version.id,
+          version_hash: version.version_hash,
+          problem: 'hash_mismatch',
+          expected: versionHash,
+          details: 'Version metadata, tree or parent hashes changed after commit'
+        });
+      }
+    }
+
+    report.valid = report.problems.length === 0;
+    return report;
+  }
+
+  /**
+   * Tag a version (like git tag)
+   */
+  async tagVersion(versionId: string, tags: string[]): Promise<void> {
+    await this.storage.updateVersionTags(versionId, tags);
+  }
+
+  /**
+   * Get version by ID
+   */
+  private async getVersionById(versionId: string): Promise<ContextVersion | null> {
+    return this.storage.getVersionById(versionId);
+  }
+
+  /**
+   * Search versions by commit message or tags
+   */
+  async searchVersions(query: string, limit: number = 20): Promise<ContextVersion[]> {
+    return this.storage.searchVersions(this.userId, query, limit);
   }
 
   /**
@@ -388,23 +991,19 @@ export class VersionControlEngine {
     most_changed_fields: { field_name: string; change_count: number }[];
     recent_activity: { date: string; commit_count: number }[];
   }> {
-    const { data: versions, error: vError } = await this.supabase
-      .from('context_versions')
-      .select('id, created_at', { count: 'exact' })
-      .eq('user_id', this.userId);
+    let versions: ContextVersion[];
+    let changes: ContextChange[];
 
-    const { data: changes, error: cError } = await this.supabase
-      .from('context_changes')
-      .select('field_name, created_at', { count: 'exact' })
-      .in('version_id', (versions || []).map(v => v.id));
-
-    if (vError || cError) {
+    try {
+      versions = await this.storage.listVersions(this.userId);
+      changes = await this.storage.listChanges(versions.map(v => v.id));
+    } catch (error) {
       throw new Error('Failed to get stats');
     }
 
     // Calculate most changed fields
     const fieldChangeCounts: Record<string, number> = {};
-    (changes || []).forEach(change => {
+    changes.forEach(change => {
       fieldChangeCounts[change.field_name] = (fieldChangeCounts[change.field_name] || 0) + 1;
     });
 
@@ -418,7 +1017,7 @@ export class VersionControlEngine {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    (versions || [])
+    versions
       .filter(v => new Date(v.created_at) >= thirtyDaysAgo)
       .forEach(v => {
         const date = new Date(v.created_at).toISOString().split('T')[0];
@@ -426,8 +1025,8 @@ export class VersionControlEngine {
       });
 
     return {
-      total_versions: versions?.length || 0,
-      total_changes: changes?.length || 0,
+      total_versions: versions.length,
+      total_changes: changes.length,
       most_changed_fields: mostChangedFields,
       recent_activity: Object.entries(recentActivity)
         .map(([date, commit_count]) => ({ date, commit_count }))
@@ -0,0 +1,202 @@
+/**
+ * Workspaces
+ * Shared owners of a business context. Versions, branches, templates,
+ * conversations and proposals belong to a workspace, and its members can
+ * read or change them according to their role. Every user also has a
+ * personal workspace, whose id is their own user id, that only they can use.
+ */
+
+import { Env, AuthScope, WorkspaceMember, WorkspaceMembership, WorkspaceRole } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { WorkspaceError } from './errors';
+
+// Least to most privileged
+export const WORKSPACE_ROLES: WorkspaceRole[] = ['viewer', 'editor', 'admin'];
+
+export const PERSONAL_WORKSPACE_NAME = 'Personal';
+
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Role a member needs for what a credential scope allows
+const SCOPE_ROLES: Record<AuthScope, WorkspaceRole> = {
+  'context:prompt': 'viewer',
+  'context:read': 'viewer',
+  'context:write': 'editor',
+  'integrations:admin': 'admin'
+};
+
+/**
+ * Whether `role` is at least `required`
+ */
+export function roleAllows(role: WorkspaceRole, required: WorkspaceRole): boolean {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+/**
+ * Role a member needs to use a route guarded by `scope`
+ */
+export function roleForScope(scope: AuthScope): WorkspaceRole {
+  return SCOPE_ROLES[scope];
+}
+
+export class WorkspaceManager {
+  private storage: ContextStorage;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.storage = storage || createStorage(env);
+    this.userId = userId;
+  }
+
+  /**
+   * The user's personal workspace, then the team workspaces they belong to
+   */
+  async list(): Promise<WorkspaceMembership[]> {
+    return [this.personal(), ...await this.storage.listWorkspaces(this.userId)];
+  }
+
+  /**
+   * A workspace the user belongs to, with their role; the personal workspace
+   * when no id is given. Workspaces the user is not a member of are reported
+   * as not found, so their ids can't be probed.
+   */
+  async resolve(workspaceId?: string): Promise<WorkspaceMembership> {
+    if (!workspaceId || workspaceId === this.userId) {
+      return this.personal();
+    }
+
+    const notFound = new WorkspaceError('not_found', `Workspace ${workspaceId} not found`);
+    if (!UUID_PATTERN.test(workspaceId)) throw notFound;
+
+    const [workspace, member] = await Promise.all([
+      this.storage.getWorkspace(workspaceId),
+      this.storage.getWorkspaceMember(workspaceId, this.userId)
+    ]);
+    if (!workspace || !member) throw notFound;
+
+    return { ...workspace, role: member.role, personal: false };
+  }
+
+  /**
+   * Create a team workspace with the user as its admin
+   */
+  async create(input: { name?: string }): Promise<WorkspaceMembership> {
+    const workspace = await this.storage.createWorkspace({ name: checkName(input.name), created_by: this.userId });
+    return { ...workspace, role: 'admin', personal: false };
+  }
+
+  /**
+   * Rename a team workspace (admins only)
+   */
+  async rename(workspaceId: string, name?: string): Promise<WorkspaceMembership> {
+    const membership = await this.requireRole(workspaceId, 'admin');
+    const workspace = await this.storage.updateWorkspace(membership.id, { name: checkName(name) });
+    if (!workspace) {
+      throw new WorkspaceError('not_found', `Workspace ${workspaceId} not found`);
+    }
+    return { ...workspace, role: membership.role, personal: false };
+  }
+
+  /**
+   * Members of a workspace the user belongs to
+   */
+  async listMembers(workspaceId: string): Promise<WorkspaceMember[]> {
+    const membership = await this.resolve(workspaceId);
+
+    if (membership.personal) {
+      return [{ workspace_id: membership.id, user_id: this.userId, role: 'admin', created_at: membership.created_at }];
+    }
+    return this.storage.listWorkspaceMembers(membership.id);
+  }
+
+  /**
+   * Add a member, or change a member's role (admins only). The last admin
+   * can't be demoted.
+   */
+  async setMember(workspaceId: string, memberId: string, role: WorkspaceRole): Promise<WorkspaceMember> {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw new WorkspaceError('invalid', `role must be one of ${WORKSPACE_ROLES.join(', ')}`);
+    }
+    if (!memberId || !UUID_PATTERN.test(memberId)) {
+      throw new WorkspaceError('invalid', 'user_id must be a UUID');
+    }
+
+    const membership = await this.requireRole(workspaceId, 'admin');
+    const existing = await this.storage.getWorkspaceMember(membership.id, memberId);
+
+    if (existing?.role === 'admin' && role !== 'admin') {
+      await this.keepAnAdmin(membership.id, memberId);
+    }
+
+    return this.storage.upsertWorkspaceMember({
+      workspace_id: membership.id,
+      user_id: memberId,
+      role,
+      added_by: existing ? existing.added_by : this.userId
+    });
+  }
+
+  /**
+   * Remove a member (admins only), or leave a workspace. The last admin
+   * can't leave.
+   */
+  async removeMember(workspaceId: string, memberId: string): Promise<void> {
+    const membership = memberId === this.userId
+      ? await this.teamWorkspace(workspaceId)
+      : await this.requireRole(workspaceId, 'admin');
+
+    const member = await this.storage.getWorkspaceMember(membership.id, memberId);
+    if (!member) {
+      throw new WorkspaceError('not_found', `${memberId} is not a member of workspace ${workspaceId}`);
+    }
+    if (member.role === 'admin') {
+      await this.keepAnAdmin(membership.id, memberId);
+    }
+
+    await this.storage.removeWorkspaceMember(membership.id, memberId);
+  }
+
+  private personal(): WorkspaceMembership {
+    return {
+      id: this.userId,
+      name: PERSONAL_WORKSPACE_NAME,
+      created_by: this.userId,
+      created_at: new Date(0),
+      role: 'admin',
+      personal: true
+    };
+  }
+
+  // Team workspaces only: a personal workspace has no other members
+  private async teamWorkspace(workspaceId: string): Promise<WorkspaceMembership> {
+    const membership = await this.resolve(workspaceId);
+    if (membership.personal) {
+      throw new WorkspaceError('protected', 'A personal workspace cannot be renamed or shared');
+    }
+    return membership;
+  }
+
+  private async requireRole(workspaceId: string, role: WorkspaceRole): Promise<WorkspaceMembership> {
+    const membership = await this.teamWorkspace(workspaceId);
+    if (!roleAllows(membership.role, role)) {
+      throw new WorkspaceError('forbidden', `Only workspace ${role}s can do this; your role is ${membership.role}`);
+    }
+    return membership;
+  }
+
+  private async keepAnAdmin(workspaceId: string, leavingAdminId: string): Promise<void> {
+    const members = await this.storage.listWorkspaceMembers(workspaceId);
+    if (!members.some(member => member.role === 'admin' && member.user_id !== leavingAdminId)) {
+      throw new WorkspaceError('protected', 'A workspace must keep at least one admin');
+    }
+  }
+}
+
+function checkName(name: unknown): string {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_WORKSPACE_NAME_LENGTH) {
+    throw new WorkspaceError('invalid', `name is required (at most ${MAX_WORKSPACE_NAME_LENGTH} characters)`);
+  }
+  return name.trim();
+}
@@ -0,0 +1,141 @@
+/**
+ * YAML Emitter
+ * Serializes JSON values as block-style YAML 1.2 that any conforming parser
+ * (including YAML 1.1 ones) reads back to the same value
+ */
+
+// Plain scalars that would be read back as something other than a string
+const RESERVED_SCALAR = /^(?:~|=|<<|null|Null|NULL|true|True|TRUE|false|False|FALSE|y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$/;
+const NUMBER_LIKE = /^[-+]?(?:[0-9][0-9_]*(?::[0-5]?[0-9])*(?:\.[0-9_]*)?|\.[0-9_]+)(?:[eE][-+]?[0-9]+)?$|^[-+]?0(?:x[0-9a-fA-F_]+|o[0-7_]+|b[01_]+)$/;
+const TIMESTAMP_LIKE = /^\d{4}-\d{1,2}-\d{1,2}/;
+const INDICATOR_START = /^[-?:,[\]{}#&*!|>'"%@`]/;
+// A line starting with one of these ends or starts a document (--- is also caught by INDICATOR_START)
+const DOCUMENT_MARKER = /^(?:---|\.\.\.)(?:\s|$)/;
+// Control characters, and the line/paragraph separators YAML treats as breaks
+const NON_PRINTABLE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u2028\u2029\uFEFF]/;
+
+/**
+ * Serialize a value as a YAML document
+ */
+export function toYaml(value: any): string {
+  return emit(value, 0).join('\n') + '\n';
+}
+
+function emit(value: any, indent: number): string[] {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    return value.flatMap(item => entry(`${pad}-`, item, indent));
+  }
+
+  if (isMapping(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return [`${pad}{}`];
+    return keys.flatMap(key => entry(`${pad}${formatKey(key)}:`, value[key], indent));
+  }
+
+  if (isBlockString(value)) {
+    return [`${pad}${blockHeader(value)}`, ...blockLines(value, indent)];
+  }
+
+  return [`${pad}${formatScalar(value)}`];
+}
+
+/**
+ * One mapping entry or sequence item: `prefix` is the key (with colon) or
+ * the dash, already indented
+ */
+function entry(prefix: string, value: any, indent: number): string[] {
+  const childIndent = indent + 2;
+
+  if ((Array.isArray(value) && value.length > 0) || (isMapping(value) && Object.keys(value).length > 0)) {
+    const lines = emit(value, childIndent);
+
+    // Sequence items hold their first line on the dash line: `- key: value`
+    if (prefix.trimStart() === '-') {
+      return [`${prefix} ${lines[0].trimStart()}`, ...lines.slice(1)];
+    }
+    return [prefix, ...lines];
+  }
+
+  if (isBlockString(value)) {
+    return [`${prefix} ${blockHeader(value)}`, ...blockLines(value, indent)];
+  }
+
+  return [`${prefix} ${emit(value, 0)[0]}`];
+}
+
+function isMapping(value: any): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Multi-line strings are written as literal blocks, unless the first line
+ * starts with a space (its indentation would be ambiguous) or they contain
+ * characters only a quoted scalar can carry
+ */
+function isBlockString(value: any): value is string {
+  return typeof value === 'string' &&
+    value.includes('\n') &&
+    !/^\s/.test(value) &&
+    !value.includes('\r') &&
+    !NON_PRINTABLE.test(value);
+}
+
+// Literal block header with the chomping indicator that keeps trailing newlines exact
+function blockHeader(value: string): string {
+  if (!value.endsWith('\n')) return '|-';
+  return value.endsWith('\n\n') ? '|+' : '|';
+}
+
+function blockLines(value: string, indent: number): string[] {
+  const pad = ' '.repeat(indent + 2);
+  const body = value.endsWith('\n') ? value.slice(0, -1) : value;
+  return body.split('\n').map(line => (line ? pad + line : ''));
+}
+
+function formatKey(key: string): string {
+  return needsQuotes(key) ? doubleQuote(key) : key;
+}
+
+function formatScalar(value: any): string {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (Number.isNaN(value)) return '.nan';
+      if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+      return String(value);
+    case 'string':
+      return needsQuotes(value) ? doubleQuote(value) : value;
+    default:
+      return doubleQuote(String(value));
+  }
+}
+
+function needsQuotes(value: string): boolean {
+  return value === '' ||
+    value !== value.trim() ||
+    RESERVED_SCALAR.test(value) ||
+    NUMBER_LIKE.test(value) ||
+    TIMESTAMP_LIKE.test(value) ||
+    INDICATOR_START.test(value) ||
+    DOCUMENT_MARKER.test(value) ||
+    /:(?:\s|$)|\s#|[\n\r\t]/.test(value) ||
+    NON_PRINTABLE.test(value);
+}
+
+/**
+ * Double-quoted scalar. JSON string escapes are all valid YAML escapes;
+ * the characters YAML additionally treats as line breaks are escaped too.
+ */
+function doubleQuote(value: string): string {
+  return JSON.stringify(value)
+    .replace(/\u2028/g, '\\L')
+    .replace(/\u2029/g, '\\P')
+    .replace(/[\u007F-\u009F\uFEFF]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
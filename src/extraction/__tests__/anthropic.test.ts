@@ -0,0 +1,85 @@
+import { AnthropicExtractionProvider } from '../anthropic';
+import { ExtractionError } from '../../core/errors';
+import { createEmptyTables } from '../../storage';
+import { Env } from '../../types';
+
+const env = { CLAUDE_API_KEY: 'test-key', ENVIRONMENT: 'test' } as Env;
+
+const request = {
+  conversationId: 'conversation-1',
+  messages: [{ role: 'user', content: 'We are moving upmarket to agencies.' }],
+  fields: createEmptyTables().field_definitions
+};
+
+const CHANGE = { field_name: 'current_focus', field_type: 'text', field_value: 'Agencies', confidence: 0.9 };
+
+describe('AnthropicExtractionProvider', () => {
+  let fetchMock: jest.SpyInstance;
+
+  function respond(body: string, status = 200) {
+    fetchMock.mockResolvedValue(new Response(body, { status, headers: { 'Content-Type': 'application/json' } }));
+  }
+
+  async function extractionError(): Promise<ExtractionError> {
+    const error = await new AnthropicExtractionProvider(env).extract(request).catch(e => e);
+    expect(error).toBeInstanceOf(ExtractionError);
+    return error;
+  }
+
+  beforeEach(() => {
+    fetchMock = jest.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('forces the tool call and returns its changes', async () => {
+    respond(JSON.stringify({
+      content: [{ type: 'tool_use', name: 'record_context_changes', input: { changes: [CHANGE] } }],
+      stop_reason: 'tool_use'
+    }));
+
+    expect(await new AnthropicExtractionProvider(env).extract(request)).toEqual([CHANGE]);
+
+    const [, init] = fetchMock.mock.calls[0];
+    const sent = JSON.parse(init.body);
+    expect(init.headers['x-api-key']).toBe('test-key');
+    expect(sent.tool_choice).toEqual({ type: 'tool', name: 'record_context_changes' });
+    expect(sent.messages[0].content).toContain('[user]: We are moving upmarket to agencies.');
+  });
+
+  it('needs CLAUDE_API_KEY', async () => {
+    const error = await new AnthropicExtractionProvider({ ...env, CLAUDE_API_KEY: '' }).extract(request).catch(e => e);
+
+    expect(error).toMatchObject({ reason: 'not_configured' });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('reports an API error as unavailable', async () => {
+    respond('{"error":"overloaded"}', 529);
+
+    expect(await extractionError()).toMatchObject({ reason: 'unavailable', message: 'Claude API error 529: {"error":"overloaded"}' });
+  });
+
+  it('reports a response that is not JSON as invalid output', async () => {
+    respond('<html>Bad gateway</html>');
+
+    expect(await extractionError()).toMatchObject({
+      reason: 'invalid_output',
+      message: 'Claude API returned a response that is not JSON'
+    });
+  });
+
+  it.each([
+    ['no tool call', { content: [{ type: 'text', text: 'No changes' }] }, 'Claude did not return record_context_changes output'],
+    ['a truncated tool call', { content: [], stop_reason: 'max_tokens' }, 'output (response was truncated)'],
+    ['null', null, 'Claude did not return record_context_changes output']
+  ])('reports %s as invalid output', async (_label, body, message) => {
+    respond(JSON.stringify(body));
+
+    const error = await extractionError();
+    expect(error.reason).toBe('invalid_output');
+    expect(error.message).toContain(message);
+  });
+});
@@ -0,0 +1,64 @@
+import { validateExtractedChanges } from '../validation';
+import { createEmptyTables } from '../../storage';
+
+const definitions = createEmptyTables().field_definitions;
+
+describe('validateExtractedChanges', () => {
+  it('accepts changes to defined fields with valid values', () => {
+    const { changes, rejected } = validateExtractedChanges([
+      { field_name: 'current_focus', field_type: 'text', field_value: 'Agencies', confidence: 0.9, reasoning: 'said so' },
+      { field_name: 'recent_wins', field_type: 'array', field_value: ['Acme'], confidence: 0.5 }
+    ], definitions);
+
+    expect(rejected).toEqual([]);
+    expect(changes).toEqual([
+      { field_name: 'current_focus', field_type: 'text', field_value: 'Agencies', confidence: 0.9 },
+      { field_name: 'recent_wins', field_type: 'array', field_value: ['Acme'], confidence: 0.5 }
+    ]);
+  });
+
+  it('rejects malformed output with every problem', () => {
+    const { changes, rejected } = validateExtractedChanges([
+      'set current_focus',
+      { field_name: '', field_type: 3, confidence: 2 }
+    ], definitions);
+
+    expect(changes).toEqual([]);
+    expect(rejected).toEqual([
+      { change: 'set current_focus', errors: ['Change must be an object'] },
+      {
+        change: { field_name: '', field_type: 3, confidence: 2 },
+        errors: [
+          'field_name must be a non-empty string',
+          'field_type must be a string',
+          'field_value is required',
+          'confidence must be a number between 0 and 1'
+        ]
+      }
+    ]);
+  });
+
+  it('rejects undefined fields and values that would fail commit validation', () => {
+    const unknown = { field_name: 'favourite_colour', field_type: 'text', field_value: 'blue', confidence: 0.9 };
+    const wrongType = { field_name: 'recent_wins', field_type: 'array', field_value: 'Acme', confidence: 0.9 };
+
+    const { changes, rejected } = validateExtractedChanges([unknown, wrongType], definitions);
+
+    expect(changes).toEqual([]);
+    expect(rejected[0]).toEqual({ change: unknown, errors: ['No field definition for favourite_colour'] });
+    expect(rejected[1].change).toBe(wrongType);
+    expect(rejected[1].errors.length).toBeGreaterThan(0);
+  });
+
+  it('keeps the most confident change to a field extracted twice', () => {
+    const first = { field_name: 'current_focus', field_type: 'text', field_value: 'SMB', confidence: 0.5 };
+    const second = { field_name: 'current_focus', field_type: 'text', field_value: 'Agencies', confidence: 0.9 };
+    const third = { field_name: 'current_focus', field_type: 'text', field_value: 'Enterprise', confidence: 0.9 };
+
+    const { changes, rejected } = validateExtractedChanges([first, second, third], definitions);
+
+    expect(changes.map(change => change.field_value)).toEqual(['Agencies']);
+    expect(rejected.map(r => r.change)).toEqual([first, third]);
+    expect(rejected[0].errors).toEqual(['Field extracted more than once; kept the more confident change']);
+  });
+});
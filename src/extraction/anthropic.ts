@@ -0,0 +1,140 @@
+/**
+ * Anthropic Extraction Provider
+ * Extracts context changes with Claude, forcing a tool call so the output is
+ * structured JSON matching the tool's input schema instead of free text
+ */
+
+import { Env, FieldDefinition } from '../types';
+import { ExtractionError } from '../core/errors';
+import { FIELD_TYPES } from '../core/validation';
+import { ExtractionProvider, ExtractionRequest, ConversationMessage } from './types';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+const TOOL_NAME = 'record_context_changes';
+
+interface MessagesResponse {
+  content?: Array<{ type: string; name?: string; input?: any }>;
+  stop_reason?: string;
+}
+
+export class AnthropicExtractionProvider implements ExtractionProvider {
+  readonly name = 'anthropic';
+  private apiKey: string;
+  private model: string;
+
+  constructor(env: Env) {
+    this.apiKey = env.CLAUDE_API_KEY;
+    this.model = env.CLAUDE_MODEL || DEFAULT_MODEL;
+  }
+
+  /**
+   * Ask Claude for the changes through the record_context_changes tool
+   */
+  async extract(request: ExtractionRequest): Promise<unknown[]> {
+    if (!this.apiKey) {
+      throw new ExtractionError('not_configured', 'CLAUDE_API_KEY is not set');
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model: this.model,
+          max_tokens: 4096,
+          system: systemPrompt(request.fields),
+          tools: [changesTool(request.fields)],
+          tool_choice: { type: 'tool', name: TOOL_NAME },
+          messages: [{ role: 'user', content: transcript(request.messages) }]
+        })
+      });
+    } catch (error) {
+      throw new ExtractionError(
+        'unavailable',
+        `Claude API request failed: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new ExtractionError('unavailable', `Claude API error ${response.status}: ${detail.slice(0, 500)}`);
+    }
+
+    let result: MessagesResponse | null;
+    try {
+      result = await response.json() as MessagesResponse | null;
+    } catch {
+      throw new ExtractionError('invalid_output', 'Claude API returned a response that is not JSON');
+    }
+
+    const call = (result?.content || []).find(block => block.type === 'tool_use' && block.name === TOOL_NAME);
+
+    if (!call || !Array.isArray(call.input?.changes)) {
+      const truncated = result?.stop_reason === 'max_tokens' ? ' (response was truncated)' : '';
+      throw new ExtractionError('invalid_output', `Claude did not return ${TOOL_NAME} output${truncated}`);
+    }
+
+    return call.input.changes;
+  }
+}
+
+function systemPrompt(fields: FieldDefinition[]): string {
+  const fieldList = fields.map(field => {
+    const rules = Object.keys(field.validation_rules || {}).length > 0
+      ? ` Value schema: ${JSON.stringify(field.validation_rules)}`
+      : '';
+    return `- ${field.field_name} (${field.field_type}): ${field.description || field.display_name}.${rules}`;
+  });
+
+  return `You track changes to a business's context: its ideal customer profile, positioning and messaging,
+metrics, strategic focus and pivots, experiments and wins.
+
+Read the conversation and record every change to these fields that was explicitly discussed or decided:
+${fieldList.join('\n')}
+
+Give the complete new value of each changed field, in the field's type. Set confidence between 0 and 1
+by how clearly the change was stated or decided. Record nothing for fields that did not change.`;
+}
+
+function changesTool(fields: FieldDefinition[]) {
+  return {
+    name: TOOL_NAME,
+    description: 'Record the business context changes found in the conversation',
+    input_schema: {
+      type: 'object',
+      properties: {
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field_name: fields.length > 0
+                ? { type: 'string', enum: fields.map(field => field.field_name) }
+                : { type: 'string' },
+              field_type: { type: 'string', enum: FIELD_TYPES },
+              field_value: { description: 'The complete new value, matching field_type' },
+              confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            required: ['field_name', 'field_type', 'field_value', 'confidence']
+          }
+        }
+      },
+      required: ['changes']
+    }
+  };
+}
+
+/**
+ * The conversation as one user turn, so any slice of it (even one starting
+ * with an assistant message) is a valid request
+ */
+function transcript(messages: ConversationMessage[]): string {
+  const lines = messages.map(message => `[${message.role}]: ${message.content}`);
+  return `<conversation>\n${lines.join('\n\n')}\n</conversation>`;
+}
@@ -0,0 +1,26 @@
+/**
+ * Extraction Providers
+ * Selects how context changes are extracted from conversations
+ */
+
+import { Env } from '../types';
+import { ExtractionProvider } from './types';
+import { AnthropicExtractionProvider } from './anthropic';
+import { StubExtractionProvider } from './stub';
+
+export * from './types';
+export { AnthropicExtractionProvider } from './anthropic';
+export { StubExtractionProvider } from './stub';
+export { validateExtractedChanges } from './validation';
+
+/**
+ * Create the extraction provider configured by EXTRACTION_PROVIDER
+ * ('anthropic' by default, 'stub' for offline development and tests)
+ */
+export function createExtractionProvider(env: Env): ExtractionProvider {
+  if (env.EXTRACTION_PROVIDER === 'stub') {
+    return new StubExtractionProvider();
+  }
+
+  return new AnthropicExtractionProvider(env);
+}
@@ -0,0 +1,67 @@
+/**
+ * Stub Extraction Provider
+ * Deterministic extraction for tests and offline development, no API calls.
+ * Recognizes lines of the form
+ *
+ *   set <field_name> = <value>         (confidence 0.9)
+ *   maybe set <field_name> = <value>   (confidence 0.5)
+ *
+ * Values are parsed as JSON when possible and kept as text otherwise. A
+ * message containing [extraction-error] makes extraction fail.
+ */
+
+import { ExtractionError } from '../core/errors';
+import { ExtractionProvider, ExtractionRequest } from './types';
+
+const CHANGE_PATTERN = /^\s*(maybe\s+)?set\s+([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.+?)\s*$/i;
+
+export class StubExtractionProvider implements ExtractionProvider {
+  readonly name = 'stub';
+
+  /**
+   * Changes stated with `set` lines, in message order
+   */
+  async extract(request: ExtractionRequest): Promise<unknown[]> {
+    const types = new Map(request.fields.map(field => [field.field_name, field.field_type]));
+    const changes: unknown[] = [];
+
+    for (const message of request.messages) {
+      if (message.content.includes('[extraction-error]')) {
+        throw new ExtractionError('unavailable', 'Stub extraction failed on request');
+      }
+
+      for (const line of message.content.split('\n')) {
+        const match = line.match(CHANGE_PATTERN);
+        if (!match) continue;
+
+        const [, maybe, fieldName, rawValue] = match;
+        const value = parseValue(rawValue);
+
+        changes.push({
+          field_name: fieldName,
+          field_type: types.get(fieldName) || inferType(value),
+          field_value: value,
+          confidence: maybe ? 0.5 : 0.9
+        });
+      }
+    }
+
+    return changes;
+  }
+}
+
+function parseValue(raw: string): any {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function inferType(value: any): string {
+  if (Array.isArray(value)) return 'array';
+  if (value !== null && typeof value === 'object') return 'json';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'text';
+}
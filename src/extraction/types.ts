@@ -0,0 +1,27 @@
+/**
+ * Extraction Provider Interface
+ * What conversation processing needs from a model that finds context changes
+ */
+
+import { FieldDefinition } from '../types';
+
+export interface ConversationMessage {
+  role: string;
+  content: string;
+}
+
+export interface ExtractionRequest {
+  conversationId: string;
+  messages: ConversationMessage[];
+  fields: FieldDefinition[]; // The fields changes may be extracted for
+}
+
+export interface ExtractionProvider {
+  readonly name: string;
+  /**
+   * Changes found in the messages, exactly as the provider returned them
+   * (validation happens afterwards). Returns [] when there are none and
+   * throws ExtractionError when extraction itself fails.
+   */
+  extract(request: ExtractionRequest): Promise<unknown[]>;
+}
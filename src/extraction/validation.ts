@@ -0,0 +1,88 @@
+/**
+ * Extraction Output Validation
+ * Provider output is untrusted: every change must name a defined field and
+ * carry a value that would pass commit-time validation
+ */
+
+import { ExtractedChange, FieldDefinition, RejectedChange } from '../types';
+import { validateField } from '../core/validation';
+
+/**
+ * Split provider output into valid changes and rejected ones with reasons.
+ * A field extracted more than once keeps only its most confident change.
+ */
+export function validateExtractedChanges(
+  output: unknown[],
+  definitions: FieldDefinition[]
+): { changes: ExtractedChange[]; rejected: RejectedChange[] } {
+  const byName = new Map(definitions.map(definition => [definition.field_name, definition]));
+  const accepted = new Map<string, ExtractedChange>();
+  const rejected: RejectedChange[] = [];
+
+  for (const item of output) {
+    const errors = checkShape(item);
+    if (errors.length > 0) {
+      rejected.push({ change: item, errors });
+      continue;
+    }
+
+    const change = item as ExtractedChange;
+    const definition = byName.get(change.field_name);
+    if (!definition) {
+      rejected.push({ change: item, errors: [`No field definition for ${change.field_name}`] });
+      continue;
+    }
+
+    const fieldErrors = validateField({
+      field_name: change.field_name,
+      field_value: change.field_value,
+      field_type: change.field_type as FieldDefinition['field_type']
+    }, definition);
+    if (fieldErrors.length > 0) {
+      rejected.push({ change: item, errors: fieldErrors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)) });
+      continue;
+    }
+
+    const previous = accepted.get(change.field_name);
+    if (previous && previous.confidence >= change.confidence) {
+      rejected.push({ change: item, errors: ['Field extracted more than once; kept the more confident change'] });
+      continue;
+    }
+    if (previous) {
+      rejected.push({ change: previous, errors: ['Field extracted more than once; kept the more confident change'] });
+    }
+
+    accepted.set(change.field_name, {
+      field_name: change.field_name,
+      field_value: change.field_value,
+      field_type: change.field_type,
+      confidence: change.confidence
+    });
+  }
+
+  return { changes: [...accepted.values()], rejected };
+}
+
+function checkShape(item: unknown): string[] {
+  if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+    return ['Change must be an object'];
+  }
+
+  const change = item as Record<string, any>;
+  const errors: string[] = [];
+
+  if (typeof change.field_name !== 'string' || !change.field_name) {
+    errors.push('field_name must be a non-empty string');
+  }
+  if (typeof change.field_type !== 'string') {
+    errors.push('field_type must be a string');
+  }
+  if (change.field_value === undefined) {
+    errors.push('field_value is required');
+  }
+  if (typeof change.confidence !== 'number' || !(change.confidence >= 0 && change.confidence <= 1)) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+
+  return errors;
+}
@@ -0,0 +1,179 @@
+import * as yaml from 'js-yaml';
+import { DOMParser } from '@xmldom/xmldom';
+import { ClaudeContextGenerator } from '../claude';
+import { VersionControlEngine } from '../../core/version-control';
+import { MemoryStorage } from '../../storage';
+import { CommitRequest, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+const COMMIT_MESSAGE = 'Refocus on <agencies> & "studios"\nsecond line';
+
+// Field values with everything the formats have to escape or type
+const FIELDS: CommitRequest['changes'] = [
+  { field_name: 'current_focus', field_type: 'text', source: 'manual', field_value: 'Agencies & studios <10 people>\r\nthen "enterprise"' },
+  { field_name: 'recent_wins', field_type: 'array', source: 'manual', field_value: ['Acme', 'Globex ...', '---', ''] },
+  {
+    field_name: 'icp',
+    field_type: 'json',
+    source: 'manual',
+    field_value: {
+      size: '10-50',
+      'budget <usd>': { min: 1000, max: null },
+      regions: ['US', 'EU'],
+      remote: true,
+      notes: 'multi\nline',
+      empty: {},
+      none: []
+    }
+  },
+  { field_name: 'mrr', field_type: 'number', source: 'manual', field_value: 12500.5 },
+  { field_name: 'hiring', field_type: 'boolean', source: 'manual', field_value: false },
+  { field_name: 'yes', field_type: 'text', source: 'manual', field_value: 'no' }
+];
+
+const EXPECTED = Object.fromEntries(FIELDS.map(field => [field.field_name, field.field_value]));
+
+// What the decoder reads from an xmldom element (the workers types' Element is HTMLRewriter's)
+interface XmlElement {
+  nodeType: number;
+  textContent: string | null;
+  childNodes: ArrayLike<any>;
+  getAttribute(name: string): string | null;
+}
+
+// Map an element written by formatAsXml back to the value it holds
+function xmlValue(element: XmlElement): any {
+  const children: XmlElement[] = Array.from(element.childNodes).filter(node => node.nodeType === 1);
+
+  switch (element.getAttribute('type')) {
+    case 'null':
+      return null;
+    case 'number':
+      return Number(element.textContent);
+    case 'boolean':
+      return element.textContent === 'true';
+    case 'array':
+      return children.map(xmlValue);
+    case 'object':
+      return Object.fromEntries(children.map(child => [child.getAttribute('key'), xmlValue(child)]));
+    default:
+      return element.textContent;
+  }
+}
+
+describe('ClaudeContextGenerator formats', () => {
+  let generator: ClaudeContextGenerator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const storage = new MemoryStorage();
+    await new VersionControlEngine(env, USER, storage).commit({
+      user_id: USER,
+      commit_message: COMMIT_MESSAGE,
+      changes: FIELDS
+    });
+    generator = new ClaudeContextGenerator(env, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes YAML that parses back to the fields and version', async () => {
+    const context = await generator.generateContext(USER, { format: 'yaml' });
+
+    const parsed = yaml.safeLoad(context.formatted_content) as any;
+
+    expect(parsed.business_context).toEqual(EXPECTED);
+    expect(parsed.metadata).toMatchObject({ version_id: context.version_id, commit_message: COMMIT_MESSAGE });
+  });
+
+  it('writes XML that parses back to the fields and version', async () => {
+    const context = await generator.generateContext(USER, { format: 'xml' });
+    const errors: string[] = [];
+
+    const document = new DOMParser({
+      errorHandler: { warning: () => {}, error: message => errors.push(message), fatalError: message => errors.push(message) }
+    }).parseFromString(context.formatted_content, 'application/xml');
+
+    expect(errors).toEqual([]);
+    expect(document.documentElement.tagName).toBe('business_context');
+
+    const fields = Array.from(document.getElementsByTagName('field'));
+    expect(Object.fromEntries(fields.map(field => [field.getAttribute('name'), xmlValue(field)]))).toEqual(EXPECTED);
+
+    const icp = fields.find(field => field.getAttribute('name') === 'icp')!;
+    expect(icp.getAttribute('display_name')).toBe('Ideal Customer Profile');
+    expect(icp.getAttribute('category')).toBe('identity');
+
+    const metadata = document.getElementsByTagName('metadata')[0];
+    expect(metadata.getElementsByTagName('version_id')[0].textContent).toBe(context.version_id);
+    expect(metadata.getElementsByTagName('commit_message')[0].textContent).toBe(COMMIT_MESSAGE);
+  });
+
+  it('drops control characters XML cannot carry', async () => {
+    const storage = new MemoryStorage();
+    await new VersionControlEngine(env, USER, storage).commit({
+      user_id: USER,
+      commit_message: 'Control characters',
+      changes: [{ field_name: 'current_focus', field_type: 'text', source: 'manual', field_value: 'bell\u0007 tab\t' }]
+    });
+
+    const context = await new ClaudeContextGenerator(env, storage).generateContext(USER, { format: 'xml' });
+    const document = new DOMParser().parseFromString(context.formatted_content, 'application/xml');
+
+    expect(document.getElementsByTagName('field')[0].textContent).toBe('bell tab\t');
+  });
+});
+
+describe('ClaudeContextGenerator.serveContext', () => {
+  let storage: MemoryStorage;
+  let engine: VersionControlEngine;
+  let generator: ClaudeContextGenerator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    engine = new VersionControlEngine(env, USER, storage);
+    await engine.commit({ user_id: USER, commit_message: COMMIT_MESSAGE, changes: FIELDS });
+    generator = new ClaudeContextGenerator(env, storage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders once, then serves the cached render for the same version', async () => {
+    const first = await generator.serveContext(USER);
+    const second = await generator.serveContext(USER);
+
+    expect(first.cache).toBe('miss');
+    expect(second).toMatchObject({ cache: 'database', content: first.content, etag: first.etag, version_id: first.version_id });
+    expect(storage.tables.claude_context_cache).toHaveLength(1);
+  });
+
+  it('caches each format and token budget separately', async () => {
+    await generator.serveContext(USER);
+
+    expect((await generator.serveContext(USER, { format: 'yaml' })).cache).toBe('miss');
+    expect((await generator.serveContext(USER, { maxTokens: 50 })).cache).toBe('miss');
+    expect((await generator.serveContext(USER, { maxTokens: 50 })).cache).toBe('database');
+  });
+
+  it('renders again after a commit', async () => {
+    const before = await generator.serveContext(USER);
+    const version = await engine.commit({
+      user_id: USER,
+      commit_message: 'Raise MRR',
+      changes: [{ field_name: 'mrr', field_type: 'number', source: 'manual', field_value: 14000 }]
+    });
+
+    const after = await generator.serveContext(USER);
+
+    expect(after).toMatchObject({ cache: 'miss', version_id: version.id });
+    expect(after.etag).not.toBe(before.etag);
+    expect(after.content).toContain('14');
+  });
+});
@@ -0,0 +1,85 @@
+import { ConversationProcessor } from '../conversations';
+import { StubExtractionProvider } from '../../extraction';
+import { ExtractionError } from '../../core/errors';
+import { MemoryStorage } from '../../storage';
+import { Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+function user(content: string) {
+  return { role: 'user', content };
+}
+
+describe('ConversationProcessor', () => {
+  let storage: MemoryStorage;
+  let processor: ConversationProcessor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    processor = new ConversationProcessor(env, USER, storage, new StubExtractionProvider());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('commits confident changes and queues the rest for review', async () => {
+    const result = await processor.process('conv-1', [
+      user('set current_focus = Agencies'),
+      user('maybe set recent_wins = ["Acme"]\nset favourite_colour = blue')
+    ], { authorId: 'member-1' });
+
+    expect(result.status).toBe('completed');
+    expect(result.committed.map(change => change.field_name)).toEqual(['current_focus']);
+    expect(result.proposals.map(proposal => proposal.field_name)).toEqual(['recent_wins']);
+    expect(result.version).toMatchObject({ author: 'claude', author_id: 'member-1', tags: ['auto-commit', 'claude-chat'] });
+
+    expect(result.run).toMatchObject({
+      status: 'completed',
+      message_start: 0,
+      message_end: 2,
+      version_after: result.version!.id,
+      committed_count: 1,
+      proposed_count: 1
+    });
+    expect(result.run.changes_rejected).toEqual([expect.objectContaining({
+      errors: ['No field definition for favourite_colour']
+    })]);
+  });
+
+  it('only analyzes messages earlier runs have not seen', async () => {
+    const messages = [user('set current_focus = Agencies')];
+    await processor.process('conv-1', messages);
+
+    const repeat = await processor.process('conv-1', messages);
+    expect(repeat.status).toBe('skipped');
+    expect(repeat.run).toMatchObject({ status: 'skipped', message_start: 1, message_end: 1 });
+
+    const extract = jest.spyOn(StubExtractionProvider.prototype, 'extract');
+    const next = await processor.process('conv-1', [...messages, user('set current_focus = Enterprise')]);
+
+    expect(extract).toHaveBeenCalledWith(expect.objectContaining({ messages: [user('set current_focus = Enterprise')] }));
+    expect(next.run).toMatchObject({ message_start: 1, message_end: 2 });
+    expect(storage.tables.context_versions).toHaveLength(2);
+
+    const history = await processor.history('conv-1');
+    expect(history.runs.map(run => run.status).sort()).toEqual(['completed', 'completed', 'skipped']);
+    expect(history.versions.map(version => version.via)).toEqual(['auto-commit', 'auto-commit']);
+  });
+
+  it('records a failed extraction and gives its messages back to the next run', async () => {
+    const messages = [user('set current_focus = Agencies [extraction-error]')];
+
+    await expect(processor.process('conv-1', messages)).rejects.toBeInstanceOf(ExtractionError);
+
+    const [failed] = storage.tables.claude_conversation_runs;
+    expect(failed).toMatchObject({ status: 'failed', error: 'Stub extraction failed on request' });
+    expect((await storage.getConversation(USER, 'conv-1'))?.message_count).toBe(0);
+    expect(storage.tables.context_versions).toHaveLength(0);
+
+    const retry = await processor.process('conv-1', [user('set current_focus = Agencies')]);
+    expect(retry.run).toMatchObject({ status: 'completed', message_start: 0, committed_count: 1 });
+  });
+});
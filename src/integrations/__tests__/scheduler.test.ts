@@ -0,0 +1,150 @@
+import { runPendingSyncs } from '../scheduler';
+import { MAX_CONSECUTIVE_FAILURES } from '../sync-log';
+import { registerConnector } from '../../connectors';
+import { SubscriptionManager } from '../../core/events';
+import { MemoryStorage } from '../../storage';
+import { APISource, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+const HOUR = 3600;
+
+// What the test connector does on its next sync
+let pull: (source: APISource) => Promise<void>;
+
+registerConnector('scheduler_test', 'Test connector', () => ({
+  name: 'scheduler_test',
+  source: 'manual',
+  validate: () => [],
+  sync: async source => {
+    await pull(source);
+    return { changes: [] };
+  }
+}));
+
+describe('runPendingSyncs', () => {
+  let storage: MemoryStorage;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    pull = async () => {};
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // A pulled source that is due now
+  async function dueSource(sourceName: string): Promise<APISource> {
+    const source = await storage.createApiSource({
+      user_id: USER,
+      source_name: sourceName,
+      connector: 'scheduler_test',
+      field_mappings: {},
+      update_frequency: HOUR,
+      is_active: true
+    });
+    await storage.updateApiSource(source.id, { next_sync: new Date(Date.now() - 1000) });
+    return source;
+  }
+
+  function row(sourceId: string) {
+    return storage.tables.api_sources.find(source => source.id === sourceId)!;
+  }
+
+  it('syncs a due source and schedules it update_frequency later', async () => {
+    const source = await dueSource('crm');
+
+    expect(await runPendingSyncs(env, storage)).toEqual({ synced: 1, failed: 0, skipped: 0 });
+
+    expect(new Date(row(source.id).next_sync!).getTime()).toBeGreaterThan(Date.now() + (HOUR - 5) * 1000);
+    expect(storage.tables.sync_history).toEqual([
+      expect.objectContaining({ api_source_id: source.id, success: true, metadata: expect.objectContaining({ trigger: 'scheduled' }) })
+    ]);
+  });
+
+  it('skips a source another run leased first', async () => {
+    let release!: () => void;
+    pull = () => new Promise(resolve => { release = resolve; });
+    await dueSource('crm');
+
+    // Both runs list the source as due; only the first one's lease holds
+    const first = runPendingSyncs(env, storage);
+    const second = runPendingSyncs(env, storage);
+
+    expect(await second).toEqual({ synced: 0, failed: 0, skipped: 1 });
+    expect(await runPendingSyncs(env, storage)).toEqual({ synced: 0, failed: 0, skipped: 0 });
+
+    release();
+    expect(await first).toEqual({ synced: 1, failed: 0, skipped: 0 });
+    expect(storage.tables.sync_history).toHaveLength(1);
+  });
+
+  it('backs off after each failure and deactivates the source after the last', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    pull = async () => { throw new Error('CRM unavailable'); };
+    await new SubscriptionManager(env, USER, storage).create(
+      { url: 'https://hooks.example.com/context', events: ['sync_failed', 'source_deactivated'] },
+      USER
+    );
+    const source = await dueSource('crm');
+
+    const delays: number[] = [];
+    for (let failure = 1; failure <= MAX_CONSECUTIVE_FAILURES; failure++) {
+      expect(await runPendingSyncs(env, storage)).toEqual({ synced: 0, failed: 1, skipped: 0 });
+      expect(row(source.id).error_count).toBe(failure);
+
+      const nextSync = new Date(row(source.id).next_sync!).getTime();
+      delays.push((nextSync - Date.now()) / 1000);
+      jest.setSystemTime(nextSync);
+    }
+
+    expect(delays).toEqual([HOUR, 2 * HOUR, 4 * HOUR, 8 * HOUR, 16 * HOUR]);
+    expect(row(source.id)).toMatchObject({ is_active: false, last_error: 'CRM unavailable' });
+    expect(storage.tables.event_deliveries.map(delivery => delivery.event)).toEqual([
+      ...Array(MAX_CONSECUTIVE_FAILURES).fill('sync_failed'),
+      'source_deactivated'
+    ]);
+    expect(storage.tables.event_deliveries.at(-1)!.payload.data).toMatchObject({
+      source: 'crm',
+      connector: 'scheduler_test',
+      error_count: MAX_CONSECUTIVE_FAILURES
+    });
+
+    // A deactivated source is no longer due
+    expect(await runPendingSyncs(env, storage)).toEqual({ synced: 0, failed: 0, skipped: 0 });
+  });
+
+  it('clears the error count once a sync succeeds', async () => {
+    pull = async () => { throw new Error('CRM unavailable'); };
+    const source = await dueSource('crm');
+    await runPendingSyncs(env, storage);
+
+    pull = async () => {};
+    await storage.updateApiSource(source.id, { next_sync: new Date(Date.now() - 1000) });
+    await runPendingSyncs(env, storage);
+
+    expect(row(source.id)).toMatchObject({ error_count: 0, last_error: null, is_active: true });
+  });
+
+  it('syncs at most five sources at once', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    pull = async () => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+    };
+    for (let i = 0; i < 12; i++) {
+      await dueSource(`source_${i}`);
+    }
+
+    expect(await runPendingSyncs(env, storage)).toEqual({ synced: 12, failed: 0, skipped: 0 });
+    expect(mostRunning).toBe(5);
+  });
+});
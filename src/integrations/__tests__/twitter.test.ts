@@ -0,0 +1,91 @@
+import { TwitterIntegration } from '../twitter';
+import { MemoryStorage } from '../../storage';
+import { APISource, Env } from '../../types';
+
+const USER = 'user-1';
+const env = { STORAGE_BACKEND: 'memory', ENVIRONMENT: 'test' } as Env;
+
+function fields(followers: number) {
+  return {
+    twitter_follower_count: { value: followers, type: 'number' as const },
+    twitter_username: { value: 'acme', type: 'text' as const }
+  };
+}
+
+describe('TwitterIntegration.connect', () => {
+  it('gives a source created before connectors the twitter connector', async () => {
+    const storage = new MemoryStorage();
+    const legacy = await storage.createApiSource({
+      user_id: USER,
+      source_name: 'twitter',
+      field_mappings: {},
+      update_frequency: 3600,
+      is_active: true,
+      credentials: { username: 'acme' }
+    });
+
+    const source = await new TwitterIntegration(env, USER, storage).connect();
+
+    expect(source).toMatchObject({ id: legacy.id, connector: 'twitter', credentials: { username: 'acme' } });
+    expect((await storage.getApiSource(USER, 'twitter'))?.connector).toBe('twitter');
+  });
+});
+
+describe('TwitterIntegration.syncFollowerData', () => {
+  let storage: MemoryStorage;
+  let twitter: TwitterIntegration;
+  let source: APISource;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    storage = new MemoryStorage();
+    twitter = new TwitterIntegration(env, USER, storage);
+    source = await twitter.connect('acme');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('links the snapshot to the version when a threshold is crossed', async () => {
+    jest.spyOn(twitter, 'fetchFields').mockResolvedValue(fields(1200));
+
+    const result = await twitter.syncFollowerData(source, { thresholds: { twitter_follower_count: 100 } });
+
+    expect(result.success).toBe(true);
+    expect(result.version_id).toBeTruthy();
+    expect(result.snapshot?.version_id).toBe(result.version_id);
+    expect(storage.tables.metric_snapshots).toEqual([
+      expect.objectContaining({ metrics: { twitter_follower_count: 1200, twitter_username: 'acme' }, version_id: result.version_id })
+    ]);
+  });
+
+  it('records a snapshot without a version below the threshold', async () => {
+    jest.spyOn(twitter, 'fetchFields').mockResolvedValue(fields(1200));
+    await twitter.syncFollowerData(source, { thresholds: { twitter_follower_count: 100 } });
+
+    jest.spyOn(twitter, 'fetchFields').mockResolvedValue(fields(1250));
+    const result = await twitter.syncFollowerData(source, { thresholds: { twitter_follower_count: 100 } });
+
+    expect(result.version_id).toBeNull();
+    expect(storage.tables.metric_snapshots[1]).toMatchObject({ metrics: { twitter_follower_count: 1250 }, version_id: null });
+  });
+
+  it('keeps the snapshot when the commit fails', async () => {
+    jest.spyOn(twitter, 'fetchFields').mockResolvedValue(fields(1200));
+    jest.spyOn(storage, 'commitVersion').mockRejectedValue(new Error('database unavailable'));
+
+    const result = await twitter.syncFollowerData(source, { thresholds: { twitter_follower_count: 100 } });
+
+    expect(result.success).toBe(false);
+    expect(storage.tables.context_versions).toHaveLength(0);
+    expect(storage.tables.metric_snapshots).toEqual([
+      expect.objectContaining({ metrics: { twitter_follower_count: 1200, twitter_username: 'acme' }, version_id: null })
+    ]);
+    expect(storage.tables.sync_history[0]).toMatchObject({
+      success: false,
+      metadata: { snapshot_id: storage.tables.metric_snapshots[0].id }
+    });
+  });
+});
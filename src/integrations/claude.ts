@@ -1,56 +1,156 @@
 /**
  * Claude Integration
- * Generates dynamic context for Claude API and extracts changes from conversations
+ * Generates dynamic context for Claude API
  */
 
-import { createClient, SupabaseClient } from '@supabase/supabase-js';
-import { Env, ClaudeContext } from '../types';
+import { Env, ClaudeContext, ValueChange, BusinessStateField, ContextVersion, FieldDefinition } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { calculateDiff } from '../core/diff';
+import { valuesEqual } from '../core/merge';
+import { DEFAULT_FIELD_PRIORITY } from '../core/field-definitions';
+import { CONDENSE_LEVELS, condenseValue, estimateTokens } from '../core/token-budget';
+import { CompiledTemplate, compileTemplate, formatMarkdownValue } from '../core/template-engine';
+import { DEFAULT_MARKDOWN_TEMPLATE } from '../core/context-templates';
+import { TemplateError } from '../core/errors';
+import { toYaml } from '../core/yaml';
+import { ContextCache, CachedRender } from '../core/context-cache';
+import { hashContent } from '../core/hashing';
+
+export const CONTEXT_FORMATS: ClaudeContext['format'][] = ['markdown', 'json', 'yaml', 'xml', 'plaintext'];
+
+// Categories of equal-priority fields are kept in this order under a token budget
+const CATEGORY_ORDER = ['identity', 'strategy', 'business', 'metrics', 'marketing'];
+
+// Headings for the seeded categories, in display order. Other categories
+// follow alphabetically, then fields without a category under "Other".
+const CATEGORY_TITLES: Record<string, string> = {
+  identity: 'Identity & Positioning',
+  metrics: 'Metrics & Growth',
+  business: 'Business Pipeline',
+  strategy: 'Strategy & Focus',
+  marketing: 'Marketing & Content'
+};
+
+const defaultMarkdownTemplate = compileTemplate(DEFAULT_MARKDOWN_TEMPLATE);
+
+export interface ServedContext extends CachedRender {
+  etag: string;
+  cache: 'kv' | 'database' | 'miss';
+}
 
 export class ClaudeContextGenerator {
-  private supabase: SupabaseClient;
+  private env: Env;
+  private storage: ContextStorage;
+
+  constructor(env: Env, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+  }
+
+  /**
+   * Context for a request, cache first: KV (when bound), then the
+   * claude_context_cache row for the HEAD version, then a fresh render that
+   * is written to both. Commits, branch switches and template or field
+   * definition changes invalidate the cache.
+   */
+  async serveContext(
+    userId: string,
+    options: {
+      format?: ClaudeContext['format'];
+      branch?: string;
+      maxTokens?: number;
+      template?: string;
+    } = {}
+  ): Promise<ServedContext> {
+    const renderOptions = {
+      format: options.format || 'markdown',
+      template: options.template,
+      maxTokens: options.maxTokens
+    };
+    const cache = new ContextCache(this.env, userId, this.storage);
 
-  constructor(env: Env) {
-    this.supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+    const kvKey = await cache.kvKey(options.branch, renderOptions);
+    const fromKv = kvKey ? await cache.getFromKv(kvKey) : null;
+    if (fromKv) {
+      return { ...fromKv, etag: hashContent(fromKv.content), cache: 'kv' };
+    }
+
+    const currentVersion = await this.storage.getCurrentVersion(userId, options.branch);
+    if (currentVersion) {
+      const fromDatabase = await cache.getFromDatabase(currentVersion.id, renderOptions);
+      if (fromDatabase) {
+        if (kvKey) await cache.putInKv(kvKey, fromDatabase);
+        return { ...fromDatabase, etag: hashContent(fromDatabase.content), cache: 'database' };
+      }
+    }
+
+    const context = await this.generateContext(userId, {
+      format: renderOptions.format,
+      branch: options.branch,
+      maxTokens: options.maxTokens,
+      template: options.template
+    });
+    const render: CachedRender = {
+      version_id: context.version_id,
+      format: context.format,
+      content: context.formatted_content,
+      fields_included: Object.keys(context.fields),
+      estimated_tokens: context.estimated_tokens,
+      budget: context.budget,
+      generated_at: context.generated_at
+    };
+
+    await cache.putInDatabase(render, renderOptions);
+    if (kvKey) await cache.putInKv(kvKey, render);
+
+    return { ...render, etag: hashContent(render.content), cache: 'miss' };
   }
 
   /**
-   * Generate Claude-optimized context from current business state
+   * Generate Claude-optimized context from current business state. With
+   * maxTokens, fields are ranked by their definition's priority, then
+   * category, then how recently they changed; long values are shortened and
+   * the lowest-ranked fields left out until the estimate fits. A template
+   * (one of the user's, by name, or an unsaved body to preview) replaces
+   * the format.
    */
   async generateContext(
     userId: string,
     options: {
-      format?: 'markdown' | 'json' | 'yaml';
+      format?: ClaudeContext['format'];
+      branch?: string; // Defaults to the checked-out branch
       includeFields?: string[];
       excludeOutdated?: boolean;
       maxAge?: number; // hours
+      maxTokens?: number;
+      template?: string;
+      templateBody?: string;
     } = {}
   ): Promise<ClaudeContext> {
     const format = options.format || 'markdown';
 
+    let template: CompiledTemplate | undefined;
+    if (options.templateBody !== undefined) {
+      template = compileTemplate(options.templateBody);
+    } else if (options.template) {
+      const saved = await this.storage.getTemplate(userId, options.template);
+      if (!saved) {
+        throw new TemplateError('not_found', `Template ${options.template} not found`);
+      }
+      template = compileTemplate(saved.body);
+    }
+
     // Get current version
-    const { data: currentVersion, error: vError } = await this.supabase
-      .from('context_versions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('is_current', true)
-      .single();
-
-    if (vError || !currentVersion) {
+    const currentVersion = await this.storage.getCurrentVersion(userId, options.branch);
+
+    if (!currentVersion) {
       throw new Error('No current context version found');
     }
 
     // Get business state
-    const { data: stateFields, error: sError } = await this.supabase
-      .from('business_state')
-      .select('*')
-      .eq('version_id', currentVersion.id);
-
-    if (sError) {
-      throw new Error(`Failed to get business state: ${sError.message}`);
-    }
+    let fields = await this.storage.getVersionState(currentVersion.id);
 
     // Filter fields if specified
-    let fields = stateFields || [];
     if (options.includeFields && options.includeFields.length > 0) {
       fields = fields.filter(f => options.includeFields!.includes(f.field_name));
     }
@@ -62,75 +162,190 @@ export class ClaudeContextGenerator {
       fields = fields.filter(f => new Date(f.updated_at) >= cutoffTime);
     }
 
+    const definitions = await this.storage.listFieldDefinitions();
+    const render = (fieldMap: Record<string, any>) => template
+      ? template.render(this.templateData(fieldMap, definitions, currentVersion))
+      : this.formatContent(format, fieldMap, currentVersion, definitions);
+
+    if (options.maxTokens !== undefined) {
+      const budgeted = this.fitToBudget(this.rankFields(fields, definitions), options.maxTokens, render);
+      const formattedContent = render(budgeted.fields);
+
+      return {
+        version_id: currentVersion.id,
+        generated_at: new Date(),
+        fields: budgeted.fields,
+        formatted_content: formattedContent,
+        format,
+        template: options.template,
+        estimated_tokens: estimateTokens(formattedContent),
+        budget: {
+          max_tokens: options.maxTokens,
+          trimmed: budgeted.trimmed,
+          omitted: budgeted.omitted
+        }
+      };
+    }
+
     // Build field map
     const fieldMap: Record<string, any> = {};
     fields.forEach(field => {
       fieldMap[field.field_name] = field.field_value;
     });
 
-    // Format content
-    let formattedContent: string;
+    const formattedContent = render(fieldMap);
+
+    return {
+      version_id: currentVersion.id,
+      generated_at: new Date(),
+      fields: fieldMap,
+      formatted_content: formattedContent,
+      format,
+      template: options.template,
+      estimated_tokens: estimateTokens(formattedContent)
+    };
+  }
+
+  /**
+   * Format fields in the requested format
+   */
+  private formatContent(
+    format: ClaudeContext['format'],
+    fields: Record<string, any>,
+    version: ContextVersion,
+    definitions: FieldDefinition[]
+  ): string {
     switch (format) {
       case 'json':
-        formattedContent = this.formatAsJson(fieldMap, currentVersion);
-        break;
+        return this.formatAsJson(fields, version);
       case 'yaml':
-        formattedContent = this.formatAsYaml(fieldMap, currentVersion);
-        break;
+        return this.formatAsYaml(fields, version);
+      case 'xml':
+        return this.formatAsXml(fields, version, definitions);
+      case 'plaintext':
+        return this.formatAsPlaintext(fields, version, definitions);
       case 'markdown':
       default:
-        formattedContent = this.formatAsMarkdown(fieldMap, currentVersion);
-        break;
+        return defaultMarkdownTemplate.render(this.templateData(fields, definitions, version));
     }
+  }
 
-    // Cache the generated context
-    await this.cacheContext(userId, currentVersion.id, format, formattedContent, Object.keys(fieldMap));
+  /**
+   * What templates are rendered with (documented on DEFAULT_MARKDOWN_TEMPLATE)
+   */
+  private templateData(
+    fields: Record<string, any>,
+    definitions: FieldDefinition[],
+    version: ContextVersion
+  ): Record<string, any> {
+    const byName = new Map(definitions.map(definition => [definition.field_name, definition]));
+
+    const fieldViews = Object.entries(fields).map(([name, value]) => {
+      const definition = byName.get(name);
+      return {
+        name,
+        display_name: definition?.display_name || this.toDisplayName(name),
+        description: definition?.description ?? null,
+        type: definition?.field_type ?? null,
+        category: definition?.category ?? null,
+        priority: definition?.priority ?? DEFAULT_FIELD_PRIORITY,
+        value
+      };
+    });
 
     return {
-      version_id: currentVersion.id,
-      generated_at: new Date(),
-      fields: fieldMap,
-      formatted_content: formattedContent,
-      format
+      version: {
+        id: version.id,
+        hash: version.version_hash,
+        message: version.commit_message,
+        author: version.author,
+        created_at: version.created_at
+      },
+      generated_at: new Date().toISOString(),
+      categories: this.categorizeFields(fieldViews),
+      fields: fieldViews,
+      values: fields
     };
   }
 
   /**
-   * Format context as Markdown (best for Claude)
+   * Most important fields first: higher definition priority, then category,
+   * then the most recently updated
    */
-  private formatAsMarkdown(fields: Record<string, any>, version: any): string {
-    const lines: string[] = [];
+  private rankFields(fields: BusinessStateField[], definitions: FieldDefinition[]): BusinessStateField[] {
+    const byName = new Map(definitions.map(definition => [definition.field_name, definition]));
+    const priority = (field: BusinessStateField) => byName.get(field.field_name)?.priority ?? DEFAULT_FIELD_PRIORITY;
+    const categoryRank = (field: BusinessStateField) => {
+      const rank = CATEGORY_ORDER.indexOf(byName.get(field.field_name)?.category || '');
+      return rank === -1 ? CATEGORY_ORDER.length : rank;
+    };
 
-    lines.push('# Business Context');
-    lines.push('');
-    lines.push(`**Last Updated:** ${new Date(version.created_at).toLocaleString()}`);
-    lines.push(`**Version:** ${version.version_hash.substring(0, 7)}`);
-    lines.push(`**Message:** ${version.commit_message}`);
-    lines.push('');
-    lines.push('---');
-    lines.push('');
+    return [...fields].sort((a, b) =>
+      priority(b) - priority(a) ||
+      categoryRank(a) - categoryRank(b) ||
+      new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime());
+  }
 
-    // Group fields by category
-    const categorized = this.categorizeFields(fields);
+  /**
+   * Choose a value for each ranked field so the rendered context fits
+   * maxTokens. Every field that fits is first added at its shortest form,
+   * so lower-ranked fields are only left out when nothing else fits; then,
+   * in rank order, each is restored to the fullest form the budget allows.
+   */
+  private fitToBudget(
+    ranked: BusinessStateField[],
+    maxTokens: number,
+    render: (fields: Record<string, any>) => string
+  ): { fields: Record<string, any>; trimmed: string[]; omitted: string[] } {
+    const fits = (fields: Record<string, any>) => estimateTokens(render(fields)) <= maxTokens;
+
+    // Each field's candidate values, fullest first
+    const forms = new Map<string, any[]>();
+    for (const field of ranked) {
+      const candidates = [field.field_value];
+      for (const level of CONDENSE_LEVELS) {
+        const condensed = condenseValue(field.field_value, level);
+        if (!valuesEqual(condensed, candidates[candidates.length - 1])) candidates.push(condensed);
+      }
+      forms.set(field.field_name, candidates);
+    }
 
-    for (const [category, categoryFields] of Object.entries(categorized)) {
-      lines.push(`## ${category}`);
-      lines.push('');
+    const chosen: Record<string, number> = {};
+    const build = () => {
+      const fields: Record<string, any> = {};
+      ranked.forEach(field => {
+        if (field.field_name in chosen) fields[field.field_name] = forms.get(field.field_name)![chosen[field.field_name]];
+      });
+      return fields;
+    };
 
-      for (const [fieldName, fieldValue] of Object.entries(categoryFields)) {
-        const displayName = this.toDisplayName(fieldName);
-        lines.push(`### ${displayName}`);
-        lines.push('');
-        lines.push(this.formatValue(fieldValue));
-        lines.push('');
+    const omitted: string[] = [];
+    for (const field of ranked) {
+      chosen[field.field_name] = forms.get(field.field_name)!.length - 1;
+      if (!fits(build())) {
+        delete chosen[field.field_name];
+        omitted.push(field.field_name);
       }
     }
 
-    lines.push('---');
-    lines.push('');
-    lines.push('*This context is dynamically generated and version-controlled. It represents the current business state and will be automatically updated as changes occur.*');
+    for (const field of ranked) {
+      const shortest = chosen[field.field_name];
+      if (shortest === undefined) continue;
 
-    return lines.join('\n');
+      for (let form = 0; form < shortest; form++) {
+        chosen[field.field_name] = form;
+        if (fits(build())) break;
+        chosen[field.field_name] = shortest;
+      }
+    }
+
+    return {
+      fields: build(),
+      trimmed: ranked
+        .filter(field => chosen[field.field_name] !== undefined && chosen[field.field_name] > 0)
+        .map(field => field.field_name),
+      omitted
+    };
   }
 
   /**
@@ -153,251 +368,185 @@ export class ClaudeContextGenerator {
    * Format context as YAML
    */
   private formatAsYaml(fields: Record<string, any>, version: any): string {
-    const lines: string[] = [];
+    return toYaml({
+      metadata: {
+        version_id: version.id,
+        version_hash: version.version_hash,
+        commit_message: version.commit_message,
+        created_at: new Date(version.created_at).toISOString(),
+        generated_at: new Date().toISOString()
+      },
+      business_context: fields
+    });
+  }
 
-    lines.push('metadata:');
-    lines.push(`  version_hash: ${version.version_hash}`);
-    lines.push(`  commit_message: "${version.commit_message}"`);
-    lines.push(`  created_at: ${version.created_at}`);
-    lines.push('');
-    lines.push('business_context:');
+  /**
+   * Format context as XML tags, which Claude reads well in system prompts:
+   * one <field> per field, with <item> and <entry key> elements for arrays
+   * and objects. Non-string values carry a type attribute so the document
+   * maps back to the same values.
+   */
+  private formatAsXml(fields: Record<string, any>, version: any, definitions: FieldDefinition[]): string {
+    const lines: string[] = [];
 
-    for (const [key, value] of Object.entries(fields)) {
-      lines.push(`  ${key}:`);
-      const yamlValue = this.toYamlValue(value, 4);
-      lines.push(yamlValue);
+    lines.push('<business_context>');
+    lines.push('  <metadata>');
+    lines.push(`    <version_id>${escapeXml(version.id)}</version_id>`);
+    lines.push(`    <version_hash>${escapeXml(version.version_hash)}</version_hash>`);
+    lines.push(`    <commit_message>${escapeXml(version.commit_message)}</commit_message>`);
+    lines.push(`    <created_at>${new Date(version.created_at).toISOString()}</created_at>`);
+    lines.push(`    <generated_at>${new Date().toISOString()}</generated_at>`);
+    lines.push('  </metadata>');
+
+    for (const category of this.templateData(fields, definitions, version).categories) {
+      for (const field of category.fields) {
+        const attributes = [
+          `name="${escapeXmlAttribute(field.name)}"`,
+          `display_name="${escapeXmlAttribute(field.display_name)}"`,
+          ...(field.category ? [`category="${escapeXmlAttribute(field.category)}"`] : [])
+        ];
+        lines.push(...this.toXmlElement('field', attributes, field.value, 2));
+      }
     }
 
+    lines.push('</business_context>');
     return lines.join('\n');
   }
 
   /**
-   * Convert value to YAML format
+   * An element holding a value, with arrays and objects as child elements
    */
-  private toYamlValue(value: any, indent: number): string {
+  private toXmlElement(tag: string, attributes: string[], value: any, indent: number): string[] {
     const spaces = ' '.repeat(indent);
+    const kind = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value === 'object' ? 'object' : typeof value;
+    const open = [tag, ...attributes, ...(kind === 'string' ? [] : [`type="${kind}"`])].join(' ');
 
-    if (typeof value === 'object' && value !== null) {
-      if (Array.isArray(value)) {
-        return value.map(item => `${spaces}- ${JSON.stringify(item)}`).join('\n');
-      } else {
-        return Object.entries(value)
-          .map(([k, v]) => `${spaces}${k}: ${JSON.stringify(v)}`)
-          .join('\n');
-      }
+    if (kind === 'array' || kind === 'object') {
+      const children = kind === 'array'
+        ? value.flatMap((item: any) => this.toXmlElement('item', [], item, indent + 2))
+        : Object.entries(value).flatMap(([key, item]) =>
+          this.toXmlElement('entry', [`key="${escapeXmlAttribute(key)}"`], item, indent + 2));
+
+      if (children.length === 0) return [`${spaces}<${open}/>`];
+      return [`${spaces}<${open}>`, ...children, `${spaces}</${tag}>`];
     }
 
-    return `${spaces}${JSON.stringify(value)}`;
+    if (kind === 'null') return [`${spaces}<${open}/>`];
+    return [`${spaces}<${open}>${escapeXml(String(value))}</${tag}>`];
   }
 
   /**
-   * Format a field value for display
+   * Format context as plain text, without markup
    */
-  private formatValue(value: any): string {
-    if (typeof value === 'object' && value !== null) {
-      if (Array.isArray(value)) {
-        return value.map(item => `- ${this.formatValue(item)}`).join('\n');
-      } else {
-        return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
+  private formatAsPlaintext(fields: Record<string, any>, version: any, definitions: FieldDefinition[]): string {
+    const lines: string[] = [];
+
+    lines.push('BUSINESS CONTEXT');
+    lines.push(`Last Updated: ${new Date(version.created_at).toLocaleString()}`);
+    lines.push(`Version: ${version.version_hash.substring(0, 7)}`);
+    lines.push(`Message: ${version.commit_message}`);
+
+    for (const category of this.templateData(fields, definitions, version).categories) {
+      lines.push('');
+      lines.push(category.name.toUpperCase());
+
+      for (const field of category.fields) {
+        lines.push('');
+        lines.push(...this.toPlainLines(`${field.display_name}: `, field.value, ''));
       }
     }
-    return String(value);
+
+    return lines.join('\n');
   }
 
   /**
-   * Categorize fields by business function
+   * A labelled value as indented lines: nested arrays as `- item`, nested
+   * objects as `key: value`
    */
-  private categorizeFields(fields: Record<string, any>): Record<string, Record<string, any>> {
-    const categories: Record<string, Record<string, any>> = {
-      'Identity & Positioning': {},
-      'Metrics & Growth': {},
-      'Business Pipeline': {},
-      'Strategy & Focus': {},
-      'Marketing & Content': {},
-      'Other': {}
-    };
-
-    const categoryMap: Record<string, string> = {
-      'icp': 'Identity & Positioning',
-      'positioning': 'Identity & Positioning',
-      'follower_count': 'Metrics & Growth',
-      'twitter_follower_count': 'Metrics & Growth',
-      'linkedin_follower_count': 'Metrics & Growth',
-      'current_deals': 'Business Pipeline',
-      'deal_pipeline': 'Business Pipeline',
-      'current_focus': 'Strategy & Focus',
-      'active_experiments': 'Strategy & Focus',
-      'recent_pivots': 'Strategy & Focus',
-      'content_themes': 'Marketing & Content',
-      'messaging_angles': 'Marketing & Content',
-      'recent_wins': 'Metrics & Growth'
-    };
+  private toPlainLines(label: string, value: any, indent: string): string[] {
+    const nested = indent + '  ';
+    let children: string[] | null = null;
+
+    if (Array.isArray(value) && value.length > 0) {
+      children = value.flatMap(item => this.toPlainLines('- ', item, nested));
+    } else if (typeof value === 'object' && value !== null && Object.keys(value).length > 0) {
+      children = Object.entries(value).flatMap(([key, item]) => this.toPlainLines(`${key}: `, item, nested));
+    }
 
-    for (const [fieldName, fieldValue] of Object.entries(fields)) {
-      const category = categoryMap[fieldName] || 'Other';
-      categories[category][fieldName] = fieldValue;
+    if (children) {
+      // List items start on the dash line: `- key: value`
+      if (label === '- ') return [`${indent}- ${children[0].trimStart()}`, ...children.slice(1)];
+      return [`${indent}${label.trimEnd()}`, ...children];
     }
 
-    // Remove empty categories
-    Object.keys(categories).forEach(cat => {
-      if (Object.keys(categories[cat]).length === 0) {
-        delete categories[cat];
-      }
-    });
+    if (typeof value === 'object' && value !== null) {
+      return [`${indent}${label}(none)`];
+    }
 
-    return categories;
+    const [first, ...rest] = String(value).split('\n');
+    return [`${indent}${label}${first}`.trimEnd(), ...rest.map(line => (line.trim() ? `${nested}${line}` : ''))];
   }
 
   /**
-   * Convert field name to display name
+   * Format a field value for display
    */
-  private toDisplayName(fieldName: string): string {
-    return fieldName
-      .split('_')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
+  private formatValue(value: any): string {
+    return formatMarkdownValue(value);
   }
 
   /**
-   * Cache generated context
+   * One bullet per path-level change inside a json/array field
    */
-  private async cacheContext(
-    userId: string,
-    versionId: string,
-    format: string,
-    content: string,
-    fieldsIncluded: string[]
-  ): Promise<void> {
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24); // Cache for 24 hours
-
-    const { error } = await this.supabase
-      .from('claude_context_cache')
-      .upsert({
-        user_id: userId,
-        version_id: versionId,
-        format,
-        content,
-        fields_included: fieldsIncluded,
-        generated_at: new Date().toISOString(),
-        expires_at: expiresAt.toISOString(),
-        access_count: 0
-      }, {
-        onConflict: 'version_id,format'
-      });
-
-    if (error) {
-      console.error('Failed to cache context:', error);
-    }
+  private formatValueChanges(details: ValueChange[]): string[] {
+    const inline = (value: any) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+    return details.map(detail => {
+      switch (detail.op) {
+        case 'add':
+          return `- Added \`${detail.display_path}\`: ${inline(detail.new_value)}`;
+        case 'remove':
+          return `- Removed \`${detail.display_path}\` (was ${inline(detail.old_value)})`;
+        default:
+          return `- \`${detail.display_path}\`: ${inline(detail.old_value)} → ${inline(detail.new_value)}`;
+      }
+    });
   }
 
   /**
-   * Get cached context if available and not expired
+   * Group fields by their definition's category, in display order
    */
-  async getCachedContext(
-    versionId: string,
-    format: string = 'markdown'
-  ): Promise<string | null> {
-    const { data, error } = await this.supabase
-      .from('claude_context_cache')
-      .select('*')
-      .eq('version_id', versionId)
-      .eq('format', format)
-      .gt('expires_at', new Date().toISOString())
-      .single();
-
-    if (error || !data) {
-      return null;
-    }
+  private categorizeFields<T extends { category: string | null }>(
+    fields: T[]
+  ): Array<{ key: string | null; name: string; fields: T[] }> {
+    const groups = new Map<string | null, T[]>();
+    fields.forEach(field => {
+      const key = field.category || null;
+      groups.set(key, [...(groups.get(key) || []), field]);
+    });
 
-    // Increment access count
-    await this.supabase
-      .from('claude_context_cache')
-      .update({ access_count: data.access_count + 1 })
-      .eq('id', data.id);
+    const seeded = Object.keys(CATEGORY_TITLES);
+    const rank = (key: string | null) => {
+      if (key === null) return seeded.length + 1;
+      return seeded.includes(key) ? seeded.indexOf(key) : seeded.length;
+    };
 
-    return data.content;
+    return [...groups.entries()]
+      .sort(([a], [b]) => rank(a) - rank(b) || (a || '').localeCompare(b || ''))
+      .map(([key, categoryFields]) => ({
+        key,
+        name: key === null ? 'Other' : CATEGORY_TITLES[key] || this.toDisplayName(key),
+        fields: categoryFields
+      }));
   }
 
   /**
-   * Extract business context changes from Claude conversation
-   * Uses Claude API to analyze conversation and extract structured updates
+   * Convert field name to display name
    */
-  async extractChangesFromConversation(
-    _conversationId: string,
-    messages: Array<{ role: string; content: string }>,
-    claudeApiKey: string
-  ): Promise<Array<{
-    field_name: string;
-    field_value: any;
-    field_type: string;
-    confidence: number;
-  }>> {
-    // This would use Claude API to analyze the conversation
-    // and extract business context changes
-
-    const extractionPrompt = `
-Analyze this conversation and extract any business context changes that should be tracked.
-
-Look for updates to:
-- ICP (Ideal Customer Profile)
-- Positioning and messaging
-- Business metrics (follower counts, deal sizes)
-- Strategic focus or pivots
-- Active experiments or tests
-- Recent wins or achievements
-
-Return a JSON array of changes in this format:
-[
-  {
-    "field_name": "icp",
-    "field_value": { "target_customer": "...", "pain_points": [...] },
-    "field_type": "json",
-    "confidence": 0.95
-  }
-]
-
-Only include changes that were explicitly discussed or decided in the conversation.
-Set confidence between 0-1 based on how clear the change was.
-`;
-
-    try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': claudeApiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4096,
-          messages: [
-            ...messages,
-            { role: 'user', content: extractionPrompt }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Claude API error: ${response.status}`);
-      }
-
-      const result = await response.json() as { content: Array<{ text: string }> };
-      const extractedText = result.content[0].text;
-
-      // Parse JSON from response
-      const jsonMatch = extractedText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-
-      return [];
-
-    } catch (error) {
-      console.error('Failed to extract changes from conversation:', error);
-      return [];
-    }
+  private toDisplayName(fieldName: string): string {
+    return fieldName
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
   }
 
   /**
@@ -407,13 +556,9 @@ Set confidence between 0-1 based on how clear the change was.
     versionFromId: string,
     versionToId: string
   ): Promise<string> {
-    const { data: diff, error } = await this.supabase
-      .rpc('calculate_version_diff', {
-        p_version_from: versionFromId,
-        p_version_to: versionToId
-      });
+    const diff = await calculateDiff(this.storage, versionFromId, versionToId).catch(() => null);
 
-    if (error || !diff) {
+    if (!diff) {
       return 'No changes found';
     }
 
@@ -422,8 +567,6 @@ Set confidence between 0-1 based on how clear the change was.
     lines.push('');
 
     for (const change of diff) {
-      if (change.change_type === 'unchanged') continue;
-
       lines.push(`## ${this.toDisplayName(change.field_name)}`);
       lines.push('');
 
@@ -437,6 +580,23 @@ Set confidence between 0-1 based on how clear the change was.
         lines.push('');
         lines.push('**Previous Value:**');
         lines.push(this.formatValue(change.old_value));
+      } else if (change.change_type === 'renamed') {
+        lines.push(`**Status:** Renamed from ${this.toDisplayName(change.old_field_name!)}`);
+        if (change.details) {
+          lines.push('');
+          lines.push(...this.formatValueChanges(change.details));
+        } else if (JSON.stringify(change.old_value) !== JSON.stringify(change.new_value)) {
+          lines.push('');
+          lines.push('**Previous Value:**');
+          lines.push(this.formatValue(change.old_value));
+          lines.push('');
+          lines.push('**New Value:**');
+          lines.push(this.formatValue(change.new_value));
+        }
+      } else if (change.details) {
+        lines.push('**Status:** Modified');
+        lines.push('');
+        lines.push(...this.formatValueChanges(change.details));
       } else {
         lines.push('**Status:** Modified');
         lines.push('');
@@ -453,3 +613,23 @@ Set confidence between 0-1 based on how clear the change was.
     return lines.join('\n');
   }
 }
+
+// Escape text for XML content, dropping the control characters XML 1.0
+// cannot represent and keeping carriage returns from being normalized away
+function escapeXml(text: string): string {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#13;');
+}
+
+// Escape text for a double-quoted XML attribute, where whitespace would
+// otherwise be normalized to spaces
+function escapeXmlAttribute(text: string): string {
+  return escapeXml(text)
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\t/g, '&#9;');
+}
@@ -0,0 +1,254 @@
+/**
+ * Connector Sync
+ * Configures pulled API sources and syncs them through their connector:
+ * the connector reads the source, the fields whose value changed are
+ * committed, and the sync is logged in sync_history
+ */
+
+import { Env, APISource, ContextVersion, FieldMapping, SourceStatus, SyncResult } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { VersionControlEngine } from '../core/version-control';
+import { IntegrationError } from '../core/errors';
+import { valuesEqual } from '../core/merge';
+import { ConnectorRunOptions, createConnector, listConnectors } from '../connectors';
+import { recordSync, MAX_CONSECUTIVE_FAILURES } from './sync-log';
+
+const SOURCE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+// Syncs the status summary looks back over
+const RECENT_SYNCS = 20;
+
+// Matches the update_frequency check constraint
+const MIN_UPDATE_FREQUENCY = 60;
+
+export interface SourceInput {
+  connector?: string;
+  api_endpoint?: string;
+  field_mappings?: Record<string, string | FieldMapping>;
+  update_frequency?: number;
+  credentials?: Record<string, string>;
+  is_active?: boolean;
+}
+
+export class ConnectorSync {
+  private env: Env;
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+    this.userId = userId;
+  }
+
+  /**
+   * Create the named source, or update the settings given for it. The
+   * result must be a configuration its connector can sync.
+   */
+  async configure(sourceName: string, input: SourceInput): Promise<APISource> {
+    if (!SOURCE_NAME_PATTERN.test(sourceName)) {
+      throw new IntegrationError('invalid', 'Source names are letters, digits, _ and -, at most 100');
+    }
+    if (input.update_frequency !== undefined &&
+        (!Number.isInteger(input.update_frequency) || input.update_frequency < MIN_UPDATE_FREQUENCY)) {
+      throw new IntegrationError('invalid', `update_frequency must be a whole number of seconds, at least ${MIN_UPDATE_FREQUENCY}`);
+    }
+    if (input.credentials !== undefined && !isStringRecord(input.credentials)) {
+      throw new IntegrationError('invalid', 'credentials must be an object of strings');
+    }
+    if (input.is_active !== undefined && typeof input.is_active !== 'boolean') {
+      throw new IntegrationError('invalid', 'is_active must be a boolean');
+    }
+
+    const existing = await this.storage.getApiSource(this.userId, sourceName);
+    const connectorName = input.connector ?? existing?.connector;
+    const connector = connectorName ? createConnector(connectorName, this.env, this.userId, this.storage) : null;
+    if (!connector) {
+      throw new IntegrationError('invalid',
+        `connector must be one of ${listConnectors().map(c => c.name).join(', ')}`);
+    }
+
+    const config = {
+      connector: connector.name,
+      api_endpoint: input.api_endpoint ?? existing?.api_endpoint,
+      field_mappings: input.field_mappings ?? existing?.field_mappings ?? {},
+      credentials: input.credentials ?? existing?.credentials ?? {}
+    };
+    const problems = connector.validate(config);
+    if (problems.length > 0) {
+      throw new IntegrationError('invalid', `Invalid ${connector.name} source: ${problems.join('; ')}`);
+    }
+
+    if (!existing) {
+      return this.storage.createApiSource({
+        user_id: this.userId,
+        source_name: sourceName,
+        ...config,
+        update_frequency: input.update_frequency ?? 3600,
+        is_active: input.is_active ?? true
+      });
+    }
+
+    const patch: Partial<APISource> = { ...config };
+    if (input.update_frequency !== undefined) patch.update_frequency = input.update_frequency;
+    if (input.is_active !== undefined) patch.is_active = input.is_active;
+
+    // Re-enabling a source (e.g. one deactivated after failing) clears its
+    // failures and makes it due on the next scheduled run
+    if (input.is_active && !existing.is_active) {
+      patch.error_count = 0;
+      patch.last_error = null;
+      patch.next_sync = new Date();
+    }
+
+    await this.storage.updateApiSource(existing.id, patch);
+    return { ...existing, ...patch };
+  }
+
+  /**
+   * Health of each of the workspace's sources, from its failure count and
+   * its most recent syncs
+   */
+  async status(): Promise<SourceStatus[]> {
+    const sources = await this.storage.listApiSources(this.userId);
+
+    return Promise.all(sources.map(async source => {
+      const history = await this.storage.listSyncHistory(source.id, RECENT_SYNCS);
+      const failures = history.filter(sync => !sync.success).length;
+      const durations = history.map(sync => sync.duration_ms).filter((ms): ms is number => typeof ms === 'number');
+      const lastSuccess = history.find(sync => sync.success);
+      const errorCount = source.error_count || 0;
+
+      return {
+        source_name: source.source_name,
+        connector: source.connector || null,
+        health: !source.is_active ? 'inactive' as const : errorCount > 0 ? 'failing' as const : 'healthy' as const,
+        is_active: source.is_active,
+        update_frequency: source.update_frequency,
+        last_synced: source.last_synced || null,
+        next_sync: source.is_active && source.connector ? source.next_sync || null : null,
+        error_count: errorCount,
+        failures_until_deactivation: source.is_active && source.connector
+          ? Math.max(MAX_CONSECUTIVE_FAILURES - errorCount, 0)
+          : null,
+        last_error: source.last_error || null,
+        recent: {
+          syncs: history.length,
+          failures,
+          success_rate: history.length > 0 ? Math.round(((history.length - failures) / history.length) * 1000) / 1000 : null,
+          last_success_at: lastSuccess?.synced_at || null,
+          average_duration_ms: durations.length > 0
+            ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+            : null
+        }
+      };
+    }));
+  }
+
+  /**
+   * Sync the named source now
+   */
+  async sync(sourceName: string, options: ConnectorRunOptions): Promise<SyncResult> {
+    const source = await this.storage.getApiSource(this.userId, sourceName);
+    if (!source || !source.is_active) {
+      throw new IntegrationError('not_found', `No active source named ${sourceName}`);
+    }
+    return this.run(source, options);
+  }
+
+  /**
+   * Sync a source through its connector. Failures reading or mapping the
+   * source are logged and returned as an unsuccessful result; a source
+   * without a registered connector is rejected.
+   */
+  async run(source: APISource, options: ConnectorRunOptions): Promise<SyncResult> {
+    const connector = source.connector
+      ? createConnector(source.connector, this.env, this.userId, this.storage)
+      : null;
+    if (!connector) {
+      throw new IntegrationError('not_found', source.connector
+        ? `No connector named ${source.connector} is registered`
+        : `${source.source_name} only receives webhooks; it has no connector to sync it`);
+    }
+
+    if (connector.run) {
+      return connector.run(source, options);
+    }
+
+    const startTime = Date.now();
+    let version: ContextVersion | undefined;
+
+    try {
+      const output = await connector.sync(source, source.credentials || {});
+
+      const head = await this.engine.getCurrentVersion();
+      const state = head ? await this.engine.getVersionState(head.id) : {};
+      const changes = output.changes.filter(change => {
+        const current = state[change.field_name];
+        return !current || current.field_type !== change.field_type || !valuesEqual(current.field_value, change.field_value);
+      });
+      const fieldsUpdated = changes.map(change => change.field_name);
+
+      if (changes.length > 0) {
+        version = await this.engine.commit({
+          user_id: this.userId,
+          commit_message: `Sync from ${source.source_name}: ${fieldsUpdated.join(', ')}`,
+          changes,
+          tags: ['sync', source.source_name],
+          author: `sync:${source.source_name}`,
+          author_id: options.authorId
+        });
+      }
+
+      await recordSync(this.env, source, {
+        success: true,
+        version_id: version?.id ?? null,
+        fields_updated: fieldsUpdated,
+        changes_count: changes.length,
+        duration_ms: Date.now() - startTime,
+        metadata: {
+          ...output.metadata,
+          trigger: options.trigger,
+          connector: connector.name,
+          unmatched: output.unmatched || []
+        }
+      }, this.storage);
+
+      return {
+        source: connector.source,
+        success: true,
+        fields_updated: fieldsUpdated,
+        changes_count: changes.length,
+        timestamp: new Date(),
+        version_id: version?.id ?? null
+      };
+
+    } catch (error) {
+      console.error(`${source.source_name} sync failed:`, error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+
+      await recordSync(this.env, source, {
+        success: false,
+        error_message: message,
+        duration_ms: Date.now() - startTime,
+        metadata: { trigger: options.trigger, connector: connector.name }
+      }, this.storage);
+
+      return {
+        source: connector.source,
+        success: false,
+        fields_updated: [],
+        changes_count: 0,
+        error: message,
+        timestamp: new Date()
+      };
+    }
+  }
+}
+
+function isStringRecord(value: unknown): value is Record<string, string> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+}
@@ -0,0 +1,259 @@
+/**
+ * Claude Conversation Processing
+ * Turns conversations into context updates, recording every run and only
+ * analyzing messages that earlier runs have not seen
+ */
+
+import {
+  Env,
+  ExtractedChange,
+  ClaudeConversation,
+  ClaudeConversationRun,
+  ContextProposal,
+  ContextVersion
+} from '../types';
+import { ContextStorage, NewClaudeConversationRun, createStorage } from '../storage';
+import { VersionControlEngine } from '../core/version-control';
+import { ReviewQueue } from '../core/proposals';
+import { ConversationError, ValidationError } from '../core/errors';
+import {
+  ExtractionProvider,
+  ConversationMessage,
+  createExtractionProvider,
+  validateExtractedChanges
+} from '../extraction';
+
+// Extracted changes at least this confident are committed without review
+export const AUTO_COMMIT_CONFIDENCE = 0.8;
+
+export interface ConversationResult {
+  status: 'completed' | 'skipped';
+  conversation: ClaudeConversation | null;
+  run: ClaudeConversationRun;
+  committed: ExtractedChange[];
+  proposals: ContextProposal[];
+  version?: ContextVersion;
+}
+
+export interface ConversationHistory {
+  conversation: ClaudeConversation;
+  runs: ClaudeConversationRun[];
+  versions: Array<{
+    id: string;
+    hash: string;
+    message: string;
+    created_at: Date;
+    via: 'auto-commit' | 'review';
+  }>;
+}
+
+export class ConversationProcessor {
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+  private reviewQueue: ReviewQueue;
+  private extractor: ExtractionProvider;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage, extractor?: ExtractionProvider) {
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+    this.reviewQueue = new ReviewQueue(env, userId, this.storage);
+    this.extractor = extractor || createExtractionProvider(env);
+    this.userId = userId;
+  }
+
+  /**
+   * Extract context changes from the messages not processed yet, commit the
+   * confident ones and queue the rest for review. Provider output that
+   * fails validation against the field definitions is recorded on the run
+   * as rejected rather than committed or queued. The conversation's
+   * message_count is claimed before extraction, so re-posting (or posting
+   * the same conversation twice at once) never processes a message twice.
+   * Auto-commits are attributed to `authorId`, the member who posted them.
+   */
+  async process(
+    conversationId: string,
+    messages: ConversationMessage[],
+    options: { authorId?: string } = {}
+  ): Promise<ConversationResult> {
+    const existing = await this.storage.getConversation(this.userId, conversationId);
+    const processed = existing?.message_count ?? 0;
+    const total = messages.length;
+    const head = await this.engine.getCurrentVersion();
+
+    const run: NewClaudeConversationRun = {
+      user_id: this.userId,
+      conversation_id: conversationId,
+      status: 'completed',
+      message_start: processed,
+      message_end: total,
+      version_before: head?.id ?? null,
+      version_after: null,
+      changes_extracted: [],
+      changes_rejected: [],
+      committed_count: 0,
+      proposed_count: 0,
+      error: null
+    };
+
+    if (total <= processed) {
+      const skipped = await this.storage.insertConversationRun({ ...run, status: 'skipped', message_end: processed });
+      return { status: 'skipped', conversation: existing, run: skipped, committed: [], proposals: [] };
+    }
+
+    const conversation = existing
+      ? await this.storage.updateConversation(existing.id, processed, { message_count: total })
+      : await this.storage.createConversation({
+        user_id: this.userId,
+        conversation_id: conversationId,
+        version_before: head?.id ?? null,
+        version_after: null,
+        changes_extracted: {},
+        message_count: total
+      });
+
+    if (!conversation) {
+      throw new ConversationError(
+        'in_progress',
+        `Conversation ${conversationId} was processed by another request; post it again to pick up new messages`
+      );
+    }
+
+    // Give the messages back to the next run and record why
+    const fail = async (error: unknown) => {
+      await this.storage.updateConversation(conversation.id, total, { message_count: processed });
+      await this.storage.insertConversationRun({
+        ...run,
+        status: 'failed',
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    };
+
+    try {
+      const fields = await this.storage.listFieldDefinitions();
+      const output = await this.extractor.extract({
+        conversationId,
+        messages: messages.slice(processed),
+        fields
+      });
+      const { changes, rejected } = validateExtractedChanges(output, fields);
+      run.changes_extracted = changes;
+      run.changes_rejected = rejected;
+    } catch (error) {
+      await fail(error);
+      throw error;
+    }
+
+    let committed = run.changes_extracted.filter(change => change.confidence >= AUTO_COMMIT_CONFIDENCE);
+    let toReview = run.changes_extracted.filter(change => change.confidence < AUTO_COMMIT_CONFIDENCE);
+    let version: ContextVersion | undefined;
+
+    if (committed.length > 0) {
+      try {
+        version = await this.engine.commit({
+          user_id: this.userId,
+          commit_message: `Auto-update from Claude conversation ${conversationId}`,
+          changes: committed.map(change => ({
+            field_name: change.field_name,
+            field_value: change.field_value,
+            field_type: change.field_type as any,
+            source: 'claude_chat',
+            metadata: { conversation_id: conversationId, confidence: change.confidence }
+          })),
+          tags: ['auto-commit', 'claude-chat'],
+          author: 'claude',
+          author_id: options.authorId
+        });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          await fail(error);
+          throw error;
+        }
+
+        // Values that fail validation go to a reviewer, who can correct them
+        toReview = [...toReview, ...committed];
+        committed = [];
+      }
+    }
+
+    run.version_after = version?.id ?? null;
+    run.committed_count = committed.length;
+
+    let proposals: ContextProposal[];
+    try {
+      proposals = await this.reviewQueue.propose(conversationId, toReview);
+    } catch (error) {
+      // Keep the claim: processing these messages again would repeat the commit
+      await this.storage.insertConversationRun({
+        ...run,
+        status: 'failed',
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      throw error;
+    }
+    run.proposed_count = proposals.length;
+
+    const outcomes = { ...conversation.changes_extracted };
+    committed.forEach(change => { outcomes[change.field_name] = { ...change, outcome: 'committed' }; });
+    toReview.forEach(change => { outcomes[change.field_name] = { ...change, outcome: 'proposed' }; });
+
+    const updated = await this.storage.updateConversation(conversation.id, total, {
+      version_after: version?.id ?? conversation.version_after ?? null,
+      changes_extracted: outcomes,
+      ended_at: new Date()
+    });
+
+    return {
+      status: 'completed',
+      conversation: updated || conversation,
+      run: await this.storage.insertConversationRun(run),
+      committed,
+      proposals,
+      version
+    };
+  }
+
+  /**
+   * Conversations processed for the user, most recently started first
+   */
+  async list(limit: number = 50): Promise<ClaudeConversation[]> {
+    return this.storage.listConversations(this.userId, limit);
+  }
+
+  /**
+   * A conversation with its runs and every version it produced, either
+   * auto-committed by a run or committed by approving one of its proposals
+   */
+  async history(conversationId: string): Promise<ConversationHistory> {
+    const conversation = await this.storage.getConversation(this.userId, conversationId);
+    if (!conversation) {
+      throw new ConversationError('not_found', `Conversation ${conversationId} has not been processed`);
+    }
+
+    const [runs, approved] = await Promise.all([
+      this.storage.listConversationRuns(this.userId, conversationId),
+      this.storage.listProposals(this.userId, { status: 'approved', conversationId })
+    ]);
+
+    const produced = new Map<string, 'auto-commit' | 'review'>();
+    runs.forEach(run => { if (run.version_after) produced.set(run.version_after, 'auto-commit'); });
+    approved.forEach(proposal => { if (proposal.version_id) produced.set(proposal.version_id, 'review'); });
+
+    const versions = await Promise.all([...produced.keys()].map(id => this.engine.resolveVersion(id)));
+
+    return {
+      conversation,
+      runs,
+      versions: versions
+        .filter((version): version is ContextVersion => !!version)
+        .map(version => ({
+          id: version.id,
+          hash: version.version_hash,
+          message: version.commit_message,
+          created_at: version.created_at,
+          via: produced.get(version.id)!
+        }))
+        .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+    };
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Field Mapping
+ * Turns an integration payload into business state changes using an API
+ * source's field_mappings: JSONPath-style paths into the payload, each
+ * mapped to a field with an optional transform
+ */
+
+import { BusinessStateField, CommitRequest, FieldDefinition, FieldMapping } from '../types';
+import { FieldError } from '../core/errors';
+import { FIELD_TYPES } from '../core/validation';
+
+type PathSegment = { key: string } | { index: number } | { wildcard: true };
+
+export interface MappedFields {
+  changes: CommitRequest['changes'];
+  unmatched: string[]; // Paths with no value in the payload
+  errors: FieldError[]; // Mappings that are invalid or whose transform failed
+}
+
+/**
+ * Values at a path: `$.data.items[0].name`, `items[*].amount`,
+ * `$['key.with.dots']`, or `$` for the whole payload. The leading `$` is
+ * optional, so a plain key like `followers` still works. Paths with a
+ * wildcard select an array of every match; other paths select a single
+ * value. Returns found = false when a path without a wildcard has no value.
+ */
+export function selectPath(payload: any, path: string): { found: boolean; value: any } {
+  const segments = parsePath(path);
+  let nodes = [payload];
+
+  for (const segment of segments) {
+    const next: any[] = [];
+
+    for (const node of nodes) {
+      if ('wildcard' in segment) {
+        if (Array.isArray(node)) next.push(...node);
+        else if (node !== null && typeof node === 'object') next.push(...Object.values(node));
+      } else if ('index' in segment) {
+        if (Array.isArray(node) && segment.index < node.length) next.push(node[segment.index]);
+      } else if (node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, segment.key)) {
+        next.push(node[segment.key]);
+      }
+    }
+
+    nodes = next;
+  }
+
+  return segments.some(segment => 'wildcard' in segment)
+    ? { found: true, value: nodes }
+    : { found: nodes.length === 1 && nodes[0] !== undefined, value: nodes[0] };
+}
+
+/**
+ * Apply field mappings to a payload. Each change gets `source`, the field
+ * type from its mapping or field definition (inferred from the value
+ * otherwise), and the path it came from in its metadata.
+ */
+export function applyFieldMappings(
+  payload: any,
+  mappings: Record<string, string | FieldMapping>,
+  options: {
+    source: BusinessStateField['source'];
+    definitions?: FieldDefinition[];
+    metadata?: Record<string, any>;
+  }
+): MappedFields {
+  const definitions = new Map((options.definitions || []).map(definition => [definition.field_name, definition]));
+  const result: MappedFields = { changes: [], unmatched: [], errors: [] };
+
+  for (const [path, target] of Object.entries(mappings || {})) {
+    const mapping: FieldMapping = typeof target === 'string' ? { field: target } : target;
+    const fail = (message: string) => result.errors.push({
+      field_name: mapping?.field || path,
+      message: `${path}: ${message}`
+    });
+
+    if (!mapping || typeof mapping.field !== 'string' || !mapping.field) {
+      fail('Mapping needs a field name');
+      continue;
+    }
+    if (mapping.type !== undefined && !FIELD_TYPES.includes(mapping.type)) {
+      fail(`Unknown type ${mapping.type}`);
+      continue;
+    }
+
+    let selected: { found: boolean; value: any };
+    try {
+      selected = selectPath(payload, path);
+    } catch (error) {
+      fail(error instanceof Error ? error.message : 'Invalid path');
+      continue;
+    }
+    if (!selected.found) {
+      result.unmatched.push(path);
+      continue;
+    }
+
+    let value: any;
+    try {
+      value = transform(selected.value, mapping);
+    } catch (error) {
+      fail(error instanceof Error ? error.message : 'Transform failed');
+      continue;
+    }
+
+    result.changes.push({
+      field_name: mapping.field,
+      field_value: value,
+      field_type: mapping.type || definitions.get(mapping.field)?.field_type || inferFieldType(value),
+      source: options.source,
+      metadata: { ...options.metadata, path }
+    });
+  }
+
+  return result;
+}
+
+function transform(value: any, mapping: FieldMapping): any {
+  switch (mapping.transform) {
+    case undefined:
+      return value;
+
+    case 'sum': {
+      const values = Array.isArray(value) ? value : [value];
+      return values.reduce((total: number, item: any) => total + toNumber(item), 0);
+    }
+
+    case 'pick': {
+      if (!Array.isArray(mapping.keys) || mapping.keys.length === 0) {
+        throw new Error('pick needs a non-empty keys list');
+      }
+      return Array.isArray(value) ? value.map(item => pick(item, mapping.keys!)) : pick(value, mapping.keys);
+    }
+
+    case 'cast':
+      if (!mapping.type) {
+        throw new Error('cast needs a type');
+      }
+      return cast(value, mapping.type);
+
+    default:
+      throw new Error(`Unknown transform ${mapping.transform}; use sum, pick or cast`);
+  }
+}
+
+function pick(value: any, keys: string[]): Record<string, any> {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`pick needs an object, got ${describe(value)}`);
+  }
+  return Object.fromEntries(keys.filter(key => key in value).map(key => [key, value[key]]));
+}
+
+function cast(value: any, type: BusinessStateField['field_type']): any {
+  switch (type) {
+    case 'number':
+      return toNumber(value);
+    case 'text':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1 || value === '1') return true;
+      if (value === 'false' || value === 0 || value === '0') return false;
+      throw new Error(`Cannot cast ${describe(value)} to a boolean`);
+    case 'date': {
+      const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value); // Unix seconds or ms
+      if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+        throw new Error(`Cannot cast ${describe(value)} to a date`);
+      }
+      return date.toISOString();
+    }
+    case 'array':
+      return Array.isArray(value) ? value : [value];
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch {
+          throw new Error('Cannot cast a string that is not JSON to json');
+        }
+      }
+      return value;
+  }
+}
+
+function toNumber(value: any): number {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !isFinite(number)) {
+    throw new Error(`Expected a number, got ${describe(value)}`);
+  }
+  return number;
+}
+
+function inferFieldType(value: any): BusinessStateField['field_type'] {
+  if (Array.isArray(value)) return 'array';
+  if (value !== null && typeof value === 'object') return 'json';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'text';
+}
+
+function parsePath(path: string): PathSegment[] {
+  const segments: PathSegment[] = [];
+  const invalid = () => new Error(`Invalid path ${path}`);
+  let i = path.startsWith('$') ? 1 : 0;
+
+  // A path without `$` starts with a key, as if it were `$.key`
+  if (i === 0 && path.length > 0 && path[0] !== '.' && path[0] !== '[') {
+    path = `.${path}`;
+  }
+
+  while (i < path.length) {
+    if (path[i] === '.') {
+      const match = path.slice(i + 1).match(/^(\*|[^.[\]]+)/);
+      if (!match) throw invalid();
+      segments.push(match[1] === '*' ? { wildcard: true } : { key: match[1] });
+      i += 1 + match[1].length;
+    } else if (path[i] === '[') {
+      const match = path.slice(i).match(/^\[(?:(\*)|(\d+)|'([^']*)'|"([^"]*)")\]/);
+      if (!match) throw invalid();
+      if (match[1]) segments.push({ wildcard: true });
+      else if (match[2] !== undefined) segments.push({ index: Number(match[2]) });
+      else segments.push({ key: match[3] ?? match[4] });
+      i += match[0].length;
+    } else {
+      throw invalid();
+    }
+  }
+
+  // `$` alone selects the whole payload
+  if (segments.length === 0 && path !== '$') throw invalid();
+  return segments;
+}
+
+function describe(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
@@ -0,0 +1,86 @@
+/**
+ * Sync Scheduler
+ * Runs the pulled sources whose next_sync has passed. Each source is leased
+ * before it is synced, so overlapping scheduled runs never sync it twice,
+ * and a few sources are synced at once. recordSync then schedules the next
+ * sync, with backoff after failures.
+ */
+
+import { Env, PendingSync } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { ConnectorSync } from './connector-sync';
+import { recordSync } from './sync-log';
+
+// Sources taken per scheduled run
+const SYNC_BATCH_SIZE = 25;
+
+// Syncs running at once
+const SYNC_CONCURRENCY = 5;
+
+// A leased source is due again after this long if its sync never finishes
+const SYNC_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Sync the due sources. `skipped` counts sources another run leased first.
+ */
+export async function runPendingSyncs(
+  env: Env,
+  storage?: ContextStorage
+): Promise<{ synced: number; failed: number; skipped: number }> {
+  const store = storage || createStorage(env);
+  const counts = { synced: 0, failed: 0, skipped: 0 };
+  const pending = await store.getPendingSyncs(SYNC_BATCH_SIZE);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < pending.length) {
+      const sync = pending[next++];
+      try {
+        counts[await processSyncTask(sync, env, store)]++;
+      } catch (error) {
+        console.error(`Failed to process sync ${sync.id}:`, error);
+        counts.failed++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SYNC_CONCURRENCY, pending.length) }, worker));
+  return counts;
+}
+
+/**
+ * Lease a source, then sync it through its connector
+ */
+async function processSyncTask(
+  sync: PendingSync,
+  env: Env,
+  storage: ContextStorage
+): Promise<'synced' | 'failed' | 'skipped'> {
+  const startTime = Date.now();
+
+  if (!(await storage.claimSync(sync.id, new Date(startTime + SYNC_LEASE_MS)))) {
+    return 'skipped';
+  }
+
+  const source = await storage.getApiSource(sync.user_id, sync.source_name);
+  if (!source) return 'skipped';
+
+  try {
+    // Logs its own sync history, linked to the version it commits
+    const result = await new ConnectorSync(env, sync.user_id, storage).run(source, { trigger: 'scheduled' });
+    console.log(`${result.success ? '✓ Sync completed' : '✗ Sync failed'} for ${sync.source_name} in ${Date.now() - startTime}ms`);
+    return result.success ? 'synced' : 'failed';
+
+  } catch (error) {
+    // The source's connector is not registered
+    console.error(`Sync task failed:`, error);
+
+    await recordSync(env, source, {
+      success: false,
+      error_message: error instanceof Error ? error.message : 'Unknown error',
+      duration_ms: Date.now() - startTime,
+      metadata: { trigger: 'scheduled' }
+    }, storage);
+    return 'failed';
+  }
+}
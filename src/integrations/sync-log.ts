@@ -0,0 +1,100 @@
+/**
+ * Sync Log
+ * Records how an integration sync went: a sync_history row linked to the
+ * version it committed, the source's last_synced, error count and next
+ * sync, and a sync_failed event for subscribers when it failed
+ */
+
+import { Env, APISource } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { EventPublisher } from '../core/events';
+
+export interface SyncRecord {
+  success: boolean;
+  version_id?: string | null;
+  fields_updated?: string[];
+  changes_count?: number;
+  error_message?: string;
+  duration_ms: number;
+  metadata: { trigger: 'scheduled' | 'manual' | 'webhook' } & Record<string, any>;
+}
+
+// Pulled sources are switched off after this many failed syncs in a row
+export const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Longest wait between retries of a failing source
+const MAX_BACKOFF_SECONDS = 24 * 60 * 60;
+
+/**
+ * Seconds until a pulled source is synced again: update_frequency after a
+ * success, doubling with each consecutive failure up to a day
+ */
+export function syncDelaySeconds(updateFrequency: number, errorCount: number): number {
+  if (errorCount === 0) return updateFrequency;
+  return Math.min(updateFrequency * 2 ** (errorCount - 1), Math.max(updateFrequency, MAX_BACKOFF_SECONDS));
+}
+
+/**
+ * Log a sync of `source`. A pulled source (one with a connector) is
+ * scheduled again with backoff, and deactivated after
+ * MAX_CONSECUTIVE_FAILURES failures in a row.
+ *
+ * This runs on both the success and the failure path of a sync, so storage
+ * errors are only printed: throwing would report a sync that committed as
+ * failed, or hide the error a failed sync is being logged for.
+ */
+export async function recordSync(
+  env: Env,
+  source: APISource,
+  record: SyncRecord,
+  storage?: ContextStorage
+): Promise<void> {
+  const store = storage || createStorage(env);
+  const errorCount = record.success ? 0 : (source.error_count || 0) + 1;
+  const deactivate = !!source.connector && source.is_active && errorCount >= MAX_CONSECUTIVE_FAILURES;
+
+  try {
+    await store.insertSyncHistory({ api_source_id: source.id, user_id: source.user_id, ...record });
+  } catch (error) {
+    console.error(`Failed to log ${source.source_name} sync:`, error);
+  }
+
+  const patch: Partial<APISource> = {
+    last_synced: new Date(),
+    error_count: errorCount,
+    last_error: record.error_message || null
+  };
+  if (source.connector) {
+    patch.next_sync = new Date(Date.now() + syncDelaySeconds(source.update_frequency, errorCount) * 1000);
+  }
+  if (deactivate) {
+    patch.is_active = false;
+  }
+
+  try {
+    await store.updateApiSource(source.id, patch);
+  } catch (error) {
+    console.error(`Failed to update ${source.source_name} source:`, error);
+  }
+
+  if (!record.success) {
+    const publisher = new EventPublisher(env, source.user_id, store);
+
+    await publisher.publish('sync_failed', {
+      source: source.source_name,
+      trigger: record.metadata.trigger,
+      error: record.error_message,
+      error_count: errorCount
+    });
+
+    if (deactivate) {
+      console.warn(`Deactivated ${source.source_name} after ${errorCount} failed syncs`);
+      await publisher.publish('source_deactivated', {
+        source: source.source_name,
+        connector: source.connector,
+        error: record.error_message,
+        error_count: errorCount
+      });
+    }
+  }
+}
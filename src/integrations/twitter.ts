@@ -1,65 +1,242 @@
 /**
  * Twitter API Integration
- * Auto-syncs follower counts and profile data
+ * Syncs follower counts and profile data into context. Every sync records a
+ * metric snapshot; it also commits the values once a metric has moved by its
+ * auto-commit threshold since the last committed value.
  */
 
-import { Env, SyncResult } from '../types';
-import * as crypto from 'node:crypto';
+import { Env, APISource, BusinessStateField, CommitRequest, ContextVersion, MetricSnapshot, SyncResult } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { VersionControlEngine } from '../core/version-control';
+import { IntegrationError, AnalyticsError } from '../core/errors';
+import { valuesEqual } from '../core/merge';
+import { FieldAnalytics } from '../core/analytics';
+import { recordSync } from './sync-log';
+
+// Thresholds used when auto-commit is enabled without one for these fields
+export const DEFAULT_AUTO_COMMIT_THRESHOLDS: Record<string, number> = {
+  twitter_follower_count: 1000
+};
+
+export const USERNAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+/**
+ * Auto-commit thresholds from a request: a number applies to
+ * twitter_follower_count, an object maps field names to thresholds
+ */
+export function parseThresholds(value: unknown): Record<string, number> | undefined {
+  if (value === undefined || value === null) return undefined;
+
+  const thresholds = typeof value === 'number' ? { twitter_follower_count: value } : value;
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds) ||
+      !Object.values(thresholds).every(threshold => typeof threshold === 'number' && threshold >= 0)) {
+    throw new IntegrationError('invalid', 'auto_commit_threshold must be a number, or an object of field name => number');
+  }
+  return thresholds as Record<string, number>;
+}
 
 export class TwitterIntegration {
+  private env: Env;
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+  private userId: string;
   private bearerToken: string;
   private baseUrl = 'https://api.twitter.com/2';
 
-  constructor(env: Env) {
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+    this.userId = userId;
     this.bearerToken = env.TWITTER_BEARER_TOKEN;
   }
 
   /**
-   * Sync Twitter follower count and profile data
+   * The workspace's twitter source, created for `username` if it has none.
+   * A different username re-points the existing source, and one without a
+   * connector is given the twitter connector.
    */
-  async syncFollowerData(username: string): Promise<SyncResult> {
+  async connect(username?: string): Promise<APISource> {
+    if (username !== undefined && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+      throw new IntegrationError('invalid', 'username must be a Twitter handle (letters, digits and _, at most 15)');
+    }
+
+    const source = await this.storage.getApiSource(this.userId, 'twitter');
+    if (!source) {
+      if (!username) {
+        throw new IntegrationError('invalid', 'username is required to connect Twitter');
+      }
+      return this.storage.createApiSource({
+        user_id: this.userId,
+        source_name: 'twitter',
+        connector: 'twitter',
+        field_mappings: {},
+        update_frequency: 3600,
+        is_active: true,
+        credentials: { username }
+      });
+    }
+
+    // Sources from before connectors existed have none, and are never pulled
+    const patch: Partial<APISource> = {};
+    if (!source.connector) {
+      patch.connector = 'twitter';
+    }
+    if (username && username !== source.credentials?.username) {
+      patch.credentials = { ...source.credentials, username };
+    }
+
+    if (Object.keys(patch).length === 0) return source;
+    await this.storage.updateApiSource(source.id, patch);
+    return { ...source, ...patch };
+  }
+
+  /**
+   * Sync the account in the source's credentials.username. Without
+   * `thresholds`, the workspace's user_settings decide whether to commit;
+   * with auto-commit disabled there, only a snapshot is recorded. The sync
+   * is logged in sync_history with the version it committed.
+   */
+  async syncFollowerData(
+    source: APISource,
+    options: { thresholds?: Record<string, number>; authorId?: string; trigger?: 'scheduled' | 'manual' } = {}
+  ): Promise<SyncResult> {
+    const startTime = Date.now();
+    const trigger = options.trigger || 'scheduled';
+    let version: ContextVersion | undefined;
+    let snapshot: MetricSnapshot | undefined;
 
     try {
-      // Get user data from Twitter API v2
-      const userData = await this.getUserByUsername(username);
+      const username = source.credentials?.username;
+      if (!username) {
+        throw new Error('The twitter source has no credentials.username');
+      }
+
+      const fields = await this.fetchFields(username);
+      const thresholds = options.thresholds ?? await this.autoCommitThresholds();
+      const head = await this.engine.getCurrentVersion();
+      const state = head ? await this.engine.getVersionState(head.id) : {};
+
+      // Metrics that moved by their threshold since they were last committed
+      const crossed = Object.entries(thresholds).filter(([name, threshold]) => {
+        const current = fields[name]?.value;
+        const committed = state[name]?.field_value;
+        if (typeof current !== 'number' || typeof threshold !== 'number') return false;
+        return typeof committed !== 'number' || this.shouldAutoCommit(committed, current, threshold);
+      }).map(([name]) => name);
+
+      // Recorded before committing, so a failed commit still keeps the values
+      snapshot = await this.storage.insertMetricSnapshot({
+        user_id: this.userId,
+        api_source_id: source.id,
+        source: 'api_twitter',
+        metrics: Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field.value])),
+        version_id: null
+      });
 
-      if (!userData) {
-        throw new Error(`Twitter user ${username} not found`);
+      let changes: CommitRequest['changes'] = [];
+      if (crossed.length > 0) {
+        changes = Object.entries(fields)
+          .filter(([name, field]) =>
+            !state[name] || state[name].field_type !== field.type || !valuesEqual(state[name].field_value, field.value))
+          .map(([name, field]) => ({
+            field_name: name,
+            field_value: field.value,
+            field_type: field.type,
+            source: 'api_twitter' as const,
+            metadata: { username }
+          }));
+
+        version = await this.engine.commit({
+          user_id: this.userId,
+          commit_message: `Twitter sync: ${crossed
+            .map(name => `${name} ${state[name]?.field_value ?? 'unset'} → ${fields[name].value}`)
+            .join(', ')}`,
+          changes,
+          tags: ['twitter', 'auto-sync'],
+          author: 'sync:twitter',
+          author_id: options.authorId
+        });
+
+        await this.storage.setMetricSnapshotVersion(snapshot.id, version.id);
+        snapshot = { ...snapshot, version_id: version.id };
       }
 
-      const fieldsUpdated = ['follower_count'];
-      const changes = {
-        twitter_follower_count: userData.public_metrics.followers_count,
-        twitter_following_count: userData.public_metrics.following_count,
-        twitter_tweet_count: userData.public_metrics.tweet_count,
-        twitter_profile_updated: new Date(),
-        twitter_username: userData.username,
-        twitter_name: userData.name,
-        twitter_bio: userData.description,
-        twitter_verified: userData.verified || false
-      };
+      const fieldsUpdated = changes.map(change => change.field_name);
+      await recordSync(this.env, source, {
+        success: true,
+        version_id: version?.id ?? null,
+        fields_updated: fieldsUpdated,
+        changes_count: changes.length,
+        duration_ms: Date.now() - startTime,
+        metadata: { trigger, username, snapshot_id: snapshot.id, thresholds_crossed: crossed }
+      }, this.storage);
 
       return {
         source: 'api_twitter',
         success: true,
         fields_updated: fieldsUpdated,
-        changes_count: Object.keys(changes).length,
-        timestamp: new Date()
+        changes_count: changes.length,
+        timestamp: new Date(),
+        version_id: version?.id ?? null,
+        snapshot
       };
 
     } catch (error) {
       console.error('Twitter sync failed:', error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+
+      await recordSync(this.env, source, {
+        success: false,
+        version_id: version?.id ?? null,
+        error_message: message,
+        duration_ms: Date.now() - startTime,
+        metadata: { trigger, ...(snapshot ? { snapshot_id: snapshot.id } : {}) }
+      }, this.storage);
+
       return {
         source: 'api_twitter',
         success: false,
         fields_updated: [],
         changes_count: 0,
-        error: error instanceof Error ? error.message : 'Unknown error',
-        timestamp: new Date()
+        error: message,
+        timestamp: new Date(),
+        version_id: version?.id ?? null,
+        snapshot
       };
     }
   }
 
+  /**
+   * The account's current profile and metrics, as field values
+   */
+  async fetchFields(username: string): Promise<Record<string, { value: any; type: BusinessStateField['field_type'] }>> {
+    // Get user data from Twitter API v2
+    const userData = await this.getUserByUsername(username);
+
+    if (!userData) {
+      throw new Error(`Twitter user ${username} not found`);
+    }
+
+    // twitter_profile_updated is left out: it would change on every sync
+    return {
+      twitter_follower_count: { value: userData.public_metrics.followers_count, type: 'number' },
+      twitter_following_count: { value: userData.public_metrics.following_count, type: 'number' },
+      twitter_tweet_count: { value: userData.public_metrics.tweet_count, type: 'number' },
+      twitter_username: { value: userData.username, type: 'text' },
+      twitter_name: { value: userData.name, type: 'text' },
+      twitter_bio: { value: userData.description || '', type: 'text' },
+      twitter_verified: { value: userData.verified || false, type: 'boolean' }
+    };
+  }
+
+  // The workspace's thresholds, when it has auto-commit enabled
+  private async autoCommitThresholds(): Promise<Record<string, number>> {
+    const settings = await this.storage.getUserSettings(this.userId);
+    if (!settings?.auto_commit_enabled) return {};
+    return { ...DEFAULT_AUTO_COMMIT_THRESHOLDS, ...settings.auto_commit_threshold };
+  }
+
   /**
    * Get user data by username
    */
@@ -86,21 +263,35 @@ export class TwitterIntegration {
   }
 
   /**
-   * Get follower growth over time
+   * Follower growth over the last `days`: the live count against the count
+   * committed as of `days` ago (or the first count committed since)
    */
-  async getFollowerGrowth(username: string, _days: number = 30): Promise<{
+  async getFollowerGrowth(username: string, days: number = 30): Promise<{
     current: number;
     growth: number;
     daily_average: number;
   }> {
-    // Note: Twitter API v2 doesn't provide historical data directly
-    // This would need to be calculated from our own stored snapshots
     const userData = await this.getUserByUsername(username);
+    const current = userData.public_metrics.followers_count;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    let series;
+    try {
+      series = await new FieldAnalytics(this.env, this.userId, this.storage)
+        .series('twitter_follower_count', { start: since });
+    } catch (error) {
+      if (error instanceof AnalyticsError) {
+        return { current, growth: 0, daily_average: 0 }; // Nothing committed yet
+      }
+      throw error;
+    }
+
+    const growth = series.growth ? current - series.growth.start_value : 0;
 
     return {
-      current: userData.public_metrics.followers_count,
-      growth: 0, // Would need historical data
-      daily_average: 0 // Would need historical data
+      current,
+      growth,
+      daily_average: days > 0 ? Math.round((growth / days) * 100) / 100 : 0
     };
   }
 
@@ -186,96 +377,3 @@ export class TwitterIntegration {
     }
   }
 }
-
-/**
- * LinkedIn Integration (placeholder - requires OAuth)
- */
-export class LinkedInIntegration {
-  constructor(_accessToken: string) {
-    // LinkedIn integration placeholder
-  }
-
-  async syncFollowerData(_profileId: string): Promise<SyncResult> {
-    // LinkedIn API integration would go here
-    // Requires OAuth 2.0 authentication
-    return {
-      source: 'api_linkedin',
-      success: false,
-      fields_updated: [],
-      changes_count: 0,
-      error: 'LinkedIn integration not yet implemented',
-      timestamp: new Date()
-    };
-  }
-}
-
-/**
- * Generic Webhook Integration
- * Allows external systems to push context updates
- */
-export class WebhookIntegration {
-  /**
-   * Process incoming webhook data
-   */
-  async processWebhook(
-    source: string,
-    payload: any,
-    fieldMappings: Record<string, string>
-  ): Promise<SyncResult> {
-    try {
-      const fieldsUpdated: string[] = [];
-      const changes: Record<string, any> = {};
-
-      // Map webhook payload to business state fields
-      for (const [webhookField, stateField] of Object.entries(fieldMappings)) {
-        if (payload[webhookField] !== undefined) {
-          changes[stateField] = payload[webhookField];
-          fieldsUpdated.push(stateField);
-        }
-      }
-
-      return {
-        source: `webhook_${source}`,
-        success: true,
-        fields_updated: fieldsUpdated,
-        changes_count: fieldsUpdated.length,
-        timestamp: new Date()
-      };
-
-    } catch (error) {
-      return {
-        source: `webhook_${source}`,
-        success: false,
-        fields_updated: [],
-        changes_count: 0,
-        error: error instanceof Error ? error.message : 'Unknown error',
-        timestamp: new Date()
-      };
-    }
-  }
-
-  /**
-   * Validate webhook signature (for security)
-   */
-  validateSignature(
-    payload: string,
-    signature: string,
-    secret: string
-  ): boolean {
-    try {
-      const expectedSignature = crypto
-        .createHmac('sha256', secret)
-        .update(payload)
-        .digest('hex');
-
-      // Convert hex strings to buffers for comparison
-      const signatureBuf = Buffer.from(signature, 'hex');
-      const expectedBuf = Buffer.from(expectedSignature, 'hex');
-      
-      return crypto.timingSafeEqual(signatureBuf, expectedBuf);
-    } catch (error) {
-      console.error('Signature validation error:', error);
-      return false;
-    }
-  }
-}
@@ -0,0 +1,148 @@
+/**
+ * Webhook Integration
+ * Lets external systems push context updates. Each source is an api_sources
+ * row whose field_mappings say where payload values go; deliveries are
+ * committed with source 'api_webhook' and logged in sync_history.
+ */
+
+import * as crypto from 'node:crypto';
+import { Env, ContextVersion, WebhookResult } from '../types';
+import { ContextStorage, createStorage } from '../storage';
+import { VersionControlEngine } from '../core/version-control';
+import { IntegrationError, ValidationError } from '../core/errors';
+import { valuesEqual } from '../core/merge';
+import { applyFieldMappings } from './field-mapping';
+import { recordSync } from './sync-log';
+
+export class WebhookIntegration {
+  private env: Env;
+  private storage: ContextStorage;
+  private engine: VersionControlEngine;
+  private userId: string;
+
+  constructor(env: Env, userId: string, storage?: ContextStorage) {
+    this.env = env;
+    this.storage = storage || createStorage(env);
+    this.engine = new VersionControlEngine(env, userId, this.storage);
+    this.userId = userId;
+  }
+
+  /**
+   * Verify, map and commit a delivery. The signature is checked against the
+   * body exactly as received. Only fields whose value or type changed are
+   * committed; a delivery that changes nothing is logged without a commit.
+   */
+  async receive(
+    sourceName: string,
+    rawBody: string,
+    options: { signature?: string; authorId?: string } = {}
+  ): Promise<WebhookResult> {
+    const startTime = Date.now();
+    const source = await this.storage.getApiSource(this.userId, sourceName);
+
+    if (!source || !source.is_active) {
+      throw new IntegrationError('not_found', `No active webhook source named ${sourceName}`);
+    }
+
+    const secret = source.credentials?.webhook_secret ||
+      (this.env as any)[`WEBHOOK_SECRET_${sourceName.toUpperCase()}`] as string | undefined;
+    if (secret) {
+      if (!options.signature) {
+        throw new IntegrationError('unauthorized', 'Missing X-Webhook-Signature');
+      }
+      if (!this.validateSignature(rawBody, options.signature, secret)) {
+        throw new IntegrationError('unauthorized', 'Invalid webhook signature');
+      }
+    }
+
+    let payload: any;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      throw new IntegrationError('invalid', 'Webhook body must be JSON');
+    }
+
+    try {
+      const mapped = applyFieldMappings(payload, source.field_mappings, {
+        source: 'api_webhook',
+        definitions: await this.storage.listFieldDefinitions(),
+        metadata: { webhook: sourceName }
+      });
+      if (mapped.errors.length > 0) {
+        throw new ValidationError(mapped.errors);
+      }
+
+      const head = await this.engine.getCurrentVersion();
+      const state = head ? await this.engine.getVersionState(head.id) : {};
+      const changes = mapped.changes.filter(change => {
+        const current = state[change.field_name];
+        return !current || current.field_type !== change.field_type || !valuesEqual(current.field_value, change.field_value);
+      });
+      const fieldsUpdated = changes.map(change => change.field_name);
+
+      let version: ContextVersion | undefined;
+      if (changes.length > 0) {
+        version = await this.engine.commit({
+          user_id: this.userId,
+          commit_message: `Webhook from ${sourceName}: ${fieldsUpdated.join(', ')}`,
+          changes,
+          tags: ['webhook', sourceName],
+          author: `webhook:${sourceName}`,
+          author_id: options.authorId
+        });
+      }
+
+      await recordSync(this.env, source, {
+        success: true,
+        version_id: version?.id ?? null,
+        fields_updated: fieldsUpdated,
+        changes_count: changes.length,
+        duration_ms: Date.now() - startTime,
+        metadata: { trigger: 'webhook', unmatched: mapped.unmatched }
+      }, this.storage);
+
+      return {
+        status: version ? 'committed' : 'unchanged',
+        source: sourceName,
+        version,
+        fields_updated: fieldsUpdated,
+        unmatched: mapped.unmatched
+      };
+
+    } catch (error) {
+      await recordSync(this.env, source, {
+        success: false,
+        error_message: error instanceof Error ? error.message : 'Unknown error',
+        duration_ms: Date.now() - startTime,
+        metadata: { trigger: 'webhook' }
+      }, this.storage);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate an HMAC-SHA256 signature of the payload, hex encoded and
+   * optionally prefixed with `sha256=`
+   */
+  validateSignature(
+    payload: string,
+    signature: string,
+    secret: string
+  ): boolean {
+    try {
+      const expectedSignature = crypto
+        .createHmac('sha256', secret)
+        .update(payload)
+        .digest('hex');
+
+      // Convert hex strings to buffers for comparison
+      const signatureBuf = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+      const expectedBuf = Buffer.from(expectedSignature, 'hex');
+
+      return signatureBuf.length === expectedBuf.length && crypto.timingSafeEqual(signatureBuf, expectedBuf);
+    } catch (error) {
+      console.error('Signature validation error:', error);
+      return false;
+    }
+  }
+}
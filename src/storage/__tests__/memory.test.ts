@@ -0,0 +1,135 @@
+import { MemoryStorage } from '../memory';
+import { CommitInput } from '../types';
+import { CommitError, VersionConflictError } from '../../core/errors';
+
+const USER = 'user-1';
+
+function commitInput(
+  hash: string,
+  createdAt: string,
+  fields: Record<string, any>,
+  parentId?: string
+): CommitInput {
+  return {
+    version: {
+      user_id: USER,
+      version_hash: hash,
+      commit_message: `Commit ${hash}`,
+      parent_version_id: parentId,
+      branch: 'main',
+      tags: [],
+      created_at: new Date(createdAt)
+    },
+    state: Object.entries(fields).map(([field_name, field_value]) => ({
+      field_name,
+      field_value,
+      field_type: typeof field_value === 'number' ? 'number' as const : 'json' as const,
+      source: 'manual' as const,
+      updated_at: new Date(createdAt)
+    })),
+    changes: []
+  };
+}
+
+describe('MemoryStorage', () => {
+  let storage: MemoryStorage;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+  });
+
+  describe('commitVersion', () => {
+    it('creates the default branch on the first commit and advances it', async () => {
+      const first = await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100 }));
+      const second = await storage.commitVersion(commitInput('b2', '2025-01-02T00:00:00Z', { mrr: 200 }, first.id));
+
+      const branch = await storage.getBranch(USER);
+      expect(branch).toMatchObject({ name: 'main', is_default: true, head_version_id: second.id });
+      expect((await storage.getCurrentVersion(USER))?.id).toBe(second.id);
+    });
+
+    it('rejects a commit whose parent is no longer HEAD', async () => {
+      const first = await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100 }));
+      await storage.commitVersion(commitInput('b2', '2025-01-02T00:00:00Z', { mrr: 200 }, first.id));
+
+      await expect(storage.commitVersion(commitInput('c3', '2025-01-03T00:00:00Z', { mrr: 300 }, first.id)))
+        .rejects.toBeInstanceOf(VersionConflictError);
+    });
+
+    it('writes nothing when a phase fails', async () => {
+      const input = commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100 });
+      input.state.push({ ...input.state[0] });
+
+      const error = await storage.commitVersion(input).catch(e => e);
+      expect(error).toBeInstanceOf(CommitError);
+      expect(error.phase).toBe('state');
+      expect(storage.tables.context_versions).toHaveLength(0);
+      expect(storage.tables.context_branches).toHaveLength(0);
+      expect(storage.tables.business_state).toHaveLength(0);
+    });
+
+    it('leaves tables the commit does not write alone when a phase fails', async () => {
+      const input = commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100 });
+      input.state.push({ ...input.state[0] });
+      const fieldDefinitions = storage.tables.field_definitions;
+
+      await expect(storage.commitVersion(input)).rejects.toBeInstanceOf(CommitError);
+      expect(storage.tables.field_definitions).toBe(fieldDefinitions);
+    });
+
+    it('returns copies that cannot change stored rows', async () => {
+      const version = await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', { icp: { size: 'smb' } }));
+
+      const [field] = await storage.getVersionState(version.id);
+      field.field_value.size = 'enterprise';
+
+      const [stored] = await storage.getVersionState(version.id);
+      expect(stored.field_value).toEqual({ size: 'smb' });
+    });
+  });
+
+  describe('getBusinessStateAt', () => {
+    it('returns the state of the latest version at or before the timestamp', async () => {
+      const first = await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100, icp: 'smb' }));
+      await storage.commitVersion(commitInput('b2', '2025-01-03T00:00:00Z', { mrr: 200 }, first.id));
+
+      const state = await storage.getBusinessStateAt(USER, new Date('2025-01-02T00:00:00Z'));
+      expect(state.map(field => [field.field_name, field.field_value])).toEqual([['icp', 'smb'], ['mrr', 100]]);
+
+      const exact = await storage.getBusinessStateAt(USER, new Date('2025-01-03T00:00:00Z'));
+      expect(exact.map(field => [field.field_name, field.field_value])).toEqual([['mrr', 200]]);
+    });
+
+    it('is empty before the first version and for users without commits', async () => {
+      await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', { mrr: 100 }));
+
+      expect(await storage.getBusinessStateAt(USER, new Date('2024-12-31T00:00:00Z'))).toEqual([]);
+      expect(await storage.getBusinessStateAt('someone-else', new Date())).toEqual([]);
+    });
+  });
+
+  describe('calculateVersionDiff', () => {
+    it('reports added, removed and modified fields only', async () => {
+      const from = await storage.commitVersion(commitInput('a1', '2025-01-01T00:00:00Z', {
+        mrr: 100,
+        churned: true,
+        icp: { size: 'smb', regions: ['us'] }
+      }));
+      const to = await storage.commitVersion(commitInput('b2', '2025-01-02T00:00:00Z', {
+        mrr: 150,
+        icp: { regions: ['us'], size: 'smb' },
+        focus: 'enterprise'
+      }, from.id));
+
+      const rows = await storage.calculateVersionDiff(from.id, to.id);
+      const byField = Object.fromEntries(rows.map(row => [row.field_name, row]));
+
+      expect(rows).toHaveLength(3);
+      expect(byField.mrr).toEqual({ field_name: 'mrr', old_value: 100, new_value: 150, change_type: 'modified' });
+      expect(byField.churned).toEqual({ field_name: 'churned', old_value: true, new_value: null, change_type: 'removed' });
+      expect(byField.focus).toEqual({ field_name: 'focus', old_value: null, new_value: 'enterprise', change_type: 'added' });
+      // Key order does not matter in jsonb
+      expect(byField.icp).toBeUndefined();
+    });
+  });
+});
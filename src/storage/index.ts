@@ -0,0 +1,31 @@
+/**
+ * Storage Backends
+ * Selects the storage implementation from the environment
+ */
+
+import { Env } from '../types';
+import { ContextStorage } from './types';
+import { SupabaseStorage } from './supabase';
+import { MemoryStorage } from './memory';
+
+export * from './types';
+export { SupabaseStorage } from './supabase';
+export { MemoryStorage, createEmptyTables } from './memory';
+
+// Shared across requests so `wrangler dev` keeps state for the isolate's lifetime
+let memoryStorage: MemoryStorage | null = null;
+
+/**
+ * Create the storage backend configured by STORAGE_BACKEND
+ * ('supabase' by default, 'memory' for offline development and tests)
+ */
+export function createStorage(env: Env): ContextStorage {
+  if (env.STORAGE_BACKEND === 'memory') {
+    if (!memoryStorage) {
+      memoryStorage = new MemoryStorage();
+    }
+    return memoryStorage;
+  }
+
+  return new SupabaseStorage(env);
+}
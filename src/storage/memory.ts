@@ -0,0 +1,1002 @@
+/**
+ * In-Memory Storage Backend
+ * Dependency-free storage for local development (`wrangler dev`) and tests.
+ * Mirrors the behaviour of the Postgres schema, including its triggers and
+ * the calculate_version_diff / get_business_state_at functions.
+ */
+
+import {
+  ContextVersion,
+  ContextBranch,
+  BusinessStateField,
+  ContextChange,
+  APISource,
+  PendingSync,
+  SyncHistoryRecord,
+  CachedContext,
+  FieldDefinition,
+  ContextProposal,
+  ClaudeConversation,
+  ClaudeConversationRun,
+  ContextTemplate,
+  ApiKey,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceMembership,
+  EventSubscription,
+  EventDelivery,
+  MetricSnapshot,
+  UserSettings
+} from '../types';
+import { CommitError, CommitPhase, VersionConflictError } from '../core/errors';
+import {
+  ContextStorage,
+  CommitInput,
+  NewContextVersion,
+  NewBusinessStateField,
+  NewContextChange,
+  NewSyncHistoryRecord,
+  NewCachedContext,
+  NewFieldDefinition,
+  NewContextProposal,
+  NewClaudeConversation,
+  NewClaudeConversationRun,
+  NewContextTemplate,
+  NewApiKey,
+  NewWorkspace,
+  NewWorkspaceMember,
+  NewEventSubscription,
+  NewEventDelivery,
+  NewAPISource,
+  NewMetricSnapshot,
+  VersionDiffRow
+} from './types';
+
+interface APISourceRow extends APISource {
+  next_sync?: Date | null;
+  error_count: number;
+  last_error?: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface MemoryTables {
+  context_branches: ContextBranch[];
+  context_versions: ContextVersion[];
+  business_state: BusinessStateField[];
+  context_changes: ContextChange[];
+  api_sources: APISourceRow[];
+  sync_history: SyncHistoryRecord[];
+  metric_snapshots: MetricSnapshot[];
+  user_settings: UserSettings[];
+  claude_context_cache: CachedContext[];
+  field_definitions: FieldDefinition[];
+  context_proposals: ContextProposal[];
+  claude_conversations: ClaudeConversation[];
+  claude_conversation_runs: ClaudeConversationRun[];
+  context_templates: ContextTemplate[];
+  api_keys: ApiKey[];
+  workspaces: Workspace[];
+  workspace_members: WorkspaceMember[];
+  event_subscriptions: EventSubscription[];
+  event_deliveries: EventDelivery[];
+}
+
+/**
+ * Same rows as the field_definitions seed in database/schema.sql
+ */
+const SEED_FIELD_DEFINITIONS: [string, string, string, FieldDefinition['field_type'], string, number][] = [
+  ['icp', 'Ideal Customer Profile', 'Target customer definition and characteristics', 'json', 'identity', 90],
+  ['positioning', 'Market Positioning', 'Core positioning and value proposition', 'json', 'identity', 85],
+  ['follower_count', 'Social Media Followers', 'Follower counts across platforms', 'json', 'metrics', 40],
+  ['current_deals', 'Active Deals', 'Current sales pipeline and opportunities', 'array', 'business', 70],
+  ['current_focus', 'Strategic Focus', 'Current business focus and priorities', 'text', 'strategy', 100],
+  ['active_experiments', 'Active Experiments', 'Running experiments and tests', 'array', 'strategy', 60],
+  ['recent_pivots', 'Recent Pivots', 'History of strategic pivots', 'array', 'strategy', 50],
+  ['content_themes', 'Content Themes', 'Active content and messaging themes', 'array', 'marketing', 30],
+  ['messaging_angles', 'Messaging Angles', 'Marketing message variations', 'array', 'marketing', 30],
+  ['recent_wins', 'Recent Wins', 'Latest successes and achievements', 'array', 'metrics', 65]
+];
+
+export function createEmptyTables(): MemoryTables {
+  const seededAt = new Date();
+
+  return {
+    context_branches: [],
+    context_versions: [],
+    business_state: [],
+    context_changes: [],
+    api_sources: [],
+    sync_history: [],
+    metric_snapshots: [],
+    user_settings: [],
+    claude_context_cache: [],
+    context_proposals: [],
+    claude_conversations: [],
+    claude_conversation_runs: [],
+    context_templates: [],
+    api_keys: [],
+    workspaces: [],
+    workspace_members: [],
+    event_subscriptions: [],
+    event_deliveries: [],
+    field_definitions: SEED_FIELD_DEFINITIONS.map(([field_name, display_name, description, field_type, category, priority]) => ({
+      id: crypto.randomUUID(),
+      field_name,
+      display_name,
+      description,
+      field_type,
+      default_source: null,
+      validation_rules: {},
+      is_system_field: false,
+      is_required: false,
+      category,
+      priority,
+      created_at: seededAt
+    }))
+  };
+}
+
+/**
+ * Rows are cloned on the way in and out so callers can never mutate stored
+ * state, matching the isolation a real database gives us.
+ */
+function clone<T>(value: T): T {
+  return structuredClone(value);
+}
+
+function byCreatedAtDesc(a: { created_at: Date }, b: { created_at: Date }): number {
+  return new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+}
+
+export class MemoryStorage implements ContextStorage {
+  readonly tables: MemoryTables;
+
+  constructor(tables: MemoryTables = createEmptyTables()) {
+    this.tables = tables;
+  }
+
+  async listBranches(userId: string): Promise<ContextBranch[]> {
+    return clone(this.tables.context_branches
+      .filter(b => b.user_id === userId)
+      .sort((a, b) => a.name.localeCompare(b.name)));
+  }
+
+  async getBranch(userId: string, name?: string): Promise<ContextBranch | null> {
+    const branch = this.findBranch(userId, name);
+    return branch ? clone(branch) : null;
+  }
+
+  async createBranch(userId: string, name: string, headVersionId: string | null): Promise<ContextBranch> {
+    if (this.findBranch(userId, name)) {
+      throw new Error(`Failed to create branch: ${name} already exists`);
+    }
+
+    const now = new Date();
+    const branch: ContextBranch = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      name,
+      head_version_id: headVersionId,
+      base_version_id: headVersionId,
+      is_default: false,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.tables.context_branches.push(branch);
+    return clone(branch);
+  }
+
+  async deleteBranch(userId: string, name: string): Promise<void> {
+    this.tables.context_branches = this.tables.context_branches.filter(
+      b => !(b.user_id === userId && b.name === name)
+    );
+  }
+
+  async setDefaultBranch(userId: string, name: string): Promise<void> {
+    if (!this.findBranch(userId, name)) {
+      throw new Error(`Failed to switch branch: ${name} does not exist`);
+    }
+
+    this.tables.context_branches
+      .filter(b => b.user_id === userId)
+      .forEach(b => { b.is_default = b.name === name; });
+  }
+
+  private findBranch(userId: string, name?: string): ContextBranch | undefined {
+    return this.tables.context_branches.find(b =>
+      b.user_id === userId && (name ? b.name === name : b.is_default)
+    );
+  }
+
+  async getCurrentVersion(userId: string, branch?: string): Promise<ContextVersion | null> {
+    const branchRow = this.findBranch(userId, branch);
+    if (!branchRow || !branchRow.head_version_id) return null;
+    return this.getVersionById(branchRow.head_version_id);
+  }
+
+  async getVersionById(versionId: string): Promise<ContextVersion | null> {
+    const version = this.tables.context_versions.find(v => v.id === versionId);
+    return version ? clone(version) : null;
+  }
+
+  async findVersionByHash(userId: string, hash: string): Promise<ContextVersion | null> {
+    const prefix = hash.toLowerCase();
+    const matches = this.tables.context_versions.filter(
+      v => v.user_id === userId && v.version_hash.startsWith(prefix)
+    );
+    // Ambiguous prefixes match nothing, like git
+    return matches.length === 1 ? clone(matches[0]) : null;
+  }
+
+  async listAncestors(
+    versionId: string,
+    options: { limit?: number; offset?: number; before?: Date } = {}
+  ): Promise<ContextVersion[]> {
+    const byId = new Map(this.tables.context_versions.map(v => [v.id, v]));
+    const ancestors = new Map<string, ContextVersion>();
+    const queue = [versionId];
+
+    while (queue.length > 0) {
+      const version = byId.get(queue.shift()!);
+      if (!version || ancestors.has(version.id)) continue;
+      ancestors.set(version.id, version);
+      if (version.parent_version_id) queue.push(version.parent_version_id);
+      if (version.merge_parent_version_id) queue.push(version.merge_parent_version_id);
+    }
+
+    const offset = options.offset || 0;
+    const versions = [...ancestors.values()]
+      .filter(v => !options.before || new Date(v.created_at) <= options.before)
+      .sort(byCreatedAtDesc);
+
+    return clone(options.limit !== undefined
+      ? versions.slice(offset, offset + options.limit)
+      : versions.slice(offset));
+  }
+
+  async listVersions(
+    userId: string,
+    options: { limit?: number; offset?: number } = {}
+  ): Promise<ContextVersion[]> {
+    const offset = options.offset || 0;
+    const versions = this.tables.context_versions
+      .filter(v => v.user_id === userId)
+      .sort(byCreatedAtDesc);
+
+    return clone(options.limit !== undefined
+      ? versions.slice(offset, offset + options.limit)
+      : versions.slice(offset));
+  }
+
+  async searchVersions(userId: string, query: string, limit: number): Promise<ContextVersion[]> {
+    const needle = query.toLowerCase();
+    return clone(this.tables.context_versions
+      .filter(v => v.user_id === userId)
+      .filter(v => v.commit_message.toLowerCase().includes(needle) || (v.tags || []).includes(query))
+      .sort(byCreatedAtDesc)
+      .slice(0, limit));
+  }
+
+  /**
+   * Applies the commit against a snapshot of the tables it writes and restores
+   * them if any phase fails, like the commit_context() transaction
+   */
+  async commitVersion(input: CommitInput): Promise<ContextVersion> {
+    const { user_id: userId, branch: branchName } = input.version;
+    const branch = this.findBranch(userId, branchName);
+    if ((branch?.head_version_id ?? null) !== (input.version.parent_version_id ?? null)) {
+      throw new VersionConflictError('HEAD moved while the commit was being prepared');
+    }
+
+    const snapshot = clone({
+      context_versions: this.tables.context_versions,
+      context_branches: this.tables.context_branches,
+      business_state: this.tables.business_state,
+      context_changes: this.tables.context_changes
+    });
+    let phase: CommitPhase = 'version';
+
+    try {
+      const version = this.insertVersion(input.version);
+      this.advanceBranch(userId, branchName, version.id);
+
+      phase = 'state';
+      this.insertBusinessState(input.state.map(field => ({ ...field, version_id: version.id })));
+
+      phase = 'changes';
+      this.insertChanges(input.changes.map(change => ({ ...change, version_id: version.id })));
+
+      return version;
+    } catch (error) {
+      Object.assign(this.tables, snapshot);
+      throw new CommitError(phase, error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  private insertVersion(version: NewContextVersion): ContextVersion {
+    if (this.tables.context_versions.some(v => v.version_hash === version.version_hash)) {
+      throw new Error('Failed to create version: duplicate version_hash');
+    }
+
+    const row: ContextVersion = {
+      ...clone(version),
+      id: crypto.randomUUID(),
+      created_at: version.created_at ? new Date(version.created_at) : new Date(),
+      tags: version.tags || []
+    };
+
+    this.tables.context_versions.push(row);
+    return clone(row);
+  }
+
+  /**
+   * Point a branch at a new HEAD, creating it on first commit. A user's first
+   * branch becomes their default.
+   */
+  private advanceBranch(userId: string, name: string, versionId: string): void {
+    const branch = this.findBranch(userId, name);
+    const now = new Date();
+
+    if (branch) {
+      branch.head_version_id = versionId;
+      branch.updated_at = now;
+      return;
+    }
+
+    this.tables.context_branches.push({
+      id: crypto.randomUUID(),
+      user_id: userId,
+      name,
+      head_version_id: versionId,
+      base_version_id: null,
+      is_default: !this.findBranch(userId),
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  async updateVersionTags(versionId: string, tags: string[]): Promise<void> {
+    const version = this.tables.context_versions.find(v => v.id === versionId);
+    if (version) version.tags = [...tags];
+  }
+
+  async getVersionState(versionId: string): Promise<BusinessStateField[]> {
+    return clone(this.tables.business_state.filter(f => f.version_id === versionId));
+  }
+
+  private insertBusinessState(fields: NewBusinessStateField[]): void {
+    const seen = new Set<string>();
+    for (const field of fields) {
+      const key = `${field.version_id}:${field.field_name}`;
+      const exists = seen.has(key) || this.tables.business_state.some(
+        f => f.version_id === field.version_id && f.field_name === field.field_name
+      );
+      if (exists) {
+        throw new Error(`Failed to insert state: duplicate field ${field.field_name}`);
+      }
+      seen.add(key);
+    }
+
+    this.tables.business_state.push(...fields.map(field => ({
+      ...clone(field),
+      id: crypto.randomUUID(),
+      updated_at: field.updated_at ? new Date(field.updated_at) : new Date()
+    })));
+  }
+
+  /**
+   * Port of get_business_state_at(). Each version stores a full snapshot, so
+   * the state at a time is exactly the state of the latest version on the
+   * checked-out branch at that time (fields deleted or renamed before then
+   * stay gone)
+   */
+  async getBusinessStateAt(userId: string, timestamp: Date): Promise<NewBusinessStateField[]> {
+    const branch = this.findBranch(userId);
+    if (!branch || !branch.head_version_id) return [];
+
+    const [version] = await this.listAncestors(branch.head_version_id, { before: timestamp, limit: 1 });
+    if (!version) return [];
+
+    return this.tables.business_state
+      .filter(f => f.version_id === version.id)
+      .map(f => clone(f))
+      .sort((a, b) => a.field_name.localeCompare(b.field_name));
+  }
+
+  /**
+   * Port of calculate_version_diff(): full outer join on field name, keeping
+   * only fields whose values differ
+   */
+  async calculateVersionDiff(versionFromId: string, versionToId: string): Promise<VersionDiffRow[]> {
+    const fromState = new Map(this.tables.business_state
+      .filter(f => f.version_id === versionFromId)
+      .map(f => [f.field_name, f.field_value]));
+    const toState = new Map(this.tables.business_state
+      .filter(f => f.version_id === versionToId)
+      .map(f => [f.field_name, f.field_value]));
+
+    const fieldNames = new Set([...fromState.keys(), ...toState.keys()]);
+    const rows: VersionDiffRow[] = [];
+
+    for (const fieldName of fieldNames) {
+      const oldValue = fromState.get(fieldName);
+      const newValue = toState.get(fieldName);
+
+      if (!fromState.has(fieldName)) {
+        rows.push({ field_name: fieldName, old_value: null, new_value: clone(newValue), change_type: 'added' });
+      } else if (!toState.has(fieldName)) {
+        rows.push({ field_name: fieldName, old_value: clone(oldValue), new_value: null, change_type: 'removed' });
+      } else if (!jsonbEquals(oldValue, newValue)) {
+        rows.push({ field_name: fieldName, old_value: clone(oldValue), new_value: clone(newValue), change_type: 'modified' });
+      }
+    }
+
+    return rows;
+  }
+
+  private insertChanges(changes: NewContextChange[]): void {
+    this.tables.context_changes.push(...changes.map(change => ({
+      ...clone(change),
+      id: crypto.randomUUID(),
+      created_at: change.created_at ? new Date(change.created_at) : new Date()
+    })));
+  }
+
+  async getFieldChanges(
+    userId: string,
+    fieldName: string,
+    timeRange?: { start: Date; end: Date }
+  ): Promise<ContextChange[]> {
+    const versions = new Map(this.tables.context_versions
+      .filter(v => v.user_id === userId)
+      .map(v => [v.id, v]));
+
+    return this.tables.context_changes
+      .filter(c => versions.has(c.version_id) && c.field_name === fieldName)
+      .filter(c => !timeRange || (
+        new Date(c.created_at) >= timeRange.start && new Date(c.created_at) <= timeRange.end
+      ))
+      .sort(byCreatedAtDesc)
+      .map(c => {
+        const version = versions.get(c.version_id)!;
+        return {
+          ...clone(c),
+          context_versions: {
+            user_id: version.user_id,
+            created_at: version.created_at,
+            commit_message: version.commit_message
+          }
+        } as ContextChange;
+      });
+  }
+
+  async listChanges(versionIds: string[]): Promise<ContextChange[]> {
+    const ids = new Set(versionIds);
+    return clone(this.tables.context_changes.filter(c => ids.has(c.version_id)));
+  }
+
+  async listFieldDefinitions(category?: string): Promise<FieldDefinition[]> {
+    return clone(this.tables.field_definitions
+      .filter(d => !category || d.category === category)
+      .sort((a, b) => (a.field_name < b.field_name ? -1 : a.field_name > b.field_name ? 1 : 0)));
+  }
+
+  async getFieldDefinition(fieldName: string): Promise<FieldDefinition | null> {
+    const definition = this.tables.field_definitions.find(d => d.field_name === fieldName);
+    return definition ? clone(definition) : null;
+  }
+
+  async createFieldDefinition(definition: NewFieldDefinition): Promise<FieldDefinition> {
+    if (this.tables.field_definitions.some(d => d.field_name === definition.field_name)) {
+      throw new Error('Failed to create field definition: duplicate key value violates unique constraint "field_definitions_field_name_key"');
+    }
+
+    const row: FieldDefinition = { ...clone(definition), id: crypto.randomUUID(), created_at: new Date() };
+    this.tables.field_definitions.push(row);
+    return clone(row);
+  }
+
+  async updateFieldDefinition(fieldName: string, patch: Partial<NewFieldDefinition>): Promise<FieldDefinition> {
+    const definition = this.tables.field_definitions.find(d => d.field_name === fieldName);
+    if (!definition) {
+      throw new Error('Failed to update field definition: not found');
+    }
+
+    Object.assign(definition, clone(patch));
+    return clone(definition);
+  }
+
+  async deleteFieldDefinition(fieldName: string): Promise<void> {
+    this.tables.field_definitions = this.tables.field_definitions.filter(d => d.field_name !== fieldName);
+  }
+
+  async getConversation(userId: string, conversationId: string): Promise<ClaudeConversation | null> {
+    const conversation = this.tables.claude_conversations.find(c =>
+      c.user_id === userId && c.conversation_id === conversationId
+    );
+    return conversation ? clone(conversation) : null;
+  }
+
+  async listConversations(userId: string, limit: number): Promise<ClaudeConversation[]> {
+    return clone(this.tables.claude_conversations
+      .filter(c => c.user_id === userId)
+      .sort((a, b) => new Date(b.started_at).getTime() - new Date(a.started_at).getTime())
+      .slice(0, limit));
+  }
+
+  async createConversation(conversation: NewClaudeConversation): Promise<ClaudeConversation | null> {
+    // Equivalent of the unique_conversation constraint
+    if (this.tables.claude_conversations.some(c =>
+      c.user_id === conversation.user_id && c.conversation_id === conversation.conversation_id
+    )) {
+      return null;
+    }
+
+    const row: ClaudeConversation = {
+      ...clone(conversation),
+      id: crypto.randomUUID(),
+      started_at: new Date(),
+      ended_at: null
+    };
+    this.tables.claude_conversations.push(row);
+    return clone(row);
+  }
+
+  async updateConversation(
+    id: string,
+    expectedMessageCount: number,
+    patch: Partial<Omit<ClaudeConversation, 'id' | 'user_id' | 'conversation_id'>>
+  ): Promise<ClaudeConversation | null> {
+    const conversation = this.tables.claude_conversations.find(c => c.id === id);
+    if (!conversation || conversation.message_count !== expectedMessageCount) return null;
+
+    Object.assign(conversation, clone(patch));
+    return clone(conversation);
+  }
+
+  async insertConversationRun(run: NewClaudeConversationRun): Promise<ClaudeConversationRun> {
+    const row: ClaudeConversationRun = { ...clone(run), id: crypto.randomUUID(), created_at: new Date() };
+    this.tables.claude_conversation_runs.push(row);
+    return clone(row);
+  }
+
+  async listConversationRuns(userId: string, conversationId: string): Promise<ClaudeConversationRun[]> {
+    return clone(this.tables.claude_conversation_runs
+      .filter(r => r.user_id === userId && r.conversation_id === conversationId)
+      .sort(byCreatedAtDesc));
+  }
+
+  async createProposals(proposals: NewContextProposal[]): Promise<ContextProposal[]> {
+    const now = new Date();
+    const rows: ContextProposal[] = proposals.map(proposal => ({
+      ...clone(proposal),
+      id: crypto.randomUUID(),
+      status: 'pending',
+      edited: false,
+      created_at: now
+    }));
+
+    this.tables.context_proposals.push(...rows);
+    return clone(rows);
+  }
+
+  async listProposals(
+    userId: string,
+    options: { status?: ContextProposal['status']; conversationId?: string; limit?: number } = {}
+  ): Promise<ContextProposal[]> {
+    return clone(this.tables.context_proposals
+      .filter(p =>
+        p.user_id === userId &&
+        (!options.status || p.status === options.status) &&
+        (!options.conversationId || p.conversation_id === options.conversationId))
+      .sort(byCreatedAtDesc)
+      .slice(0, options.limit ?? 100));
+  }
+
+  async getProposal(proposalId: string): Promise<ContextProposal | null> {
+    const proposal = this.tables.context_proposals.find(p => p.id === proposalId);
+    return proposal ? clone(proposal) : null;
+  }
+
+  async updateProposal(
+    proposalId: string,
+    expectedStatus: ContextProposal['status'],
+    patch: Partial<Omit<ContextProposal, 'id' | 'user_id' | 'created_at'>>
+  ): Promise<ContextProposal | null> {
+    const proposal = this.tables.context_proposals.find(p => p.id === proposalId);
+    if (!proposal || proposal.status !== expectedStatus) return null;
+
+    Object.assign(proposal, clone(patch));
+    return clone(proposal);
+  }
+
+  async listTemplates(userId: string): Promise<ContextTemplate[]> {
+    return clone(this.tables.context_templates
+      .filter(t => t.user_id === userId)
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)));
+  }
+
+  async getTemplate(userId: string, name: string): Promise<ContextTemplate | null> {
+    const template = this.tables.context_templates.find(t => t.user_id === userId && t.name === name);
+    return template ? clone(template) : null;
+  }
+
+  async createTemplate(template: NewContextTemplate): Promise<ContextTemplate | null> {
+    // Equivalent of the unique_template_name constraint
+    if (this.tables.context_templates.some(t => t.user_id === template.user_id && t.name === template.name)) {
+      return null;
+    }
+
+    const now = new Date();
+    const row: ContextTemplate = { ...clone(template), id: crypto.randomUUID(), created_at: now, updated_at: now };
+    this.tables.context_templates.push(row);
+    return clone(row);
+  }
+
+  async updateTemplate(
+    userId: string,
+    name: string,
+    patch: Partial<Pick<ContextTemplate, 'description' | 'body'>>
+  ): Promise<ContextTemplate | null> {
+    const template = this.tables.context_templates.find(t => t.user_id === userId && t.name === name);
+    if (!template) return null;
+
+    Object.assign(template, clone(patch), { updated_at: new Date() });
+    return clone(template);
+  }
+
+  async deleteTemplate(userId: string, name: string): Promise<void> {
+    this.tables.context_templates = this.tables.context_templates.filter(t => !(t.user_id === userId && t.name === name));
+  }
+
+  async listApiKeys(userId: string): Promise<ApiKey[]> {
+    return clone(this.tables.api_keys.filter(k => k.user_id === userId).sort(byCreatedAtDesc));
+  }
+
+  async getApiKeyByHash(keyHash: string): Promise<ApiKey | null> {
+    const key = this.tables.api_keys.find(k => k.key_hash === keyHash);
+    return key ? clone(key) : null;
+  }
+
+  async getApiKey(keyId: string): Promise<ApiKey | null> {
+    const key = this.tables.api_keys.find(k => k.id === keyId);
+    return key ? clone(key) : null;
+  }
+
+  async createApiKey(key: NewApiKey): Promise<ApiKey> {
+    const row: ApiKey = {
+      ...clone(key),
+      id: crypto.randomUUID(),
+      created_at: new Date(),
+      last_used_at: null,
+      revoked_at: null
+    };
+    this.tables.api_keys.push(row);
+    return clone(row);
+  }
+
+  async revokeApiKey(userId: string, keyId: string): Promise<ApiKey | null> {
+    const key = this.tables.api_keys.find(k => k.user_id === userId && k.id === keyId);
+    if (!key) return null;
+
+    key.revoked_at = key.revoked_at || new Date();
+    return clone(key);
+  }
+
+  async touchApiKey(keyId: string): Promise<void> {
+    const key = this.tables.api_keys.find(k => k.id === keyId);
+    if (key) key.last_used_at = new Date();
+  }
+
+  async listWorkspaces(userId: string): Promise<WorkspaceMembership[]> {
+    return this.tables.workspace_members
+      .filter(m => m.user_id === userId)
+      .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+      .flatMap(member => {
+        const workspace = this.tables.workspaces.find(w => w.id === member.workspace_id);
+        return workspace ? [{ ...clone(workspace), role: member.role, personal: false }] : [];
+      });
+  }
+
+  async getWorkspace(workspaceId: string): Promise<Workspace | null> {
+    const workspace = this.tables.workspaces.find(w => w.id === workspaceId);
+    return workspace ? clone(workspace) : null;
+  }
+
+  async createWorkspace(workspace: NewWorkspace): Promise<Workspace> {
+    const row: Workspace = { ...clone(workspace), id: crypto.randomUUID(), created_at: new Date() };
+    this.tables.workspaces.push(row);
+    this.tables.workspace_members.push({
+      workspace_id: row.id,
+      user_id: row.created_by,
+      role: 'admin',
+      added_by: row.created_by,
+      created_at: row.created_at
+    });
+    return clone(row);
+  }
+
+  async updateWorkspace(workspaceId: string, patch: Pick<Workspace, 'name'>): Promise<Workspace | null> {
+    const workspace = this.tables.workspaces.find(w => w.id === workspaceId);
+    if (!workspace) return null;
+
+    workspace.name = patch.name;
+    return clone(workspace);
+  }
+
+  async getWorkspaceMember(workspaceId: string, userId: string): Promise<WorkspaceMember | null> {
+    const member = this.tables.workspace_members.find(m => m.workspace_id === workspaceId && m.user_id === userId);
+    return member ? clone(member) : null;
+  }
+
+  async listWorkspaceMembers(workspaceId: string): Promise<WorkspaceMember[]> {
+    return clone(this.tables.workspace_members
+      .filter(m => m.workspace_id === workspaceId)
+      .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()));
+  }
+
+  async upsertWorkspaceMember(member: NewWorkspaceMember): Promise<WorkspaceMember> {
+    const existing = this.tables.workspace_members
+      .find(m => m.workspace_id === member.workspace_id && m.user_id === member.user_id);
+
+    if (existing) {
+      existing.role = member.role;
+      return clone(existing);
+    }
+
+    const row: WorkspaceMember = { ...clone(member), created_at: new Date() };
+    this.tables.workspace_members.push(row);
+    return clone(row);
+  }
+
+  async removeWorkspaceMember(workspaceId: string, userId: string): Promise<void> {
+    this.tables.workspace_members = this.tables.workspace_members
+      .filter(m => !(m.workspace_id === workspaceId && m.user_id === userId));
+  }
+
+  async listSubscriptions(userId: string): Promise<EventSubscription[]> {
+    return clone(this.tables.event_subscriptions.filter(s => s.user_id === userId).sort(byCreatedAtDesc));
+  }
+
+  async getSubscription(userId: string, subscriptionId: string): Promise<EventSubscription | null> {
+    const subscription = this.tables.event_subscriptions.find(s => s.user_id === userId && s.id === subscriptionId);
+    return subscription ? clone(subscription) : null;
+  }
+
+  async createSubscription(subscription: NewEventSubscription): Promise<EventSubscription> {
+    const now = new Date();
+    const row: EventSubscription = { ...clone(subscription), id: crypto.randomUUID(), created_at: now, updated_at: now };
+    this.tables.event_subscriptions.push(row);
+    return clone(row);
+  }
+
+  async updateSubscription(
+    userId: string,
+    subscriptionId: string,
+    patch: Partial<Pick<EventSubscription, 'url' | 'events' | 'description' | 'is_active'>>
+  ): Promise<EventSubscription | null> {
+    const subscription = this.tables.event_subscriptions.find(s => s.user_id === userId && s.id === subscriptionId);
+    if (!subscription) return null;
+
+    Object.assign(subscription, clone(patch), { updated_at: new Date() });
+    return clone(subscription);
+  }
+
+  async deleteSubscription(userId: string, subscriptionId: string): Promise<void> {
+    const deleted = this.tables.event_subscriptions.find(s => s.user_id === userId && s.id === subscriptionId);
+    if (!deleted) return;
+
+    this.tables.event_subscriptions = this.tables.event_subscriptions.filter(s => s !== deleted);
+    // Equivalent of ON DELETE CASCADE
+    this.tables.event_deliveries = this.tables.event_deliveries.filter(d => d.subscription_id !== deleted.id);
+  }
+
+  async insertDeliveries(deliveries: NewEventDelivery[]): Promise<EventDelivery[]> {
+    const now = new Date();
+    const rows: EventDelivery[] = deliveries.map(delivery => ({
+      ...clone(delivery),
+      id: crypto.randomUUID(),
+      attempts: 0,
+      created_at: now,
+      delivered_at: null
+    }));
+    this.tables.event_deliveries.push(...rows);
+    return clone(rows);
+  }
+
+  async getDueDeliveries(limit: number, userId?: string): Promise<EventDelivery[]> {
+    const now = Date.now();
+    return clone(this.tables.event_deliveries
+      .filter(d =>
+        d.status === 'pending' &&
+        d.next_attempt_at && new Date(d.next_attempt_at).getTime() <= now &&
+        (!userId || d.user_id === userId))
+      .sort((a, b) => new Date(a.next_attempt_at!).getTime() - new Date(b.next_attempt_at!).getTime())
+      .slice(0, limit));
+  }
+
+  async updateDelivery(
+    deliveryId: string,
+    expectedAttempts: number,
+    patch: Partial<Pick<EventDelivery, 'status' | 'attempts' | 'next_attempt_at' | 'response_status' | 'last_error' | 'delivered_at'>>
+  ): Promise<EventDelivery | null> {
+    const delivery = this.tables.event_deliveries.find(d => d.id === deliveryId);
+    if (!delivery || delivery.status !== 'pending' || delivery.attempts !== expectedAttempts) return null;
+
+    Object.assign(delivery, clone(patch));
+    return clone(delivery);
+  }
+
+  async listDeliveries(
+    subscriptionId: string,
+    options: { status?: EventDelivery['status']; limit?: number } = {}
+  ): Promise<EventDelivery[]> {
+    return clone(this.tables.event_deliveries
+      .filter(d => d.subscription_id === subscriptionId && (!options.status || d.status === options.status))
+      .sort(byCreatedAtDesc)
+      .slice(0, options.limit ?? 50));
+  }
+
+  async getApiSource(userId: string, sourceName: string): Promise<APISource | null> {
+    const source = this.tables.api_sources.find(s => s.user_id === userId && s.source_name === sourceName);
+    return source ? clone(source) : null;
+  }
+
+  async createApiSource(source: NewAPISource): Promise<APISource> {
+    const now = new Date();
+    const row: APISourceRow = {
+      ...clone(source),
+      id: crypto.randomUUID(),
+      error_count: 0,
+      last_error: null,
+      // Equivalent of trigger_update_next_sync
+      next_sync: new Date(now.getTime() + source.update_frequency * 1000),
+      created_at: now,
+      updated_at: now
+    };
+    this.tables.api_sources.push(row);
+    return clone(row);
+  }
+
+  async listApiSources(userId: string): Promise<APISource[]> {
+    return clone(this.tables.api_sources
+      .filter(s => s.user_id === userId)
+      .sort((a, b) => a.source_name.localeCompare(b.source_name)));
+  }
+
+  /**
+   * Equivalent of the pending_syncs view
+   */
+  async getPendingSyncs(limit: number): Promise<PendingSync[]> {
+    const now = new Date();
+    return this.tables.api_sources
+      .filter(s => s.is_active && s.connector && (!s.next_sync || new Date(s.next_sync) <= now))
+      .sort((a, b) => {
+        if (!a.next_sync) return -1;
+        if (!b.next_sync) return 1;
+        return new Date(a.next_sync).getTime() - new Date(b.next_sync).getTime();
+      })
+      .slice(0, limit)
+      .map(s => ({
+        id: s.id,
+        user_id: s.user_id,
+        source_name: s.source_name,
+        connector: s.connector!,
+        next_sync: s.next_sync,
+        last_synced: s.last_synced,
+        error_count: s.error_count
+      }));
+  }
+
+  async claimSync(sourceId: string, leaseUntil: Date): Promise<boolean> {
+    const source = this.tables.api_sources.find(s => s.id === sourceId);
+    if (!source || !source.is_active || (source.next_sync && new Date(source.next_sync) > new Date())) {
+      return false;
+    }
+
+    source.next_sync = new Date(leaseUntil);
+    return true;
+  }
+
+  async updateApiSource(sourceId: string, patch: Partial<APISource> & Record<string, any>): Promise<void> {
+    const source = this.tables.api_sources.find(s => s.id === sourceId);
+    if (!source) return;
+
+    Object.assign(source, clone(patch), { updated_at: new Date() });
+
+    // Equivalent of trigger_update_next_sync
+    if (patch.update_frequency !== undefined && patch.next_sync === undefined) {
+      source.next_sync = new Date(Date.now() + source.update_frequency * 1000);
+    }
+  }
+
+  async insertSyncHistory(record: NewSyncHistoryRecord): Promise<void> {
+    this.tables.sync_history.push({
+      fields_updated: [],
+      changes_count: 0,
+      ...clone(record),
+      id: crypto.randomUUID(),
+      synced_at: new Date()
+    });
+  }
+
+  async listSyncHistory(sourceId: string, limit: number): Promise<SyncHistoryRecord[]> {
+    return clone(this.tables.sync_history
+      .filter(h => h.api_source_id === sourceId)
+      .sort((a, b) => new Date(b.synced_at).getTime() - new Date(a.synced_at).getTime())
+      .slice(0, limit));
+  }
+
+  async insertMetricSnapshot(snapshot: NewMetricSnapshot): Promise<MetricSnapshot> {
+    const row: MetricSnapshot = {
+      ...clone(snapshot),
+      id: crypto.randomUUID(),
+      captured_at: snapshot.captured_at || new Date()
+    };
+    this.tables.metric_snapshots.push(row);
+    return clone(row);
+  }
+
+  async setMetricSnapshotVersion(snapshotId: string, versionId: string): Promise<void> {
+    const snapshot = this.tables.metric_snapshots.find(s => s.id === snapshotId);
+    if (snapshot) snapshot.version_id = versionId;
+  }
+
+  async getUserSettings(userId: string): Promise<UserSettings | null> {
+    const settings = this.tables.user_settings.find(s => s.user_id === userId);
+    return settings ? clone(settings) : null;
+  }
+
+  async upsertCachedContext(entry: NewCachedContext): Promise<void> {
+    const existing = this.tables.claude_context_cache.find(c =>
+      c.version_id === entry.version_id && c.format === entry.format && c.options_key === entry.options_key
+    );
+
+    if (existing) {
+      Object.assign(existing, clone(entry));
+    } else {
+      this.tables.claude_context_cache.push({ ...clone(entry), id: crypto.randomUUID() });
+    }
+  }
+
+  async getCachedContext(versionId: string, format: string, optionsKey: string): Promise<CachedContext | null> {
+    const now = new Date();
+    const entry = this.tables.claude_context_cache.find(c =>
+      c.version_id === versionId &&
+      c.format === format &&
+      c.options_key === optionsKey &&
+      c.expires_at && new Date(c.expires_at) > now
+    );
+    return entry ? clone(entry) : null;
+  }
+
+  async incrementCacheAccess(cacheId: string): Promise<void> {
+    const entry = this.tables.claude_context_cache.find(c => c.id === cacheId);
+    if (entry) entry.access_count += 1;
+  }
+
+  async deleteCachedContexts(userId?: string): Promise<void> {
+    this.tables.claude_context_cache = userId
+      ? this.tables.claude_context_cache.filter(c => c.user_id !== userId)
+      : [];
+  }
+}
+
+/**
+ * JSONB equality: object key order is irrelevant, array order is not
+ */
+function jsonbEquals(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => jsonbEquals(item, b[i]));
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && jsonbEquals(a[key], b[key]));
+}
@@ -0,0 +1,1144 @@
+/**
+ * Supabase Storage Backend
+ * Production storage backed by the Postgres schema in database/schema.sql
+ */
+
+import { createClient, SupabaseClient } from '@supabase/supabase-js';
+import {
+  ContextVersion,
+  ContextBranch,
+  BusinessStateField,
+  ContextChange,
+  APISource,
+  PendingSync,
+  SyncHistoryRecord,
+  CachedContext,
+  FieldDefinition,
+  ContextProposal,
+  ClaudeConversation,
+  ClaudeConversationRun,
+  ContextTemplate,
+  ApiKey,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceMembership,
+  EventSubscription,
+  EventDelivery,
+  MetricSnapshot,
+  UserSettings,
+  Env
+} from '../types';
+import { CommitError, CommitPhase, VersionConflictError } from '../core/errors';
+import {
+  ContextStorage,
+  CommitInput,
+  NewBusinessStateField,
+  NewSyncHistoryRecord,
+  NewCachedContext,
+  NewFieldDefinition,
+  NewContextProposal,
+  NewClaudeConversation,
+  NewClaudeConversationRun,
+  NewContextTemplate,
+  NewApiKey,
+  NewWorkspace,
+  NewWorkspaceMember,
+  NewEventSubscription,
+  NewEventDelivery,
+  NewAPISource,
+  NewMetricSnapshot,
+  VersionDiffRow
+} from './types';
+
+const NO_ROWS = 'PGRST116'; // PostgREST: no rows returned for .single()
+const UNIQUE_VIOLATION = '23505';
+
+export class SupabaseStorage implements ContextStorage {
+  private supabase: SupabaseClient;
+
+  constructor(env: Env) {
+    this.supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  }
+
+  async listBranches(userId: string): Promise<ContextBranch[]> {
+    const { data, error } = await this.supabase
+      .from('context_branches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw new Error(`Failed to list branches: ${error.message}`);
+
+    return (data || []) as ContextBranch[];
+  }
+
+  async getBranch(userId: string, name?: string): Promise<ContextBranch | null> {
+    let query = this.supabase
+      .from('context_branches')
+      .select('*')
+      .eq('user_id', userId);
+
+    query = name ? query.eq('name', name) : query.eq('is_default', true);
+
+    const { data, error } = await query.single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get branch: ${error.message}`);
+    }
+
+    return data as ContextBranch | null;
+  }
+
+  async createBranch(userId: string, name: string, headVersionId: string | null): Promise<ContextBranch> {
+    const { data, error } = await this.supabase
+      .from('context_branches')
+      .insert({
+        user_id: userId,
+        name,
+        head_version_id: headVersionId,
+        base_version_id: headVersionId,
+        is_default: false
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create branch: ${error.message}`);
+
+    return data as ContextBranch;
+  }
+
+  async deleteBranch(userId: string, name: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('context_branches')
+      .delete()
+      .eq('user_id', userId)
+      .eq('name', name);
+
+    if (error) throw new Error(`Failed to delete branch: ${error.message}`);
+  }
+
+  async setDefaultBranch(userId: string, name: string): Promise<void> {
+    const { error } = await this.supabase
+      .rpc('switch_branch', {
+        p_user_id: userId,
+        p_name: name
+      });
+
+    if (error) throw new Error(`Failed to switch branch: ${error.message}`);
+  }
+
+  async getCurrentVersion(userId: string, branch?: string): Promise<ContextVersion | null> {
+    const branchRow = await this.getBranch(userId, branch);
+
+    if (!branchRow || !branchRow.head_version_id) {
+      return null;
+    }
+
+    return this.getVersionById(branchRow.head_version_id);
+  }
+
+  async getVersionById(versionId: string): Promise<ContextVersion | null> {
+    const { data, error } = await this.supabase
+      .from('context_versions')
+      .select('*')
+      .eq('id', versionId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get version: ${error.message}`);
+    }
+
+    return data as ContextVersion | null;
+  }
+
+  async findVersionByHash(userId: string, hash: string): Promise<ContextVersion | null> {
+    const { data, error } = await this.supabase
+      .from('context_versions')
+      .select('*')
+      .eq('user_id', userId)
+      .like('version_hash', `${hash.toLowerCase()}%`)
+      .limit(2);
+
+    if (error) throw new Error(`Failed to find version by hash: ${error.message}`);
+
+    // Ambiguous prefixes match nothing, like git
+    return data && data.length === 1 ? data[0] as ContextVersion : null;
+  }
+
+  async listAncestors(
+    versionId: string,
+    options: { limit?: number; offset?: number; before?: Date } = {}
+  ): Promise<ContextVersion[]> {
+    const { data, error } = await this.supabase
+      .rpc('get_version_ancestors', {
+        p_version_id: versionId,
+        p_before: options.before?.toISOString() ?? null,
+        p_limit: options.limit ?? null,
+        p_offset: options.offset ?? 0
+      });
+
+    if (error) throw new Error(`Failed to get history: ${error.message}`);
+
+    return (data || []) as ContextVersion[];
+  }
+
+  async listVersions(
+    userId: string,
+    options: { limit?: number; offset?: number } = {}
+  ): Promise<ContextVersion[]> {
+    let query = this.supabase
+      .from('context_versions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (options.limit !== undefined) {
+      const offset = options.offset || 0;
+      query = query.range(offset, offset + options.limit - 1);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to get history: ${error.message}`);
+
+    return (data || []) as ContextVersion[];
+  }
+
+  async searchVersions(userId: string, query: string, limit: number): Promise<ContextVersion[]> {
+    const { data, error } = await this.supabase
+      .from('context_versions')
+      .select('*')
+      .eq('user_id', userId)
+      .or(`commit_message.ilike.%${query}%,tags.cs.{${query}}`)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to search versions: ${error.message}`);
+
+    return (data || []) as ContextVersion[];
+  }
+
+  /**
+   * Runs the commit_context() Postgres function, which inserts the version,
+   * its state and its change log in one transaction. The function tags each
+   * failure with a `commit_phase:<phase>` hint; `conflict` means HEAD moved.
+   */
+  async commitVersion(input: CommitInput): Promise<ContextVersion> {
+    const { data, error } = await this.supabase
+      .rpc('commit_context', {
+        p_version: {
+          ...input.version,
+          created_at: input.version.created_at?.toISOString()
+        },
+        p_state: input.state,
+        p_changes: input.changes
+      });
+
+    if (error) {
+      const phase = (error.hint || '').match(/^commit_phase:(\w+)$/)?.[1];
+      if (phase === 'conflict') {
+        throw new VersionConflictError(error.message);
+      }
+      throw new CommitError((phase as CommitPhase) || 'version', error.message);
+    }
+
+    return (Array.isArray(data) ? data[0] : data) as ContextVersion;
+  }
+
+  async updateVersionTags(versionId: string, tags: string[]): Promise<void> {
+    const { error } = await this.supabase
+      .from('context_versions')
+      .update({ tags })
+      .eq('id', versionId);
+
+    if (error) throw new Error(`Failed to tag version: ${error.message}`);
+  }
+
+  async getVersionState(versionId: string): Promise<BusinessStateField[]> {
+    const { data, error } = await this.supabase
+      .from('business_state')
+      .select('*')
+      .eq('version_id', versionId);
+
+    if (error) throw new Error(`Failed to get version state: ${error.message}`);
+
+    return (data || []) as BusinessStateField[];
+  }
+
+  async getBusinessStateAt(userId: string, timestamp: Date): Promise<NewBusinessStateField[]> {
+    const { data, error } = await this.supabase
+      .rpc('get_business_state_at', {
+        p_user_id: userId,
+        p_timestamp: timestamp.toISOString()
+      });
+
+    if (error) throw new Error(`Failed to get business state at time: ${error.message}`);
+
+    return (data || []) as NewBusinessStateField[];
+  }
+
+  async calculateVersionDiff(versionFromId: string, versionToId: string): Promise<VersionDiffRow[]> {
+    const { data, error } = await this.supabase
+      .rpc('calculate_version_diff', {
+        p_version_from: versionFromId,
+        p_version_to: versionToId
+      });
+
+    if (error) throw new Error(`Failed to calculate diff: ${error.message}`);
+
+    return (data || []).map((row: any) => ({
+      field_name: row.field_name,
+      old_value: row.old_value,
+      new_value: row.new_value,
+      change_type: row.change_type
+    }));
+  }
+
+  async getFieldChanges(
+    userId: string,
+    fieldName: string,
+    timeRange?: { start: Date; end: Date }
+  ): Promise<ContextChange[]> {
+    let query = this.supabase
+      .from('context_changes')
+      .select(`
+        *,
+        context_versions!inner(user_id, created_at, commit_message)
+      `)
+      .eq('context_versions.user_id', userId)
+      .eq('field_name', fieldName)
+      .order('created_at', { ascending: false });
+
+    if (timeRange) {
+      query = query
+        .gte('created_at', timeRange.start.toISOString())
+        .lte('created_at', timeRange.end.toISOString());
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to get field history: ${error.message}`);
+
+    return (data || []) as ContextChange[];
+  }
+
+  async listChanges(versionIds: string[]): Promise<ContextChange[]> {
+    const { data, error } = await this.supabase
+      .from('context_changes')
+      .select('*')
+      .in('version_id', versionIds);
+
+    if (error) throw new Error(`Failed to list changes: ${error.message}`);
+
+    return (data || []) as ContextChange[];
+  }
+
+  async listFieldDefinitions(category?: string): Promise<FieldDefinition[]> {
+    let query = this.supabase
+      .from('field_definitions')
+      .select('*')
+      .order('field_name');
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list field definitions: ${error.message}`);
+
+    return (data || []) as FieldDefinition[];
+  }
+
+  async getFieldDefinition(fieldName: string): Promise<FieldDefinition | null> {
+    const { data, error } = await this.supabase
+      .from('field_definitions')
+      .select('*')
+      .eq('field_name', fieldName)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get field definition: ${error.message}`);
+    }
+
+    return data as FieldDefinition | null;
+  }
+
+  async createFieldDefinition(definition: NewFieldDefinition): Promise<FieldDefinition> {
+    const { data, error } = await this.supabase
+      .from('field_definitions')
+      .insert(definition)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create field definition: ${error.message}`);
+
+    return data as FieldDefinition;
+  }
+
+  async updateFieldDefinition(fieldName: string, patch: Partial<NewFieldDefinition>): Promise<FieldDefinition> {
+    const { data, error } = await this.supabase
+      .from('field_definitions')
+      .update(patch)
+      .eq('field_name', fieldName)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update field definition: ${error.message}`);
+
+    return data as FieldDefinition;
+  }
+
+  async deleteFieldDefinition(fieldName: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('field_definitions')
+      .delete()
+      .eq('field_name', fieldName);
+
+    if (error) throw new Error(`Failed to delete field definition: ${error.message}`);
+  }
+
+  async getConversation(userId: string, conversationId: string): Promise<ClaudeConversation | null> {
+    const { data, error } = await this.supabase
+      .from('claude_conversations')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('conversation_id', conversationId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get conversation: ${error.message}`);
+    }
+
+    return data as ClaudeConversation | null;
+  }
+
+  async listConversations(userId: string, limit: number): Promise<ClaudeConversation[]> {
+    const { data, error } = await this.supabase
+      .from('claude_conversations')
+      .select('*')
+      .eq('user_id', userId)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to list conversations: ${error.message}`);
+
+    return (data || []) as ClaudeConversation[];
+  }
+
+  async createConversation(conversation: NewClaudeConversation): Promise<ClaudeConversation | null> {
+    const { data, error } = await this.supabase
+      .from('claude_conversations')
+      .insert(conversation)
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) return null;
+    if (error) throw new Error(`Failed to record conversation: ${error.message}`);
+
+    return data as ClaudeConversation;
+  }
+
+  async updateConversation(
+    id: string,
+    expectedMessageCount: number,
+    patch: Partial<Omit<ClaudeConversation, 'id' | 'user_id' | 'conversation_id'>>
+  ): Promise<ClaudeConversation | null> {
+    const { data, error } = await this.supabase
+      .from('claude_conversations')
+      .update(patch)
+      .eq('id', id)
+      .eq('message_count', expectedMessageCount)
+      .select();
+
+    if (error) throw new Error(`Failed to update conversation: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as ClaudeConversation : null;
+  }
+
+  async insertConversationRun(run: NewClaudeConversationRun): Promise<ClaudeConversationRun> {
+    const { data, error } = await this.supabase
+      .from('claude_conversation_runs')
+      .insert(run)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to record conversation run: ${error.message}`);
+
+    return data as ClaudeConversationRun;
+  }
+
+  async listConversationRuns(userId: string, conversationId: string): Promise<ClaudeConversationRun[]> {
+    const { data, error } = await this.supabase
+      .from('claude_conversation_runs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list conversation runs: ${error.message}`);
+
+    return (data || []) as ClaudeConversationRun[];
+  }
+
+  async createProposals(proposals: NewContextProposal[]): Promise<ContextProposal[]> {
+    const { data, error } = await this.supabase
+      .from('context_proposals')
+      .insert(proposals)
+      .select();
+
+    if (error) throw new Error(`Failed to save proposals: ${error.message}`);
+
+    return (data || []) as ContextProposal[];
+  }
+
+  async listProposals(
+    userId: string,
+    options: { status?: ContextProposal['status']; conversationId?: string; limit?: number } = {}
+  ): Promise<ContextProposal[]> {
+    let query = this.supabase
+      .from('context_proposals')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(options.limit ?? 100);
+
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+    if (options.conversationId) {
+      query = query.eq('conversation_id', options.conversationId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list proposals: ${error.message}`);
+
+    return (data || []) as ContextProposal[];
+  }
+
+  async getProposal(proposalId: string): Promise<ContextProposal | null> {
+    const { data, error } = await this.supabase
+      .from('context_proposals')
+      .select('*')
+      .eq('id', proposalId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get proposal: ${error.message}`);
+    }
+
+    return data as ContextProposal | null;
+  }
+
+  async updateProposal(
+    proposalId: string,
+    expectedStatus: ContextProposal['status'],
+    patch: Partial<Omit<ContextProposal, 'id' | 'user_id' | 'created_at'>>
+  ): Promise<ContextProposal | null> {
+    const { data, error } = await this.supabase
+      .from('context_proposals')
+      .update(patch)
+      .eq('id', proposalId)
+      .eq('status', expectedStatus)
+      .select();
+
+    if (error) throw new Error(`Failed to update proposal: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as ContextProposal : null;
+  }
+
+  async listTemplates(userId: string): Promise<ContextTemplate[]> {
+    const { data, error } = await this.supabase
+      .from('context_templates')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name');
+
+    if (error) throw new Error(`Failed to list templates: ${error.message}`);
+
+    return (data || []) as ContextTemplate[];
+  }
+
+  async getTemplate(userId: string, name: string): Promise<ContextTemplate | null> {
+    const { data, error } = await this.supabase
+      .from('context_templates')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('name', name)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get template: ${error.message}`);
+    }
+
+    return data as ContextTemplate | null;
+  }
+
+  async createTemplate(template: NewContextTemplate): Promise<ContextTemplate | null> {
+    const { data, error } = await this.supabase
+      .from('context_templates')
+      .insert(template)
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) return null;
+    if (error) throw new Error(`Failed to create template: ${error.message}`);
+
+    return data as ContextTemplate;
+  }
+
+  async updateTemplate(
+    userId: string,
+    name: string,
+    patch: Partial<Pick<ContextTemplate, 'description' | 'body'>>
+  ): Promise<ContextTemplate | null> {
+    const { data, error } = await this.supabase
+      .from('context_templates')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('name', name)
+      .select();
+
+    if (error) throw new Error(`Failed to update template: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as ContextTemplate : null;
+  }
+
+  async deleteTemplate(userId: string, name: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('context_templates')
+      .delete()
+      .eq('user_id', userId)
+      .eq('name', name);
+
+    if (error) throw new Error(`Failed to delete template: ${error.message}`);
+  }
+
+  async listApiKeys(userId: string): Promise<ApiKey[]> {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list API keys: ${error.message}`);
+
+    return (data || []) as ApiKey[];
+  }
+
+  async getApiKeyByHash(keyHash: string): Promise<ApiKey | null> {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get API key: ${error.message}`);
+    }
+
+    return data as ApiKey | null;
+  }
+
+  async getApiKey(keyId: string): Promise<ApiKey | null> {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('id', keyId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get API key: ${error.message}`);
+    }
+
+    return data as ApiKey | null;
+  }
+
+  async createApiKey(key: NewApiKey): Promise<ApiKey> {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert(key)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create API key: ${error.message}`);
+
+    return data as ApiKey;
+  }
+
+  async revokeApiKey(userId: string, keyId: string): Promise<ApiKey | null> {
+    const { data: key, error: findError } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('id', keyId)
+      .single();
+
+    if (findError && findError.code !== NO_ROWS) {
+      throw new Error(`Failed to get API key: ${findError.message}`);
+    }
+    if (!key) return null;
+    if (key.revoked_at) return key as ApiKey;
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id', keyId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to revoke API key: ${error.message}`);
+
+    return data as ApiKey;
+  }
+
+  async touchApiKey(keyId: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', keyId);
+
+    if (error) throw new Error(`Failed to update API key: ${error.message}`);
+  }
+
+  async listWorkspaces(userId: string): Promise<WorkspaceMembership[]> {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('role, workspaces(*)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to list workspaces: ${error.message}`);
+
+    return (data || [])
+      .filter((row: any) => row.workspaces)
+      .map((row: any) => ({ ...row.workspaces, role: row.role, personal: false }));
+  }
+
+  async getWorkspace(workspaceId: string): Promise<Workspace | null> {
+    const { data, error } = await this.supabase
+      .from('workspaces')
+      .select('*')
+      .eq('id', workspaceId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get workspace: ${error.message}`);
+    }
+
+    return data as Workspace | null;
+  }
+
+  /**
+   * Two inserts; the workspace is removed again if its first member can't be added
+   */
+  async createWorkspace(workspace: NewWorkspace): Promise<Workspace> {
+    const { data, error } = await this.supabase
+      .from('workspaces')
+      .insert(workspace)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create workspace: ${error.message}`);
+
+    const { error: memberError } = await this.supabase
+      .from('workspace_members')
+      .insert({ workspace_id: data.id, user_id: workspace.created_by, role: 'admin', added_by: workspace.created_by });
+
+    if (memberError) {
+      await this.supabase.from('workspaces').delete().eq('id', data.id);
+      throw new Error(`Failed to create workspace: ${memberError.message}`);
+    }
+
+    return data as Workspace;
+  }
+
+  async updateWorkspace(workspaceId: string, patch: Pick<Workspace, 'name'>): Promise<Workspace | null> {
+    const { data, error } = await this.supabase
+      .from('workspaces')
+      .update({ name: patch.name })
+      .eq('id', workspaceId)
+      .select();
+
+    if (error) throw new Error(`Failed to update workspace: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as Workspace : null;
+  }
+
+  async getWorkspaceMember(workspaceId: string, userId: string): Promise<WorkspaceMember | null> {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get workspace member: ${error.message}`);
+    }
+
+    return data as WorkspaceMember | null;
+  }
+
+  async listWorkspaceMembers(workspaceId: string): Promise<WorkspaceMember[]> {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to list workspace members: ${error.message}`);
+
+    return (data || []) as WorkspaceMember[];
+  }
+
+  async upsertWorkspaceMember(member: NewWorkspaceMember): Promise<WorkspaceMember> {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .upsert(member, { onConflict: 'workspace_id,user_id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save workspace member: ${error.message}`);
+
+    return data as WorkspaceMember;
+  }
+
+  async removeWorkspaceMember(workspaceId: string, userId: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId);
+
+    if (error) throw new Error(`Failed to remove workspace member: ${error.message}`);
+  }
+
+  async listSubscriptions(userId: string): Promise<EventSubscription[]> {
+    const { data, error } = await this.supabase
+      .from('event_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list subscriptions: ${error.message}`);
+
+    return (data || []) as EventSubscription[];
+  }
+
+  async getSubscription(userId: string, subscriptionId: string): Promise<EventSubscription | null> {
+    const { data, error } = await this.supabase
+      .from('event_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('id', subscriptionId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get subscription: ${error.message}`);
+    }
+
+    return data as EventSubscription | null;
+  }
+
+  async createSubscription(subscription: NewEventSubscription): Promise<EventSubscription> {
+    const { data, error } = await this.supabase
+      .from('event_subscriptions')
+      .insert(subscription)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create subscription: ${error.message}`);
+
+    return data as EventSubscription;
+  }
+
+  async updateSubscription(
+    userId: string,
+    subscriptionId: string,
+    patch: Partial<Pick<EventSubscription, 'url' | 'events' | 'description' | 'is_active'>>
+  ): Promise<EventSubscription | null> {
+    const { data, error } = await this.supabase
+      .from('event_subscriptions')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id', subscriptionId)
+      .select();
+
+    if (error) throw new Error(`Failed to update subscription: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as EventSubscription : null;
+  }
+
+  async deleteSubscription(userId: string, subscriptionId: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('event_subscriptions')
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', subscriptionId);
+
+    if (error) throw new Error(`Failed to delete subscription: ${error.message}`);
+  }
+
+  async insertDeliveries(deliveries: NewEventDelivery[]): Promise<EventDelivery[]> {
+    if (deliveries.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from('event_deliveries')
+      .insert(deliveries)
+      .select();
+
+    if (error) throw new Error(`Failed to queue event deliveries: ${error.message}`);
+
+    return (data || []) as EventDelivery[];
+  }
+
+  async getDueDeliveries(limit: number, userId?: string): Promise<EventDelivery[]> {
+    let query = this.supabase
+      .from('event_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString());
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to get due deliveries: ${error.message}`);
+
+    return (data || []) as EventDelivery[];
+  }
+
+  async updateDelivery(
+    deliveryId: string,
+    expectedAttempts: number,
+    patch: Partial<Pick<EventDelivery, 'status' | 'attempts' | 'next_attempt_at' | 'response_status' | 'last_error' | 'delivered_at'>>
+  ): Promise<EventDelivery | null> {
+    const { data, error } = await this.supabase
+      .from('event_deliveries')
+      .update(patch)
+      .eq('id', deliveryId)
+      .eq('status', 'pending')
+      .eq('attempts', expectedAttempts)
+      .select();
+
+    if (error) throw new Error(`Failed to update delivery: ${error.message}`);
+
+    return data && data.length > 0 ? data[0] as EventDelivery : null;
+  }
+
+  async listDeliveries(
+    subscriptionId: string,
+    options: { status?: EventDelivery['status']; limit?: number } = {}
+  ): Promise<EventDelivery[]> {
+    let query = this.supabase
+      .from('event_deliveries')
+      .select('*')
+      .eq('subscription_id', subscriptionId);
+
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(options.limit ?? 50);
+
+    if (error) throw new Error(`Failed to list deliveries: ${error.message}`);
+
+    return (data || []) as EventDelivery[];
+  }
+
+  async getApiSource(userId: string, sourceName: string): Promise<APISource | null> {
+    const { data, error } = await this.supabase
+      .from('api_sources')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('source_name', sourceName)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get API source: ${error.message}`);
+    }
+
+    return data as APISource | null;
+  }
+
+  async createApiSource(source: NewAPISource): Promise<APISource> {
+    const { data, error } = await this.supabase
+      .from('api_sources')
+      .insert(source)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create API source: ${error.message}`);
+
+    return data as APISource;
+  }
+
+  async listApiSources(userId: string): Promise<APISource[]> {
+    const { data, error } = await this.supabase
+      .from('api_sources')
+      .select('*')
+      .eq('user_id', userId)
+      .order('source_name');
+
+    if (error) throw new Error(`Failed to list API sources: ${error.message}`);
+
+    return (data || []) as APISource[];
+  }
+
+  async getPendingSyncs(limit: number): Promise<PendingSync[]> {
+    const { data, error } = await this.supabase
+      .from('pending_syncs')
+      .select('*')
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to get pending syncs: ${error.message}`);
+
+    return (data || []) as PendingSync[];
+  }
+
+  async claimSync(sourceId: string, leaseUntil: Date): Promise<boolean> {
+    // Postgres re-checks the condition against a row another run just
+    // claimed, so only one run gets it
+    const { data, error } = await this.supabase
+      .from('api_sources')
+      .update({ next_sync: leaseUntil.toISOString() })
+      .eq('id', sourceId)
+      .eq('is_active', true)
+      .or(`next_sync.is.null,next_sync.lte.${new Date().toISOString()}`)
+      .select('id');
+
+    if (error) throw new Error(`Failed to claim sync: ${error.message}`);
+
+    return (data || []).length > 0;
+  }
+
+  async updateApiSource(sourceId: string, patch: Partial<APISource> & Record<string, any>): Promise<void> {
+    const { error } = await this.supabase
+      .from('api_sources')
+      .update(patch)
+      .eq('id', sourceId);
+
+    if (error) throw new Error(`Failed to update API source: ${error.message}`);
+  }
+
+  async insertSyncHistory(record: NewSyncHistoryRecord): Promise<void> {
+    const { error } = await this.supabase
+      .from('sync_history')
+      .insert(record);
+
+    if (error) throw new Error(`Failed to log sync result: ${error.message}`);
+  }
+
+  async listSyncHistory(sourceId: string, limit: number): Promise<SyncHistoryRecord[]> {
+    const { data, error } = await this.supabase
+      .from('sync_history')
+      .select('*')
+      .eq('api_source_id', sourceId)
+      .order('synced_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to list sync history: ${error.message}`);
+
+    return (data || []) as SyncHistoryRecord[];
+  }
+
+  async insertMetricSnapshot(snapshot: NewMetricSnapshot): Promise<MetricSnapshot> {
+    const { data, error } = await this.supabase
+      .from('metric_snapshots')
+      .insert(snapshot)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save metric snapshot: ${error.message}`);
+
+    return data as MetricSnapshot;
+  }
+
+  async setMetricSnapshotVersion(snapshotId: string, versionId: string): Promise<void> {
+    const { error } = await this.supabase
+      .from('metric_snapshots')
+      .update({ version_id: versionId })
+      .eq('id', snapshotId);
+
+    if (error) throw new Error(`Failed to link metric snapshot: ${error.message}`);
+  }
+
+  async getUserSettings(userId: string): Promise<UserSettings | null> {
+    const { data, error } = await this.supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get user settings: ${error.message}`);
+    }
+
+    return data as UserSettings | null;
+  }
+
+  async upsertCachedContext(entry: NewCachedContext): Promise<void> {
+    const { error } = await this.supabase
+      .from('claude_context_cache')
+      .upsert({
+        ...entry,
+        generated_at: entry.generated_at.toISOString(),
+        expires_at: entry.expires_at?.toISOString() ?? null
+      }, {
+        onConflict: 'version_id,format,options_key'
+      });
+
+    if (error) throw new Error(`Failed to cache context: ${error.message}`);
+  }
+
+  async getCachedContext(versionId: string, format: string, optionsKey: string): Promise<CachedContext | null> {
+    const { data, error } = await this.supabase
+      .from('claude_context_cache')
+      .select('*')
+      .eq('version_id', versionId)
+      .eq('format', format)
+      .eq('options_key', optionsKey)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error && error.code !== NO_ROWS) {
+      throw new Error(`Failed to get cached context: ${error.message}`);
+    }
+
+    return data as CachedContext | null;
+  }
+
+  async incrementCacheAccess(cacheId: string): Promise<void> {
+    const { data, error } = await this.supabase
+      .from('claude_context_cache')
+      .select('access_count')
+      .eq('id', cacheId)
+      .single();
+
+    if (error || !data) return;
+
+    await this.supabase
+      .from('claude_context_cache')
+      .update({ access_count: data.access_count + 1 })
+      .eq('id', cacheId);
+  }
+
+  async deleteCachedContexts(userId?: string): Promise<void> {
+    let query = this.supabase.from('claude_context_cache').delete();
+    // PostgREST refuses an unfiltered delete
+    query = userId ? query.eq('user_id', userId) : query.not('id', 'is', null);
+
+    const { error } = await query;
+
+    if (error) throw new Error(`Failed to clear context cache: ${error.message}`);
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Storage Backend Interface
+ * Everything the engine, Claude integration and scheduler need from the database
+ */
+
+import {
+  ContextVersion,
+  ContextBranch,
+  BusinessStateField,
+  ContextChange,
+  ContextDiff,
+  APISource,
+  PendingSync,
+  SyncHistoryRecord,
+  CachedContext,
+  FieldDefinition,
+  ContextProposal,
+  ClaudeConversation,
+  ClaudeConversationRun,
+  ContextTemplate,
+  ApiKey,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceMembership,
+  EventSubscription,
+  EventDelivery,
+  MetricSnapshot,
+  UserSettings
+} from '../types';
+
+export type NewContextVersion = Omit<ContextVersion, 'id' | 'created_at'> & {
+  created_at?: Date;
+};
+
+export type NewBusinessStateField = Omit<BusinessStateField, 'id'>;
+
+export type NewContextChange = Omit<ContextChange, 'id'>;
+
+/**
+ * Everything written by a single commit. Storage backends apply it atomically:
+ * either all rows land and the version becomes the branch HEAD, or nothing
+ * changes. The version's parent_version_id must still be that HEAD when the
+ * write happens.
+ */
+export interface CommitInput {
+  version: NewContextVersion;
+  state: Omit<NewBusinessStateField, 'version_id'>[];
+  changes: Omit<NewContextChange, 'version_id'>[];
+}
+
+export type NewSyncHistoryRecord = Omit<SyncHistoryRecord, 'id' | 'synced_at' | 'fields_updated' | 'changes_count'> & {
+  fields_updated?: string[];
+  changes_count?: number;
+};
+
+export type NewAPISource = Omit<APISource, 'id' | 'last_synced' | 'error_count' | 'last_error'>;
+
+export type NewMetricSnapshot = Omit<MetricSnapshot, 'id' | 'captured_at'> & {
+  captured_at?: Date;
+};
+
+export type NewCachedContext = Omit<CachedContext, 'id'>;
+
+export type NewFieldDefinition = Omit<FieldDefinition, 'id' | 'created_at'>;
+
+export type NewContextProposal = Omit<ContextProposal, 'id' | 'created_at' | 'status' | 'edited'>;
+
+export type NewClaudeConversation = Omit<ClaudeConversation, 'id' | 'started_at' | 'ended_at'>;
+
+export type NewClaudeConversationRun = Omit<ClaudeConversationRun, 'id' | 'created_at'>;
+
+export type NewContextTemplate = Omit<ContextTemplate, 'id' | 'created_at' | 'updated_at'>;
+
+export type NewApiKey = Omit<ApiKey, 'id' | 'created_at' | 'last_used_at' | 'revoked_at'>;
+
+export type NewWorkspace = Omit<Workspace, 'id' | 'created_at'>;
+
+export type NewWorkspaceMember = Omit<WorkspaceMember, 'created_at'>;
+
+export type NewEventSubscription = Omit<EventSubscription, 'id' | 'created_at' | 'updated_at'>;
+
+export type NewEventDelivery = Omit<EventDelivery, 'id' | 'created_at' | 'attempts' | 'delivered_at'>;
+
+export type VersionDiffRow = ContextDiff['changes'][number];
+
+export interface ContextStorage {
+  // Branches
+  listBranches(userId: string): Promise<ContextBranch[]>;
+  /** Named branch, or the default (checked-out) branch when no name is given */
+  getBranch(userId: string, name?: string): Promise<ContextBranch | null>;
+  createBranch(userId: string, name: string, headVersionId: string | null): Promise<ContextBranch>;
+  deleteBranch(userId: string, name: string): Promise<void>;
+  setDefaultBranch(userId: string, name: string): Promise<void>;
+
+  // Versions
+  /** HEAD of the named branch, or of the default branch when no name is given */
+  getCurrentVersion(userId: string, branch?: string): Promise<ContextVersion | null>;
+  getVersionById(versionId: string): Promise<ContextVersion | null>;
+  /** Full hash or unique prefix */
+  findVersionByHash(userId: string, hash: string): Promise<ContextVersion | null>;
+  /** A version and everything reachable through its parents (including merge parents), newest first */
+  listAncestors(
+    versionId: string,
+    options?: { limit?: number; offset?: number; before?: Date }
+  ): Promise<ContextVersion[]>;
+  /** Every version of the user across all branches, newest first */
+  listVersions(userId: string, options?: { limit?: number; offset?: number }): Promise<ContextVersion[]>;
+  searchVersions(userId: string, query: string, limit: number): Promise<ContextVersion[]>;
+  /**
+   * Advances input.version.branch to the new version, creating the branch if
+   * it does not exist yet. Throws VersionConflictError if the branch HEAD is no
+   * longer input.version.parent_version_id, and CommitError naming the phase
+   * that failed otherwise.
+   */
+  commitVersion(input: CommitInput): Promise<ContextVersion>;
+  updateVersionTags(versionId: string, tags: string[]): Promise<void>;
+
+  // Business state
+  getVersionState(versionId: string): Promise<BusinessStateField[]>;
+  /** Exact state of the latest version on the default branch at or before the timestamp */
+  getBusinessStateAt(userId: string, timestamp: Date): Promise<NewBusinessStateField[]>;
+  calculateVersionDiff(versionFromId: string, versionToId: string): Promise<VersionDiffRow[]>;
+
+  // Change log
+  getFieldChanges(
+    userId: string,
+    fieldName: string,
+    timeRange?: { start: Date; end: Date }
+  ): Promise<ContextChange[]>;
+  listChanges(versionIds: string[]): Promise<ContextChange[]>;
+
+  // Field definitions
+  listFieldDefinitions(category?: string): Promise<FieldDefinition[]>;
+  getFieldDefinition(fieldName: string): Promise<FieldDefinition | null>;
+  createFieldDefinition(definition: NewFieldDefinition): Promise<FieldDefinition>;
+  updateFieldDefinition(fieldName: string, patch: Partial<NewFieldDefinition>): Promise<FieldDefinition>;
+  deleteFieldDefinition(fieldName: string): Promise<void>;
+
+  // Claude conversations
+  getConversation(userId: string, conversationId: string): Promise<ClaudeConversation | null>;
+  listConversations(userId: string, limit: number): Promise<ClaudeConversation[]>;
+  /** Returns null if the user already has a conversation with that id */
+  createConversation(conversation: NewClaudeConversation): Promise<ClaudeConversation | null>;
+  /**
+   * Update a conversation only if its message_count is still
+   * `expectedMessageCount`; returns null otherwise, so concurrent posts of the
+   * same conversation can't both process the same messages
+   */
+  updateConversation(
+    id: string,
+    expectedMessageCount: number,
+    patch: Partial<Omit<ClaudeConversation, 'id' | 'user_id' | 'conversation_id'>>
+  ): Promise<ClaudeConversation | null>;
+  insertConversationRun(run: NewClaudeConversationRun): Promise<ClaudeConversationRun>;
+  /** Newest first */
+  listConversationRuns(userId: string, conversationId: string): Promise<ClaudeConversationRun[]>;
+
+  // Review queue
+  createProposals(proposals: NewContextProposal[]): Promise<ContextProposal[]>;
+  listProposals(
+    userId: string,
+    options?: { status?: ContextProposal['status']; conversationId?: string; limit?: number }
+  ): Promise<ContextProposal[]>;
+  getProposal(proposalId: string): Promise<ContextProposal | null>;
+  /**
+   * Update a proposal only if its status is still `expectedStatus`; returns
+   * null otherwise, so two reviewers can't both act on the same proposal
+   */
+  updateProposal(
+    proposalId: string,
+    expectedStatus: ContextProposal['status'],
+    patch: Partial<Omit<ContextProposal, 'id' | 'user_id' | 'created_at'>>
+  ): Promise<ContextProposal | null>;
+
+  // Context templates
+  /** Sorted by name */
+  listTemplates(userId: string): Promise<ContextTemplate[]>;
+  getTemplate(userId: string, name: string): Promise<ContextTemplate | null>;
+  /** Returns null if the user already has a template with that name */
+  createTemplate(template: NewContextTemplate): Promise<ContextTemplate | null>;
+  updateTemplate(
+    userId: string,
+    name: string,
+    patch: Partial<Pick<ContextTemplate, 'description' | 'body'>>
+  ): Promise<ContextTemplate | null>;
+  deleteTemplate(userId: string, name: string): Promise<void>;
+
+  // API keys
+  /** Newest first, including revoked keys */
+  listApiKeys(userId: string): Promise<ApiKey[]>;
+  getApiKeyByHash(keyHash: string): Promise<ApiKey | null>;
+  getApiKey(keyId: string): Promise<ApiKey | null>;
+  createApiKey(key: NewApiKey): Promise<ApiKey>;
+  /** Returns null if the user has no such key */
+  revokeApiKey(userId: string, keyId: string): Promise<ApiKey | null>;
+  touchApiKey(keyId: string): Promise<void>;
+
+  // Workspaces
+  /** Team workspaces the user belongs to, with their role, oldest membership first */
+  listWorkspaces(userId: string): Promise<WorkspaceMembership[]>;
+  getWorkspace(workspaceId: string): Promise<Workspace | null>;
+  /** Creates the workspace with its creator as its first admin */
+  createWorkspace(workspace: NewWorkspace): Promise<Workspace>;
+  updateWorkspace(workspaceId: string, patch: Pick<Workspace, 'name'>): Promise<Workspace | null>;
+  getWorkspaceMember(workspaceId: string, userId: string): Promise<WorkspaceMember | null>;
+  /** Oldest first */
+  listWorkspaceMembers(workspaceId: string): Promise<WorkspaceMember[]>;
+  /** Adds the member, or changes the role of an existing one */
+  upsertWorkspaceMember(member: NewWorkspaceMember): Promise<WorkspaceMember>;
+  removeWorkspaceMember(workspaceId: string, userId: string): Promise<void>;
+
+  // Event subscriptions
+  /** Newest first */
+  listSubscriptions(userId: string): Promise<EventSubscription[]>;
+  getSubscription(userId: string, subscriptionId: string): Promise<EventSubscription | null>;
+  createSubscription(subscription: NewEventSubscription): Promise<EventSubscription>;
+  /** Returns null if the workspace has no such subscription */
+  updateSubscription(
+    userId: string,
+    subscriptionId: string,
+    patch: Partial<Pick<EventSubscription, 'url' | 'events' | 'description' | 'is_active'>>
+  ): Promise<EventSubscription | null>;
+  /** Deletes its deliveries too */
+  deleteSubscription(userId: string, subscriptionId: string): Promise<void>;
+  insertDeliveries(deliveries: NewEventDelivery[]): Promise<EventDelivery[]>;
+  /** Pending deliveries whose next attempt is due, oldest first; only the workspace's when a user is given */
+  getDueDeliveries(limit: number, userId?: string): Promise<EventDelivery[]>;
+  /**
+   * Update a pending delivery only if its attempts count is still
+   * `expectedAttempts`; returns null otherwise, so two dispatchers can't both
+   * claim the same attempt
+   */
+  updateDelivery(
+    deliveryId: string,
+    expectedAttempts: number,
+    patch: Partial<Pick<EventDelivery, 'status' | 'attempts' | 'next_attempt_at' | 'response_status' | 'last_error' | 'delivered_at'>>
+  ): Promise<EventDelivery | null>;
+  /** Newest first */
+  listDeliveries(
+    subscriptionId: string,
+    options?: { status?: EventDelivery['status']; limit?: number }
+  ): Promise<EventDelivery[]>;
+
+  // API sources & sync history
+  getApiSource(userId: string, sourceName: string): Promise<APISource | null>;
+  /** next_sync starts one update_frequency from now */
+  createApiSource(source: NewAPISource): Promise<APISource>;
+  /** The user's sources, by name */
+  listApiSources(userId: string): Promise<APISource[]>;
+  getPendingSyncs(limit: number): Promise<PendingSync[]>;
+  /**
+   * Lease a due source to one scheduled run by moving its next_sync to
+   * leaseUntil. False when it is no longer due or active, i.e. another run
+   * claimed it first.
+   */
+  claimSync(sourceId: string, leaseUntil: Date): Promise<boolean>;
+  updateApiSource(sourceId: string, patch: Partial<APISource> & Record<string, any>): Promise<void>;
+  insertSyncHistory(record: NewSyncHistoryRecord): Promise<void>;
+  /** Newest first */
+  listSyncHistory(sourceId: string, limit: number): Promise<SyncHistoryRecord[]>;
+  insertMetricSnapshot(snapshot: NewMetricSnapshot): Promise<MetricSnapshot>;
+  /** Link a snapshot to the version its sync went on to commit */
+  setMetricSnapshotVersion(snapshotId: string, versionId: string): Promise<void>;
+
+  // User settings
+  getUserSettings(userId: string): Promise<UserSettings | null>;
+
+  // Claude context cache
+  upsertCachedContext(entry: NewCachedContext): Promise<void>;
+  /** Unexpired entry only */
+  getCachedContext(versionId: string, format: string, optionsKey: string): Promise<CachedContext | null>;
+  incrementCacheAccess(cacheId: string): Promise<void>;
+  /** Every entry for the user, or every entry at all when no user is given */
+  deleteCachedContexts(userId?: string): Promise<void>;
+}
@@ -6,15 +6,29 @@
 export interface ContextVersion {
   id: string;
   user_id: string;
-  version_hash: string;
+  version_hash: string; // Content address: tree hash + parent hashes + metadata
+  tree_hash?: string | null; // Hash of the version's business state (null for legacy versions)
   commit_message: string;
   created_at: Date;
-  is_current: boolean;
+  branch: string;
   parent_version_id?: string;
+  merge_parent_version_id?: string; // Second parent of a merge version
   author?: string;
+  author_id?: string | null; // Workspace member who made the commit (null for system commits)
   tags?: string[];
 }
 
+export interface ContextBranch {
+  id: string;
+  user_id: string;
+  name: string;
+  head_version_id: string | null;
+  base_version_id?: string | null; // Version the branch was created from
+  is_default: boolean; // The checked-out branch, read when no branch is given
+  created_at: Date;
+  updated_at: Date;
+}
+
 export interface BusinessStateField {
   id: string;
   version_id: string;
@@ -32,21 +46,119 @@ export interface ContextChange {
   field_name: string;
   old_value: any;
   new_value: any;
-  change_type: 'create' | 'update' | 'delete';
+  change_type: 'create' | 'update' | 'delete' | 'rename';
   source: string;
   created_at: Date;
+  metadata?: Record<string, any>; // e.g. { renamed_from } for renames
+}
+
+export interface FieldDefinition {
+  id: string;
+  field_name: string;
+  display_name: string;
+  description?: string | null;
+  field_type: BusinessStateField['field_type'];
+  default_source?: string | null;
+  validation_rules: Record<string, any>; // JSON Schema the field value must satisfy
+  is_system_field: boolean;
+  is_required: boolean; // Must be present in every committed state
+  category?: string | null;
+  priority: number; // 0-100; higher-priority fields are kept when a context is token-budgeted
+  created_at: Date;
 }
 
 export interface APISource {
   id: string;
   user_id: string;
   source_name: string;
+  connector?: string | null; // Registered connector that pulls the source; null for push-only webhook sources
   api_endpoint?: string;
-  field_mappings: Record<string, string>;
+  // Payload path => business state field, or a mapping with a transform
+  field_mappings: Record<string, string | FieldMapping>;
   update_frequency: number; // seconds
   last_synced?: Date;
+  next_sync?: Date | null; // Pushed back after failures, and while a scheduled run holds the source
+  is_active: boolean;
+  credentials?: Record<string, string>; // webhook_secret signs webhook bodies
+  error_count?: number;
+  last_error?: string | null;
+}
+
+/**
+ * Where one payload value goes. `sum` adds up numbers (e.g. every match of a
+ * [*] path), `pick` keeps only `keys` of an object (or of each object in an
+ * array), and `cast` converts the value to `type`. `type` is also the
+ * committed field_type; without it the field definition's type is used.
+ */
+export interface FieldMapping {
+  field: string;
+  transform?: 'sum' | 'pick' | 'cast';
+  keys?: string[];
+  type?: BusinessStateField['field_type'];
+}
+
+export interface SyncHistoryRecord {
+  id: string;
+  api_source_id: string;
+  user_id: string;
+  version_id?: string | null;
+  success: boolean;
+  fields_updated: string[];
+  changes_count: number;
+  error_message?: string | null;
+  duration_ms?: number;
+  synced_at: Date;
+  metadata?: Record<string, any>;
+}
+
+/**
+ * How an API source's syncs have been going, for /api/integrations/status.
+ * `failing` sources are retried with backoff; `inactive` ones are not synced
+ * until re-enabled.
+ */
+export interface SourceStatus {
+  source_name: string;
+  connector: string | null; // Null for webhook-only sources
+  health: 'healthy' | 'failing' | 'inactive';
   is_active: boolean;
-  credentials?: Record<string, string>;
+  update_frequency: number;
+  last_synced: Date | null;
+  next_sync: Date | null;
+  error_count: number; // Consecutive failures
+  failures_until_deactivation: number | null; // Null for sources that are never deactivated
+  last_error: string | null;
+  recent: {
+    syncs: number;
+    failures: number;
+    success_rate: number | null; // Null without recent syncs
+    last_success_at: Date | null;
+    average_duration_ms: number | null;
+  };
+}
+
+export interface PendingSync {
+  id: string;
+  user_id: string;
+  source_name: string;
+  connector: string;
+  next_sync?: Date | null;
+  last_synced?: Date | null;
+  error_count: number;
+}
+
+export interface CachedContext {
+  id: string;
+  user_id: string;
+  version_id: string;
+  format: ClaudeContext['format'];
+  options_key: string; // Rendering options besides format: template and token budget
+  content: string;
+  fields_included: string[];
+  estimated_tokens: number;
+  budget?: ClaudeContext['budget'] | null;
+  generated_at: Date;
+  expires_at?: Date | null;
+  access_count: number;
 }
 
 export interface ContextDiff {
@@ -56,11 +168,34 @@ export interface ContextDiff {
     field_name: string;
     old_value: any;
     new_value: any;
-    change_type: 'added' | 'modified' | 'removed';
+    change_type: 'added' | 'modified' | 'removed' | 'renamed';
+    old_field_name?: string; // Previous name of a renamed field
+    details?: ValueChange[]; // Path-level changes inside json/array values
   }[];
   timestamp: Date;
 }
 
+/**
+ * One change inside a json or array field value
+ */
+export interface ValueChange {
+  op: 'add' | 'remove' | 'replace';
+  path: string; // JSON Pointer (RFC 6901) into the field value, valid when applied in order
+  display_path: string; // Human-readable, e.g. current_deals[id=42].stage
+  old_value?: any;
+  new_value?: any;
+}
+
+/**
+ * RFC 6902 JSON Patch operation over the map of field name => value
+ */
+export interface JsonPatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'move';
+  path: string;
+  from?: string;
+  value?: any;
+}
+
 export interface TemporalQuery {
   date?: Date;
   field_name?: string;
@@ -75,7 +210,141 @@ export interface ClaudeContext {
   generated_at: Date;
   fields: Record<string, any>;
   formatted_content: string;
-  format: 'markdown' | 'json' | 'yaml';
+  format: 'markdown' | 'json' | 'yaml' | 'xml' | 'plaintext';
+  template?: string; // Name of the user template it was rendered with, if any
+  estimated_tokens: number;
+  budget?: {
+    max_tokens: number;
+    trimmed: string[]; // Included with long arrays, objects or text shortened
+    omitted: string[]; // Left out entirely
+  };
+}
+
+export interface ExtractedChange {
+  field_name: string;
+  field_value: any;
+  field_type: string;
+  confidence: number; // 0-1
+}
+
+export interface RejectedChange {
+  change: any; // As returned by the extraction provider
+  errors: string[];
+}
+
+export interface ClaudeConversation {
+  id: string;
+  user_id: string;
+  conversation_id: string;
+  version_before?: string | null; // HEAD when the conversation was first processed
+  version_after?: string | null; // Latest version a run of it committed
+  changes_extracted: Record<string, ExtractedChange & { outcome: 'committed' | 'proposed' }>; // Latest per field
+  started_at: Date;
+  ended_at?: Date | null; // When its messages were last processed
+  message_count: number; // Messages processed so far
+}
+
+export interface ClaudeConversationRun {
+  id: string;
+  user_id: string;
+  conversation_id: string;
+  status: 'completed' | 'skipped' | 'failed';
+  message_start: number; // Messages [message_start, message_end) were analyzed
+  message_end: number;
+  version_before?: string | null;
+  version_after?: string | null; // Version auto-committed by this run
+  changes_extracted: ExtractedChange[]; // Changes that passed validation
+  changes_rejected: RejectedChange[]; // Provider output that did not
+  committed_count: number;
+  proposed_count: number;
+  error?: string | null;
+  created_at: Date;
+}
+
+export interface ContextTemplate {
+  id: string;
+  user_id: string;
+  name: string;
+  description?: string | null;
+  body: string; // See src/core/template-engine.ts for the syntax
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * What a credential may do. context:read includes context:prompt, which on
+ * its own only allows fetching the Claude prompt.
+ */
+export type AuthScope = 'context:prompt' | 'context:read' | 'context:write' | 'integrations:admin';
+
+export interface ApiKey {
+  id: string;
+  user_id: string;
+  name: string;
+  key_prefix: string; // First characters of the key, to tell keys apart
+  key_hash: string; // SHA-256 of the key; the key itself is never stored
+  scopes: AuthScope[];
+  created_at: Date;
+  last_used_at?: Date | null;
+  expires_at?: Date | null;
+  revoked_at?: Date | null;
+}
+
+/**
+ * The authenticated caller of a request
+ */
+export interface AuthContext {
+  user_id: string;
+  scopes: AuthScope[];
+  method: 'api_key' | 'session' | 'admin';
+  key_id?: string; // The API key used, or the one the session was issued from
+}
+
+export type WorkspaceRole = 'viewer' | 'editor' | 'admin';
+
+/**
+ * Owner of a business context. Context rows keep the owning workspace's id in
+ * their user_id column; every user also has a personal workspace whose id is
+ * their own user id.
+ */
+export interface Workspace {
+  id: string;
+  name: string;
+  created_by: string;
+  created_at: Date;
+}
+
+export interface WorkspaceMember {
+  workspace_id: string;
+  user_id: string;
+  role: WorkspaceRole;
+  added_by?: string | null;
+  created_at: Date;
+}
+
+/**
+ * A workspace as seen by one of its members
+ */
+export interface WorkspaceMembership extends Workspace {
+  role: WorkspaceRole;
+  personal: boolean;
+}
+
+export interface ContextProposal {
+  id: string;
+  user_id: string;
+  conversation_id: string;
+  field_name: string;
+  field_value: any;
+  field_type: BusinessStateField['field_type'];
+  confidence: number;
+  status: 'pending' | 'approved' | 'rejected';
+  edited: boolean; // Value changed by a reviewer after extraction
+  version_id?: string | null; // Commit that applied it, once approved
+  review_note?: string | null;
+  reviewed_by?: string | null; // Workspace member who approved or rejected it
+  created_at: Date;
+  reviewed_at?: Date | null;
 }
 
 export interface CommitRequest {
@@ -86,15 +355,161 @@ export interface CommitRequest {
     field_value: any;
     field_type: BusinessStateField['field_type'];
     source: BusinessStateField['source'];
+    metadata?: Record<string, any>;
   }[];
+  deletes?: string[]; // Fields to remove
+  renames?: { from: string; to: string }[]; // Applied before deletes and changes
   tags?: string[];
   author?: string;
+  author_id?: string; // Member making the commit
+  branch?: string; // Defaults to the checked-out branch
+  // Version id or hash the commit was built on (null = no commits yet).
+  // Omit to commit unconditionally on top of whatever HEAD is.
+  expected_parent?: string | null;
 }
 
 export interface RollbackRequest {
   user_id: string;
   version_id: string;
   reason?: string;
+  branch?: string;
+  author_id?: string;
+}
+
+export interface MergeRequest {
+  user_id: string;
+  source: string; // Branch name, version id or hash to merge in
+  target?: string; // Branch to merge into; defaults to the checked-out branch
+  commit_message?: string;
+  author?: string;
+  author_id?: string;
+  resolutions?: MergeResolution[];
+  dry_run?: boolean; // Report the outcome without committing
+}
+
+export interface MergeResolution {
+  field_name: string;
+  key?: string; // Top-level key of a json field, for key-level conflicts
+  take?: 'ours' | 'theirs';
+  value?: any; // Explicit merged value; takes precedence over `take`
+  field_type?: BusinessStateField['field_type'];
+}
+
+export interface MergeConflict {
+  field_name: string;
+  key?: string;
+  base: any; // null when absent
+  ours: any;
+  theirs: any;
+}
+
+export interface RevertRequest {
+  user_id: string;
+  version_id: string; // Version id or hash whose changes to undo
+  branch?: string; // Branch to commit to; defaults to the checked-out branch
+  commit_message?: string;
+  author?: string;
+  author_id?: string;
+  // Conflicts with later changes: `ours` keeps HEAD, `theirs` applies the revert
+  resolutions?: MergeResolution[];
+  dry_run?: boolean;
+}
+
+export interface CherryPickRequest extends RevertRequest {
+  fields?: string[]; // Only pick these fields' changes; defaults to all
+}
+
+/**
+ * Outcome of a merge, revert or cherry-pick. `theirs` is the version whose
+ * changes are applied on top of `ours` (the branch HEAD) relative to `base`.
+ */
+export interface MergeResult {
+  status: 'merged' | 'up_to_date' | 'conflicts' | 'clean';
+  branch: string;
+  base_version_id: string | null;
+  ours_version_id: string | null;
+  theirs_version_id: string | null;
+  auto_merged: string[];
+  resolved: string[];
+  conflicts: MergeConflict[];
+  version?: ContextVersion; // The merge version, when one was created
+}
+
+export interface VersionIntegrityProblem {
+  version_id: string;
+  version_hash: string;
+  problem: 'state_altered' | 'hash_mismatch' | 'missing_parent';
+  expected?: string; // Recomputed hash
+  details: string;
+}
+
+export interface IntegrityReport {
+  branch: string;
+  head_version_id: string | null;
+  versions_checked: number;
+  legacy_versions: number; // Created before content addressing; cannot be verified
+  valid: boolean;
+  problems: VersionIntegrityProblem[];
+}
+
+/**
+ * Outcome of a webhook delivery. `unchanged` means every mapped value was
+ * already in the context, so nothing was committed.
+ */
+export interface WebhookResult {
+  status: 'committed' | 'unchanged';
+  source: string;
+  version?: ContextVersion;
+  fields_updated: string[];
+  unmatched: string[]; // Mapped paths with no value in the payload
+}
+
+/**
+ * What subscribers can be notified of: `commit` for every new version except
+ * rollbacks, `rollback`, `field_changed:<name>` for each field a version
+ * changed, `sync_failed` when an integration sync or webhook fails, and
+ * `source_deactivated` when a source is switched off after repeated failures
+ */
+export type ContextEventType =
+  'commit' | 'rollback' | 'sync_failed' | 'source_deactivated' | `field_changed:${string}`;
+
+/**
+ * The JSON body POSTed to subscribers
+ */
+export interface ContextEvent {
+  id: string; // Shared by every delivery of the event
+  event: ContextEventType;
+  workspace_id: string;
+  created_at: string;
+  data: Record<string, any>;
+}
+
+export interface EventSubscription {
+  id: string;
+  user_id: string; // Owning workspace
+  url: string;
+  events: string[]; // Filters: event types, or `field_changed:*` for any field
+  secret: string; // Signs deliveries; only shown when the subscription is created
+  description?: string | null;
+  is_active: boolean;
+  created_by?: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface EventDelivery {
+  id: string;
+  subscription_id: string;
+  user_id: string;
+  event: ContextEventType;
+  payload: ContextEvent;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  next_attempt_at?: Date | null; // When a pending delivery is tried next
+  response_status?: number | null; // HTTP status of the last attempt
+  last_error?: string | null;
+  created_at: Date;
+  delivered_at?: Date | null;
 }
 
 export interface SyncResult {
@@ -104,6 +519,81 @@ export interface SyncResult {
   changes_count: number;
   error?: string;
   timestamp: Date;
+  version_id?: string | null; // The commit the sync made, if any
+  snapshot?: MetricSnapshot;
+}
+
+/**
+ * Values a sync captured. Every sync records one; only syncs that cross an
+ * auto-commit threshold also commit them.
+ */
+export interface MetricSnapshot {
+  id: string;
+  user_id: string;
+  api_source_id?: string | null;
+  source: BusinessStateField['source'];
+  metrics: Record<string, any>; // Field name => value
+  version_id?: string | null;
+  captured_at: Date;
+}
+
+export interface UserSettings {
+  id: string;
+  user_id: string;
+  auto_commit_enabled: boolean;
+  auto_commit_threshold: Record<string, number>; // Field name => change that makes a sync commit
+  notification_preferences?: Record<string, any>;
+  default_fields?: string[];
+  timezone?: string;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export type SeriesInterval = 'version' | 'day' | 'week' | 'month';
+
+/**
+ * One value of a field series: a version that changed the field, or the
+ * value in effect at the end of a day/week/month bucket
+ */
+export interface SeriesPoint {
+  timestamp: string; // Version time, or the start of the bucket
+  value: number;
+  version_id?: string; // Per-version series only
+  change: number | null; // Since the previous point
+  change_percent: number | null;
+  rolling_average: number; // Mean of this point and up to window - 1 before it
+}
+
+/**
+ * Least-squares line through a series, and when it reaches a target value
+ */
+export interface SeriesTrend {
+  slope_per_day: number;
+  r_squared: number;
+  target?: number;
+  target_reached?: boolean; // The latest value is already at or past the target
+  target_date?: string | null; // Null when the trend is flat or heading away from the target
+  days_to_target?: number | null;
+}
+
+export interface FieldSeries {
+  field_name: string;
+  path: string | null; // Into the field value, e.g. `.total` for follower_count.total
+  branch: string;
+  interval: SeriesInterval;
+  window: number;
+  start: string | null;
+  end: string;
+  points: SeriesPoint[];
+  growth: {
+    start_value: number; // In effect at the start of the range, or the first point
+    end_value: number;
+    absolute: number;
+    percent: number | null; // Null when start_value is 0
+    per_day: number | null;
+  } | null;
+  trend: SeriesTrend | null; // Needs two points at different times
+  skipped: number; // Versions where the field had no number at the path
 }
 
 export interface BusinessState {
@@ -170,6 +660,11 @@ export interface Env {
   SUPABASE_SERVICE_KEY: string;
   TWITTER_BEARER_TOKEN: string;
   CLAUDE_API_KEY: string;
-  CONTEXT_CACHE?: KVNamespace; // Optional - caching is done via Supabase
+  CONTEXT_CACHE?: KVNamespace; // Optional - faster tier in front of claude_context_cache
+  STORAGE_BACKEND?: 'supabase' | 'memory'; // Defaults to supabase
+  EXTRACTION_PROVIDER?: 'anthropic' | 'stub'; // Defaults to anthropic
+  CLAUDE_MODEL?: string; // Model used for extraction
+  AUTH_SECRET?: string; // Signs session tokens; required to issue them
+  ADMIN_TOKEN?: string; // Optional - lets operators create API keys for any user
   ENVIRONMENT: string;
 }